@@ -6,6 +6,7 @@
  * - Movement commands and previews
  * - Attack targeting and execution
  * - Action mode switching
+ * - Unit placement during the deployment phase
  */
 
 import * as THREE from 'three';
@@ -21,7 +22,7 @@ export class InputController {
         
         // Input state
         this.enabled = true;
-        this.currentAction = 'SELECT'; // 'SELECT', 'MOVE', 'ATTACK', 'ABILITY'
+        this.currentAction = 'SELECT'; // 'SELECT', 'MOVE', 'ATTACK', 'ABILITY', 'DEPLOY'
         this.selectedUnit = null;
         
         // Interaction callbacks
@@ -30,6 +31,8 @@ export class InputController {
         this.onMovePreview = null;
         this.onAttackPreview = null;
         this.onActionExecuted = null;
+        this.onActionRequested = null; // Online: intents go to the server instead of resolving here
+        this.onDeployClick = null;
         
         // Visual feedback
         this.hoveredUnit = null;
@@ -110,6 +113,9 @@ export class InputController {
             case 'ABILITY':
                 this.handleAbilityClick();
                 break;
+            case 'DEPLOY':
+                this.handleDeployClick();
+                break;
         }
     }
 
@@ -180,6 +186,23 @@ export class InputController {
         }
     }
 
+    handleDeployClick() {
+        // A placed unit was clicked: let the game pick it back up
+        const clickedUnit = this.getIntersectedUnit();
+        if (clickedUnit) {
+            if (this.onDeployClick) this.onDeployClick(clickedUnit, null);
+            return;
+        }
+        
+        const worldPosition = this.getIntersectedGroundPosition();
+        if (!worldPosition) return;
+        
+        const gridPosition = this.battleScene.getGridPosition(worldPosition);
+        if (this.battleScene.isValidGridPosition(gridPosition.x, gridPosition.y) && this.onDeployClick) {
+            this.onDeployClick(null, gridPosition);
+        }
+    }
+
     handleAttackClick() {
         if (!this.selectedUnit) {
             this.setActionMode('SELECT');
@@ -341,6 +364,9 @@ export class InputController {
     }
 
     cancelCurrentAction() {
+        // Deployment ends only when both armies are placed
+        if (this.currentAction === 'DEPLOY') return;
+        
         this.setActionMode('SELECT');
         
         // Clear any active previews
@@ -366,6 +392,9 @@ export class InputController {
             case 'ABILITY':
                 cursor = 'crosshair';
                 break;
+            case 'DEPLOY':
+                cursor = this.hoveredUnit ? 'pointer' : 'cell';
+                break;
         }
         
         this.domElement.style.cursor = cursor;
@@ -375,24 +404,15 @@ export class InputController {
     isValidMoveTarget(gridPosition) {
         if (!this.selectedUnit) return false;
         
-        // Check if position is within movement range
-        const unitPos = this.selectedUnit.unitData.position;
-        const distance = Math.abs(gridPosition.x - unitPos.x) + Math.abs(gridPosition.y - unitPos.y);
-        const moveRange = this.selectedUnit.unitData.stats.MOV;
-        
-        if (distance > moveRange) return false;
-        
-        // Check if position is valid and passable
+        // Check if position is valid
         if (!this.battleScene.isValidGridPosition(gridPosition.x, gridPosition.y)) return false;
         
-        const terrain = this.battleScene.terrain.getTerrainAt(gridPosition.x, gridPosition.y);
-        if (!terrain || !this.battleScene.terrain.isPassable(gridPosition.x, gridPosition.y)) return false;
-        
-        // Check if position is occupied by another unit
-        const occupyingUnit = this.getUnitAtGridPosition(gridPosition);
-        if (occupyingUnit && occupyingUnit !== this.selectedUnit) return false;
+        // Check there is a path within movement range (terrain, water and units considered)
+        const unitPos = this.selectedUnit.unitData.position;
+        if (gridPosition.x === unitPos.x && gridPosition.y === unitPos.y) return false;
         
-        return true;
+        const route = this.battleScene.findMovementPath(this.selectedUnit, gridPosition);
+        return route.found && route.withinRange;
     }
 
     isValidAttackTarget(targetUnit) {
@@ -400,8 +420,8 @@ export class InputController {
         if (targetUnit === this.selectedUnit) return false;
         if (targetUnit.unitData.isIncapacitated) return false;
         
-        // Check if target is enemy (different team)
-        if (targetUnit.unitData.teamColor === this.selectedUnit.unitData.teamColor) return false;
+        // Check if target is enemy (different controller, so hypnotised units switch sides)
+        if (this.battleScene.getUnitController(targetUnit) === this.battleScene.getUnitController(this.selectedUnit)) return false;
         
         // Check attack range
         const attackerPos = this.selectedUnit.unitData.position;
@@ -428,10 +448,21 @@ export class InputController {
         return null;
     }
 
+    // Online matches: hand the intent to the server, which resolves it and sends back the outcome
+    requestAction(intent) {
+        if (!this.onActionRequested) return false;
+        
+        this.onActionRequested({ actorId: this.selectedUnit.unitData.id, ...intent });
+        this.setActionMode('SELECT');
+        return true;
+    }
+
     // Action execution methods
     executeMoveAction(gridPosition) {
         if (!this.selectedUnit || !this.isValidMoveTarget(gridPosition)) return;
         
+        if (this.requestAction({ type: 'MOVE', targetPosition: { x: gridPosition.x, y: gridPosition.y } })) return;
+        
         // Update unit position
         this.selectedUnit.unitData.position = { x: gridPosition.x, y: gridPosition.y };
         
@@ -455,6 +486,8 @@ export class InputController {
     executeAttackAction(targetUnit) {
         if (!this.selectedUnit || !this.isValidAttackTarget(targetUnit)) return;
         
+        if (this.requestAction({ type: 'ATTACK', targetId: targetUnit.unitData.id })) return;
+        
         // Play attack animation
         this.selectedUnit.playAttackAnimation(targetUnit);
         
@@ -483,6 +516,14 @@ export class InputController {
     executeAbilityAction(target, position) {
         if (!this.selectedUnit) return;
         
+        const ability = (this.selectedUnit.unitData.abilities || []).find(entry => !entry.cooldown);
+        if (this.requestAction({
+            type: 'ABILITY',
+            abilityId: ability ? ability.id : null,
+            targetId: target ? target.unitData.id : null,
+            targetPosition: position ? { x: position.x, y: position.y } : null
+        })) return;
+        
         // Simplified ability execution
         let description = `${this.selectedUnit.unitData.name} uses ability`;
         
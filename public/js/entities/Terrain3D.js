@@ -92,14 +92,18 @@ export class Terrain3D {
         this.decorations = [];
     }
 
-    async init() {
+    async init(layout = null) {
         console.log(`Initializing Terrain3D: ${this.mapWidth}x${this.mapHeight}`);
         
         // Create materials for each terrain type
         this.createMaterials();
         
-        // Generate terrain data
-        this.generateTerrain();
+        // Generate terrain data, or take it from the server in online matches
+        if (layout) {
+            this.applyLayout(layout);
+        } else {
+            this.generateTerrain();
+        }
         
         // Create terrain meshes
         this.createTerrainMeshes();
@@ -157,6 +161,33 @@ export class Terrain3D {
         console.log('Terrain generation complete');
     }
 
+    // Build terrain data from a match's public terrain list; unlisted tiles are plains
+    applyLayout(tiles) {
+        this.terrainData = [];
+        for (let x = 0; x < this.mapWidth; x++) {
+            this.terrainData[x] = [];
+            for (let y = 0; y < this.mapHeight; y++) {
+                this.terrainData[x][y] = this.createTile(x, y, 'PLAINS');
+            }
+        }
+        
+        for (const tile of tiles) {
+            if (!this.getTerrainAt(tile.x, tile.y)) continue;
+            const type = this.terrainTypes[tile.type] ? tile.type : 'PLAINS';
+            this.terrainData[tile.x][tile.y] = this.createTile(tile.x, tile.y, type);
+        }
+    }
+
+    createTile(x, y, terrainType) {
+        return {
+            type: terrainType,
+            x: x,
+            y: y,
+            height: this.terrainTypes[terrainType].height,
+            properties: { ...this.terrainTypes[terrainType] }
+        };
+    }
+
     generateTileType(x, y) {
         // Use Perlin noise-like generation (simplified)
         const centerX = this.mapWidth / 2;
@@ -572,7 +603,7 @@ export class Terrain3D {
     }
 
     // Regeneration for different map sizes
-    async regenerate(newWidth, newHeight, newTileSize) {
+    async regenerate(newWidth, newHeight, newTileSize, layout = null) {
         console.log(`Regenerating terrain: ${newWidth}x${newHeight}`);
         
         // Clean up existing terrain
@@ -584,7 +615,7 @@ export class Terrain3D {
         this.tileSize = newTileSize;
         
         // Regenerate everything
-        await this.init();
+        await this.init(layout);
     }
 
     // Cleanup and disposal
@@ -3,6 +3,10 @@
  * 
  * Initializes the Three.js-based hotseat multiplayer tactical combat game.
  * Integrates with the existing combat system for authentic gameplay mechanics.
+ * Online matches are resolved by the match server; this client only sends
+ * intents and shows the state it gets back. Spectators get the same kind of
+ * state, delayed, with input switched off. Practice matches against the AI
+ * run the same way, with a local host standing in for the server.
  */
 
 import * as THREE from 'three';
@@ -12,6 +16,9 @@ import { InputController } from './controllers/InputController.js';
 import { GameUI } from './ui/GameUI.js';
 import { TurnManager } from './systems/TurnManager.js';
 import { CombatIntegration } from './systems/CombatIntegration.js';
+import { NetworkClient } from './systems/NetworkClient.js';
+import { PracticeMatch } from './systems/PracticeMatch.js';
+import { AI, ARMY, NETWORK, PERFORMANCE, RANKED, VALIDATION } from '/src/combat/index.js';
 
 class TacticaArena {
     constructor() {
@@ -28,20 +35,36 @@ class TacticaArena {
         this.gameUI = null;
         this.turnManager = null;
         this.combatIntegration = null;
+        this.network = null; // NetworkClient while an online match is open, PracticeMatch in practice
         
         // Game state
         this.gameConfig = {
+            mode: 'hotseat', // or 'online', 'ranked', 'spectate', 'practice'
             mapSize: 'quick', // or 'standard'
+            placementPattern: ARMY.DEPLOYMENT.DEFAULT_PATTERN,
             player1Name: 'Player 1',
             player2Name: 'Player 2'
         };
         
-        this.currentState = 'loading'; // 'loading', 'start', 'playing', 'victory'
+        this.currentState = 'loading'; // 'loading', 'start', 'lobby', 'deployment', 'playing', 'victory'
+        
+        // Online play: which seat this client holds and the last state the server sent
+        this.localPlayerId = null;
+        this.networkState = null;
+        this.networkLoading = false; // Rebuilding the battlefield; updates wait in pendingNetworkUpdates
+        this.pendingNetworkUpdates = [];
+        this.spectating = null; // {code, view, playerId, delayTurns} while watching someone else's match
+        
+        // Deployment phase: players place their armies one after the other
+        this.deploymentPlayers = [];
+        this.deploymentIndex = 0;
+        this.deployingUnit = null;
         
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
         this.onWindowResize = this.onWindowResize.bind(this);
         this.onStartGame = this.onStartGame.bind(this);
+        this.onResumeMatch = this.onResumeMatch.bind(this);
         this.onPlayAgain = this.onPlayAgain.bind(this);
         this.onMainMenu = this.onMainMenu.bind(this);
     }
@@ -164,6 +187,9 @@ class TacticaArena {
             this.gameUI.updateCurrentPlayer(currentPlayer, turnNumber);
             this.battleScene.setCurrentPlayer(currentPlayer);
             this.gameUI.addMessage(`${currentPlayer.name}'s turn begins`, 'turn');
+            if (this.turnManager.isCurrentPlayerAI()) {
+                this.gameUI.addMessage(`${currentPlayer.name} is thinking...`, 'info');
+            }
         };
         
         this.turnManager.onGameEnd = (winner) => {
@@ -172,24 +198,78 @@ class TacticaArena {
         
         // Connect UI callbacks
         this.gameUI.onEndTurn = () => {
-            this.turnManager.endTurn();
+            this.endTurn();
         };
         
         this.gameUI.onActionButtonClicked = (action) => {
             this.inputController.setActionMode(action);
         };
+        
+        // Deployment phase
+        this.inputController.onDeployClick = (unit3D, gridPosition) => {
+            this.handleDeployClick(unit3D, gridPosition);
+        };
+        
+        this.gameUI.onDeploymentUnitSelected = (unit3D) => {
+            this.deployingUnit = unit3D;
+            this.refreshDeploymentPanel();
+        };
+        
+        this.gameUI.onAutoDeploy = () => {
+            if (this.network) {
+                this.network.autoDeploy();
+                return;
+            }
+            this.battleScene.autoDeployPlayer(this.getDeployingPlayer().id);
+            this.refreshDeploymentPanel();
+        };
+        
+        this.gameUI.onConfirmDeployment = () => {
+            this.confirmDeployment();
+        };
+        
+        this.gameUI.onSpectatorViewChanged = (value) => this.changeSpectatorView(value);
+    }
+
+    handleCombatEvents(events) {
+        this.battleScene.presentCombatEvents(events);
+        this.gameUI.addCombatEventMessages(events, (unitId) => {
+            const unit3D = this.battleScene.getUnitById(unitId);
+            return unit3D ? unit3D.unitData.name : unitId;
+        });
+        
+        const objectives = events.filter(event => event.type === 'objectives_updated').pop();
+        if (objectives) {
+            this.gameUI.updateObjectives(objectives.objectives, (playerId) => this.getPlayerName(playerId));
+        }
+    }
+
+    getPlayerName(playerId) {
+        const player = this.turnManager.players.find(p => String(p.id) === String(playerId));
+        return player ? player.name : playerId;
     }
 
     setupEventListeners() {
         // Window resize
         window.addEventListener('resize', this.onWindowResize);
         
-        // Start screen buttons
+        // Start screen: online play swaps the second name for a match code
+        const modeSelect = document.getElementById('game-mode');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => this.updateModeFields(modeSelect.value));
+            this.updateModeFields(modeSelect.value);
+        }
+        
         const startButton = document.getElementById('start-game-btn');
         if (startButton) {
             startButton.addEventListener('click', this.onStartGame);
         }
         
+        const resumeButton = document.getElementById('resume-match-btn');
+        if (resumeButton) {
+            resumeButton.addEventListener('click', this.onResumeMatch);
+        }
+        
         // Victory screen buttons
         const playAgainButton = document.getElementById('play-again-btn');
         if (playAgainButton) {
@@ -203,12 +283,12 @@ class TacticaArena {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (event) => {
-            if (!this.isGameRunning) return;
+            if (!this.isGameRunning || this.currentState !== 'playing') return;
             
             switch (event.code) {
                 case 'Space':
                     event.preventDefault();
-                    this.turnManager.endTurn();
+                    this.endTurn();
                     break;
                 case 'Escape':
                     event.preventDefault();
@@ -220,13 +300,50 @@ class TacticaArena {
         console.log('Event listeners set up');
     }
 
+    updateModeFields(mode) {
+        document.querySelectorAll('.online-only').forEach(element => {
+            element.classList.toggle('hidden', mode !== 'online' && mode !== 'spectate');
+        });
+        document.querySelectorAll('.hotseat-only').forEach(element => {
+            element.classList.toggle('hidden', mode !== 'hotseat');
+        });
+        document.querySelectorAll('.practice-only').forEach(element => {
+            element.classList.toggle('hidden', mode !== 'practice');
+        });
+    }
+
     async onStartGame() {
         try {
             // Get game configuration from form
+            this.gameConfig.mode = document.getElementById('game-mode')?.value || 'hotseat';
             this.gameConfig.mapSize = document.getElementById('map-size')?.value || 'quick';
+            this.gameConfig.placementPattern = document.getElementById('placement-pattern')?.value ||
+                ARMY.DEPLOYMENT.DEFAULT_PATTERN;
             this.gameConfig.player1Name = document.getElementById('player1-name')?.value || 'Player 1';
             this.gameConfig.player2Name = document.getElementById('player2-name')?.value || 'Player 2';
             
+            if (this.gameConfig.mode === 'online') {
+                await this.startOnlineGame(document.getElementById('match-code')?.value.trim() || null);
+                return;
+            }
+            if (this.gameConfig.mode === 'ranked') {
+                await this.startOnlineGame(null, null, RANKED.MODES.RANKED);
+                return;
+            }
+            if (this.gameConfig.mode === 'spectate') {
+                const code = document.getElementById('match-code')?.value.trim();
+                if (!code) {
+                    this.showErrorMessage('Enter the code of the match to watch.');
+                    return;
+                }
+                await this.startSpectating(code);
+                return;
+            }
+            if (this.gameConfig.mode === 'practice') {
+                this.startPracticeGame(document.getElementById('ai-difficulty')?.value || AI.DEFAULT_DIFFICULTY);
+                return;
+            }
+            
             console.log('Starting new game with config:', this.gameConfig);
             
             // Show loading
@@ -238,20 +355,8 @@ class TacticaArena {
             // Initialize battle with configuration
             await this.battleScene.setupBattle(this.gameConfig);
             
-            // Register all units with combat system
-            const allUnits = this.battleScene.getAllUnits();
-            allUnits.forEach(unit3D => {
-                this.combatIntegration.registerUnit(unit3D);
-            });
-            
-            // Initialize turn manager with players
-            this.turnManager.startGame(this.gameConfig);
-            
-            // Update UI with team information
-            this.gameUI.setupTeams(this.turnManager.players, this.battleScene.getAllUnits());
-            
-            // Start the game
-            this.startGame();
+            // Armies are placed before round 1; play starts once both are confirmed
+            this.startDeployment();
             
         } catch (error) {
             console.error('Failed to start game:', error);
@@ -259,17 +364,502 @@ class TacticaArena {
         }
     }
 
-    startGame() {
-        this.currentState = 'playing';
-        this.isGameRunning = true;
+    // Online: the server creates the match once both players are in; from then on it owns the state
+    async onResumeMatch() {
+        const seat = NetworkClient.getSavedSeat();
+        if (!seat) return;
+        
+        this.gameConfig.mode = 'online';
+        await this.startOnlineGame(null, seat);
+    }
+
+    async startOnlineGame(matchCode, savedSeat = null, queueMode = null) {
+        this.currentState = 'lobby';
+        this.showLoadingScreen('Connecting to the match server...');
         
+        this.network = new NetworkClient();
+        this.network.onMatchCreated = (code) => {
+            this.showLoadingScreen(`Match code ${code} - share it with your opponent. Waiting for them to join...`);
+        };
+        this.network.onQueued = (mode, profile, armyLevel) => {
+            const placement = profile.season?.placementGamesLeft ? ` (${profile.season.placementGamesLeft} placement matches left)` : '';
+            this.showLoadingScreen(`${profile.tierName}${placement} - searching for an opponent near army level ${armyLevel}...`);
+        };
+        this.network.onRatingUpdated = (profile) => this.showRankResult(profile);
+        const setUp = (playerId, state, events, room) => {
+            this.setupNetworkBattle(playerId, state, events, room).catch(error => {
+                console.error('Failed to set up online match:', error);
+                this.leaveOnlineMatch('Failed to set up the online match.');
+            });
+        };
+        this.network.onMatchReady = (playerId, state, room) => setUp(playerId, state, [], room);
+        this.network.onResumed = (playerId, state, missedEvents, room) => setUp(playerId, state, missedEvents, room);
+        this.network.onStateUpdate = (state, events) => this.applyNetworkState(state, events);
+        this.network.onRejected = (errors) => this.showRejection(errors);
+        this.network.onOpponentDisconnected = (playerId, reconnectDeadline, clock) => {
+            this.turnManager.syncTurnClock(clock);
+            const seconds = Math.max(0, Math.round((reconnectDeadline - Date.now()) / 1000));
+            this.gameUI.addMessage(`${this.getPlayerName(playerId)} lost connection. Their seat is held for ${seconds}s`, 'turn');
+        };
+        this.network.onOpponentReconnected = (playerId, clock) => {
+            this.turnManager.syncTurnClock(clock);
+            this.gameUI.addMessage(`${this.getPlayerName(playerId)} reconnected`, 'turn');
+        };
+        this.network.onOpponentLeft = () => this.leaveOnlineMatch('Your opponent left the match.');
+        this.network.onError = (message, code) => {
+            if (this.currentState === 'lobby' || code === VALIDATION.ERROR_CODES.RESUME_FAILED) {
+                this.leaveOnlineMatch(message);
+            } else {
+                this.showRejection([message]);
+            }
+        };
+        this.network.onDisconnected = () => this.reconnectOnline();
+        this.inputController.onActionRequested = (action) => this.requestNetworkAction(action);
+        
+        try {
+            await this.network.connect();
+        } catch (error) {
+            this.leaveOnlineMatch(error.message);
+            return;
+        }
+        
+        if (savedSeat) {
+            this.showLoadingScreen('Resuming your match...');
+            this.network.resume(savedSeat);
+        } else if (queueMode) {
+            this.showLoadingScreen('Joining the queue...');
+            this.network.joinQueue(queueMode, {
+                name: this.gameConfig.player1Name,
+                mapSize: this.gameConfig.mapSize,
+                placementPattern: this.gameConfig.placementPattern
+            });
+        } else if (matchCode) {
+            this.showLoadingScreen(`Joining match ${matchCode.toUpperCase()}...`);
+            this.network.joinMatch(matchCode, this.gameConfig.player1Name);
+        } else {
+            this.network.createMatch({
+                name: this.gameConfig.player1Name,
+                mapSize: this.gameConfig.mapSize,
+                placementPattern: this.gameConfig.placementPattern
+            });
+        }
+    }
+
+    // Practice: a local match against the AI, shown exactly like an online one
+    startPracticeGame(difficulty) {
+        this.currentState = 'lobby';
+        this.showLoadingScreen('Preparing practice match...');
+        
+        this.network = new PracticeMatch(difficulty);
+        this.network.onMatchReady = (playerId, state, room) => {
+            this.setupNetworkBattle(playerId, state, [], room).catch(error => {
+                console.error('Failed to set up practice match:', error);
+                this.leaveOnlineMatch('Failed to set up the practice match.');
+            });
+        };
+        this.network.onStateUpdate = (state, events) => this.applyNetworkState(state, events);
+        this.network.onRejected = (errors) => this.showRejection(errors);
+        this.inputController.onActionRequested = (action) => this.requestNetworkAction(action);
+        this.turnManager.setAIPlayer(this.network.aiPlayerId);
+        
+        this.network.start({
+            name: this.gameConfig.player1Name,
+            mapSize: this.gameConfig.mapSize,
+            placementPattern: this.gameConfig.placementPattern
+        });
+    }
+
+    // Spectating: a read-only feed that trails the live match; input stays off throughout
+    async startSpectating(code) {
+        this.currentState = 'lobby';
+        this.showLoadingScreen(`Finding match ${code.toUpperCase()}...`);
+        this.inputController.disable();
+        
+        this.network = new NetworkClient();
+        this.network.onSpectating = (watch, state) => {
+            this.spectating = watch;
+            this.gameUI.showSpectatorHud(watch.view === NETWORK.SPECTATE.VIEWS.CASTER ? watch.view : String(watch.playerId), watch.delayTurns);
+            if (state) {
+                this.showSpectatorState(state, []);
+            } else {
+                this.showLoadingScreen(`Watching match ${watch.code}. The feed runs ${watch.delayTurns} turns behind the players and starts shortly...`);
+            }
+        };
+        this.network.onSpectatorState = (state, events) => this.showSpectatorState(state, events);
+        this.network.onSpectatingEnded = () => this.leaveOnlineMatch('The match has closed.');
+        this.network.onError = (message) => this.leaveOnlineMatch(message);
+        this.network.onDisconnected = () => this.leaveOnlineMatch('Lost connection to the match server.');
+        
+        try {
+            await this.network.connect();
+        } catch (error) {
+            this.leaveOnlineMatch(error.message);
+            return;
+        }
+        this.network.spectate(code);
+    }
+
+    // The first spectator update builds the battlefield; later ones apply like a player's
+    showSpectatorState(state, events) {
+        if (this.networkState !== null || this.networkLoading) {
+            this.applyNetworkState(state, events);
+            return;
+        }
+        
+        this.setupNetworkBattle(null, state, events).catch(error => {
+            console.error('Failed to set up spectator view:', error);
+            this.leaveOnlineMatch('Failed to show the match.');
+        });
+    }
+
+    changeSpectatorView(value) {
+        if (!this.network || !this.spectating) return;
+        
+        const { VIEWS } = NETWORK.SPECTATE;
+        if (value === VIEWS.CASTER) {
+            this.network.spectate(this.spectating.code, VIEWS.CASTER);
+        } else {
+            this.network.spectate(this.spectating.code, VIEWS.TEAM, Number(value));
+        }
+    }
+
+    // Dropped connection: retry within the reconnect window, then reclaim our seat
+    async reconnectOnline() {
+        const network = this.network;
+        const seat = NetworkClient.getSavedSeat();
+        if (this.currentState === 'victory') return;
+        if (!network || !seat || this.localPlayerId === null) {
+            this.leaveOnlineMatch('Lost connection to the match server.');
+            return;
+        }
+        
+        this.gameUI.addMessage('Connection lost. Reconnecting...', 'turn');
+        const deadline = Date.now() + PERFORMANCE.NETWORKING.RECONNECT_WINDOW;
+        while (this.network === network && Date.now() < deadline) {
+            try {
+                await network.connect();
+                network.resume(seat);
+                return;
+            } catch (error) {
+                await new Promise(resolve => setTimeout(resolve, NETWORK.RECONNECT_RETRY_MS));
+            }
+        }
+        
+        if (this.network === network) {
+            this.leaveOnlineMatch('Could not reconnect to the match server.');
+        }
+    }
+
+    // Build the battlefield from a server snapshot: a new match, or a resumed one after a drop or reload
+    async setupNetworkBattle(playerId, state, events = [], room = null) {
+        this.localPlayerId = playerId;
+        this.networkState = null;
+        this.networkLoading = true;
+        this.pendingNetworkUpdates = [];
+        
+        // The host picked the map and pattern; both armies come from the server's units
+        const unitsById = new Map(state.units.map(unit => [unit.id, unit]));
+        const seat = (id) => state.players.find(player => player.id === id);
+        const roster = (player) => player.units.map(unitId => {
+            const unit = unitsById.get(unitId);
+            return { id: unit.id, class: unit.class, name: unit.name, faction: unit.faction, isLeader: unit.isLeader };
+        });
+        
+        this.gameConfig.mapSize = Object.keys(NETWORK.MAP_SIZES)
+            .find(size => NETWORK.MAP_SIZES[size] === state.mapWidth) || 'quick';
+        this.gameConfig.placementPattern = state.deployment.pattern;
+        this.gameConfig.player1Name = seat(1).name;
+        this.gameConfig.player2Name = seat(2).name;
+        
+        this.showLoadingScreen('Preparing battlefield...');
+        this.inputController.reset();
+        await this.battleScene.setupBattle({
+            ...this.gameConfig,
+            player1Army: roster(seat(1)),
+            player2Army: roster(seat(2)),
+            terrainLayout: state.terrain
+        });
+        this.networkLoading = false;
+        
+        if (state.phase === 'DEPLOYMENT' && !this.spectating) {
+            // Only our own army is placed from this client
+            this.startDeployment([{ id: playerId, name: seat(playerId).name }]);
+            const ownSeat = room && room.players.find(player => player.playerId === playerId);
+            if (ownSeat && ownSeat.ready) {
+                this.gameUI.addMessage('Deployment confirmed. Waiting for your opponent...', 'turn');
+            }
+        } else {
+            this.enterBattle();
+        }
+        
+        this.applyNetworkState(state, events);
+        const pending = this.pendingNetworkUpdates;
+        this.pendingNetworkUpdates = [];
+        pending.forEach(([pendingState, pendingEvents]) => this.applyNetworkState(pendingState, pendingEvents));
+    }
+
+    // Mirror the server's view: placements, unit status, control, turn order and outcome
+    applyNetworkState(state, events = []) {
+        if (this.networkLoading) {
+            this.pendingNetworkUpdates.push([state, events]);
+            return;
+        }
+        if (!this.network || !this.isGameRunning) return;
+        
+        const initial = this.networkState === null;
+        this.networkState = state;
+        
+        const deploying = state.phase === 'DEPLOYMENT';
+        const controllers = new Map(state.controllers.map(entry => [entry.unitId, entry.playerId]));
+        
+        state.units.forEach(unitState => {
+            const unit3D = this.battleScene.getUnitById(unitState.id);
+            if (!unit3D) return;
+            
+            // Opponent placements arrive without positions until combat starts
+            const placed = deploying ? state.deployment.deployedUnits.includes(unitState.id) : !!unitState.position;
+            if (placed) {
+                const { x, y } = unitState.position;
+                const current = unit3D.unitData.position;
+                if (!unit3D.unitData.isDeployed || current.x !== x || current.y !== y) {
+                    unit3D.setPosition(x, y, !deploying && unit3D.unitData.isDeployed);
+                    unit3D.unitData.position = { x, y };
+                }
+                unit3D.unitData.isDeployed = true;
+                // Units that went down before a rebuild have already faded out
+                unit3D.group.visible = !(initial && unitState.isIncapacitated);
+            } else {
+                unit3D.unitData.isDeployed = false;
+                unit3D.group.visible = false;
+            }
+            
+            const status = {
+                stats: unitState.stats,
+                currentHP: unitState.currentHP,
+                currentMP: unitState.currentMP,
+                currentAP: unitState.currentAP,
+                statusEffects: unitState.statusEffects,
+                abilities: unitState.abilities
+            };
+            if (initial) {
+                Object.assign(unit3D.unitData, status);
+                unit3D.updateHealthBar();
+            } else {
+                unit3D.updateUnitData(status);
+            }
+            unit3D.unitData.isIncapacitated = unitState.isIncapacitated;
+            unit3D.unitData.controllerId = controllers.has(unitState.id) ? controllers.get(unitState.id) : null;
+            
+            if (this.currentState === 'playing') {
+                this.gameUI.updateTeamUnitHealth(unit3D);
+            }
+        });
+        
+        if (deploying) {
+            // Spectators watch deployment without a panel of their own
+            if (!this.spectating) this.refreshDeploymentPanel();
+        } else if (this.currentState !== 'playing') {
+            this.finishNetworkDeployment();
+        }
+        
+        if (events.length > 0) {
+            this.handleCombatEvents(events);
+        }
+        
+        this.turnManager.syncTurnState(state);
+        this.turnManager.syncTurnClock(state.clock);
+        
+        if (state.phase === 'COMPLETED' && this.currentState !== 'victory') {
+            this.network.forgetSeat();
+            const winner = this.turnManager.players.find(player => player.id === state.winner) || null;
+            this.showVictoryScreen(winner);
+        }
+    }
+
+    finishNetworkDeployment() {
+        this.battleScene.hideDeploymentZone();
+        this.gameUI.hideDeploymentPanel();
+        this.inputController.setActionMode('SELECT');
+        this.gameUI.setupTeams(this.turnManager.players, this.battleScene.getAllUnits());
+        this.startGame();
+    }
+
+    requestNetworkAction(action) {
+        if (!this.turnManager.validateTurnSync(this.localPlayerId)) {
+            this.gameUI.addMessage('Wait for your turn', 'info');
+            return;
+        }
+        
+        this.network.sendAction(action);
+    }
+
+    showRejection(errors) {
+        const message = errors.join(' ') || 'The server rejected that action';
+        
+        if (this.currentState === 'deployment') {
+            this.gameUI.setDeploymentError(message);
+        } else {
+            this.gameUI.addMessage(message, 'info');
+        }
+    }
+
+    leaveOnlineMatch(reason) {
+        if (!this.network || this.currentState === 'victory') return;
+        
+        this.network.forgetSeat();
+        this.showErrorMessage(reason);
+        this.onMainMenu();
+    }
+
+    endTurn() {
+        if (this.spectating) return;
+        if (!this.network) {
+            this.turnManager.endTurn();
+            return;
+        }
+        
+        // Online turns belong to a unit; the server advances initiative
+        const currentUnit = this.networkState && this.networkState.currentUnit;
+        if (currentUnit) {
+            this.requestNetworkAction({ type: 'END_TURN', actorId: currentUnit.id });
+        }
+    }
+
+    startDeployment(players = [
+        { id: 1, name: this.gameConfig.player1Name },
+        { id: 2, name: this.gameConfig.player2Name }
+    ]) {
+        this.currentState = 'deployment';
+        this.enterBattle();
+        
+        this.deploymentPlayers = players;
+        this.deploymentIndex = 0;
+        this.inputController.setActionMode('DEPLOY');
+        this.beginPlayerDeployment();
+    }
+
+    enterBattle() {
         // Hide loading/start screens, show game
         this.hideLoadingScreen();
         this.hideStartScreen();
         this.showGameUI();
         
-        // Start game loop
-        this.gameLoop();
+        // Start game loop (an online rebuild keeps the one already running)
+        if (!this.isGameRunning) {
+            this.isGameRunning = true;
+            this.gameLoop();
+        }
+    }
+
+    getDeployingPlayer() {
+        return this.deploymentPlayers[this.deploymentIndex];
+    }
+
+    beginPlayerDeployment() {
+        const player = this.getDeployingPlayer();
+        const pattern = this.gameConfig.placementPattern;
+        const patternName = pattern.charAt(0) + pattern.slice(1).toLowerCase();
+        
+        this.deployingUnit = null;
+        this.battleScene.showDeploymentZone(player.id);
+        this.gameUI.showDeploymentPanel(player, `${patternName}: ${ARMY.DEPLOYMENT.PATTERNS[pattern].description}`);
+        this.gameUI.addMessage(`${player.name}, deploy your army`, 'turn');
+        this.refreshDeploymentPanel();
+    }
+
+    refreshDeploymentPanel() {
+        const undeployed = this.battleScene.getUndeployedUnits(this.getDeployingPlayer().id);
+        if (!undeployed.includes(this.deployingUnit)) {
+            this.deployingUnit = undeployed[0] || null;
+        }
+        
+        this.gameUI.updateDeploymentUnits(undeployed, this.deployingUnit ? this.deployingUnit.unitData.id : null);
+    }
+
+    handleDeployClick(unit3D, gridPosition) {
+        const player = this.getDeployingPlayer();
+        
+        // Clicking one of your placed units picks it back up
+        if (unit3D) {
+            if (unit3D.unitData.playerId !== player.id) return;
+            this.deployingUnit = unit3D;
+            this.gameUI.setDeploymentError(null);
+            if (this.network) {
+                this.network.withdraw(unit3D.unitData.id);
+                return;
+            }
+            this.battleScene.withdrawUnit(unit3D);
+            this.refreshDeploymentPanel();
+            return;
+        }
+        
+        if (!this.deployingUnit) return;
+        
+        // Online the server places the unit; checking locally first saves a round trip on obvious misses
+        if (this.network) {
+            const error = this.battleScene.getDeploymentError(this.deployingUnit, gridPosition.x, gridPosition.y);
+            this.gameUI.setDeploymentError(error);
+            if (!error) {
+                this.network.deploy(this.deployingUnit.unitData.id, gridPosition);
+            }
+            return;
+        }
+        
+        const error = this.battleScene.deployUnit(this.deployingUnit, gridPosition.x, gridPosition.y);
+        this.gameUI.setDeploymentError(error);
+        if (!error) {
+            this.deployingUnit = null;
+        }
+        this.refreshDeploymentPanel();
+    }
+
+    confirmDeployment() {
+        const player = this.getDeployingPlayer();
+        if (this.battleScene.getUndeployedUnits(player.id).length > 0) {
+            this.gameUI.setDeploymentError('Place every unit before confirming');
+            return;
+        }
+        
+        // Online combat starts when the server has both confirmations
+        if (this.network) {
+            this.network.ready();
+            this.gameUI.setDeploymentError(null);
+            this.gameUI.addMessage('Deployment confirmed. Waiting for your opponent...', 'turn');
+            return;
+        }
+        
+        this.battleScene.hideDeploymentZone();
+        this.deploymentIndex++;
+        
+        if (this.deploymentIndex < this.deploymentPlayers.length) {
+            this.beginPlayerDeployment();
+        } else {
+            this.finishDeployment();
+        }
+    }
+
+    finishDeployment() {
+        this.gameUI.hideDeploymentPanel();
+        this.inputController.setActionMode('SELECT');
+        
+        // Register all units with combat system now that they have positions
+        const allUnits = this.battleScene.getAllUnits();
+        allUnits.forEach(unit3D => {
+            this.combatIntegration.registerUnit(unit3D);
+        });
+        
+        // Initialize turn manager with players
+        this.turnManager.startGame(this.gameConfig);
+        
+        // Update UI with team information
+        this.gameUI.setupTeams(this.turnManager.players, allUnits);
+        
+        // Start the game
+        this.startGame();
+    }
+
+    startGame() {
+        this.currentState = 'playing';
         
         // Add welcome message
         this.gameUI.addMessage('Battle begins! Select a unit to start.', 'turn');
@@ -296,6 +886,10 @@ class TacticaArena {
             this.inputController.update(deltaTime);
         }
         
+        if (this.network) {
+            this.gameUI.updateTurnClock(this.turnManager.getTurnClock());
+        }
+        
         // Render frame
         if (this.battleScene && this.camera) {
             this.renderer.render(this.battleScene.scene, this.camera);
@@ -337,6 +931,25 @@ class TacticaArena {
     resetGame() {
         this.isGameRunning = false;
         this.currentState = 'start';
+        this.deploymentIndex = 0;
+        this.deployingUnit = null;
+        
+        if (this.network) {
+            const network = this.network;
+            this.network = null;
+            network.disconnect();
+        }
+        this.localPlayerId = null;
+        this.networkState = null;
+        this.networkLoading = false;
+        this.pendingNetworkUpdates = [];
+        this.spectating = null;
+        
+        if (this.inputController) {
+            this.inputController.reset();
+            this.inputController.enable();
+            this.inputController.onActionRequested = null;
+        }
         
         if (this.battleScene) {
             this.battleScene.cleanup();
@@ -360,12 +973,28 @@ class TacticaArena {
         const victoryScreen = document.getElementById('victory-screen');
         const victoryMessage = document.getElementById('victory-message');
         
+        // Online matches can end without a winner (turn limit)
+        const message = winner ? `${winner.name} wins the battle!` : 'The battle ends in a draw';
+        
         if (victoryScreen && victoryMessage) {
-            victoryMessage.textContent = `${winner.name} wins the battle!`;
+            victoryMessage.textContent = message;
             victoryScreen.classList.remove('hidden');
         }
+        document.getElementById('victory-rank')?.classList.add('hidden');
         
-        console.log(`Game ended: ${winner.name} wins!`);
+        console.log(`Game ended: ${message}`);
+    }
+
+    // Ranked standing after a rated match; arrives just after the final state
+    showRankResult(profile) {
+        const rank = document.getElementById('victory-rank');
+        if (!rank || !profile) return;
+        
+        const previous = RANKED.TIERS.find(tier => tier.id === profile.previousTier);
+        const change = profile.tier === profile.previousTier || !previous ? '' : ` (was ${previous.name})`;
+        const placement = profile.season?.placementGamesLeft ? `, ${profile.season.placementGamesLeft} placement matches left` : '';
+        rank.textContent = `Ranked: ${profile.tierName}${change}${placement} - ${profile.wins}W ${profile.losses}L ${profile.draws}D`;
+        rank.classList.remove('hidden');
     }
 
     // UI State Management
@@ -390,6 +1019,10 @@ class TacticaArena {
         const startScreen = document.getElementById('start-screen');
         if (startScreen) startScreen.classList.remove('hidden');
         
+        // A seat saved by this tab means an online match is still waiting for us
+        const resumeButton = document.getElementById('resume-match-btn');
+        if (resumeButton) resumeButton.classList.toggle('hidden', !NetworkClient.getSavedSeat());
+        
         this.hideLoadingScreen();
         this.hideGameUI();
         this.hideVictoryScreen();
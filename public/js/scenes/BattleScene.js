@@ -9,13 +9,18 @@ import * as THREE from 'three';
 import { Unit3D } from '../entities/Unit3D.js';
 import { Terrain3D } from '../entities/Terrain3D.js';
 import { CombatVisualizer } from '../systems/CombatVisualizer.js';
+import { Pathfinder, DeploymentSystem, ArmyValidator, ARMY } from '/src/combat/index.js';
 
 export class BattleScene {
     constructor() {
         this.scene = null;
         this.camera = null;
         this.terrain = null;
+        this.terrainVersion = 0; // Bumped when terrain is regenerated so cached paths invalidate
         this.combatVisualizer = null;
+        this.pathfinder = new Pathfinder();
+        this.deploymentSystem = new DeploymentSystem();
+        this.armyValidator = new ArmyValidator();
         
         // Map configuration
         this.mapWidth = 18;
@@ -27,8 +32,13 @@ export class BattleScene {
         this.selectedUnit = null;
         this.currentPlayer = null;
         
+        // Deployment zones (player ID -> Set of "x,y" keys) before round 1
+        this.deploymentPattern = ARMY.DEPLOYMENT.DEFAULT_PATTERN;
+        this.deploymentZones = new Map();
+        
         // Visual feedback objects
         this.movementOverlay = null;
+        this.deploymentOverlay = null;
         this.attackRangeOverlay = null;
         this.selectionIndicator = null;
         
@@ -40,6 +50,7 @@ export class BattleScene {
         // Materials (reusable)
         this.materials = {
             movementTile: null,
+            deploymentTile: null,
             attackTile: null,
             selectionRing: null
         };
@@ -68,6 +79,7 @@ export class BattleScene {
         this.terrain = new Terrain3D(this.mapWidth, this.mapHeight, this.tileSize);
         await this.terrain.init();
         this.scene.add(this.terrain.group);
+        this.terrainVersion++;
         
         // Initialize combat visualizer
         this.combatVisualizer = new CombatVisualizer(this.scene);
@@ -147,6 +159,15 @@ export class BattleScene {
             side: THREE.DoubleSide
         });
         
+        // Deployment zone overlay material
+        this.materials.deploymentTile = new THREE.MeshBasicMaterial({
+            color: 0x7bed9f,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        
         // Attack range overlay material
         this.materials.attackTile = new THREE.MeshBasicMaterial({
             color: 0xff6b6b,
@@ -177,11 +198,13 @@ export class BattleScene {
             this.mapHeight = 18;
         }
         
-        // Regenerate terrain with new size
-        await this.terrain.regenerate(this.mapWidth, this.mapHeight, this.tileSize);
+        // Regenerate terrain with new size (online matches use the server's layout)
+        await this.terrain.regenerate(this.mapWidth, this.mapHeight, this.tileSize, gameConfig.terrainLayout);
+        this.terrainVersion++;
         
-        // Create test armies for both players
-        await this.createTestArmies(gameConfig);
+        // Create both armies, then lay out the deployment zones they are placed in
+        await this.createArmies(gameConfig);
+        this.setupDeploymentZones(gameConfig.placementPattern);
         
         // Position camera for the map size
         this.positionCameraForMap();
@@ -189,43 +212,40 @@ export class BattleScene {
         console.log('Battle setup complete');
     }
 
-    async createTestArmies(gameConfig) {
+    async createArmies(gameConfig) {
         // Clear existing units
         this.clearUnits();
         
         // Create Player 1 team (Blue - Team A)
-        const player1Units = await this.createPlayerArmy(1, 'blue', gameConfig.player1Name);
+        const player1Units = await this.createPlayerArmy(1, 'blue', gameConfig.player1Name, gameConfig.player1Army);
         
         // Create Player 2 team (Red - Team B)  
-        const player2Units = await this.createPlayerArmy(2, 'red', gameConfig.player2Name);
-        
-        // Position units on battlefield
-        this.positionUnitsOnBattlefield(player1Units, player2Units);
+        const player2Units = await this.createPlayerArmy(2, 'red', gameConfig.player2Name, gameConfig.player2Army);
         
         console.log(`Created armies: ${player1Units.length} vs ${player2Units.length} units`);
     }
 
-    async createPlayerArmy(playerId, teamColor, playerName) {
-        const units = [];
-        const unitConfigs = [
-            { class: 'SWORDSMAN', name: 'Warrior', isLeader: true },
-            { class: 'ARCHER', name: 'Archer' },
-            { class: 'MAGE', name: 'Mage' },
-            { class: 'CLERIC', name: 'Cleric' },
-            { class: 'GUARDIAN', name: 'Guardian' },
-            { class: 'ROGUE', name: 'Rogue' }
-        ];
+    async createPlayerArmy(playerId, teamColor, playerName, roster = ARMY.DEFAULT_ROSTER) {
+        // Online matches hand us the server's unit IDs; hotseat numbers its own
+        const unitConfigs = roster.map((config, i) => ({ ...config, id: config.id || `${playerId}_unit_${i + 1}` }));
+        
+        // Same army rules the server enforces before a match can start
+        const validation = this.armyValidator.validateArmy(unitConfigs);
+        if (!validation.valid) {
+            throw new Error(`${playerName}'s army is invalid: ${validation.errors.map(error => error.message).join('; ')}`);
+        }
         
+        const units = [];
         for (let i = 0; i < unitConfigs.length; i++) {
             const config = unitConfigs[i];
-            const unitId = `${playerId}_unit_${i + 1}`;
+            const unitId = config.id;
             
             // Create unit data (simplified for demo)
             const unitData = {
                 id: unitId,
                 name: `${config.name} ${i + 1}`,
                 class: config.class,
-                faction: playerId === 1 ? 'HUMAN_KINGDOM' : 'ELVEN_COURT',
+                faction: config.faction || (playerId === 1 ? 'HUMAN_KINGDOM' : 'ELVEN_COURT'),
                 level: 5,
                 isLeader: config.isLeader || false,
                 playerId: playerId,
@@ -247,12 +267,14 @@ export class BattleScene {
                 currentHP: 120,
                 currentMP: 50,
                 currentAP: 3,
-                position: { x: 0, y: 0 }
+                position: { x: 0, y: 0 },
+                isDeployed: false // Off the board until placed during deployment
             };
             
             // Create 3D unit
             const unit3D = new Unit3D(unitData);
             await unit3D.init();
+            unit3D.group.visible = false;
             
             this.scene.add(unit3D.group);
             this.units.set(unitId, unit3D);
@@ -262,32 +284,114 @@ export class BattleScene {
         return units;
     }
 
-    positionUnitsOnBattlefield(player1Units, player2Units) {
-        // Position Player 1 units on the left side
-        for (let i = 0; i < player1Units.length; i++) {
-            const unit = player1Units[i];
-            const row = Math.floor(i / 3);
-            const col = i % 3;
-            
-            const x = 2 + col * 2;
-            const z = this.mapHeight / 2 - 2 + row * 2;
-            
-            unit.setPosition(x, z);
-            unit.unitData.position = { x, y: z }; // Store grid position
+    // Deployment phase: each player places their army inside their own zone
+    setupDeploymentZones(pattern = ARMY.DEPLOYMENT.DEFAULT_PATTERN) {
+        this.deploymentPattern = pattern;
+        this.deploymentZones = new Map();
+        
+        const zones = this.deploymentSystem.createZones(this.mapWidth, this.mapHeight, [1, 2], pattern);
+        for (const [playerId, tiles] of zones) {
+            this.deploymentZones.set(playerId, new Set(tiles.map(tile => `${tile.x},${tile.y}`)));
         }
+    }
+
+    getDeploymentTiles(playerId) {
+        const keys = this.deploymentZones.get(playerId) || new Set();
+        return Array.from(keys, key => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y };
+        });
+    }
+
+    showDeploymentZone(playerId) {
+        this.hideDeploymentZone();
         
-        // Position Player 2 units on the right side
-        for (let i = 0; i < player2Units.length; i++) {
-            const unit = player2Units[i];
-            const row = Math.floor(i / 3);
-            const col = i % 3;
+        const tiles = [];
+        for (const tile of this.getDeploymentTiles(playerId)) {
+            if (!this.terrain.isPassable(tile.x, tile.y)) continue;
             
-            const x = this.mapWidth - 4 - col * 2;
-            const z = this.mapHeight / 2 - 2 + row * 2;
+            const worldPosition = this.getWorldPosition(tile.x, tile.y);
+            const geometry = new THREE.PlaneGeometry(this.tileSize * 0.8, this.tileSize * 0.8);
+            const mesh = new THREE.Mesh(geometry, this.materials.deploymentTile);
             
-            unit.setPosition(x, z);
-            unit.unitData.position = { x, y: z }; // Store grid position
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.set(worldPosition.x, 0.05, worldPosition.z);
+            
+            this.scene.add(mesh);
+            tiles.push(mesh);
         }
+        
+        this.deploymentOverlay = tiles;
+    }
+
+    hideDeploymentZone() {
+        if (this.deploymentOverlay) {
+            this.deploymentOverlay.forEach(tile => {
+                this.scene.remove(tile);
+                tile.geometry.dispose();
+            });
+            this.deploymentOverlay = null;
+        }
+    }
+
+    // Returns null when the placement is legal, otherwise the reason it is not
+    getDeploymentError(unit3D, gridX, gridY) {
+        const playerId = unit3D.unitData.playerId;
+        const zone = this.deploymentZones.get(playerId);
+        
+        if (!zone || !zone.has(`${gridX},${gridY}`)) {
+            return 'Outside your deployment zone';
+        }
+        if (!this.terrain.isPassable(gridX, gridY)) {
+            return 'That tile is impassable';
+        }
+        if (this.getDeployedUnitAt(gridX, gridY)) {
+            return 'That tile is already occupied';
+        }
+        return null;
+    }
+
+    deployUnit(unit3D, gridX, gridY) {
+        const error = this.getDeploymentError(unit3D, gridX, gridY);
+        if (error) return error;
+        
+        unit3D.setPosition(gridX, gridY);
+        unit3D.unitData.position = { x: gridX, y: gridY }; // Store grid position
+        unit3D.unitData.isDeployed = true;
+        unit3D.group.visible = true;
+        return null;
+    }
+
+    withdrawUnit(unit3D) {
+        unit3D.unitData.isDeployed = false;
+        unit3D.group.visible = false;
+    }
+
+    autoDeployPlayer(playerId) {
+        // Leader first so it takes the back-row centre, like the server's auto-deploy
+        const pending = this.getUndeployedUnits(playerId)
+            .sort((a, b) => Number(b.unitData.isLeader) - Number(a.unitData.isLeader));
+        const tiles = this.getDeploymentTiles(playerId);
+        
+        for (const unit3D of pending) {
+            const tile = tiles.find(candidate => !this.getDeploymentError(unit3D, candidate.x, candidate.y));
+            if (!tile) break;
+            this.deployUnit(unit3D, tile.x, tile.y);
+        }
+    }
+
+    getUndeployedUnits(playerId) {
+        return this.getAllUnits().filter(unit3D =>
+            unit3D.unitData.playerId === playerId && !unit3D.unitData.isDeployed
+        );
+    }
+
+    getDeployedUnitAt(gridX, gridY) {
+        return this.getAllUnits().find(unit3D =>
+            unit3D.unitData.isDeployed &&
+            unit3D.unitData.position.x === gridX &&
+            unit3D.unitData.position.y === gridY
+        ) || null;
     }
 
     positionCameraForMap() {
@@ -368,38 +472,82 @@ export class BattleScene {
     showMovementRange(unit3D) {
         this.hideMovementRange();
         
-        const movementRange = unit3D.unitData.stats.MOV;
         const tiles = [];
         
-        // Create movement tiles in range
-        for (let x = -movementRange; x <= movementRange; x++) {
-            for (let z = -movementRange; z <= movementRange; z++) {
-                const distance = Math.abs(x) + Math.abs(z);
-                if (distance === 0 || distance > movementRange) continue;
-                
-                const worldX = unit3D.group.position.x + x * this.tileSize;
-                const worldZ = unit3D.group.position.z + z * this.tileSize;
-                
-                // Check if position is valid
-                const gridX = Math.round(worldX / this.tileSize);
-                const gridZ = Math.round(worldZ / this.tileSize);
-                
-                if (gridX >= 0 && gridX < this.mapWidth && gridZ >= 0 && gridZ < this.mapHeight) {
-                    const geometry = new THREE.PlaneGeometry(this.tileSize * 0.8, this.tileSize * 0.8);
-                    const mesh = new THREE.Mesh(geometry, this.materials.movementTile);
-                    
-                    mesh.rotation.x = -Math.PI / 2;
-                    mesh.position.set(worldX, 0.05, worldZ);
-                    
-                    this.scene.add(mesh);
-                    tiles.push(mesh);
-                }
-            }
+        // Create movement tiles for every tile the unit can actually reach
+        for (const tile of this.getReachableTiles(unit3D)) {
+            const worldPosition = this.getWorldPosition(tile.x, tile.y);
+            const geometry = new THREE.PlaneGeometry(this.tileSize * 0.8, this.tileSize * 0.8);
+            const mesh = new THREE.Mesh(geometry, this.materials.movementTile);
+            
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.set(worldPosition.x, 0.05, worldPosition.z);
+            
+            this.scene.add(mesh);
+            tiles.push(mesh);
         }
         
         this.movementOverlay = tiles;
     }
 
+    // Pathfinding over the rendered terrain and unit positions
+    getReachableTiles(unit3D) {
+        return this.pathfinder.getReachableTiles(this.createPathGrid(), this.createPathMover(unit3D));
+    }
+
+    findMovementPath(unit3D, gridPosition) {
+        return this.pathfinder.findPath(this.createPathGrid(), this.createPathMover(unit3D), gridPosition);
+    }
+
+    createPathMover(unit3D) {
+        const unitData = unit3D.unitData;
+        return {
+            id: unitData.id,
+            position: { ...unitData.position },
+            movementType: unitData.movementType || 'normal',
+            teamId: this.getUnitController(unit3D),
+            movement: unitData.stats.MOV
+        };
+    }
+
+    createPathGrid() {
+        const terrain = this.terrain;
+        const occupants = new Map();
+        for (const unit3D of this.units.values()) {
+            const unitData = unit3D.unitData;
+            if (unitData.isIncapacitated) continue;
+            occupants.set(`${unitData.position.x},${unitData.position.y}`, {
+                id: unitData.id,
+                teamId: this.getUnitController(unit3D)
+            });
+        }
+        
+        const revision = `${this.terrainVersion}|${Array.from(occupants.entries())
+            .map(([key, occupant]) => `${key}=${occupant.id}:${occupant.teamId}`)
+            .sort()
+            .join(';')}`;
+        
+        return {
+            width: this.mapWidth,
+            height: this.mapHeight,
+            getStepCost(x, y, movementType) {
+                const tile = terrain.getTerrainAt(x, y);
+                if (!tile) return Infinity;
+                
+                // Mirrors TerrainTile.getMoveCost on the server
+                if (movementType === 'flying' && tile.type !== 'BLOCKED') return 1;
+                if (movementType === 'amphibious' && tile.type === 'WATER') return 1;
+                return tile.properties.moveCost;
+            },
+            getOccupant(x, y) {
+                return occupants.get(`${x},${y}`) || null;
+            },
+            getRevision() {
+                return revision;
+            }
+        };
+    }
+
     hideMovementRange() {
         if (this.movementOverlay) {
             this.movementOverlay.forEach(tile => {
@@ -467,7 +615,7 @@ export class BattleScene {
         
         // Highlight current player's units
         this.units.forEach(unit3D => {
-            const isCurrentPlayer = unit3D.unitData.playerId === player.id;
+            const isCurrentPlayer = this.getUnitController(unit3D) === player.id;
             unit3D.setHighlighted(isCurrentPlayer);
         });
     }
@@ -481,7 +629,56 @@ export class BattleScene {
     }
 
     getUnitsForPlayer(playerId) {
-        return Array.from(this.units.values()).filter(unit => unit.unitData.playerId === playerId);
+        return Array.from(this.units.values()).filter(unit => this.getUnitController(unit) === playerId);
+    }
+
+    // Player currently commanding a unit (differs from its owner while hypnotised)
+    getUnitController(unit3D) {
+        const unitData = unit3D.unitData;
+        return unitData.controllerId !== undefined && unitData.controllerId !== null ?
+            unitData.controllerId : unitData.playerId;
+    }
+
+    setUnitController(unitId, playerId) {
+        const unit3D = this.units.get(unitId);
+        if (!unit3D) return;
+        
+        unit3D.unitData.controllerId = playerId === unit3D.unitData.playerId ? null : playerId;
+        
+        if (this.currentPlayer) {
+            this.setCurrentPlayer(this.currentPlayer);
+        }
+    }
+
+    // Play visuals for authoritative combat events
+    presentCombatEvents(events) {
+        if (!this.combatVisualizer || !Array.isArray(events)) return;
+        
+        for (const event of events) {
+            const unit3D = event.unitId ? this.units.get(event.unitId) : null;
+            
+            switch (event.type) {
+                case 'attack': {
+                    const attacker = this.units.get(event.attackerId);
+                    const target = this.units.get(event.targetId);
+                    if (attacker && target) attacker.playAttackAnimation(target);
+                    break;
+                }
+                    
+                case 'status_applied':
+                    if (!unit3D) break;
+                    if (event.statusId === 'INSPIRED') {
+                        this.combatVisualizer.playInspireEffect(unit3D);
+                    } else if (event.statusId === 'MORALE_BROKEN') {
+                        this.combatVisualizer.playMoraleBrokenEffect(unit3D);
+                    }
+                    break;
+                    
+                case 'control_changed':
+                    this.setUnitController(event.unitId, event.playerId);
+                    break;
+            }
+        }
     }
 
     // Raycasting helpers
@@ -489,6 +686,8 @@ export class BattleScene {
         const threshold = this.tileSize / 2;
         
         for (const unit3D of this.units.values()) {
+            if (unit3D.unitData.isDeployed === false) continue;
+            
             const distance = unit3D.group.position.distanceTo(worldPosition);
             if (distance < threshold) {
                 return unit3D;
@@ -558,6 +757,7 @@ export class BattleScene {
         // Clear overlays
         this.hideMovementRange();
         this.hideAttackRange();
+        this.hideDeploymentZone();
         this.hideSelectionIndicator();
         
         // Clear terrain
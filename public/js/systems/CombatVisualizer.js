@@ -437,6 +437,31 @@ export class CombatVisualizer {
         this.createSpiralEffect(position, color);
     }
 
+    // Leader effects
+    playInspireEffect(target) {
+        const position = target.group.position;
+        
+        // Golden rally spiral with a soft flash
+        this.createSpiralEffect(position, 0xffd700);
+        return this.createFlashEffect(position, new THREE.MeshBasicMaterial({
+            color: 0xffd700,
+            transparent: true,
+            opacity: 0.35
+        }), 0.8);
+    }
+
+    playMoraleBrokenEffect(target) {
+        const position = target.group.position;
+        
+        // Dull smoke and a dark red pulse as the army falters
+        this.createParticleEffect(position, 'dust', 12);
+        return this.createFlashEffect(position, new THREE.MeshBasicMaterial({
+            color: 0x5a1010,
+            transparent: true,
+            opacity: 0.5
+        }), 1.2);
+    }
+
     createSpiralEffect(position, color) {
         const particleCount = 12;
         const particles = [];
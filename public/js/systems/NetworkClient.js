@@ -0,0 +1,331 @@
+/**
+ * NetworkClient - Connection to the authoritative match server
+ *
+ * Online play runs every rule on the server; this client only:
+ * - Creates or joins a match by its code, or queues for matchmaking
+ * - Sends deployment and combat intents
+ * - Relays the server's events and player-safe state to the game
+ * - Remembers its seat for the tab so a dropped connection or a page reload
+ *   can resume the match
+ * - Remembers the matchmaking profile on this browser so ranked standing and
+ *   match history carry across sessions
+ * - Watches other players' matches as a spectator
+ */
+
+import { NETWORK, VALIDATION } from '/src/combat/index.js';
+
+const SEAT_STORAGE_KEY = 'tactica-arena-seat';
+const PROFILE_STORAGE_KEY = 'tactica-arena-profile';
+
+export class NetworkClient {
+    constructor() {
+        this.socket = null;
+        this.connected = false;
+        this.playerId = null;
+        this.matchCode = null;
+        this.reconnectToken = null;
+        this.nextRequestId = 1;
+
+        // Callbacks
+        this.onMatchCreated = null;   // (code, settings)
+        this.onQueued = null;         // (mode, profile, armyLevel)
+        this.onQueueLeft = null;      // (mode)
+        this.onRatingUpdated = null;  // (profile) after a ranked match
+        this.onMatchReady = null;     // (playerId, state, room)
+        this.onResumed = null;        // (playerId, state, missedEvents, room)
+        this.onStateUpdate = null;    // (state, events, room)
+        this.onRejected = null;       // (errors, code)
+        this.onOpponentDisconnected = null; // (playerId, reconnectDeadline, clock)
+        this.onOpponentReconnected = null;  // (playerId, clock)
+        this.onOpponentLeft = null;   // (room)
+        this.onSpectating = null;     // (watch {code, view, playerId, delayTurns}, state or null, room)
+        this.onSpectatorState = null; // (state, events, room)
+        this.onSpectatingEnded = null; // (code)
+        this.onError = null;          // (message, code)
+        this.onDisconnected = null;
+    }
+
+    // Same host that served the page
+    static getDefaultUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}${NETWORK.PATH}`;
+    }
+
+    connect(url = NetworkClient.getDefaultUrl()) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(url);
+            this.socket = socket;
+
+            socket.addEventListener('message', (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.error('Ignoring malformed server message:', error);
+                    return;
+                }
+
+                if (message.type === 'welcome') {
+                    this.connected = true;
+                    resolve(message);
+                    return;
+                }
+                this.handleMessage(message);
+            });
+
+            socket.addEventListener('error', () => {
+                if (!this.connected) {
+                    reject(new Error('Could not reach the match server'));
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                const wasConnected = this.connected;
+                this.connected = false;
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                if (wasConnected && this.onDisconnected) {
+                    this.onDisconnected();
+                }
+            });
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'match_created':
+                this.rememberSeat(message);
+                this.rememberNewProfile(message.profile);
+                if (this.onMatchCreated) this.onMatchCreated(message.code, message.settings);
+                break;
+
+            case 'queued':
+                this.rememberNewProfile(message.profile);
+                if (this.onQueued) this.onQueued(message.mode, message.profile, message.level);
+                break;
+
+            case 'queue_left':
+                if (this.onQueueLeft) this.onQueueLeft(message.mode);
+                break;
+
+            case 'rating_updated':
+                if (this.onRatingUpdated) this.onRatingUpdated(message.profile);
+                break;
+
+            case 'match_ready':
+                this.rememberSeat(message);
+                this.rememberNewProfile(message.profile);
+                if (this.onMatchReady) this.onMatchReady(message.playerId, message.state, message.room);
+                break;
+
+            case 'resumed':
+                this.playerId = message.playerId;
+                this.matchCode = message.code;
+                if (this.onResumed) this.onResumed(message.playerId, message.state, message.events || [], message.room);
+                break;
+
+            case 'state':
+                if (this.onStateUpdate) this.onStateUpdate(message.state, message.events || [], message.room);
+                break;
+
+            case 'rejected':
+                if (this.onRejected) this.onRejected(message.errors || [], message.code);
+                break;
+
+            case 'opponent_disconnected':
+                if (this.onOpponentDisconnected) this.onOpponentDisconnected(message.playerId, message.reconnectDeadline, message.clock);
+                break;
+
+            case 'opponent_reconnected':
+                if (this.onOpponentReconnected) this.onOpponentReconnected(message.playerId, message.clock);
+                break;
+
+            case 'opponent_left':
+                if (this.onOpponentLeft) this.onOpponentLeft(message.room);
+                break;
+
+            case 'spectating':
+                if (this.onSpectating) {
+                    const { code, view, playerId, delayTurns } = message;
+                    this.onSpectating({ code, view, playerId, delayTurns }, message.state, message.room);
+                }
+                break;
+
+            case 'spectator_state':
+                if (this.onSpectatorState) this.onSpectatorState(message.state, message.events || [], message.room);
+                break;
+
+            case 'spectating_ended':
+                if (this.onSpectatingEnded) this.onSpectatingEnded(message.code);
+                break;
+
+            case 'error':
+                // The server no longer knows this profile; the next queue or room creates a new one
+                if (message.code === VALIDATION.ERROR_CODES.PROFILE_INVALID) {
+                    this.forgetProfile();
+                }
+                if (this.onError) this.onError(message.message, message.code);
+                break;
+
+            default:
+                console.warn(`Unknown server message: ${message.type}`);
+        }
+    }
+
+    send(type, payload = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            console.warn(`Not connected; dropped ${type}`);
+            return null;
+        }
+
+        const requestId = `req_${this.nextRequestId++}`;
+        this.socket.send(JSON.stringify({ ...payload, type, requestId }));
+        return requestId;
+    }
+
+    // Lobby; the server creates a profile the first time this browser plays without one
+    createMatch(options = {}) {
+        return this.send('create_match', {
+            name: options.name,
+            mapSize: options.mapSize,
+            placementPattern: options.placementPattern,
+            ...NetworkClient.getProfileCredentials()
+        });
+    }
+
+    joinMatch(code, name) {
+        return this.send('join_match', { code: code.trim().toUpperCase(), name, ...NetworkClient.getProfileCredentials() });
+    }
+
+    // Matchmaking: {name, mapSize, placementPattern}
+    joinQueue(mode, options = {}) {
+        return this.send('queue_join', {
+            mode,
+            name: options.name,
+            mapSize: options.mapSize,
+            placementPattern: options.placementPattern,
+            ...NetworkClient.getProfileCredentials()
+        });
+    }
+
+    leaveQueue() {
+        return this.send('queue_leave');
+    }
+
+    // Profile persistence: kept across sessions on this browser
+    rememberProfile(profile) {
+        try {
+            window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ id: profile.id, token: profile.token }));
+        } catch (error) {
+            console.warn('Could not save the matchmaking profile; ranked standing will not carry over:', error);
+        }
+    }
+
+    // Only a profile created just now comes with its token
+    rememberNewProfile(profile) {
+        if (profile && profile.token) {
+            this.rememberProfile(profile);
+        }
+    }
+
+    forgetProfile() {
+        try {
+            window.localStorage.removeItem(PROFILE_STORAGE_KEY);
+        } catch (error) {
+            // Nothing was saved
+        }
+    }
+
+    static getSavedProfile() {
+        try {
+            const profile = JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY));
+            return profile && profile.id && profile.token ? profile : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static getProfileCredentials() {
+        const profile = NetworkClient.getSavedProfile();
+        return profile ? { profileId: profile.id, profileToken: profile.token } : {};
+    }
+
+    // Spectate a match read-only; sending again switches the view (NETWORK.SPECTATE.VIEWS)
+    spectate(code, view = NETWORK.SPECTATE.VIEWS.CASTER, playerId = null) {
+        return this.send('spectate', { code: code.trim().toUpperCase(), view, playerId: playerId ?? undefined });
+    }
+
+    // Reclaim a seat after a dropped connection (defaults to the one this tab holds)
+    resume(seat = NetworkClient.getSavedSeat()) {
+        if (!seat) return null;
+        return this.send('resume', { code: seat.code, token: seat.token });
+    }
+
+    // Seat persistence: survives a reload of this tab, not other tabs
+    rememberSeat(message) {
+        this.matchCode = message.code;
+        this.playerId = message.playerId;
+        this.reconnectToken = message.reconnectToken;
+        
+        try {
+            window.sessionStorage.setItem(SEAT_STORAGE_KEY, JSON.stringify({ code: message.code, token: message.reconnectToken }));
+        } catch (error) {
+            console.warn('Could not save the match seat; reloading will leave the match:', error);
+        }
+    }
+
+    forgetSeat() {
+        this.reconnectToken = null;
+        
+        try {
+            window.sessionStorage.removeItem(SEAT_STORAGE_KEY);
+        } catch (error) {
+            // Nothing was saved
+        }
+    }
+
+    static getSavedSeat() {
+        try {
+            const seat = JSON.parse(window.sessionStorage.getItem(SEAT_STORAGE_KEY));
+            return seat && seat.code && seat.token ? seat : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Deployment
+    deploy(unitId, position) {
+        return this.send('deploy', { unitId, position: { x: position.x, y: position.y } });
+    }
+
+    withdraw(unitId) {
+        return this.send('withdraw', { unitId });
+    }
+
+    autoDeploy() {
+        return this.send('auto_deploy');
+    }
+
+    ready() {
+        return this.send('ready');
+    }
+
+    // Combat: {type, actorId, targetId?, targetPosition?, abilityId?}
+    sendAction(action) {
+        return this.send('action', { action });
+    }
+
+    disconnect() {
+        if (this.socket) {
+            this.send('leave');
+            this.socket.close();
+        }
+        this.forgetSeat();
+
+        this.socket = null;
+        this.connected = false;
+        this.playerId = null;
+        this.matchCode = null;
+    }
+}
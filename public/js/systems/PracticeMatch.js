@@ -0,0 +1,208 @@
+/**
+ * PracticeMatch - Offline match against an AI opponent
+ *
+ * Stands in for NetworkClient so the game can run a practice match through
+ * the same code as an online one:
+ * - Hosts the match with a local CombatSystem instead of the match server
+ * - Seats the player as player 1 and an AIPlayer of the chosen band as player 2
+ * - Answers intents with the same callbacks and views the server sends
+ * - Plays the AI's activations one action at a time, with a short pause so
+ *   the player can follow them
+ * - Gives bands that search (Expert) an ExpectimaxPlanner over the hosted
+ *   match, since the match runs here anyway
+ *
+ * The AI gets the same public state and previews the player does; the
+ * planner's simulations use the same hit and damage odds. Practice
+ * matches are untimed and award nothing, so there is no seat to remember.
+ */
+
+import { CombatSystem, AIPlayer, ExpectimaxPlanner, createPreviewAccess, AI, ARMY, FACTIONS, NETWORK } from '/src/combat/index.js';
+
+const HUMAN_PLAYER_ID = 1;
+const AI_PLAYER_ID = 2;
+
+export class PracticeMatch {
+    constructor(difficulty = AI.DEFAULT_DIFFICULTY) {
+        this.system = new CombatSystem();
+        this.difficulty = difficulty;
+        this.matchId = null;
+        this.ai = null;
+        this.aiTimer = null;
+        this.playerId = HUMAN_PLAYER_ID;
+        this.aiPlayerId = AI_PLAYER_ID;
+        this.players = [];
+
+        // Callbacks (same as NetworkClient's)
+        this.onMatchReady = null;  // (playerId, state, room)
+        this.onStateUpdate = null; // (state, events, room)
+        this.onRejected = null;    // (errors, code)
+    }
+
+    // {name, mapSize, placementPattern}; the opening view arrives through onMatchReady
+    start(options = {}) {
+        const band = AI.BANDS[this.difficulty];
+        if (!band) {
+            throw new Error(`Unknown AI difficulty: ${this.difficulty}`);
+        }
+
+        const seed = Math.floor(Math.random() * 0x7ffffffe) + 1;
+        const size = NETWORK.MAP_SIZES[options.mapSize] || NETWORK.MAP_SIZES.quick;
+        this.players = [
+            { playerId: HUMAN_PLAYER_ID, name: options.name || 'Player 1', ready: false },
+            { playerId: AI_PLAYER_ID, name: `${band.name} AI`, ready: false }
+        ];
+        const units = this.players.flatMap((player, seatIndex) => ARMY.DEFAULT_ROSTER.map((unit, i) => ({
+            ...unit,
+            id: `${player.playerId}_unit_${i + 1}`,
+            faction: FACTIONS.TYPES[seatIndex],
+            playerId: player.playerId
+        })));
+
+        const match = this.system.createMatch({
+            matchId: `practice_${Date.now()}`,
+            seed,
+            players: this.players.map(player => ({ id: player.playerId, name: player.name })),
+            mapWidth: size,
+            mapHeight: size,
+            units,
+            deploymentPattern: options.placementPattern || ARMY.DEPLOYMENT.DEFAULT_PATTERN,
+            turnClock: false
+        });
+        this.matchId = match.matchId;
+        this.ai = new AIPlayer({
+            playerId: AI_PLAYER_ID,
+            difficulty: this.difficulty,
+            preview: createPreviewAccess(this.system, this.matchId),
+            seed,
+            planner: band.search ? new ExpectimaxPlanner({
+                playerId: AI_PLAYER_ID,
+                getState: () => this.getMatch(),
+                seed,
+                timeBudgetMs: AI.SEARCH.TIME_BUDGET_MS // Someone is waiting on the move
+            }) : null
+        });
+
+        // Asynchronous like the server's reply, so callers finish setting up first
+        setTimeout(() => {
+            if (this.onMatchReady && this.matchId) {
+                this.onMatchReady(HUMAN_PLAYER_ID, this.buildView(), this.describeRoom());
+            }
+        }, 0);
+    }
+
+    getMatch() {
+        return this.matchId ? this.system.getMatch(this.matchId) : null;
+    }
+
+    // getPublicState() plus the (absent) turn clock, as the server builds it
+    buildView() {
+        const state = this.getMatch().getPublicState();
+        state.clock = this.system.getTurnClock(this.matchId);
+        return state;
+    }
+
+    describeRoom() {
+        return {
+            code: null,
+            mode: 'PRACTICE',
+            status: this.getMatch().phase,
+            players: this.players.map(player => ({ ...player, connected: true, reconnectDeadline: null }))
+        };
+    }
+
+    // Failed intents go back through onRejected; anything that changed the match is published
+    publish(result) {
+        if (!this.getMatch()) return;
+
+        if (!result.success) {
+            if (this.onRejected) this.onRejected([...result.errors], result.errorCode);
+            // autoDeploy can place some units before running out of tiles
+            if (result.events.length === 0) return;
+        }
+
+        if (this.onStateUpdate) this.onStateUpdate(this.buildView(), result.events, this.describeRoom());
+        this.scheduleAI();
+    }
+
+    // Deployment
+    deploy(unitId, position) {
+        this.publish(this.system.deployUnit(this.matchId, {
+            playerId: HUMAN_PLAYER_ID,
+            unitId,
+            position: { x: position.x, y: position.y }
+        }));
+    }
+
+    withdraw(unitId) {
+        this.publish(this.system.withdrawUnit(this.matchId, { playerId: HUMAN_PLAYER_ID, unitId }));
+    }
+
+    autoDeploy() {
+        this.publish(this.system.autoDeploy(this.matchId, HUMAN_PLAYER_ID));
+    }
+
+    // The AI places its army once the player has confirmed theirs
+    ready() {
+        const match = this.getMatch();
+        if (!match || match.phase !== 'DEPLOYMENT') return;
+        if (match.getUndeployedUnits(HUMAN_PLAYER_ID).length > 0) {
+            if (this.onRejected) this.onRejected(['Place every unit before confirming']);
+            return;
+        }
+
+        this.system.autoDeploy(this.matchId, AI_PLAYER_ID);
+        this.players.forEach(player => { player.ready = true; });
+        this.publish(this.system.startMatch(this.matchId));
+    }
+
+    // Combat: {type, actorId, targetId?, targetPosition?, abilityId?}, always as the player
+    sendAction(action) {
+        this.publish(this.system.submitAction(this.matchId, {
+            type: action.type,
+            actorId: action.actorId,
+            targetId: action.targetId,
+            targetPosition: action.targetPosition,
+            abilityId: action.abilityId,
+            playerId: HUMAN_PLAYER_ID
+        }));
+    }
+
+    // AI turns: one action per pause until initiative comes back to the player
+    scheduleAI() {
+        const match = this.getMatch();
+        if (this.aiTimer || !match || match.phase !== 'COMBAT') return;
+        if (match.getPublicState().currentPlayerId !== AI_PLAYER_ID) return;
+
+        this.aiTimer = setTimeout(() => {
+            this.aiTimer = null;
+            this.playAI();
+        }, AI.THINK_DELAY_MS);
+    }
+
+    playAI() {
+        const match = this.getMatch();
+        if (!match || match.phase !== 'COMBAT') return;
+
+        // Candidates come best first and end with END_TURN, so one of them is accepted
+        for (const action of this.ai.planActions(match.getPublicState())) {
+            const result = this.system.submitAction(this.matchId, { ...action, playerId: AI_PLAYER_ID });
+            if (result.success) {
+                this.publish(result);
+                return;
+            }
+        }
+        console.warn('Practice AI found no legal action');
+    }
+
+    // Nothing is stored between visits
+    forgetSeat() {}
+
+    disconnect() {
+        clearTimeout(this.aiTimer);
+        this.aiTimer = null;
+        if (this.matchId) {
+            this.system.removeMatch(this.matchId);
+            this.matchId = null;
+        }
+    }
+}
@@ -4,7 +4,7 @@
  * Manages turn-based gameplay for two players including:
  * - Player turn switching
  * - Action point management
- * - Turn timers and validation
+ * - Turn validation and the online turn clock display
  * - Victory condition checking
  */
 
@@ -23,6 +23,13 @@ export class TurnManager {
         this.turnStartTime = 0;
         this.maxTurnTime = 120000; // 2 minutes per turn
         
+        // Online turn clock: enforced by the server, mirrored here for display
+        this.turnClock = null;
+        this.turnClockReceivedAt = 0;
+        
+        // Practice matches: the seat played by the AI, or null when both players are human
+        this.aiPlayerId = null;
+        
         // Callbacks
         this.onTurnChanged = null;
         this.onGameEnd = null;
@@ -163,8 +170,8 @@ export class TurnManager {
         // Basic validation
         if (!action || !action.type) return false;
         
-        // Check if unit belongs to current player
-        if (action.unit && action.unit.unitData.playerId !== player.id) {
+        // Check if unit is commanded by the current player (hypnotised units follow their controller)
+        if (action.unit && this.getUnitController(action.unit) !== player.id) {
             return false;
         }
         
@@ -183,6 +190,12 @@ export class TurnManager {
         return true;
     }
 
+    getUnitController(unit) {
+        const unitData = unit.unitData;
+        return unitData.controllerId !== undefined && unitData.controllerId !== null ?
+            unitData.controllerId : unitData.playerId;
+    }
+
     restorePlayerActionPoints(player) {
         // This would be implemented by the battle scene
         // For now, we'll just log the intent
@@ -245,6 +258,11 @@ export class TurnManager {
     getTurnTimeRemaining() {
         if (this.gamePhase !== 'PLAYING') return 0;
         
+        const clock = this.getTurnClock();
+        if (clock) {
+            return clock.turnRemaining + clock.bankRemaining;
+        }
+        
         const elapsed = Date.now() - this.turnStartTime;
         return Math.max(0, this.maxTurnTime - elapsed);
     }
@@ -272,33 +290,39 @@ export class TurnManager {
         };
     }
 
-    // AI placeholder methods (for future expansion)
+    // AI seat: the practice host plays it, so this only tells the UI whose turn it is
+    setAIPlayer(playerId) {
+        this.aiPlayerId = playerId ?? null;
+    }
+
     isCurrentPlayerAI() {
-        return false; // All players are human in hotseat mode
+        const currentPlayer = this.getCurrentPlayer();
+        return this.aiPlayerId !== null && !!currentPlayer && currentPlayer.id === this.aiPlayerId;
     }
 
-    getAIMove() {
-        // Placeholder for AI decision making
-        return null;
+    // Turn clock management: the server ends timed-out turns itself
+    syncTurnClock(clock) {
+        this.turnClock = clock || null;
+        this.turnClockReceivedAt = Date.now();
     }
 
-    // Turn timer management
-    startTurnTimer() {
-        if (this.turnTimer) {
-            clearTimeout(this.turnTimer);
-        }
+    // The last server reading counted down locally since it arrived
+    getTurnClock() {
+        const clock = this.turnClock;
+        if (!clock || clock.playerId === null) return null;
         
-        this.turnTimer = setTimeout(() => {
-            console.log('Turn time expired, automatically ending turn');
-            this.endTurn();
-        }, this.maxTurnTime);
+        const elapsed = clock.paused ? 0 : Date.now() - this.turnClockReceivedAt;
+        const overtime = Math.max(0, elapsed - clock.turnRemaining);
+        return {
+            playerId: clock.playerId,
+            turnRemaining: Math.max(0, clock.turnRemaining - elapsed),
+            bankRemaining: Math.max(0, clock.bankRemaining - overtime),
+            paused: clock.paused
+        };
     }
 
     clearTurnTimer() {
-        if (this.turnTimer) {
-            clearTimeout(this.turnTimer);
-            this.turnTimer = null;
-        }
+        this.turnClock = null;
     }
 
     // Action history
@@ -338,15 +362,50 @@ export class TurnManager {
         return true;
     }
 
-    // Network synchronization placeholders (for future online play)
-    syncTurnState() {
-        // Would sync turn state with server/other clients
+    // Network synchronization: online matches take turn order from the server instead of alternating here
+    syncTurnState(publicState) {
+        if (!publicState) return false;
+        
+        if (this.players.length === 0) {
+            this.players = publicState.players.map((player, index) => ({
+                id: player.id,
+                name: player.name,
+                teamColor: index === 0 ? 'blue' : 'red',
+                isActive: true
+            }));
+        }
+        
+        const previousPlayer = this.getCurrentPlayer();
+        const previousTurn = this.turnNumber;
+        const index = this.players.findIndex(player => player.id === publicState.currentPlayerId);
+        if (index >= 0) {
+            this.currentPlayerIndex = index;
+        }
+        this.turnNumber = publicState.turn;
+        
+        if (publicState.phase === 'COMPLETED') {
+            this.gamePhase = 'ENDED';
+            return true;
+        }
+        this.gamePhase = publicState.phase === 'COMBAT' ? 'PLAYING' : 'SETUP';
+        
+        const currentPlayer = this.getCurrentPlayer();
+        if (this.gamePhase === 'PLAYING' && (currentPlayer !== previousPlayer || this.turnNumber !== previousTurn)) {
+            this.turnStartTime = Date.now();
+            this.actionsThisTurn = [];
+            
+            if (this.onTurnChanged) {
+                this.onTurnChanged(currentPlayer, this.turnNumber);
+            }
+        }
+        
         return true;
     }
 
-    validateTurnSync() {
-        // Would validate turn state consistency
-        return true;
+    // Whether the local player may act on the last synced state
+    validateTurnSync(localPlayerId) {
+        const currentPlayer = this.getCurrentPlayer();
+        return this.gamePhase === 'PLAYING' && !!currentPlayer && currentPlayer.id === localPlayerId;
     }
 
     // Utility methods
@@ -359,6 +418,7 @@ export class TurnManager {
         this.gamePhase = 'SETUP';
         this.actionsThisTurn = [];
         this.turnStartTime = 0;
+        this.aiPlayerId = null;
         
         console.log('Turn Manager reset');
     }
@@ -7,6 +7,8 @@
  * - Team status displays
  * - Message log
  * - Action buttons
+ * - Deployment panel before round 1
+ * - Spectator HUD with the view picker
  */
 
 export class GameUI {
@@ -43,18 +45,34 @@ export class GameUI {
             currentPlayerName: null,
             turnNumber: null,
             endTurnBtn: null,
+            spectatorHud: null,
+            spectatorLabel: null,
+            spectatorView: null,
             
             // Team status
             teamAUnits: null,
             teamBUnits: null,
             
             // Message log
-            messageLog: null
+            messageLog: null,
+            
+            // Deployment panel
+            deploymentPanel: null,
+            deploymentPlayerName: null,
+            deploymentPattern: null,
+            deploymentUnits: null,
+            deploymentError: null,
+            autoDeployBtn: null,
+            confirmDeploymentBtn: null
         };
         
         // Callbacks
         this.onEndTurn = null;
         this.onActionButtonClicked = null;
+        this.onDeploymentUnitSelected = null;
+        this.onAutoDeploy = null;
+        this.onConfirmDeployment = null;
+        this.onSpectatorViewChanged = null; // (value): 'CASTER' or a team's player ID
         
         // Current state
         this.currentUnit = null;
@@ -122,6 +140,12 @@ export class GameUI {
         this.elements.currentPlayerName = document.getElementById('current-player-name');
         this.elements.turnNumber = document.getElementById('turn-number');
         this.elements.endTurnBtn = document.getElementById('end-turn-btn');
+        this.elements.turnClock = document.getElementById('turn-clock');
+        this.elements.turnTime = document.getElementById('turn-time');
+        this.elements.timeBank = document.getElementById('time-bank');
+        this.elements.spectatorHud = document.getElementById('spectator-hud');
+        this.elements.spectatorLabel = document.getElementById('spectator-label');
+        this.elements.spectatorView = document.getElementById('spectator-view');
         
         // Team status
         this.elements.teamAUnits = document.getElementById('team-a-units');
@@ -129,6 +153,19 @@ export class GameUI {
         
         // Message log
         this.elements.messageLog = document.getElementById('message-log');
+        
+        // Objectives
+        this.elements.objectivesPanel = document.getElementById('objectives-panel');
+        this.elements.objectiveList = document.getElementById('objective-list');
+        
+        // Deployment panel
+        this.elements.deploymentPanel = document.getElementById('deployment-panel');
+        this.elements.deploymentPlayerName = document.getElementById('deployment-player-name');
+        this.elements.deploymentPattern = document.getElementById('deployment-pattern');
+        this.elements.deploymentUnits = document.getElementById('deployment-units');
+        this.elements.deploymentError = document.getElementById('deployment-error');
+        this.elements.autoDeployBtn = document.getElementById('auto-deploy-btn');
+        this.elements.confirmDeploymentBtn = document.getElementById('confirm-deployment-btn');
     }
 
     setupEventListeners() {
@@ -148,6 +185,13 @@ export class GameUI {
             this.elements.endTurnBtn.addEventListener('click', this.handleEndTurn);
         }
         
+        // Spectator view picker
+        if (this.elements.spectatorView) {
+            this.elements.spectatorView.addEventListener('change', () => {
+                if (this.onSpectatorViewChanged) this.onSpectatorViewChanged(this.elements.spectatorView.value);
+            });
+        }
+        
         // Combat preview buttons
         if (this.elements.confirmAttackBtn) {
             this.elements.confirmAttackBtn.addEventListener('click', this.handleConfirmAttack);
@@ -155,6 +199,18 @@ export class GameUI {
         if (this.elements.cancelAttackBtn) {
             this.elements.cancelAttackBtn.addEventListener('click', this.handleCancelAttack);
         }
+        
+        // Deployment buttons
+        if (this.elements.autoDeployBtn) {
+            this.elements.autoDeployBtn.addEventListener('click', () => {
+                if (this.onAutoDeploy) this.onAutoDeploy();
+            });
+        }
+        if (this.elements.confirmDeploymentBtn) {
+            this.elements.confirmDeploymentBtn.addEventListener('click', () => {
+                if (this.onConfirmDeployment) this.onConfirmDeployment();
+            });
+        }
     }
 
     // Unit information display
@@ -335,6 +391,42 @@ export class GameUI {
         }
     }
 
+    // Server turn clock; null hides it (hotseat and untimed matches)
+    updateTurnClock(reading) {
+        const clock = this.elements.turnClock;
+        if (!clock) return;
+        
+        clock.classList.toggle('hidden', !reading);
+        if (!reading) return;
+        
+        const format = (ms) => {
+            const seconds = Math.ceil(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        this.elements.turnTime.textContent = format(reading.turnRemaining);
+        this.elements.timeBank.textContent = format(reading.bankRemaining);
+        clock.classList.toggle('overtime', reading.turnRemaining === 0);
+        clock.classList.toggle('low', reading.turnRemaining === 0 && reading.bankRemaining < 30000);
+        clock.classList.toggle('paused', reading.paused);
+    }
+
+    // Spectators watch instead of ending turns
+    showSpectatorHud(viewValue, delayTurns) {
+        const hud = this.elements.spectatorHud;
+        if (!hud) return;
+        
+        const behind = delayTurns > 0 ? `${delayTurns} turn${delayTurns === 1 ? '' : 's'} behind` : 'live';
+        this.elements.spectatorLabel.textContent = `Spectating - ${behind}`;
+        this.elements.spectatorView.value = viewValue;
+        hud.classList.remove('hidden');
+        this.elements.endTurnBtn?.classList.add('hidden');
+    }
+    
+    hideSpectatorHud() {
+        this.elements.spectatorHud?.classList.add('hidden');
+        this.elements.endTurnBtn?.classList.remove('hidden');
+    }
+
     // Team status
     setupTeams(players, units) {
         if (!this.initialized) return;
@@ -427,6 +519,180 @@ export class GameUI {
         }
     }
 
+    // Log lines for authoritative combat events (player-facing terms only)
+    addCombatEventMessages(events, getUnitName = (unitId) => unitId) {
+        if (!Array.isArray(events)) return;
+        
+        for (const event of events) {
+            const message = this.describeCombatEvent(event, getUnitName);
+            if (message) {
+                this.addMessage(message.text, message.type);
+            }
+        }
+    }
+
+    describeCombatEvent(event, getUnitName) {
+        switch (event.type) {
+            case 'unit_moved':
+                return { text: `${getUnitName(event.unitId)} moves to (${event.to.x}, ${event.to.y})`, type: 'movement' };
+            case 'attack':
+                if (event.outcome === 'miss') {
+                    return { text: `${getUnitName(event.attackerId)} attacks ${getUnitName(event.targetId)} and misses`, type: 'combat' };
+                }
+                if (event.outcome === 'critical') {
+                    return { text: `${getUnitName(event.attackerId)} lands a critical hit on ${getUnitName(event.targetId)}`, type: 'combat' };
+                }
+                return null;
+            case 'ability_used':
+                return { text: `${getUnitName(event.unitId)} uses ${event.abilityName}`, type: 'combat' };
+            case 'damage':
+                return { text: `${getUnitName(event.unitId)} takes ${event.amount} damage`, type: 'combat' };
+            case 'healed':
+                return { text: `${getUnitName(event.unitId)} recovers ${event.amount} HP`, type: 'buff' };
+            case 'unit_incapacitated':
+                return { text: `${getUnitName(event.unitId)} is down`, type: 'combat' };
+            case 'morale_broken':
+                return {
+                    text: `${getUnitName(event.leaderId)} has fallen! Their army's morale breaks.`,
+                    type: 'morale'
+                };
+            case 'status_applied':
+                if (event.statusId === 'INSPIRED') {
+                    return { text: `${getUnitName(event.unitId)} is Inspired`, type: 'buff' };
+                }
+                if (event.statusId === 'MORALE_BROKEN') {
+                    return { text: `${getUnitName(event.unitId)} is shaken (Morale Broken)`, type: 'debuff' };
+                }
+                return { text: `${getUnitName(event.unitId)} is ${event.status}`, type: event.statusType || 'info' };
+            case 'status_resisted':
+                return { text: `${getUnitName(event.unitId)} Resisted ${event.status}`, type: 'info' };
+            case 'turn_timed_out':
+                return { text: `${getUnitName(event.unitId)} ran out of time`, type: 'info' };
+            case 'initiative_changed':
+                return { text: `${getUnitName(event.unitId)} moves in the turn order`, type: 'info' };
+            case 'match_ended':
+                if (event.condition === 'FORFEIT') {
+                    const why = event.reason === 'RECONNECT_TIMEOUT' ? 'did not reconnect in time' : 'left the match';
+                    return { text: `Player ${event.forfeitedBy} ${why} and forfeits`, type: 'info' };
+                }
+                if (event.condition === 'ROUND_LIMIT' && !event.winner) {
+                    return { text: 'Time is up - the match is a draw', type: 'info' };
+                }
+                return null;
+            case 'equipment_worn': {
+                const broken = event.items.filter(item => item.broken).length;
+                if (broken === 0) return null;
+                return { text: `${getUnitName(event.unitId)}: ${broken} item(s) broke and need repair`, type: 'debuff' };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Objective progress from CombatState.getObjectiveProgress()
+    updateObjectives(objectives, getPlayerName = (playerId) => playerId) {
+        const list = this.elements.objectiveList;
+        if (!list || !this.elements.objectivesPanel) return;
+        
+        list.innerHTML = '';
+        // Elimination is already visible in the team panels
+        const shown = (objectives || []).filter(objective =>
+            objective.type !== 'ELIMINATE_ENEMY' && objective.type !== 'ELIMINATE_LEADER');
+        this.elements.objectivesPanel.classList.toggle('hidden', shown.length === 0);
+        
+        shown.forEach(objective => {
+            const element = document.createElement('div');
+            element.className = 'objective';
+            
+            const name = document.createElement('div');
+            name.className = 'objective-name';
+            name.textContent = objective.name;
+            element.appendChild(name);
+            
+            const progress = document.createElement('div');
+            progress.className = 'objective-progress';
+            progress.textContent = this.describeObjectiveProgress(objective, getPlayerName);
+            element.appendChild(progress);
+            
+            list.appendChild(element);
+        });
+    }
+
+    describeObjectiveProgress(objective, getPlayerName) {
+        switch (objective.type) {
+            case 'CAPTURE_AND_HOLD': {
+                const held = objective.points.map(point => point.holder ?
+                    `${getPlayerName(point.holder)} ${point.heldRounds}/${objective.target}` :
+                    (point.contested ? 'contested' : 'open'));
+                return `Hold ${objective.required} of ${objective.points.length}: ${held.join(', ')}`;
+            }
+            case 'KING_OF_THE_HILL':
+                return objective.players
+                    .map(entry => `${getPlayerName(entry.playerId)} ${entry.value}/${entry.target}`)
+                    .join(' · ') + (objective.contested ? ' (contested)' : '');
+            case 'ESCORT_VIP':
+                return objective.vipDown ? 'VIP is down' : `VIP is ${objective.distance} tile(s) from extraction`;
+            case 'SURVIVE_ROUNDS':
+                return `${getPlayerName(objective.playerId)} must survive ${objective.roundsRemaining} more round(s)`;
+            case 'ROUND_LIMIT':
+                return `${objective.roundsRemaining} round(s) left`;
+            default:
+                return objective.description;
+        }
+    }
+
+    // Deployment phase
+    showDeploymentPanel(player, patternDescription) {
+        if (this.elements.deploymentPlayerName) {
+            this.elements.deploymentPlayerName.textContent = player.name;
+        }
+        if (this.elements.deploymentPattern) {
+            this.elements.deploymentPattern.textContent = patternDescription;
+        }
+        this.setDeploymentError(null);
+        
+        if (this.elements.deploymentPanel) {
+            this.elements.deploymentPanel.classList.remove('hidden');
+        }
+    }
+
+    hideDeploymentPanel() {
+        if (this.elements.deploymentPanel) {
+            this.elements.deploymentPanel.classList.add('hidden');
+        }
+    }
+
+    // Lists the units still waiting for a tile; selectedUnitId is highlighted
+    updateDeploymentUnits(undeployedUnits, selectedUnitId) {
+        const container = this.elements.deploymentUnits;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        undeployedUnits.forEach(unit3D => {
+            const button = document.createElement('button');
+            button.className = 'action-btn';
+            if (unit3D.unitData.id === selectedUnitId) {
+                button.classList.add('selected');
+            }
+            button.textContent = unit3D.unitData.isLeader ?
+                `★ ${unit3D.unitData.name}` : unit3D.unitData.name;
+            button.addEventListener('click', () => {
+                if (this.onDeploymentUnitSelected) this.onDeploymentUnitSelected(unit3D);
+            });
+            container.appendChild(button);
+        });
+        
+        if (this.elements.confirmDeploymentBtn) {
+            this.elements.confirmDeploymentBtn.disabled = undeployedUnits.length > 0;
+        }
+    }
+
+    setDeploymentError(message) {
+        if (this.elements.deploymentError) {
+            this.elements.deploymentError.textContent = message || '';
+        }
+    }
+
     clearMessages() {
         if (this.elements.messageLog) {
             this.elements.messageLog.innerHTML = '';
@@ -477,6 +743,9 @@ export class GameUI {
         
         this.hideUnitInfo();
         this.hideCombatPreview();
+        this.hideDeploymentPanel();
+        this.updateTurnClock(null);
+        this.hideSpectatorHud();
         this.clearMessages();
         
         // Clear team displays
@@ -486,6 +755,8 @@ export class GameUI {
         if (this.elements.teamBUnits) {
             this.elements.teamBUnits.innerHTML = '';
         }
+        
+        this.updateObjectives([]);
     }
 
     // Utility methods
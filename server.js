@@ -1,12 +1,27 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { MatchHistory } from './src/server/MatchHistory.js';
+import { MatchServer } from './src/server/MatchServer.js';
+import { MatchmakingService } from './src/server/MatchmakingService.js';
+import { ProfileStore } from './src/server/ProfileStore.js';
+import { SeasonService } from './src/server/SeasonService.js';
+import { createApiRouter } from './src/server/apiRoutes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Online matches: authoritative CombatSystem behind a WebSocket endpoint,
+// with matchmaking profiles, ranked seasons and finished matches kept in the local data directory
+const profiles = new ProfileStore({ file: path.join(DATA_DIR, 'profiles.json') });
+const seasons = new SeasonService({ store: profiles, file: path.join(DATA_DIR, 'seasons.json') });
+const matchmaking = new MatchmakingService({ store: profiles, seasons });
+const history = new MatchHistory({ dir: path.join(DATA_DIR, 'matches') });
+const matchServer = new MatchServer({ matchmaking, history, enableLogging: true });
 
 // Debug logging middleware
 app.use((req, res, next) => {
@@ -39,9 +54,12 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Lobby API: queues, leaderboard, profiles, seasons, match history (admin routes need ADMIN_TOKEN)
+app.use(createApiRouter(matchServer, { adminToken: process.env.ADMIN_TOKEN }));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), matches: matchServer.getStats() });
 });
 
 // Debug endpoint to check file structure
@@ -85,15 +103,22 @@ app.use((req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('🎮 Tactica Arena Server Starting...');
   console.log(`📡 Server running at http://localhost:${PORT}`);
-  console.log('🚀 Ready for hotseat battles!');
+  console.log('🚀 Ready for hotseat and online battles!');
   console.log('\n📋 Available routes:');
   console.log(`   • Game: http://localhost:${PORT}`);
   console.log(`   • Health: http://localhost:${PORT}/health`);
+  console.log(`   • Leaderboard: http://localhost:${PORT}/api/leaderboard`);
+  console.log(`   • Season: http://localhost:${PORT}/api/seasons/current`);
+  console.log(`   • Match history: http://localhost:${PORT}/api/matches`);
+  console.log(`   • Matches (WebSocket): ws://localhost:${PORT}${matchServer.path}`);
   console.log('\n⚡ Press Ctrl+C to stop the server');
 });
+matchServer.attach(server);
+seasons.rollIfDue();
+seasons.start();
 
 // Graceful shutdown
 process.on('SIGINT', () => {
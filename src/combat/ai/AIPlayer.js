@@ -0,0 +1,625 @@
+/**
+ * AI Player for Tactica Arena
+ *
+ * Plays one seat of a practice match in one of the difficulty bands of
+ * AI.BANDS (GDD 13.3):
+ * - Easy: greedy damage. Targets are picked on a guess from visible stats,
+ *   and the unit walks into weapon range with no regard for line of sight or
+ *   zones of control
+ * - Normal: only attacks the preview accepts, prefers cover, evasion and
+ *   height, routes around zones of control and pays for any attacks of
+ *   opportunity a move still provokes
+ * - Hard: focus fire on wounded units, leaders and likely kills; melee units
+ *   step behind or beside their target for backstabs and flanks
+ * - Expert: AP baiting (waits just outside the reach of enemies that have yet
+ *   to act instead of walking into it), stronger height and cover play, and
+ *   contests every objective area it does not hold. Where the host can hand
+ *   it an ExpectimaxPlanner, the planner's pick comes first and these
+ *   heuristics become its fallbacks
+ *
+ * The AI sees what a player sees: the public state and the preview API. It
+ * never holds a CombatState, so the hidden d20 data stays out of reach. Fog
+ * of war is off by default (TERRAIN.LINE_OF_SIGHT.FOG_DEFAULT), so Expert's
+ * fog control is played as concealment: cover counts for more while out of
+ * reach. The rules have no chests; Expert's chest denial is objective denial.
+ *
+ * Each call plans one action for the unit whose activation it is. The
+ * candidates come best first and always end with END_TURN; the driver
+ * submits them in order until the engine accepts one.
+ */
+
+import { AI, ACTION_POINTS } from '../constants/GameConstants.js';
+import { abilityRegistry } from '../data/AbilityTemplates.js';
+import { SituationalModifiers } from '../systems/HitCalculator.js';
+import { DeterministicRNG } from '../core/DeterministicRNG.js';
+
+const HIT_GUESS = 0.7; // Hit chance assumed where no preview can be run
+const DAMAGE_SCALE = 0.3; // First guess at previewed damage per point of visible attack after mitigation
+const ENEMY_STRIKES = 2; // Attacks an enemy is assumed to land on a unit it can reach
+const APPROACH_WEIGHT = 3; // Hit points a tile closer to the next target is worth
+const MIN_MOVE_GAIN = 1; // Smaller improvements are not worth an action point
+const MOVE_CHECKS = 5; // Best tiles whose routes are previewed for attacks of opportunity
+const RESIST_FACTOR = 0.75; // Expected share of resistible damage that lands
+const PLANNER_SUGGESTIONS = 3; // Best heuristic candidates the search planner also weighs
+
+/**
+ * Chebyshev distance between two positions
+ * @param {Object} a - Position {x, y}
+ * @param {Object} b - Position {x, y}
+ * @returns {number} Distance in tiles
+ */
+function getDistance(a, b) {
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+/**
+ * Chance a damage range reaches a number of hit points
+ * @param {Object} range - {min, max}
+ * @param {number} hp - Hit points left
+ * @returns {number} Probability from 0 to 1
+ */
+function getKillShare(range, hp) {
+  if (range.max < hp) return 0;
+  if (range.min >= hp) return 1;
+  return (range.max - hp + 1) / (range.max - range.min + 1);
+}
+
+/**
+ * Bind the preview API of one match for an AI player
+ * @param {CombatSystem} combatSystem - System running the match
+ * @param {string} matchId - Match ID
+ * @returns {Object} {attack, movement, movementRange, ability} preview functions
+ */
+export function createPreviewAccess(combatSystem, matchId) {
+  return {
+    attack: (attackerId, targetId, options) => combatSystem.previewAttack(matchId, attackerId, targetId, options),
+    movement: (unitId, position, options) => combatSystem.previewMovement(matchId, unitId, position, options),
+    movementRange: (unitId) => combatSystem.previewMovementRange(matchId, unitId),
+    ability: (casterId, abilityId, targetIds, options) =>
+      combatSystem.previewAbility(matchId, casterId, abilityId, targetIds, options)
+  };
+}
+
+/**
+ * Main AI Player class
+ */
+export class AIPlayer {
+  /**
+   * Create AI player
+   * @param {Object} config - AI configuration
+   * @param {number} config.playerId - Seat the AI plays
+   * @param {string} config.difficulty - AI.DIFFICULTIES entry (default AI.DEFAULT_DIFFICULTY)
+   * @param {Object} config.preview - Preview functions (see createPreviewAccess)
+   * @param {number} config.seed - Seed for the band's deliberate mistakes
+   * @param {ExpectimaxPlanner} config.planner - Search planner for the same seat (optional)
+   */
+  constructor(config = {}) {
+    if (!config.preview) {
+      throw new Error('AIPlayer needs preview access');
+    }
+    if (config.difficulty !== undefined && !AI.BANDS[config.difficulty]) {
+      throw new Error(`Unknown AI difficulty: ${config.difficulty}`);
+    }
+
+    this.playerId = config.playerId;
+    this.difficulty = config.difficulty || AI.DEFAULT_DIFFICULTY;
+    this.band = AI.BANDS[this.difficulty];
+    this.preview = config.preview;
+    this.planner = config.planner || null;
+    this.rng = new DeterministicRNG(config.seed !== undefined ? config.seed : 1).createSubsystemRNG('ai');
+    this.damageScale = DAMAGE_SCALE; // Refined from every attack preview the AI sees
+  }
+
+  /**
+   * Candidate intents for the current activation, best first
+   * @param {Object} state - Public match state (getPublicState())
+   * @returns {Array} Action intents ending with END_TURN; empty when it is not this AI's turn
+   */
+  planActions(state) {
+    if (state.phase !== 'COMBAT' || state.currentPlayerId !== this.playerId || !state.currentUnit) {
+      return [];
+    }
+
+    const view = this.readState(state);
+    const candidates = [
+      ...this.scoreAttacks(view),
+      ...this.scoreAbilities(view),
+      ...this.scoreMoves(view)
+    ].filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    // Lower bands sometimes settle for a runner-up
+    if (candidates.length > 1 && this.band.mistakeChance > 0 && this.rng.random() < this.band.mistakeChance) {
+      const pick = this.rng.randInt(1, Math.min(3, candidates.length) - 1);
+      [candidates[0], candidates[pick]] = [candidates[pick], candidates[0]];
+    }
+
+    const actions = [...candidates.map(candidate => candidate.action), { type: 'END_TURN', actorId: view.unit.id }];
+    const planned = this.planner ? this.planner.plan(actions.slice(0, PLANNER_SUGGESTIONS)) : null;
+    return planned ? [planned.action, ...actions] : actions;
+  }
+
+  /**
+   * The best candidate for the current activation
+   * @param {Object} state - Public match state
+   * @returns {Object|null} Action intent, or null when it is not this AI's turn
+   */
+  chooseAction(state) {
+    return this.planActions(state)[0] || null;
+  }
+
+  /**
+   * Sort the public state into what the planner needs
+   * @param {Object} state - Public match state
+   * @returns {Object} {unit, allies, enemies, occupied, terrain, areas, strikeValues}
+   * @private
+   */
+  readState(state) {
+    const owners = new Map();
+    for (const player of state.players) {
+      for (const unitId of player.units) owners.set(unitId, player.id);
+    }
+    const controllers = new Map(state.controllers.map(entry => [entry.unitId, entry.playerId]));
+    const sideOf = (unitId) => controllers.has(unitId) ? controllers.get(unitId) : owners.get(unitId);
+
+    const placed = state.units.filter(unit => unit.position);
+    const active = placed.filter(unit => !unit.isIncapacitated);
+
+    // Objective areas: capture points and hills, with who holds them
+    const areas = [];
+    for (const objective of state.objectives || []) {
+      for (const point of objective.points || []) areas.push(point);
+      if (objective.hill) areas.push({ ...objective.hill, holder: objective.holder });
+    }
+
+    return {
+      unit: state.units.find(unit => unit.id === state.currentUnit.id) || state.currentUnit,
+      allies: active.filter(unit => sideOf(unit.id) === this.playerId),
+      enemies: active.filter(unit => sideOf(unit.id) !== this.playerId),
+      occupied: new Set(placed.map(unit => `${unit.position.x},${unit.position.y}`)),
+      terrain: new Map(state.terrain.map(tile => [`${tile.x},${tile.y}`, tile])),
+      areas,
+      strikeValues: new Map() // Enemy ID -> value of a basic attack from where the unit stands
+    };
+  }
+
+  /**
+   * Visible attack power left after the defender's mitigation
+   * @param {Object} attacker - Public unit data
+   * @param {Object} defender - Public unit data
+   * @returns {number} Unscaled damage guess
+   * @private
+   */
+  getMitigatedPower(attacker, defender) {
+    const magical = attacker.stats.MAG > attacker.stats.ATK;
+    const power = magical ? attacker.stats.MAG : attacker.stats.ATK;
+    const defense = magical ? defender.stats.RES : defender.stats.DEF;
+    return power * (1 - Math.min(0.9, defense * 0.02));
+  }
+
+  /**
+   * Rough damage of one attack from visible stats, for where no preview can
+   * be run (other tiles, enemy turns)
+   * @param {Object} attacker - Public unit data
+   * @param {Object} defender - Public unit data
+   * @returns {number} Damage guess
+   * @private
+   */
+  estimateDamage(attacker, defender) {
+    return Math.max(1, this.damageScale * this.getMitigatedPower(attacker, defender));
+  }
+
+  /**
+   * Move the damage guess towards what a preview showed
+   * @param {Object} attacker - Public unit data
+   * @param {Object} defender - Public unit data
+   * @param {number} average - Previewed average damage
+   * @private
+   */
+  learnDamage(attacker, defender, average) {
+    const power = this.getMitigatedPower(attacker, defender);
+    if (power > 0) {
+      this.damageScale += 0.2 * (average / power - this.damageScale);
+    }
+  }
+
+  /**
+   * Worth of a hit on a target in hit points, with the band's focus fire and
+   * kill priorities
+   * @param {Object} target - Public unit data
+   * @param {number} expected - Expected damage
+   * @param {number} killChance - Chance the hit incapacitates the target
+   * @returns {number} Value
+   * @private
+   */
+  valueHit(target, expected, killChance) {
+    const wounded = 1 - target.currentHP / target.stats.HP;
+    const killWeight = this.band.killWeight * (target.isLeader ? 2 : 1);
+    return expected * (1 + this.band.focusFireWeight * wounded) + killChance * killWeight;
+  }
+
+  /**
+   * Value of a basic attack on a target, guessed from visible stats
+   * @param {Object} unit - Attacking unit
+   * @param {Object} target - Target unit
+   * @returns {number} Value
+   * @private
+   */
+  guessStrikeValue(unit, target) {
+    const damage = this.estimateDamage(unit, target);
+    // Easy is greedy: raw damage, whether or not it lands
+    if (!this.band.checksLineOfSight) return damage;
+    return this.valueHit(target, damage * HIT_GUESS, damage >= target.currentHP ? HIT_GUESS : 0);
+  }
+
+  /**
+   * Basic attacks on enemies in weapon range
+   * @param {Object} view - Planner view
+   * @returns {Array} Candidates {score, action}
+   * @private
+   */
+  scoreAttacks(view) {
+    const { unit } = view;
+    if (unit.currentAP < ACTION_POINTS.COSTS.BASIC_ATTACK) return [];
+
+    const candidates = [];
+    for (const enemy of view.enemies) {
+      if (getDistance(unit.position, enemy.position) > unit.stats.RNG) continue;
+
+      let value;
+      if (!this.band.checksLineOfSight) {
+        value = this.guessStrikeValue(unit, enemy);
+      } else {
+        const preview = this.preview.attack(unit.id, enemy.id);
+        if (!preview.success) continue;
+
+        const { hitChance, critical, damage } = preview.data;
+        this.learnDamage(unit, enemy, damage.range.average);
+        const hit = hitChance.percentage / 100;
+        const crit = Math.min(hit, critical.chance / 100);
+        const expected = (hit - crit) * damage.range.average + crit * damage.criticalRange.average;
+        const killChance = (hit - crit) * getKillShare(damage.range, enemy.currentHP) +
+          crit * getKillShare(damage.criticalRange, enemy.currentHP);
+        value = this.valueHit(enemy, expected, killChance);
+      }
+
+      view.strikeValues.set(enemy.id, value);
+      candidates.push({ score: value, action: { type: 'ATTACK', actorId: unit.id, targetId: enemy.id } });
+    }
+    return candidates;
+  }
+
+  /**
+   * Abilities the band knows how to use, scored per action point
+   * @param {Object} view - Planner view
+   * @returns {Array} Candidates {score, action}
+   * @private
+   */
+  scoreAbilities(view) {
+    const { unit } = view;
+    const candidates = [];
+
+    for (const { id, cooldown } of unit.abilities) {
+      const info = abilityRegistry.getPublicInfo(id);
+      if (!info || id === 'STRIKE' || cooldown > 0) continue;
+      if (unit.currentAP < info.apCost || unit.currentMP < info.mpCost) continue;
+      if (info.tags.includes('leader_only') && !unit.isLeader) continue;
+      // Movement archetypes are left to plain moves
+      if (info.tags.includes('mobility')) continue;
+      if (!this.band.supportAbilities && info.type !== 'damage') continue;
+
+      const range = info.range !== null ? info.range : unit.stats.RNG;
+      const scored = this.scoreAbility(view, info, range);
+      for (const candidate of scored) {
+        candidate.score /= Math.max(1, info.apCost);
+        candidates.push(candidate);
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Candidates for one ability
+   * @param {Object} view - Planner view
+   * @param {Object} info - Public ability info
+   * @param {number} range - Ability range for this caster
+   * @returns {Array} Candidates {score, action}, scored for the whole ability
+   * @private
+   */
+  scoreAbility(view, info, range) {
+    const { unit } = view;
+    const inRange = (units) => units.filter(other => getDistance(unit.position, other.position) <= range);
+    const ability = (targetId, extra = {}) => ({ type: 'ABILITY', actorId: unit.id, abilityId: info.id, targetId, ...extra });
+    const candidates = [];
+
+    if (info.type === 'damage' && info.targeting === 'tile') {
+      // Area strikes: centred on each enemy in range, allies in the blast count against
+      for (const center of inRange(view.enemies)) {
+        const caught = [...view.enemies, ...view.allies]
+          .filter(other => getDistance(center.position, other.position) <= info.area.radius);
+        const preview = this.preview.ability(unit.id, info.id, caught.map(other => other.id));
+        if (!preview.success) continue;
+
+        const effect = preview.data.effects[0];
+        let value = 0;
+        for (const entry of effect.targets) {
+          const target = caught.find(other => other.id === entry.targetId);
+          const hit = entry.hitChance !== undefined ? entry.hitChance / 100 : RESIST_FACTOR;
+          const expected = hit * (entry.damage.min + entry.damage.max) / 2;
+          value += view.enemies.includes(target) ?
+            this.valueHit(target, expected, hit * getKillShare(entry.damage, target.currentHP)) :
+            -1.5 * expected;
+        }
+        candidates.push({ score: value, action: ability(undefined, { targetPosition: { ...center.position } }) });
+      }
+      return candidates;
+    }
+
+    if (info.type === 'damage') {
+      for (const enemy of inRange(view.enemies)) {
+        const preview = this.preview.ability(unit.id, info.id, [enemy.id]);
+        if (!preview.success) continue;
+
+        const entry = preview.data.effects[0].targets[0];
+        // Executes are only worth their cooldown on a target below the threshold
+        if (info.tags.includes('execute') && !entry.finisher) continue;
+        const hit = entry.hitChance !== undefined ? entry.hitChance / 100 : RESIST_FACTOR;
+        const expected = hit * (entry.damage.min + entry.damage.max) / 2;
+        candidates.push({
+          score: this.valueHit(enemy, expected, hit * getKillShare(entry.damage, enemy.currentHP)),
+          action: ability(enemy.id)
+        });
+      }
+      return candidates;
+    }
+
+    if (info.type === 'healing') {
+      for (const ally of inRange(view.allies)) {
+        const missing = ally.stats.HP - ally.currentHP;
+        if (missing <= 0) continue;
+        const preview = this.preview.ability(unit.id, info.id, [ally.id]);
+        if (!preview.success) continue;
+
+        const healed = Math.min(missing, preview.data.effects[0].range.average);
+        if (healed * 2 < preview.data.effects[0].range.average) continue;
+        candidates.push({ score: healed * (ally.isLeader ? 1.5 : 1), action: ability(ally.id) });
+      }
+      return candidates;
+    }
+
+    if (info.type === 'support') {
+      // Cleanse: one debuff or control effect is worth about one enemy hit
+      for (const ally of inRange(view.allies)) {
+        const harmful = ally.statusEffects.filter(effect => effect.type === 'debuff' || effect.type === 'control');
+        if (harmful.length === 0) continue;
+        const worth = view.enemies.reduce((best, enemy) => Math.max(best, this.estimateDamage(enemy, ally)), 0);
+        candidates.push({ score: harmful.length * worth * HIT_GUESS, action: ability(ally.id) });
+      }
+      return candidates;
+    }
+
+    if (!['buff', 'debuff', 'control'].includes(info.type) || (info.type === 'buff' && info.tags.includes('vision'))) {
+      return candidates;
+    }
+
+    const targets = info.targeting === 'self' ? [unit] : inRange(info.type === 'buff' ? view.allies : view.enemies);
+    for (const target of targets) {
+      const preview = this.preview.ability(unit.id, info.id, [target.id]);
+      if (!preview.success) continue;
+
+      const statusId = preview.data.effects[0].status.id;
+      const hasStatus = (other) => other.statusEffects.some(effect => effect.statusId === statusId);
+      const landing = info.resistible ? 0.5 : 1;
+      let value = 0;
+
+      if (info.type === 'buff' && info.tags.includes('affects_allies')) {
+        // Inspire-style auras: each ally in the area without the buff yet
+        const helped = view.allies.filter(ally => ally.id !== unit.id && !hasStatus(ally) &&
+          getDistance(unit.position, ally.position) <= info.area.radius);
+        value = helped.length * 2;
+      } else if (info.type === 'buff') {
+        // Guard-style self buffs: the defense they add, against the damage heading this way
+        const { effects } = preview.data.effects[0].status;
+        const shield = Math.min(0.9, Math.max(effects.DEF || 0, effects.RES || 0) * 0.02);
+        if (!hasStatus(target)) value = shield * this.getThreat(view, target.position);
+      } else if (info.type === 'debuff') {
+        // Marks: worth it on a target the rest of the army can reach
+        if (hasStatus(target)) continue;
+        const attackers = view.allies.filter(ally => ally.id !== unit.id &&
+          getDistance(ally.position, target.position) <= ally.stats.MOV + ally.stats.RNG);
+        value = this.band.focusFireWeight * attackers.length * 5;
+      } else {
+        // Control: roughly one of the target's activations taken away
+        if (hasStatus(target)) continue;
+        const victim = view.allies.reduce((best, ally) => Math.max(best, this.estimateDamage(target, ally)), 0);
+        value = landing * victim * HIT_GUESS * ENEMY_STRIKES;
+      }
+
+      if (value > 0) {
+        candidates.push({ score: value, action: ability(info.targeting === 'self' ? undefined : target.id) });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Moves to reachable tiles, scored by how much better the unit stands there
+   * @param {Object} view - Planner view
+   * @returns {Array} Candidates {score, action}
+   * @private
+   */
+  scoreMoves(view) {
+    const { unit } = view;
+    if (unit.currentAP < ACTION_POINTS.COSTS.MOVE) return [];
+
+    const reach = this.preview.movementRange(unit.id);
+    if (!reach.success) return [];
+
+    const here = this.scorePosition(view, unit.position, unit.currentAP, true);
+    const apAfter = unit.currentAP - ACTION_POINTS.COSTS.MOVE;
+    const options = this.band.avoidsZoneOfControl ? { avoidZoneOfControl: true } : {};
+
+    const moves = reach.data.tiles
+      .filter(tile => !view.occupied.has(`${tile.x},${tile.y}`))
+      .map(tile => ({
+        position: { x: tile.x, y: tile.y },
+        score: this.scorePosition(view, tile, apAfter, false) - here
+      }))
+      .filter(move => move.score >= MIN_MOVE_GAIN)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MOVE_CHECKS);
+
+    // Bands that avoid attacks of opportunity pay for the ones a route still provokes
+    if (this.band.avoidsZoneOfControl) {
+      for (const move of moves) {
+        const route = this.preview.movement(unit.id, move.position, options);
+        if (!route.success) {
+          move.score = 0;
+          continue;
+        }
+        for (const attack of route.data.opportunityAttacks) {
+          move.score -= (attack.hitChance / 100) * (attack.damage.min + attack.damage.max) / 2;
+        }
+      }
+    }
+
+    return moves.map(move => ({
+      score: move.score,
+      action: { type: 'MOVE', actorId: unit.id, targetPosition: move.position, ...options }
+    }));
+  }
+
+  /**
+   * How good a tile is to stand on with some action points left
+   * @param {Object} view - Planner view
+   * @param {Object} position - Tile {x, y}
+   * @param {number} apLeft - Action points left there
+   * @param {boolean} isHere - True for the unit's own tile (previewed attacks apply)
+   * @returns {number} Score in hit points
+   * @private
+   */
+  scorePosition(view, position, apLeft, isHere) {
+    const band = this.band;
+    const strikes = Math.floor(apLeft / ACTION_POINTS.COSTS.BASIC_ATTACK);
+    const offense = strikes > 0 ? this.getOffense(view, position, isHere) : 0;
+    let score = offense * strikes;
+
+    if (offense === 0) {
+      score += this.getApproach(view, position);
+    }
+
+    const tile = view.terrain.get(`${position.x},${position.y}`);
+    if (tile) {
+      score += band.terrainWeight * (tile.coverValue + tile.evasionBonus * 5);
+      score += band.heightWeight * tile.height;
+    }
+
+    score -= band.threatWeight * this.getThreat(view, position);
+
+    if (band.objectiveWeight > 0) {
+      for (const area of view.areas) {
+        const gap = Math.max(0, getDistance(position, area) - (area.radius || 0));
+        // Inside: take or deny it; outside: the nearer the better
+        score += gap === 0 ?
+          band.objectiveWeight * (area.holder === this.playerId ? 0.5 : 1) :
+          -band.objectiveWeight * 0.05 * gap;
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Value of the best basic attack the unit could make from a tile
+   * @param {Object} view - Planner view
+   * @param {Object} position - Tile {x, y}
+   * @param {boolean} isHere - True for the unit's own tile
+   * @returns {number} Value of one attack, 0 with nothing in reach
+   * @private
+   */
+  getOffense(view, position, isHere) {
+    const { unit } = view;
+    let best = 0;
+
+    for (const enemy of view.enemies) {
+      const distance = getDistance(position, enemy.position);
+      if (distance === 0 || distance > unit.stats.RNG) continue;
+
+      // Where the unit stands the previews already ruled out blocked shots
+      let value = view.strikeValues.has(enemy.id) ? view.strikeValues.get(enemy.id) :
+        (isHere && this.band.checksLineOfSight ? 0 : this.guessStrikeValue(unit, enemy));
+
+      if (!isHere && this.band.backstabWeight > 0 && unit.stats.RNG === 1) {
+        const side = SituationalModifiers.getAttackSide(position, enemy.position, enemy.facing);
+        if (side === 'back') value *= 1 + this.band.backstabWeight;
+        if (side === 'flank') value *= 1 + this.band.backstabWeight / 2;
+      }
+      best = Math.max(best, value);
+    }
+    return best;
+  }
+
+  /**
+   * Pull towards the next target for a tile with nothing in reach. Focus-fire
+   * bands close on their priority target, the others on whoever is nearest;
+   * AP-baiting bands stop just outside the reach of a target that has yet to
+   * act, so it must spend its own action points coming in
+   * @param {Object} view - Planner view
+   * @param {Object} position - Tile {x, y}
+   * @returns {number} Score in hit points (never positive)
+   * @private
+   */
+  getApproach(view, position) {
+    const { unit } = view;
+    if (view.enemies.length === 0) return 0;
+
+    const gapTo = (enemy) => Math.max(0, getDistance(position, enemy.position) - unit.stats.RNG);
+    if (this.band.focusFireWeight === 0) {
+      return -APPROACH_WEIGHT * Math.min(...view.enemies.map(gapTo));
+    }
+
+    const target = this.getFocusTarget(view);
+    if (this.band.apBaiting && !target.hasActedThisTurn) {
+      const waitAt = target.stats.MOV + target.stats.RNG + 1;
+      return -APPROACH_WEIGHT * Math.abs(getDistance(position, target.position) - waitAt);
+    }
+    return -APPROACH_WEIGHT * gapTo(target);
+  }
+
+  /**
+   * Enemy the focus-fire bands go after: the best value for its distance
+   * @param {Object} view - Planner view
+   * @returns {Object} Public unit data
+   * @private
+   */
+  getFocusTarget(view) {
+    if (!view.focusTarget) {
+      const { unit } = view;
+      const priority = (enemy) => this.guessStrikeValue(unit, enemy) -
+        APPROACH_WEIGHT * getDistance(unit.position, enemy.position) / Math.max(1, unit.stats.MOV);
+      view.focusTarget = view.enemies.reduce((best, enemy) => priority(enemy) > priority(best) ? enemy : best);
+    }
+    return view.focusTarget;
+  }
+
+  /**
+   * Damage the unit could take on a tile from enemies able to reach it next
+   * @param {Object} view - Planner view
+   * @param {Object} position - Tile {x, y}
+   * @returns {number} Expected damage
+   * @private
+   */
+  getThreat(view, position) {
+    let threat = 0;
+    for (const enemy of view.enemies) {
+      const reach = enemy.stats.MOV + enemy.stats.RNG;
+      if (getDistance(position, enemy.position) > reach) continue;
+
+      // An enemy with several units in reach spreads its attacks among them
+      const exposed = view.allies.filter(ally => getDistance(ally.position, enemy.position) <= reach).length;
+      threat += this.estimateDamage(enemy, view.unit) * HIT_GUESS * ENEMY_STRIKES / Math.max(1, exposed);
+    }
+    return threat;
+  }
+}
+
+export default AIPlayer;
@@ -0,0 +1,664 @@
+/**
+ * Expectimax Planner for Tactica Arena
+ *
+ * Turn planner for the AI bands with search set (Expert):
+ * - Searches the acting unit's action sequences within its AP, and past the
+ *   end of its activation into the units that act next, on clones of the
+ *   match state resolved by the engine's own ActionResolver
+ * - Strikes are chance nodes: miss, hit and critical hit weighted by the hit
+ *   and critical chances from HitCalculator.calculateHitChance (built on
+ *   calculateHitProbabilities), each landing the average of the
+ *   DamageCalculator.calculateDamagePreview range with the facing, height
+ *   and status modifiers a real strike gets
+ * - The opponent's units pick the reply that is worst for the planner
+ * - Actions it does not generate itself (statuses, repositioning) can be
+ *   handed in as suggestions and are weighed alongside its own
+ * - Iterative deepening under a per-activation node budget (AI.SEARCH),
+ *   optionally capped by a wall-clock budget for live play
+ *
+ * The search reads the numbers a player's previews show, never the match
+ * RNG: every clone rolls the planner's own dice, so nothing it simulates
+ * says what the real rolls will be. Given the same seed and node budget it
+ * picks the same actions; only a wall-clock cap, when one is set, can cut a
+ * search short differently from run to run.
+ */
+
+import { AI, ACTION_POINTS } from '../constants/GameConstants.js';
+import { ActionResolver } from '../systems/ActionResolver.js';
+import { InitiativeSystem } from '../systems/InitiativeSystem.js';
+import { CombatStateGrid } from '../systems/Pathfinder.js';
+import { SituationalModifiers } from '../systems/HitCalculator.js';
+import { Action } from '../systems/ActionPointSystem.js';
+import { CLASS_WEAPONS } from '../systems/DamageCalculator.js';
+import { abilityRegistry } from '../data/AbilityTemplates.js';
+import { DeterministicRNG } from '../core/DeterministicRNG.js';
+
+const UNIT_WORTH = 30; // Hit points a unit at full health is worth on top of its remaining HP
+const LEADER_FACTOR = 1.5; // Leaders count for this much more
+const WIN_VALUE = 10000; // A decided match outweighs any material count
+const APPROACH_WEIGHT = 1; // Per tile a unit stands outside its weapon range of the nearest enemy
+const THREAT_WEIGHT = 0.5; // Per hit point of the best strike a unit can reach, for each strike it has left
+const NEXT_ROUND = 0.5; // Share of next round's strikes that counts
+const AP_WEIGHT = 1; // Per action point a unit still has to spend this round, so ending early costs something
+const MODIFIER_SCALE = 1000; // Damage run through the strike modifiers to read them as a factor
+const SEARCHED_ABILITIES = ['strike', 'area_strike', 'dash', 'heal']; // Effects the evaluation can score
+
+const BUDGET_SPENT = Symbol('budget spent');
+
+/**
+ * Chebyshev distance between two positions
+ * @param {Object} a - Position {x, y}
+ * @param {Object} b - Position {x, y}
+ * @returns {number} Distance in tiles
+ */
+function getDistance(a, b) {
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+/**
+ * Action resolver whose strikes land set or expected damage instead of rolling
+ */
+class SearchResolver extends ActionResolver {
+  /**
+   * Create search resolver
+   * @param {Object} config - Resolver configuration
+   * @param {Function} config.getStrikeOdds - (combatState, attacker, target, ability, weaponType) => odds
+   */
+  constructor(config = {}) {
+    super(config);
+    this.getStrikeOdds = config.getStrikeOdds;
+    this.forcedStrike = null; // {attackerId, targetId, outcome, damage} for the next matching strike
+  }
+
+  /**
+   * Land a strike: the forced outcome if it matches, otherwise the expected damage
+   * @param {CombatState} combatState - Cloned state
+   * @param {Unit} attacker - Attacking unit
+   * @param {Unit} target - Target unit
+   * @param {Object} ability - Ability definition
+   * @param {ActionResult} result - Result to append events to
+   * @param {Object} options - Strike options {weaponType}
+   */
+  resolveStrike(combatState, attacker, target, ability, result, options = {}) {
+    const forced = this.forcedStrike;
+    let outcome;
+    let damage;
+    let damageType;
+
+    if (forced && forced.attackerId === attacker.id && forced.targetId === target.id) {
+      this.forcedStrike = null;
+      ({ outcome, damage, damageType } = forced);
+    } else {
+      const odds = this.getStrikeOdds(combatState, attacker, target, ability, options.weaponType);
+      outcome = 'expected';
+      damage = Math.round(odds.hit * odds.damage + odds.critical * (odds.criticalDamage - odds.damage));
+      damageType = odds.damageType;
+    }
+
+    result.addEvent('attack', { attackerId: attacker.id, targetId: target.id, outcome });
+    if (damage > 0) {
+      this.applyDamage(combatState, target, damage, damageType, attacker.id, result);
+    }
+  }
+}
+
+/**
+ * Main Expectimax Planner class
+ */
+export class ExpectimaxPlanner {
+  /**
+   * Create planner
+   * @param {Object} config - Planner configuration
+   * @param {number} config.playerId - Seat the planner plays
+   * @param {Function} config.getState - Returns the live CombatState (read and cloned, never changed)
+   * @param {number} config.seed - Seed for the simulated dice
+   * @param {number} config.maxDepth - Actions looked ahead (default AI.SEARCH.MAX_DEPTH)
+   * @param {number} config.nodeBudget - States simulated per activation (default AI.SEARCH.NODE_BUDGET)
+   * @param {number} config.timeBudgetMs - Wall-clock cap per activation, for live play (default none, so
+   *   seeded runs repeat; AI.SEARCH.TIME_BUDGET_MS is the live value)
+   * @param {Function} config.now - Clock for the time budget (default Date.now)
+   */
+  constructor(config = {}) {
+    if (typeof config.getState !== 'function') {
+      throw new Error('ExpectimaxPlanner needs getState');
+    }
+
+    this.playerId = config.playerId;
+    this.getState = config.getState;
+    this.maxDepth = config.maxDepth || AI.SEARCH.MAX_DEPTH;
+    this.nodeBudget = config.nodeBudget || AI.SEARCH.NODE_BUDGET;
+    this.timeBudgetMs = config.timeBudgetMs || null;
+    this.now = config.now || (() => Date.now());
+    this.diceSeed = new DeterministicRNG(config.seed !== undefined ? config.seed : 1).deriveSeed('search');
+
+    this.resolver = new SearchResolver({
+      initiativeSystem: new InitiativeSystem(),
+      getStrikeOdds: (...args) => this.getStrikeOdds(...args)
+    });
+    this.hitCalculator = this.resolver.hitCalculator;
+    this.damageCalculator = this.resolver.damageCalculator;
+
+    this.activation = null; // {key, nodesLeft, deadline} for the activation being planned
+    this.nodes = 0;
+    this.nodeLimit = 0;
+    this.deadline = 0;
+    this.strikeValues = new Map(); // Attacker and target as they stand -> expected strike damage, per plan
+  }
+
+  /**
+   * Plan the current unit's next action
+   * @param {Array} suggestions - Extra intents to weigh at the root, e.g. a heuristic AI's picks;
+   *   lets the search judge actions it does not generate itself (statuses, repositioning)
+   * @returns {Object|null} {action, value, depth, nodes, timedOut}, or null when it is not
+   *   this planner's turn
+   */
+  plan(suggestions = []) {
+    const state = this.getState();
+    const unit = state && state.phase === 'COMBAT' ? state.getCurrentUnit() : null;
+    if (!unit || state.getPlayerForUnit(unit.id) !== this.playerId) return null;
+
+    // The activation's budget is shared out over the actions its AP allows
+    const key = `${state.turn}:${unit.id}`;
+    if (!this.activation || this.activation.key !== key) {
+      const deadline = this.timeBudgetMs ? this.now() + this.timeBudgetMs : Infinity;
+      this.activation = { key, nodesLeft: this.nodeBudget, deadline };
+    }
+    const shares = Math.max(1, unit.currentAP);
+    this.nodes = 0;
+    this.nodeLimit = Math.max(1, Math.floor(this.activation.nodesLeft / shares));
+    this.deadline = this.now() + Math.max(0, (this.activation.deadline - this.now()) / shares);
+    this.strikeValues.clear();
+
+    const root = this.cloneState(state);
+    const candidates = this.generateActions(root, root.getCurrentUnit());
+    const known = new Set(candidates.map(action => JSON.stringify(action)));
+    for (const suggestion of suggestions) {
+      const action = {
+        type: suggestion.type,
+        actorId: suggestion.actorId,
+        targetId: suggestion.targetId,
+        targetPosition: suggestion.targetPosition,
+        abilityId: suggestion.abilityId,
+        avoidZoneOfControl: suggestion.avoidZoneOfControl
+      };
+      Object.keys(action).forEach(key => action[key] === undefined && delete action[key]);
+      const key = JSON.stringify(action);
+      if (action.actorId === unit.id && !known.has(key)) {
+        known.add(key);
+        candidates.push(action);
+      }
+    }
+
+    let best = null;
+    let timedOut = false;
+
+    for (let depth = 1; depth <= this.maxDepth; depth++) {
+      try {
+        best = { ...this.searchRoot(root, candidates, depth), depth };
+      } catch (error) {
+        if (error !== BUDGET_SPENT) throw error;
+        timedOut = this.now() >= this.deadline;
+        break;
+      }
+    }
+
+    this.activation.nodesLeft = Math.max(0, this.activation.nodesLeft - this.nodes);
+    if (!best) {
+      return { action: { type: 'END_TURN', actorId: unit.id }, value: 0, depth: 0, nodes: this.nodes, timedOut };
+    }
+    return { ...best, nodes: this.nodes, timedOut };
+  }
+
+  /**
+   * Search every candidate at the root to a depth
+   * @param {CombatState} state - Root clone
+   * @param {Array} candidates - Root actions
+   * @param {number} depth - Actions to look ahead
+   * @returns {Object} {action, value}
+   * @private
+   */
+  searchRoot(state, candidates, depth) {
+    const unit = state.getCurrentUnit();
+    let best = null;
+
+    for (const action of candidates) {
+      const value = this.valueAction(state, unit, action, depth - 1);
+      if (value !== null && (!best || value > best.value)) {
+        best = { action, value };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Value of a state: the best (or, for the opponent, worst) action of the unit to act
+   * @param {CombatState} state - Clone
+   * @param {number} depth - Actions left to look ahead
+   * @returns {number} Value for the planner
+   * @private
+   */
+  search(state, depth) {
+    if (depth <= 0 || state.phase !== 'COMBAT') {
+      return this.evaluate(state);
+    }
+
+    const unit = state.getCurrentUnit();
+    if (!unit) return this.evaluate(state);
+
+    const maximizing = state.getPlayerForUnit(unit.id) === this.playerId;
+    let best = null;
+    for (const action of this.generateActions(state, unit)) {
+      const value = this.valueAction(state, unit, action, depth - 1);
+      if (value === null) continue;
+      if (best === null || (maximizing ? value > best : value < best)) {
+        best = value;
+      }
+    }
+    return best === null ? this.evaluate(state) : best;
+  }
+
+  /**
+   * Value of taking an action: a chance node over strike outcomes, or the
+   * one state the action leads to
+   * @param {CombatState} state - State before the action
+   * @param {Unit} unit - Acting unit
+   * @param {Object} action - Action intent
+   * @param {number} depth - Actions left to look ahead afterwards
+   * @returns {number|null} Value, or null if the engine rejects the action
+   * @private
+   */
+  valueAction(state, unit, action, depth) {
+    const outcomes = this.getOutcomes(state, unit, action);
+    if (!outcomes) {
+      const next = this.simulate(state, action, null);
+      return next ? this.search(next, depth) : null;
+    }
+
+    let value = 0;
+    for (const outcome of outcomes) {
+      const next = this.simulate(state, action, outcome);
+      if (!next) return null;
+      value += outcome.chance * this.search(next, depth);
+    }
+    return value;
+  }
+
+  /**
+   * Strike outcomes of an action that makes one unit-targeted strike
+   * @param {CombatState} state - State before the action
+   * @param {Unit} unit - Acting unit
+   * @param {Object} action - Action intent
+   * @returns {Array|null} [{chance, attackerId, targetId, outcome, damage, damageType}], or null
+   *   for actions without a single strike
+   * @private
+   */
+  getOutcomes(state, unit, action) {
+    let ability;
+    if (action.type === 'ATTACK') {
+      ability = abilityRegistry.get('STRIKE');
+    } else if (action.type === 'ABILITY') {
+      ability = abilityRegistry.get(action.abilityId);
+      if (!ability || (ability.effect !== 'strike' && ability.effect !== 'dash')) return null;
+    } else {
+      return null;
+    }
+
+    const target = state.getUnit(action.targetId);
+    if (!target) return null;
+
+    // Dash strikes from where it lands; the odds from here are close enough to weigh it
+    const odds = this.getStrikeOdds(state, unit, target, ability);
+    const strike = { attackerId: unit.id, targetId: target.id, damageType: odds.damageType };
+    const critical = odds.critical >= AI.SEARCH.MIN_OUTCOME_CHANCE ? odds.critical : 0;
+    const plainHit = odds.hit - critical;
+    const outcomes = [];
+
+    if (1 - odds.hit >= AI.SEARCH.MIN_OUTCOME_CHANCE || odds.hit <= 0) {
+      outcomes.push({ ...strike, chance: 1 - odds.hit, outcome: 'miss', damage: 0 });
+    }
+    if (plainHit > 0) {
+      // Critical hits too rare for their own branch raise the hit's damage instead
+      const folded = odds.critical - critical;
+      const damage = (plainHit - folded) * odds.damage + folded * odds.criticalDamage;
+      outcomes.push({ ...strike, chance: plainHit, outcome: 'hit', damage: Math.max(1, Math.round(damage / plainHit)) });
+    }
+    if (critical > 0) {
+      outcomes.push({ ...strike, chance: critical, outcome: 'critical', damage: Math.max(1, Math.round(odds.criticalDamage)) });
+    }
+
+    // Branches dropped for being unlikely hand their share to the rest
+    const total = outcomes.reduce((sum, outcome) => sum + outcome.chance, 0);
+    return outcomes.map(outcome => ({ ...outcome, chance: outcome.chance / total }));
+  }
+
+  /**
+   * Hit chance, critical chance and average damage of one strike
+   * @param {CombatState} state - State the strike happens in
+   * @param {Unit} attacker - Attacking unit
+   * @param {Unit} target - Target unit
+   * @param {Object} ability - Strike ability definition
+   * @param {string} weaponType - Weapon (default the class weapon)
+   * @returns {Object} {hit, critical, damage, criticalDamage, damageType}; critical is part of hit
+   */
+  getStrikeOdds(state, attacker, target, ability, weaponType) {
+    const damageSpec = ability.damage || { source: 'weapon' };
+    const isSpell = damageSpec.source === 'spell';
+
+    // The same inputs resolveStrike and the ability preview use
+    const chance = this.hitCalculator.calculateHitChance(attacker, target, state, { isSpell: isSpell || undefined });
+    const preview = this.damageCalculator.calculateDamagePreview(attacker, target, {
+      type: isSpell ? damageSpec.spell : (weaponType || CLASS_WEAPONS[attacker.class] || 'SWORD'),
+      isSpell,
+      level: damageSpec.level || 1
+    });
+
+    // The preview leaves out facing, height and statuses; scale it by what they add to a strike
+    const situational = SituationalModifiers.calculate(attacker, target, state, { isSpell: isSpell || undefined });
+    const scaled = this.damageCalculator.calculateFinalDamage(attacker, target,
+      { totalDamage: MODIFIER_SCALE, type: preview.damageType }, {
+        backstab: situational.backstab,
+        flanking: situational.flanking,
+        heightAdvantage: situational.heightBonus,
+        distance: getDistance(attacker.position, target.position)
+      });
+
+    let multiplier = (damageSpec.multiplier || 1) * scaled.beforeMitigation / MODIFIER_SCALE;
+    if (damageSpec.executeThreshold &&
+        target.currentHP / target.getCurrentStats().HP <= damageSpec.executeThreshold) {
+      multiplier *= damageSpec.executeMultiplier || 1;
+    }
+
+    // Mitigation comes off after the modifiers, as in calculateFinalDamage
+    const base = preview.baseDamageRange;
+    const critical = preview.criticalDamageRange;
+    const mitigation = base.max - preview.estimatedFinalRange.max;
+    const hit = Math.min(1, Math.max(0, chance.effectiveHitChance));
+    return {
+      hit,
+      critical: Math.min(hit, Math.max(0, chance.criticalChance)),
+      damage: Math.max(1, (base.min + base.max) / 2 * multiplier - mitigation),
+      criticalDamage: Math.max(1, (critical.min + critical.max) / 2 * multiplier - mitigation),
+      damageType: preview.damageType
+    };
+  }
+
+  /**
+   * Resolve an action on a fresh clone
+   * @param {CombatState} state - State before the action
+   * @param {Object} action - Action intent
+   * @param {Object|null} outcome - Strike outcome to force
+   * @returns {CombatState|null} State after the action, or null if it was rejected
+   * @private
+   */
+  simulate(state, action, outcome) {
+    if (++this.nodes > this.nodeLimit || this.now() >= this.deadline) {
+      throw BUDGET_SPENT;
+    }
+
+    const next = this.cloneState(state);
+    this.resolver.forcedStrike = outcome;
+    const result = this.resolver.resolve(next, { ...action, playerId: next.getPlayerForUnit(action.actorId) });
+    this.resolver.forcedStrike = null;
+    return result.success ? next : null;
+  }
+
+  /**
+   * Copy a state for simulation, with the planner's dice in place of the match's RNG streams
+   * @param {CombatState} state - State to copy
+   * @returns {CombatState} Clone
+   * @private
+   */
+  cloneState(state) {
+    const clone = state.clone();
+    clone.setRNG(new DeterministicRNG(this.diceSeed, { algorithm: state.rngAlgorithm }));
+    return clone;
+  }
+
+  /**
+   * Candidate actions for the acting unit: every strike it can make, its
+   * scoring abilities, a few destinations and ending the activation
+   * @param {CombatState} state - Current clone
+   * @param {Unit} unit - Acting unit
+   * @returns {Array} Action intents
+   * @private
+   */
+  generateActions(state, unit) {
+    const actions = [];
+    const enemies = this.getOpponents(state, unit);
+
+    for (const enemy of enemies) {
+      this.addIfValid(state, unit, actions, { type: 'ATTACK', actorId: unit.id, targetId: enemy.id });
+    }
+
+    for (const abilityId of unit.abilities) {
+      const ability = abilityRegistry.get(abilityId);
+      // Plain strikes are searched as ATTACK
+      if (!ability || ability.id === 'STRIKE' || !SEARCHED_ABILITIES.includes(ability.effect)) continue;
+
+      if (ability.effect === 'heal') {
+        // The most wounded ally in reach is the only heal worth a branch
+        const wounded = this.getAllies(state, unit)
+          .filter(ally => ally.currentHP < ally.getCurrentStats().HP)
+          .sort((a, b) => a.currentHP / a.getCurrentStats().HP - b.currentHP / b.getCurrentStats().HP);
+        for (const ally of wounded) {
+          if (this.addIfValid(state, unit, actions, { type: 'ABILITY', actorId: unit.id, abilityId, targetId: ally.id })) break;
+        }
+      } else if (ability.targeting === 'tile') {
+        for (const enemy of enemies) {
+          this.addIfValid(state, unit, actions, {
+            type: 'ABILITY', actorId: unit.id, abilityId, targetPosition: { ...enemy.position }
+          });
+        }
+      } else if (ability.id !== 'FINISHER' || enemies.some(enemy => this.isFinishable(enemy, ability))) {
+        for (const enemy of enemies) {
+          if (ability.effect === 'dash') {
+            for (const landing of this.getDashLandings(state, unit, enemy)) {
+              if (this.addIfValid(state, unit, actions, {
+                type: 'ABILITY', actorId: unit.id, abilityId, targetId: enemy.id, targetPosition: landing
+              })) break;
+            }
+          } else if (ability.id !== 'FINISHER' || this.isFinishable(enemy, ability)) {
+            this.addIfValid(state, unit, actions, { type: 'ABILITY', actorId: unit.id, abilityId, targetId: enemy.id });
+          }
+        }
+      }
+    }
+
+    actions.push(...this.generateMoves(state, unit, enemies));
+    actions.push({ type: 'END_TURN', actorId: unit.id });
+    return actions;
+  }
+
+  /**
+   * Whether an execute ability gets its bonus against a unit
+   * @param {Unit} target - Target unit
+   * @param {Object} ability - Ability definition
+   * @returns {boolean} True below the execute threshold
+   * @private
+   */
+  isFinishable(target, ability) {
+    const threshold = ability.damage && ability.damage.executeThreshold;
+    return !!threshold && target.currentHP / target.getCurrentStats().HP <= threshold;
+  }
+
+  /**
+   * Add an action if the engine would accept it and the unit can pay for it
+   * @param {CombatState} state - Current clone
+   * @param {Unit} unit - Acting unit
+   * @param {Array} actions - List to add to
+   * @param {Object} action - Action intent
+   * @returns {boolean} True if added
+   * @private
+   */
+  addIfValid(state, unit, actions, action) {
+    if (this.resolver.planAction(state, unit, action.type, action).error) return false;
+
+    const apAction = new Action({ type: action.type, unitId: unit.id, abilityId: action.abilityId });
+    if (!this.resolver.actionPointSystem.canAffordAction(unit, apAction).canAfford) return false;
+
+    actions.push(action);
+    return true;
+  }
+
+  /**
+   * Free tiles next to a target for a dash to land on, nearest the dasher first
+   * @param {CombatState} state - Current clone
+   * @param {Unit} unit - Dashing unit
+   * @param {Unit} target - Target unit
+   * @returns {Array} Landing tiles {x, y}
+   * @private
+   */
+  getDashLandings(state, unit, target) {
+    const tiles = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const tile = { x: target.position.x + dx, y: target.position.y + dy };
+        if ((dx === 0 && dy === 0) || state.getUnitAtPosition(tile.x, tile.y) ||
+            !state.isPositionPassable(tile.x, tile.y, unit.movementType)) continue;
+        tiles.push(tile);
+      }
+    }
+    return tiles.sort((a, b) => getDistance(unit.position, a) - getDistance(unit.position, b));
+  }
+
+  /**
+   * A few destinations worth searching: the best by a quick score, plus the
+   * reachable tile the fewest enemies can strike next activation
+   * @param {CombatState} state - Current clone
+   * @param {Unit} unit - Moving unit
+   * @param {Array} enemies - Enemy units
+   * @returns {Array} MOVE intents
+   * @private
+   */
+  generateMoves(state, unit, enemies) {
+    if (unit.hasStatusFlag('cannotMove') || enemies.length === 0 ||
+        unit.currentAP < abilityRegistry.get('STRIKE').apCost) return [];
+
+    const grid = new CombatStateGrid(state);
+    const pathfinder = this.resolver.pathfinder;
+    const tiles = pathfinder.getReachableTiles(grid, grid.createMover(unit));
+    if (tiles.length === 0) return [];
+
+    const range = unit.getCurrentStats().RNG || 1;
+    const scored = tiles.map(tile => {
+      const gap = Math.min(...enemies.map(enemy => getDistance(tile, enemy.position)));
+      const reprisals = enemies.filter(enemy => {
+        const stats = enemy.getCurrentStats();
+        return getDistance(tile, enemy.position) <= stats.MOV + (stats.RNG || 1);
+      }).length;
+      return { tile, gap, reprisals, score: (gap <= range ? 10 : -(gap - range)) - 2 * reprisals };
+    });
+
+    const picks = [...scored].sort((a, b) => b.score - a.score).slice(0, AI.SEARCH.MOVE_CANDIDATES);
+    const safest = [...scored].sort((a, b) => a.reprisals - b.reprisals || a.gap - b.gap)[0];
+    if (!picks.includes(safest)) picks.push(safest);
+
+    // Routes around zones of control are taken where they reach as far
+    const avoiding = pathfinder.search(grid, grid.createMover(unit, { avoidZoneOfControl: true }));
+    const movement = unit.getCurrentStats().MOV;
+    return picks.map(({ tile }) => ({
+      type: 'MOVE',
+      actorId: unit.id,
+      targetPosition: { x: tile.x, y: tile.y },
+      avoidZoneOfControl: avoiding.canStopAt(tile.x, tile.y) && avoiding.getCost(tile.x, tile.y) <= movement
+    }));
+  }
+
+  /**
+   * Active units fighting against a unit
+   * @param {CombatState} state - Current clone
+   * @param {Unit} unit - Unit
+   * @returns {Array} Enemy units
+   * @private
+   */
+  getOpponents(state, unit) {
+    const side = state.getPlayerForUnit(unit.id);
+    return Array.from(state.units.values())
+      .filter(other => !other.isIncapacitated && state.getPlayerForUnit(other.id) !== side);
+  }
+
+  /**
+   * Active units fighting alongside a unit, itself included
+   * @param {CombatState} state - Current clone
+   * @param {Unit} unit - Unit
+   * @returns {Array} Allied units
+   * @private
+   */
+  getAllies(state, unit) {
+    const side = state.getPlayerForUnit(unit.id);
+    return Array.from(state.units.values())
+      .filter(other => !other.isIncapacitated && state.getPlayerForUnit(other.id) === side);
+  }
+
+  /**
+   * Score a state for the planner: material, closing distance and the
+   * strikes each side will have in reach
+   * @param {CombatState} state - Leaf clone
+   * @returns {number} Value (higher is better for the planner)
+   * @private
+   */
+  evaluate(state) {
+    let value = 0;
+    if (state.phase === 'COMPLETED' && state.winner !== null && state.winner !== undefined) {
+      value += state.winner === this.playerId ? WIN_VALUE : -WIN_VALUE;
+    }
+
+    const active = Array.from(state.units.values()).filter(unit => !unit.isIncapacitated);
+    for (const unit of state.units.values()) {
+      if (unit.isIncapacitated) continue;
+      const owner = state.getOwnerForUnit(unit.id);
+      // The square root makes each hit on a wounded unit count for more, which is focus fire
+      const health = Math.sqrt(unit.currentHP / unit.getCurrentStats().HP);
+      const worth = (UNIT_WORTH * health + unit.currentHP) * (unit.isLeader ? LEADER_FACTOR : 1);
+      value += owner === this.playerId ? worth : -worth;
+    }
+
+    for (const unit of active) {
+      const side = state.getPlayerForUnit(unit.id);
+      const sign = side === this.playerId ? 1 : -1;
+      const stats = unit.getCurrentStats();
+      const range = stats.RNG || 1;
+      const enemies = active.filter(other => state.getPlayerForUnit(other.id) !== side);
+      if (enemies.length === 0) continue;
+
+      const gap = Math.min(...enemies.map(enemy => getDistance(unit.position, enemy.position)));
+      value -= sign * APPROACH_WEIGHT * Math.max(0, gap - range);
+
+      // Units that skip their turns threaten nobody
+      if (unit.hasStatusFlag('skipsTurn')) continue;
+      const pending = state.unitsActedThisTurn.has(unit.id) ? 0 : unit.currentAP;
+      value += sign * AP_WEIGHT * pending;
+      let threat = 0;
+      for (const enemy of enemies) {
+        if (getDistance(unit.position, enemy.position) > stats.MOV + range) continue;
+        threat = Math.max(threat, this.getStrikeValue(state, unit, enemy));
+      }
+      const strikes = pending + NEXT_ROUND * ACTION_POINTS.MAX_PER_TURN;
+      value += sign * THREAT_WEIGHT * threat * strikes;
+    }
+
+    return value;
+  }
+
+  /**
+   * Expected damage of one basic strike, worked out once per plan for each
+   * pair of units as they stand (tile, facing and statuses)
+   * @param {CombatState} state - State it is first needed in
+   * @param {Unit} attacker - Attacking unit
+   * @param {Unit} target - Target unit
+   * @returns {number} Expected damage
+   * @private
+   */
+  getStrikeValue(state, attacker, target) {
+    const describe = unit =>
+      `${unit.id}@${unit.position.x},${unit.position.y}:${unit.facing}[${unit.statusEffects.map(effect => effect.name)}]`;
+    const key = `${describe(attacker)}>${describe(target)}`;
+    if (!this.strikeValues.has(key)) {
+      const odds = this.getStrikeOdds(state, attacker, target, abilityRegistry.get('STRIKE'));
+      this.strikeValues.set(key, odds.hit * odds.damage + odds.critical * (odds.criticalDamage - odds.damage));
+    }
+    return this.strikeValues.get(key);
+  }
+}
+
+export default ExpectimaxPlanner;
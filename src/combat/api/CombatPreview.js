@@ -9,15 +9,33 @@
  * - Hit chance previews with visible stat explanations
  * - Damage range calculations without exposing dice rolls
  * - Action cost previews with AP management
+ * - Movement paths and reachable-tile overlays over real terrain
+ * - Attack-of-opportunity warnings with hit chance and damage per enemy
  * - Movement and positioning validation
  * - Status effect impact predictions
+ * - Faction passives explained in plain language
  * - Clean, game-terminology interface (no d20 references)
  */
 
 import { HitCalculator } from '../systems/HitCalculator.js';
-import { DamageCalculator } from '../systems/DamageCalculator.js';
+import { DamageCalculator, CLASS_WEAPONS } from '../systems/DamageCalculator.js';
 import { ActionPointSystem } from '../systems/ActionPointSystem.js';
+import { Pathfinder, CombatStateGrid } from '../systems/Pathfinder.js';
 import { DeterministicRNG } from '../core/DeterministicRNG.js';
+import { abilityRegistry } from '../data/AbilityTemplates.js';
+import { getStatusType } from '../data/StatusEffectTypes.js';
+import { FACTIONS } from '../constants/GameConstants.js';
+
+/**
+ * Plain-language descriptions of faction passives (FACTIONS.PASSIVES)
+ */
+const FACTION_PASSIVE_TEXT = {
+  morale_resist: value => `Human resolve: morale penalties ${Math.round(value * 100)}% smaller`,
+  base_agl_bonus: value => `Elven grace: +${value} Agility`,
+  durability_reduction: value => `Dwarven craft: equipment wears ${Math.round(value * 100)}% slower`,
+  flank_crit_bonus: () => 'Umbral flank: higher critical chance when attacking from the side',
+  water_movement: () => 'Tidemarch: wades through water at normal cost'
+};
 
 /**
  * Combat preview result class for standardized response format
@@ -83,6 +101,7 @@ export class CombatPreview {
     this.hitCalculator = config.hitCalculator || new HitCalculator();
     this.damageCalculator = config.damageCalculator || new DamageCalculator();
     this.actionPointSystem = config.actionPointSystem || new ActionPointSystem();
+    this.pathfinder = config.pathfinder || new Pathfinder();
     this.enableDetailedPreviews = config.enableDetailedPreviews !== false;
     this.maxPreviewTargets = config.maxPreviewTargets || 10;
   }
@@ -243,7 +262,7 @@ export class CombatPreview {
       }
 
       // Check for friendly fire
-      const friendlyFireTargets = this.checkFriendlyFire(caster, targets, options);
+      const friendlyFireTargets = this.checkFriendlyFire(caster, targets, options, combatState);
 
       result.data = {
         targets: targetPreviews,
@@ -298,13 +317,17 @@ export class CombatPreview {
       }
 
       // Check if position is passable
-      if (!combatState.isPositionPassable(targetPosition.x, targetPosition.y)) {
+      if (!combatState.isPositionPassable(targetPosition.x, targetPosition.y, unit.movementType)) {
         result.addError('Target position is not passable');
         return result;
       }
 
       // Calculate movement path and cost
-      const pathInfo = this.calculateMovementPath(unit, targetPosition, combatState);
+      const pathInfo = this.calculateMovementPath(unit, targetPosition, combatState, options);
+      if (!pathInfo) {
+        result.addError('No path to target position');
+        return result;
+      }
       
       // Calculate AP cost
       const apCost = this.actionPointSystem.previewActionCost(unit, 'MOVE', {
@@ -314,20 +337,22 @@ export class CombatPreview {
 
       result.data = {
         path: pathInfo.path,
+        steps: pathInfo.steps,
         distance: pathInfo.totalDistance,
         movementCost: pathInfo.totalCost,
+        withinRange: pathInfo.withinRange,
         actionPoints: {
           cost: apCost.modifiedCost,
           canAfford: apCost.canAfford,
           remainingAfter: apCost.remainingAfter
         },
         terrainEffects: pathInfo.terrainEffects,
-        opportunityAttacks: this.calculateOpportunityAttacks(unit, pathInfo.path, combatState),
+        opportunityAttacks: this.calculateOpportunityAttacks(unit, pathInfo.steps, combatState),
         positionEffects: this.getPositionEffects(targetPosition, combatState)
       };
 
       // Check for movement-related warnings
-      if (pathInfo.totalCost > unit.getCurrentStats().MOV) {
+      if (!pathInfo.withinRange) {
         result.addWarning('Movement distance exceeds unit movement range');
       }
 
@@ -362,8 +387,8 @@ export class CombatPreview {
     });
 
     try {
-      // Get ability information (this would come from ability definitions)
-      const abilityInfo = this.getAbilityInfo(abilityId);
+      // Get ability information from the ability registry
+      const abilityInfo = this.getAbilityInfo(abilityId, caster);
       if (!abilityInfo) {
         result.addError(`Unknown ability: ${abilityId}`);
         return result;
@@ -371,6 +396,7 @@ export class CombatPreview {
 
       // Check resource costs (MP, cooldowns, etc.)
       const resourceCheck = this.checkAbilityResources(caster, abilityInfo);
+      const targetList = Array.isArray(targets) ? targets : (targets ? [targets] : []);
       if (!resourceCheck.canUse) {
         result.addError(resourceCheck.reason);
         return result;
@@ -378,7 +404,7 @@ export class CombatPreview {
 
       // Calculate AP cost
       const apCost = this.actionPointSystem.previewActionCost(caster, 'ABILITY', {
-        abilityId
+        abilityId: abilityInfo.id
       });
 
       result.data = {
@@ -388,7 +414,9 @@ export class CombatPreview {
           type: abilityInfo.type,
           range: abilityInfo.range,
           area: abilityInfo.area,
-          cooldown: abilityInfo.cooldown
+          targeting: abilityInfo.targeting,
+          cooldown: abilityInfo.cooldown,
+          resistible: abilityInfo.resistible
         },
         costs: {
           actionPoints: apCost.modifiedCost,
@@ -401,11 +429,13 @@ export class CombatPreview {
 
       // Preview effects based on ability type
       if (abilityInfo.type === 'damage') {
-        result.data.effects.push(this.previewDamageAbility(caster, targets, abilityInfo, combatState));
+        result.data.effects.push(this.previewDamageAbility(caster, targetList, abilityInfo, combatState, options));
       } else if (abilityInfo.type === 'healing') {
-        result.data.effects.push(this.previewHealingAbility(caster, targets, abilityInfo));
-      } else if (abilityInfo.type === 'buff' || abilityInfo.type === 'debuff') {
-        result.data.effects.push(this.previewStatusAbility(caster, targets, abilityInfo));
+        result.data.effects.push(this.previewHealingAbility(caster, targetList, abilityInfo));
+      } else if (['buff', 'debuff', 'control'].includes(abilityInfo.type)) {
+        result.data.effects.push(this.previewStatusAbility(caster, targetList, abilityInfo));
+      } else {
+        result.data.effects.push({ type: abilityInfo.type, description: abilityInfo.description });
       }
 
     } catch (error) {
@@ -436,7 +466,8 @@ export class CombatPreview {
           name: unit.name,
           class: unit.class,
           level: unit.level,
-          isLeader: unit.isLeader
+          isLeader: unit.isLeader,
+          passives: this.describeFactionPassives(unit.faction)
         },
         health: {
           current: unit.currentHP,
@@ -712,11 +743,25 @@ export class CombatPreview {
     if (mods.disadvantage) factors.push('Disadvantageous position');
     if (mods.cover) factors.push('Target has cover');
     if (mods.flanking) factors.push('Flanking bonus');
+    if (mods.flankCritBonus) factors.push('Umbral flank: higher critical chance');
     if (mods.backstab) factors.push('Backstab bonus');
 
     return factors;
   }
 
+  /**
+   * Describe a faction's passives for display
+   * @param {string} faction - Faction ID
+   * @returns {Array} Plain-language passive descriptions
+   * @private
+   */
+  describeFactionPassives(faction) {
+    const passives = FACTIONS.PASSIVES[faction] || {};
+    return Object.entries(passives)
+      .filter(([key]) => FACTION_PASSIVE_TEXT[key])
+      .map(([key, value]) => FACTION_PASSIVE_TEXT[key](value));
+  }
+
   /**
    * Get default weapon type for unit class
    * @param {Unit} unit - Unit to get weapon type for
@@ -724,17 +769,7 @@ export class CombatPreview {
    * @private
    */
   getDefaultWeaponType(unit) {
-    const classWeapons = {
-      'SWORDSMAN': 'SWORD',
-      'GUARDIAN': 'MACE',
-      'ARCHER': 'BOW',
-      'RANGER': 'SPEAR',
-      'MAGE': 'STAFF',
-      'CLERIC': 'MACE',
-      'ROGUE': 'DAGGER',
-      'SPEARMASTER': 'SPEAR'
-    };
-    return classWeapons[unit.class] || 'SWORD';
+    return CLASS_WEAPONS[unit.class] || 'SWORD';
   }
 
   /**
@@ -766,20 +801,119 @@ export class CombatPreview {
     return 'Healthy';
   }
 
-  // Placeholder methods for functionality that would be implemented with full game data
+  /**
+   * Get every tile a unit can move to this activation
+   * @param {Unit} unit - Unit to move
+   * @param {CombatState} combatState - Current combat state
+   * @returns {CombatPreviewResult} Range preview with reachable tiles and costs
+   */
+  previewMovementRange(unit, combatState) {
+    const result = new CombatPreviewResult({
+      type: 'movement_range_preview',
+      metadata: {
+        unitId: unit.id,
+        from: { ...unit.position }
+      }
+    });
+
+    try {
+      const grid = new CombatStateGrid(combatState);
+      const mover = grid.createMover(unit);
+
+      result.data = {
+        movement: mover.movement,
+        movementType: mover.movementType,
+        tiles: this.pathfinder.getReachableTiles(grid, mover)
+      };
+    } catch (error) {
+      result.addError(`Movement range preview failed: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the cheapest path to a position with per-step costs
+   * @param {Unit} unit - Unit to move
+   * @param {Object} targetPosition - Target position {x, y}
+   * @param {CombatState} combatState - Current combat state
+   * @param {Object} options - Route options {ignoresZoneOfControl, avoidZoneOfControl}
+   * @returns {Object|null} Path info, or null if the position cannot be reached
+   * @private
+   */
+  calculateMovementPath(unit, targetPosition, combatState, options = {}) {
+    const grid = new CombatStateGrid(combatState);
+    const route = this.pathfinder.findPath(grid, grid.createMover(unit, {
+      ignoresZoneOfControl: options.ignoresZoneOfControl,
+      avoidZoneOfControl: options.avoidZoneOfControl
+    }), targetPosition);
+    if (!route.found) return null;
+
+    const terrainEffects = [];
+    for (const step of route.path.slice(1)) {
+      const terrain = combatState.getTerrainAt(step.x, step.y);
+      if (terrain && terrain.type !== 'PLAINS') {
+        const effect = { x: step.x, y: step.y, terrain: terrain.type, moveCost: step.stepCost };
+        if (terrain.type === 'WATER' && unit.movementType === 'amphibious' && step.stepCost < terrain.moveCost) {
+          effect.passive = FACTION_PASSIVE_TEXT.water_movement();
+        }
+        terrainEffects.push(effect);
+      }
+    }
 
-  calculateMovementPath(unit, targetPosition, combatState) {
     return {
-      path: [unit.position, targetPosition],
-      totalDistance: this.calculateDistance(unit.position, targetPosition),
-      totalCost: 1,
-      averageTerrainCost: 1,
-      terrainEffects: []
+      path: route.path.map(step => ({ x: step.x, y: step.y })),
+      steps: route.path,
+      totalDistance: route.totalDistance,
+      totalCost: route.totalCost,
+      averageTerrainCost: route.totalDistance > 0 ? route.totalCost / route.totalDistance : 0,
+      withinRange: route.withinRange,
+      terrainEffects
     };
   }
 
-  calculateOpportunityAttacks(unit, path, combatState) {
-    return []; // Would calculate based on enemy positions and ZOC
+  // Placeholder methods for functionality that would be implemented with full game data
+
+  /**
+   * List the attacks of opportunity a path provokes
+   * @param {Unit} unit - Moving unit
+   * @param {Array} steps - Path steps with provokedBy enemy IDs
+   * @param {CombatState} combatState - Current combat state
+   * @returns {Array} One entry per provoking enemy with hit chance and damage range
+   * @private
+   */
+  calculateOpportunityAttacks(unit, steps, combatState) {
+    const attacks = [];
+    const seen = new Set();
+
+    for (let i = 1; i < steps.length; i++) {
+      for (const enemyId of steps[i].provokedBy) {
+        if (seen.has(enemyId)) continue;
+        seen.add(enemyId);
+
+        const enemy = combatState.getUnit(enemyId);
+        if (!enemy || enemy.isIncapacitated) continue;
+
+        const hitChance = this.hitCalculator.calculateHitChance(enemy, unit, combatState);
+        const damagePreview = this.damageCalculator.calculateDamagePreview(enemy, unit, {
+          type: this.getDefaultWeaponType(enemy)
+        });
+
+        attacks.push({
+          attackerId: enemy.id,
+          attackerName: enemy.name,
+          position: { x: steps[i - 1].x, y: steps[i - 1].y },
+          hitChance: Math.round(hitChance.effectiveHitChance * 100),
+          damage: {
+            min: damagePreview.estimatedFinalRange.min,
+            max: damagePreview.estimatedFinalRange.max,
+            type: damagePreview.damageType
+          }
+        });
+      }
+    }
+
+    return attacks;
   }
 
   getPositionEffects(position, combatState) {
@@ -791,49 +925,194 @@ export class CombatPreview {
     } : {};
   }
 
-  checkFriendlyFire(caster, targets, options) {
-    return targets.filter(target => this.isFriendlyUnit(caster, target, null));
+  checkFriendlyFire(caster, targets, options, combatState = null) {
+    return targets.filter(target => this.isFriendlyUnit(caster, target, combatState));
   }
 
+  /**
+   * Check whether two units are currently on opposing sides
+   * @param {Unit} unit1 - First unit
+   * @param {Unit} unit2 - Second unit
+   * @param {CombatState} combatState - Match state (uses current controllers when given)
+   * @returns {boolean} True if the units are enemies
+   */
   isEnemyUnit(unit1, unit2, combatState) {
-    // Placeholder - would check team/faction relationships
+    if (combatState && combatState.areEnemies) {
+      return combatState.areEnemies(unit1.id, unit2.id);
+    }
     return unit1.faction !== unit2.faction;
   }
 
+  /**
+   * Check whether two units are currently on the same side
+   * @param {Unit} unit1 - First unit
+   * @param {Unit} unit2 - Second unit
+   * @param {CombatState} combatState - Match state (uses current controllers when given)
+   * @returns {boolean} True if the units are allies
+   */
   isFriendlyUnit(unit1, unit2, combatState) {
-    // Placeholder - would check team/faction relationships
+    if (combatState && combatState.areEnemies) {
+      return !combatState.areEnemies(unit1.id, unit2.id);
+    }
     return unit1.faction === unit2.faction;
   }
 
-  getAbilityInfo(abilityId) {
-    // Placeholder - would load from ability definitions
-    return {
-      name: abilityId,
-      description: 'Placeholder ability',
-      type: 'damage',
-      range: 1,
-      mpCost: 10,
-      cooldown: 0
-    };
+  /**
+   * Get player-facing ability information from the registry
+   * @param {string} abilityId - Ability ID
+   * @param {Unit} caster - Casting unit (resolves weapon-range abilities)
+   * @returns {Object|null} Public ability info
+   * @private
+   */
+  getAbilityInfo(abilityId, caster = null) {
+    const info = abilityRegistry.getPublicInfo(abilityId);
+    if (!info) return null;
+
+    if (caster) {
+      info.range = abilityRegistry.getRange(abilityRegistry.get(abilityId), caster);
+    }
+    return info;
   }
 
+  /**
+   * Check whether a unit can currently use an ability
+   * @param {Unit} caster - Casting unit
+   * @param {Object} abilityInfo - Public ability info
+   * @returns {Object} {canUse, reason}
+   * @private
+   */
   checkAbilityResources(caster, abilityInfo) {
-    return {
-      canUse: caster.currentMP >= (abilityInfo.mpCost || 0),
-      reason: caster.currentMP >= (abilityInfo.mpCost || 0) ? '' : 'Insufficient mana'
-    };
+    if (!caster.knowsAbility(abilityInfo.id)) {
+      return { canUse: false, reason: `${caster.name} does not know ${abilityInfo.name}` };
+    }
+
+    if (abilityInfo.tags.includes('leader_only') && !caster.isLeader) {
+      return { canUse: false, reason: `${abilityInfo.name} can only be used by a leader` };
+    }
+
+    const cooldown = caster.getCooldown(abilityInfo.id);
+    if (cooldown > 0) {
+      return { canUse: false, reason: `Ready in ${cooldown} turn(s)` };
+    }
+
+    if (caster.currentMP < abilityInfo.mpCost) {
+      return { canUse: false, reason: 'Insufficient mana' };
+    }
+
+    return { canUse: true, reason: '' };
   }
 
-  previewDamageAbility(caster, targets, abilityInfo, combatState) {
-    return { type: 'damage', description: 'Deals damage to target' };
+  /**
+   * Preview damage ranges for each target of a damaging ability
+   * @param {Unit} caster - Casting unit
+   * @param {Array} targets - Target units
+   * @param {Object} abilityInfo - Public ability info
+   * @param {CombatState} combatState - Current combat state
+   * @param {Object} options - Preview options {weaponType}
+   * @returns {Object} Damage effect preview
+   * @private
+   */
+  previewDamageAbility(caster, targets, abilityInfo, combatState, options = {}) {
+    const ability = abilityRegistry.get(abilityInfo.id);
+    const damageSpec = ability.damage || { source: 'weapon' };
+    const isSpell = damageSpec.source === 'spell';
+    const multiplier = damageSpec.multiplier || 1;
+
+    const perTarget = targets.map(target => {
+      const damagePreview = this.damageCalculator.calculateDamagePreview(caster, target, {
+        type: isSpell ? damageSpec.spell : (options.weaponType || this.getDefaultWeaponType(caster)),
+        isSpell,
+        level: damageSpec.level || 1
+      });
+
+      let targetMultiplier = multiplier;
+      const isExecute = !!damageSpec.executeThreshold &&
+        target.currentHP / target.getCurrentStats().HP <= damageSpec.executeThreshold;
+      if (isExecute) {
+        targetMultiplier *= damageSpec.executeMultiplier || 1;
+      }
+
+      const range = damagePreview.estimatedFinalRange;
+      const entry = {
+        targetId: target.id,
+        damage: {
+          min: Math.max(1, Math.floor(range.min * targetMultiplier)),
+          max: Math.max(1, Math.floor(range.max * targetMultiplier)),
+          type: abilityInfo.damageType || damagePreview.damageType
+        },
+        finisher: isExecute
+      };
+
+      // Resistible area effects always land; single-target strikes roll to hit
+      if (!abilityInfo.resistible) {
+        const hitChance = this.hitCalculator.calculateHitChance(caster, target, combatState, { isSpell });
+        entry.hitChance = Math.round(hitChance.effectiveHitChance * 100);
+      }
+
+      return entry;
+    });
+
+    return {
+      type: 'damage',
+      description: abilityInfo.description,
+      resistible: abilityInfo.resistible,
+      targets: perTarget
+    };
   }
 
+  /**
+   * Preview healing amounts for a healing ability
+   * @param {Unit} caster - Casting unit
+   * @param {Array} targets - Target units
+   * @param {Object} abilityInfo - Public ability info
+   * @returns {Object} Healing effect preview
+   * @private
+   */
   previewHealingAbility(caster, targets, abilityInfo) {
-    return { type: 'healing', description: 'Restores health to target' };
+    const healing = abilityRegistry.get(abilityInfo.id).healing;
+    const bonus = healing.modifier ?
+      Math.max(0, caster.getHiddenData().abilities.getModifier(healing.modifier)) : 0;
+    const min = healing.dice + bonus;
+    const max = healing.dice * healing.sides + bonus;
+
+    return {
+      type: 'healing',
+      description: abilityInfo.description,
+      range: { min, max, average: Math.round((min + max) / 2) },
+      targets: targets.map(target => ({
+        targetId: target.id,
+        missingHP: target.getCurrentStats().HP - target.currentHP
+      }))
+    };
   }
 
+  /**
+   * Preview the status effect an ability applies
+   * @param {Unit} caster - Casting unit
+   * @param {Array} targets - Target units
+   * @param {Object} abilityInfo - Public ability info
+   * @returns {Object} Status effect preview
+   * @private
+   */
   previewStatusAbility(caster, targets, abilityInfo) {
-    return { type: 'status', description: 'Applies status effect to target' };
+    const ability = abilityRegistry.get(abilityInfo.id);
+    const status = getStatusType(ability.status);
+
+    return {
+      type: 'status',
+      description: abilityInfo.description,
+      status: {
+        id: status.id,
+        name: status.name,
+        type: status.type,
+        description: status.description,
+        duration: ability.statusDuration || status.duration,
+        effects: { ...status.effects },
+        percentEffects: { ...status.percentEffects }
+      },
+      resistible: abilityInfo.resistible,
+      targets: targets.map(target => target.id)
+    };
   }
 
   extractAttackEffects(attacker, target, combatState, options) {
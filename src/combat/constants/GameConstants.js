@@ -146,6 +146,13 @@ export const COMBAT = {
     }
   },
   
+  /** Zone of control and attacks of opportunity */
+  ZONE_OF_CONTROL: {
+    RADIUS: 1, // Tiles adjacent to a conscious enemy are in its zone
+    STOPS_MOVEMENT: true, // Entering an enemy zone ends the move
+    AVOID_PENALTY: 100 // Search weight per provoked attack when preferring safe routes
+  },
+
   /** Status effects */
   STATUS_EFFECTS: {
     MAX_DURATION: 5, // Maximum turns for any status
@@ -163,6 +170,18 @@ export const COMBAT = {
     MORALE_DEBUFF_AGL: 0.1, // 10% AGL reduction
     INSPIRE_BUFF_DURATION: 1, // Turns for Inspire skill
     INSPIRE_BUFF_AGL: 0.1 // 10% AGL bonus
+  },
+
+  /** Victory conditions */
+  VICTORY: {
+    DEFAULT_CONDITIONS: ['ELIMINATE_ENEMY'],
+    MAX_TURNS: 50, // Hard stop; the default tiebreaker decides the match
+    DEFAULT_TIEBREAKER: ['REMAINING_HP', 'UNITS_ALIVE'],
+    TIEBREAKERS: ['REMAINING_HP', 'UNITS_ALIVE', 'LEADER_ALIVE', 'OBJECTIVE_SCORE', 'DRAW'],
+    CAPTURE_HOLD_ROUNDS: 3, // Consecutive round ends a point must be held
+    HILL_SCORE_TO_WIN: 5,
+    SURVIVE_ROUNDS: 8,
+    ROUND_LIMIT: 12
   }
 };
 
@@ -187,6 +206,13 @@ export const TERRAIN = {
     WALKABLE: { moveCost: 1, evasion: 0, cover: 0, height: 0 }, // Clear walkable terrain
     BLOCKED: { moveCost: Infinity, evasion: 0, cover: 0, height: 0 } // Blocked impassable terrain
   },
+
+  /** Movement rules */
+  MOVEMENT: {
+    TYPES: ['normal', 'flying', 'amphibious'],
+    MIN_PATH_COST: 1, // Any move costs at least 1 MOV, even along roads
+    PATH_CACHE_SIZE: 64 // Cached searches kept for repeated hover queries
+  },
   
   /** Height advantages */
   HEIGHT: {
@@ -222,6 +248,7 @@ export const EQUIPMENT = {
   /** Durability system */
   DURABILITY: {
     TYPICAL_RANGE: { MIN: 6, MAX: 10 }, // Matches per item
+    WEAR_PER_MATCH: 1, // Durability lost by each equipped item after a match
     REPAIR_COST_MULTIPLIER: 0.1 // 10% of item value
   },
   
@@ -250,6 +277,271 @@ export const ARMY = {
   LEADER: {
     REQUIRED: true,
     MAX_LEADERS: 1
+  },
+
+  /** Deployment zones (GDD placement patterns, shown in the seed preview) */
+  DEPLOYMENT: {
+    DEFAULT_PATTERN: 'CLUSTERED',
+    ZONE_DEPTH: 3, // Rows in from the player's map edge
+    PATTERNS: {
+      CLUSTERED: { description: 'One compact block at the center of your edge' },
+      DISPERSED: { description: 'Spread along your whole edge in a checkerboard' },
+      FLANKED: { description: 'Two blocks at the corners of your edge' }
+    },
+    EDGES: ['north', 'south', 'west', 'east'] // Player order around the map
+  },
+
+  /** Roster fielded when a player brings no army of their own */
+  DEFAULT_ROSTER: [
+    { class: 'SWORDSMAN', name: 'Warrior', isLeader: true },
+    { class: 'ARCHER', name: 'Archer' },
+    { class: 'MAGE', name: 'Mage' },
+    { class: 'CLERIC', name: 'Cleric' },
+    { class: 'GUARDIAN', name: 'Guardian' },
+    { class: 'ROGUE', name: 'Rogue' }
+  ]
+};
+
+/**
+ * Random Number Generator Constants
+ */
+export const RNG = {
+  DEFAULT_ALGORITHM: 'xoshiro128ss', // Used by new matches
+  LEGACY_ALGORITHM: 'lcg32', // Assumed when a saved match or replay names no algorithm
+  ALGORITHMS: ['lcg32', 'xoshiro128ss'],
+  SUBSYSTEMS: ['initiative', 'hit', 'damage', 'status', 'chests', 'ai', 'balance'], // Named derived streams
+
+  /** How a match splits its rolls across streams (named in saved matches and replay headers) */
+  STREAM_LAYOUTS: {
+    single: [], // Every roll from the one match stream, as lcg32 matches were recorded
+    subsystems: ['initiative', 'hit', 'damage', 'status'] // One derived stream per kind of roll
+  },
+  DEFAULT_STREAMS: 'subsystems', // Used by new matches on any algorithm but lcg32
+  LEGACY_STREAMS: 'single', // Used by lcg32 matches, and assumed when a saved match or replay names no layout
+
+  /** Statistical self-check */
+  SELF_CHECK: {
+    SAMPLES: 20000, // d20 rolls per test
+    Z_CRITICAL: 3.09 // One-sided normal quantile for p = 0.001
+  }
+};
+
+/**
+ * Replay Constants
+ */
+export const REPLAY = {
+  FORMAT: 'tactica-arena-replay',
+  FORMAT_VERSION: 2, // Bump when the replay document layout changes (2: RNG stream layout)
+  RULES_VERSION: '1.1.0', // Bump when a rules change alters how recorded inputs resolve
+  HASH_ALGORITHM: 'sha256-canonical-1', // How per-input state hashes were computed
+  ENTRY_KINDS: ['START', 'DEPLOY', 'WITHDRAW', 'AUTO_DEPLOY', 'ACTION', 'FORFEIT']
+};
+
+/**
+ * Network Match Constants
+ */
+export const NETWORK = {
+  PATH: '/ws', // WebSocket endpoint on the game server
+  PROTOCOL_VERSION: 1,
+  MAX_MESSAGE_BYTES: 16 * 1024,
+  HEARTBEAT_INTERVAL_MS: 30000, // Sockets that miss a ping for this long are dropped
+  MATCH_CODE_LENGTH: 6,
+  MATCH_CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // No 0/O or 1/I
+  MAP_SIZES: { quick: 18, standard: 24 },
+  MAX_MISSED_EVENTS: 500, // Events held for a disconnected seat; the resume snapshot covers anything older
+  RECONNECT_RETRY_MS: 3000, // Client delay between reconnect attempts
+
+  /** Why a networked match was forfeited */
+  FORFEIT_REASONS: {
+    RECONNECT_TIMEOUT: 'RECONNECT_TIMEOUT', // Seat not reclaimed within PERFORMANCE.NETWORKING.RECONNECT_WINDOW
+    LEFT_MATCH: 'LEFT_MATCH'
+  },
+
+  /** Read-only spectators of a running match */
+  SPECTATE: {
+    DELAY_TURNS: 2, // Spectators trail the live match by this many turns so they cannot feed players information
+    MAX_PER_ROOM: 50,
+    VIEWS: {
+      CASTER: 'CASTER', // Everything, both armies
+      TEAM: 'TEAM' // Only what one player's units can see
+    }
+  },
+
+  /** Finished-match history served over HTTP */
+  HISTORY: {
+    DEFAULT_LIMIT: 20, // Matches per page
+    MAX_LIMIT: 100,
+    DEFAULT_STEPS: 100, // Replay inputs per playback page
+    MAX_STEPS: 500,
+    PLAYBACK_CACHE: 8 // Matches whose stepped replay is kept for playback paging
+  },
+
+  /** Intents a client may send */
+  CLIENT_MESSAGES: [
+    'create_match', 'join_match', 'queue_join', 'queue_leave', 'resume', 'spectate',
+    'deploy', 'withdraw', 'auto_deploy', 'ready', 'action', 'leave'
+  ],
+
+  /** Messages the server sends */
+  SERVER_MESSAGES: [
+    'welcome', 'match_created', 'queued', 'queue_left', 'match_ready', 'resumed', 'state', 'rejected',
+    'opponent_disconnected', 'opponent_reconnected', 'opponent_left', 'rating_updated',
+    'spectating', 'spectator_state', 'spectating_ended', 'error'
+  ]
+};
+
+/**
+ * Matchmaking and Ranking Constants
+ */
+export const RANKED = {
+  /** Queue modes: ranked changes ratings, friendly never does */
+  MODES: {
+    RANKED: 'RANKED',
+    FRIENDLY: 'FRIENDLY'
+  },
+
+  /** Level windowing: an army may face armies up to this many levels above or below it */
+  LEVEL_WINDOW: 5,
+
+  /** Hidden Elo rating */
+  RATING: {
+    INITIAL: 1200,
+    SCALE: 400, // Rating gap at which the stronger player is expected to score 10:1
+    K_FACTOR: 24,
+    PROVISIONAL_K_FACTOR: 40, // Larger steps while a player has few rated games
+    PROVISIONAL_GAMES: 10
+  },
+
+  /** How far apart queued players' ratings may be; the range widens the longer both wait */
+  SEARCH: {
+    BASE_RANGE: 100,
+    RANGE_PER_SECOND: 5,
+    MAX_RANGE: 800,
+    INTERVAL_MS: 2000 // Queue re-check interval
+  },
+
+  /** Visible tiers by minimum hidden rating, lowest first */
+  TIERS: [
+    { id: 'BRONZE', name: 'Bronze', minRating: 0 },
+    { id: 'SILVER', name: 'Silver', minRating: 1100 },
+    { id: 'GOLD', name: 'Gold', minRating: 1300 },
+    { id: 'PLATINUM', name: 'Platinum', minRating: 1500 },
+    { id: 'DIAMOND', name: 'Diamond', minRating: 1700 },
+    { id: 'MASTER', name: 'Master', minRating: 1900 },
+    { id: 'MYTHIC', name: 'Mythic', minRating: 2100 }
+  ],
+
+  LEADERBOARD: {
+    DEFAULT_LIMIT: 50,
+    MAX_LIMIT: 200
+  },
+
+  /** Ranked seasons */
+  SEASON: {
+    LENGTH_MS: 10 * 7 * 24 * 60 * 60 * 1000, // 10 weeks
+    PLACEMENT_GAMES: 5, // Rated games before a player shows a tier for the season
+    SOFT_RESET_FACTOR: 0.5, // Share of the distance to RATING.INITIAL removed at rollover
+    ROLLOVER_CHECK_MS: 60 * 60 * 1000, // How often the server looks for a season past its end
+
+    /** Cosmetic rewards granted for the highest tier reached in a season */
+    REWARDS: {
+      BRONZE: ['banner_bronze'],
+      SILVER: ['banner_silver'],
+      GOLD: ['banner_gold', 'portrait_frame_gold'],
+      PLATINUM: ['banner_platinum', 'portrait_frame_platinum'],
+      DIAMOND: ['banner_diamond', 'portrait_frame_diamond', 'unit_trail_diamond'],
+      MASTER: ['banner_master', 'portrait_frame_master', 'unit_trail_master'],
+      MYTHIC: ['banner_mythic', 'portrait_frame_mythic', 'unit_trail_mythic', 'title_mythic']
+    }
+  }
+};
+
+/**
+ * Practice AI Constants
+ */
+export const AI = {
+  DIFFICULTIES: ['EASY', 'NORMAL', 'HARD', 'EXPERT'],
+  DEFAULT_DIFFICULTY: 'NORMAL',
+  THINK_DELAY_MS: 600, // Pause before each AI action so the player can follow it
+
+  /**
+   * Difficulty bands (GDD 13.3). Weights are in hit points: what the AI would
+   * trade in expected damage for one unit of the factor
+   */
+  BANDS: {
+    EASY: {
+      name: 'Easy', // Greedy damage; ignores LOS and ZoC
+      checksLineOfSight: false,
+      avoidsZoneOfControl: false,
+      supportAbilities: false,
+      killWeight: 0,
+      focusFireWeight: 0,
+      backstabWeight: 0,
+      terrainWeight: 0,
+      heightWeight: 0,
+      threatWeight: 0,
+      apBaiting: false,
+      search: false,
+      objectiveWeight: 0,
+      mistakeChance: 0.35 // Share of decisions taken from the runners-up instead of the best
+    },
+    NORMAL: {
+      name: 'Normal', // Basic terrain use; avoids AoO
+      checksLineOfSight: true,
+      avoidsZoneOfControl: true,
+      supportAbilities: true,
+      killWeight: 10,
+      focusFireWeight: 0.25,
+      backstabWeight: 0,
+      terrainWeight: 10,
+      heightWeight: 3,
+      threatWeight: 0.1,
+      apBaiting: false,
+      search: false,
+      objectiveWeight: 0,
+      mistakeChance: 0
+    },
+    HARD: {
+      name: 'Hard', // Focus fire; backstabs
+      checksLineOfSight: true,
+      avoidsZoneOfControl: true,
+      supportAbilities: true,
+      killWeight: 20,
+      focusFireWeight: 1,
+      backstabWeight: 0.5,
+      terrainWeight: 10,
+      heightWeight: 3,
+      threatWeight: 0.15,
+      apBaiting: false,
+      search: false,
+      objectiveWeight: 0,
+      mistakeChance: 0
+    },
+    EXPERT: {
+      name: 'Expert', // AP baiting; height and cover; objective denial
+      checksLineOfSight: true,
+      avoidsZoneOfControl: true,
+      supportAbilities: true,
+      killWeight: 30,
+      focusFireWeight: 1.5,
+      backstabWeight: 0.5,
+      terrainWeight: 12,
+      heightWeight: 5,
+      threatWeight: 0.15,
+      apBaiting: true,
+      search: true, // Plans with the ExpectimaxPlanner when the host gives it the match state
+      objectiveWeight: 20,
+      mistakeChance: 0
+    }
+  },
+
+  /** Expectimax search for bands with search set (budgets are per unit activation) */
+  SEARCH: {
+    MAX_DEPTH: 6, // Actions looked ahead, across activations
+    NODE_BUDGET: 2400, // Simulated states; spent before the time budget on most machines
+    TIME_BUDGET_MS: 2000, // Wall-clock cap for live play only; seeded sims leave it off so runs repeat
+    MOVE_CANDIDATES: 3, // Destinations searched per move, besides the one furthest from reprisal
+    MIN_OUTCOME_CHANCE: 0.1 // Critical hits rarer than this are folded into the hit outcome
   }
 };
 
@@ -261,7 +553,8 @@ export const PERFORMANCE = {
   TARGETS: {
     COMBAT_RESOLUTION: 100, // Max time for combat action resolution
     PREVIEW_GENERATION: 50, // Max time for hit/damage preview
-    TURN_TIMEOUT: 120000 // 2 minutes per turn
+    TURN_TIMEOUT: 120000, // 2 minutes per unit activation
+    TIME_BANK: 300000 // 5 minutes of overtime per player, spent once an activation outlasts TURN_TIMEOUT
   },
   
   /** Connection and networking */
@@ -311,7 +604,31 @@ export const VALIDATION = {
     INVALID_TARGET: 'INVALID_TARGET',
     OUT_OF_RANGE: 'OUT_OF_RANGE',
     INVALID_ACTION: 'INVALID_ACTION',
-    UNIT_INCAPACITATED: 'UNIT_INCAPACITATED'
+    UNIT_INCAPACITATED: 'UNIT_INCAPACITATED',
+    UNIT_NOT_FOUND: 'UNIT_NOT_FOUND',
+    MATCH_NOT_FOUND: 'MATCH_NOT_FOUND',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    INVALID_PHASE: 'INVALID_PHASE',
+    ABILITY_ON_COOLDOWN: 'ABILITY_ON_COOLDOWN',
+    INSUFFICIENT_MP: 'INSUFFICIENT_MP',
+    ARMY_TOO_SMALL: 'ARMY_TOO_SMALL',
+    ARMY_TOO_LARGE: 'ARMY_TOO_LARGE',
+    CLASS_LIMIT_EXCEEDED: 'CLASS_LIMIT_EXCEEDED',
+    UNKNOWN_CLASS: 'UNKNOWN_CLASS',
+    DUPLICATE_UNIT: 'DUPLICATE_UNIT',
+    LEADER_REQUIRED: 'LEADER_REQUIRED',
+    TOO_MANY_LEADERS: 'TOO_MANY_LEADERS',
+    INVALID_ARMY: 'INVALID_ARMY',
+    OUTSIDE_DEPLOYMENT_ZONE: 'OUTSIDE_DEPLOYMENT_ZONE',
+    POSITION_BLOCKED: 'POSITION_BLOCKED',
+    DEPLOYMENT_INCOMPLETE: 'DEPLOYMENT_INCOMPLETE',
+    BAD_MESSAGE: 'BAD_MESSAGE',
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    ROOM_FULL: 'ROOM_FULL',
+    NOT_IN_MATCH: 'NOT_IN_MATCH',
+    RESUME_FAILED: 'RESUME_FAILED',
+    PROFILE_INVALID: 'PROFILE_INVALID',
+    ALREADY_QUEUED: 'ALREADY_QUEUED'
   }
 };
 
@@ -343,6 +660,11 @@ Object.freeze(COMBAT);
 Object.freeze(TERRAIN);
 Object.freeze(EQUIPMENT);
 Object.freeze(ARMY);
+Object.freeze(RNG);
+Object.freeze(REPLAY);
+Object.freeze(NETWORK);
+Object.freeze(RANKED);
+Object.freeze(AI);
 Object.freeze(PERFORMANCE);
 Object.freeze(CLASSES);
 Object.freeze(VALIDATION);
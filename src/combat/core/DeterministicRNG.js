@@ -2,33 +2,156 @@
  * Deterministic Random Number Generator for Tactica Arena
  * 
  * Provides seedable, deterministic random number generation for multiplayer
- * consistency and replay integrity. Uses a Linear Congruential Generator (LCG)
- * for predictable, fast random number generation.
+ * consistency and replay integrity.
  * 
  * Key requirements:
- * - Same seed always produces identical sequences
+ * - Same seed and algorithm always produce identical sequences
  * - Fast generation for real-time combat
  * - Support for advantage/disadvantage d20 rolls
  * - State serialization for replays
  * - Thread-safe operations
+ *
+ * Generators are versioned by algorithm id (stored in the match and replay
+ * header):
+ * - 'xoshiro128ss': xoshiro128** seeded through splitmix32, unbiased integer
+ *   ranges (default for new matches)
+ * - 'lcg32': the original Numerical Recipes LCG with modulo ranges, kept
+ *   bit-for-bit so matches recorded before the switch still reproduce
  */
 
-import { HIDDEN_STATS } from '../constants/GameConstants.js';
+import { HIDDEN_STATS, RNG } from '../constants/GameConstants.js';
+
+/**
+ * Murmur3 32-bit finalizer (bijective avalanche mix)
+ * @param {number} value - 32-bit input
+ * @returns {number} Mixed 32-bit unsigned value
+ */
+function mix32(value) {
+  let z = value >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Input text
+ * @returns {number} 32-bit unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Rotate a 32-bit word left
+ * @param {number} value - 32-bit word
+ * @param {number} bits - Rotation amount
+ * @returns {number} Rotated word
+ */
+function rotl(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Generator implementations by algorithm id. Each one seeds its state from a
+ * normalized 32-bit seed, advances it, and converts it to and from the
+ * plain form stored by getState()
+ */
+const GENERATORS = {
+  lcg32: {
+    unbiasedRanges: false, // Legacy randInt uses raw % range
+    seedState: (seed) => seed,
+    // LCG formula: (a * seed + c) mod m, with >>> 0 for modulo 2^32
+    next: (rng) => (rng.state = (1664525 * rng.state + 1013904223) >>> 0),
+    exportState: (state) => state,
+    importState: (value) => value >>> 0
+  },
+
+  xoshiro128ss: {
+    unbiasedRanges: true,
+    seedState: (seed) => {
+      // splitmix32 expands the seed into four words; an all-zero state is a fixed point
+      const state = new Uint32Array(4);
+      let z = seed;
+      for (let i = 0; i < 4; i++) {
+        z = (z + 0x9e3779b9) >>> 0;
+        state[i] = mix32(z);
+      }
+      if ((state[0] | state[1] | state[2] | state[3]) === 0) state[0] = 1;
+      return state;
+    },
+    next: (rng) => {
+      const s = rng.state;
+      const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+      const t = s[1] << 9;
+      s[2] ^= s[0];
+      s[3] ^= s[1];
+      s[1] ^= s[2];
+      s[0] ^= s[3];
+      s[2] ^= t;
+      s[3] = rotl(s[3], 11);
+      return result;
+    },
+    exportState: (state) => Array.from(state),
+    importState: (value) => Uint32Array.from(value)
+  }
+};
+
+/**
+ * Look up a generator, rejecting unknown algorithm ids
+ * @param {string} algorithm - Algorithm id
+ * @returns {Object} Generator implementation
+ */
+function getGenerator(algorithm) {
+  const generator = GENERATORS[algorithm];
+  if (!generator) {
+    throw new Error(`Unknown RNG algorithm: ${algorithm}`);
+  }
+  return generator;
+}
+
+/**
+ * Pearson chi-square statistic against a uniform expectation
+ * @param {Array<number>} counts - Observed count per cell
+ * @param {number} expected - Expected count per cell
+ * @returns {number} Chi-square statistic
+ */
+function chiSquareStatistic(counts, expected) {
+  return counts.reduce((sum, count) => sum + ((count - expected) ** 2) / expected, 0);
+}
+
+/**
+ * Approximate chi-square critical value (Wilson-Hilferty)
+ * @param {number} degreesOfFreedom - Degrees of freedom
+ * @param {number} z - Standard normal quantile for the significance level
+ * @returns {number} Critical value
+ */
+function chiSquareCritical(degreesOfFreedom, z) {
+  const k = 2 / (9 * degreesOfFreedom);
+  return degreesOfFreedom * Math.pow(1 - k + z * Math.sqrt(k), 3);
+}
 
 /**
  * Deterministic Random Number Generator
  * 
- * Uses a 32-bit Linear Congruential Generator with parameters from
- * Numerical Recipes: a = 1664525, c = 1013904223, m = 2^32
+ * Produces 32-bit outputs from the generator named by `algorithm`; every
+ * derived draw (d20, dice, choice, shuffle) is built on nextRaw()
  */
 export class DeterministicRNG {
   /**
    * Create a new deterministic RNG instance
    * @param {number} seed - Initial seed value (will be normalized to 32-bit uint)
+   * @param {Object} options - {algorithm: generator id (defaults to RNG.DEFAULT_ALGORITHM)}
    */
-  constructor(seed = Date.now()) {
+  constructor(seed = Date.now(), options = {}) {
+    this.algorithm = options.algorithm || RNG.DEFAULT_ALGORITHM;
+    this.generator = getGenerator(this.algorithm);
     this.originalSeed = seed;
-    this.state = this.normalizeSeed(seed);
+    this.state = this.generator.seedState(this.normalizeSeed(seed));
     this.callCount = 0;
   }
 
@@ -49,11 +172,8 @@ export class DeterministicRNG {
    * @private
    */
   nextRaw() {
-    // LCG formula: (a * seed + c) mod m
-    // Using 32-bit arithmetic with >>> 0 for modulo 2^32
-    this.state = (1664525 * this.state + 1013904223) >>> 0;
     this.callCount++;
-    return this.state;
+    return this.generator.next(this);
   }
 
   /**
@@ -75,7 +195,17 @@ export class DeterministicRNG {
       throw new Error(`Invalid range: min (${min}) > max (${max})`);
     }
     const range = max - min + 1;
-    return min + (this.nextRaw() % range);
+    if (!this.generator.unbiasedRanges) {
+      return min + (this.nextRaw() % range);
+    }
+
+    // Reject the top partial block of 2^32 so every value is equally likely
+    const limit = 0x100000000 - (0x100000000 % range);
+    let value = this.nextRaw();
+    while (value >= limit) {
+      value = this.nextRaw();
+    }
+    return min + (value % range);
   }
 
   /**
@@ -209,10 +339,11 @@ export class DeterministicRNG {
    */
   getState() {
     return {
+      algorithm: this.algorithm,
       originalSeed: this.originalSeed,
-      currentState: this.state,
+      currentState: this.generator.exportState(this.state),
       callCount: this.callCount,
-      version: '1.0' // For future state migration
+      version: '2.0' // 1.0 states predate the algorithm field and are always lcg32
     };
   }
 
@@ -225,8 +356,10 @@ export class DeterministicRNG {
       throw new Error('Invalid state object');
     }
     
+    this.algorithm = state.algorithm || RNG.LEGACY_ALGORITHM;
+    this.generator = getGenerator(this.algorithm);
     this.originalSeed = state.originalSeed;
-    this.state = state.currentState;
+    this.state = this.generator.importState(state.currentState);
     this.callCount = state.callCount || 0;
   }
 
@@ -234,17 +367,17 @@ export class DeterministicRNG {
    * Reset RNG to original seed
    */
   reset() {
-    this.state = this.normalizeSeed(this.originalSeed);
+    this.state = this.generator.seedState(this.normalizeSeed(this.originalSeed));
     this.callCount = 0;
   }
 
   /**
-   * Create a new RNG instance with different seed but same state
+   * Create a new RNG instance with different seed and the same algorithm
    * @param {number} newSeed - New seed value
    * @returns {DeterministicRNG} New RNG instance
    */
   fork(newSeed) {
-    return new DeterministicRNG(newSeed);
+    return new DeterministicRNG(newSeed, { algorithm: this.algorithm });
   }
 
   /**
@@ -255,24 +388,31 @@ export class DeterministicRNG {
    * @returns {number} Derived seed value
    */
   deriveSeed(purpose) {
-    // Hash the purpose string to create consistent but different seeds
-    let hash = 0;
-    for (let i = 0; i < purpose.length; i++) {
-      const char = purpose.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+    if (this.algorithm === RNG.LEGACY_ALGORITHM) {
+      // Original derivation: nearby seeds for similar purpose names
+      let hash = 0;
+      for (let i = 0; i < purpose.length; i++) {
+        const char = purpose.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32-bit integer
+      }
+      return Math.abs(this.originalSeed + hash);
     }
-    return Math.abs(this.originalSeed + hash);
+
+    // Both inputs go through full-avalanche mixes, so one-letter purpose
+    // changes or adjacent match seeds land on unrelated streams
+    return mix32(mix32(this.normalizeSeed(this.originalSeed)) ^ mix32(fnv1a(String(purpose))));
   }
 
   /**
    * Create specialized RNG for specific combat subsystem
-   * @param {string} system - System name ('initiative', 'combat', 'damage', etc.)
+   * @param {string} system - System name (RNG.SUBSYSTEMS: 'initiative', 'hit', 'damage', 'chests', 'ai', ...);
+   *   a match derives the streams of its RNG.STREAM_LAYOUTS layout this way
    * @returns {DeterministicRNG} New RNG instance for the specified system
    */
   createSubsystemRNG(system) {
     const derivedSeed = this.deriveSeed(system);
-    return new DeterministicRNG(derivedSeed);
+    return new DeterministicRNG(derivedSeed, { algorithm: this.algorithm });
   }
 
   /**
@@ -310,14 +450,62 @@ export class DeterministicRNG {
     return true;
   }
 
+  /**
+   * Statistical self-check of d20 output (testing/debugging utility).
+   * Runs chi-square tests on a copy of the current stream, leaving this
+   * instance untouched:
+   * - d20_faces: each face equally often (19 degrees of freedom)
+   * - d20_pairs: each ordered pair of consecutive rolls equally often
+   *   (399 degrees of freedom); catches generators whose low bits cycle
+   * @param {number} samples - d20 rolls per test
+   * @returns {Object} {algorithm, samples, passed, tests: [{name, chiSquare, degreesOfFreedom, critical, passed}]}
+   */
+  validateDistribution(samples = RNG.SELF_CHECK.SAMPLES) {
+    const { D20_MIN, D20_MAX } = HIDDEN_STATS.DICE;
+    const faces = D20_MAX - D20_MIN + 1;
+    const probe = new DeterministicRNG(this.originalSeed, { algorithm: this.algorithm });
+    probe.setState(this.getState());
+
+    const faceCounts = new Array(faces).fill(0);
+    for (let i = 0; i < samples; i++) {
+      faceCounts[probe.rollD20() - D20_MIN]++;
+    }
+
+    const pairCounts = new Array(faces * faces).fill(0);
+    const pairs = Math.floor(samples / 2);
+    for (let i = 0; i < pairs; i++) {
+      const first = probe.rollD20() - D20_MIN;
+      const second = probe.rollD20() - D20_MIN;
+      pairCounts[first * faces + second]++;
+    }
+
+    const tests = [
+      { name: 'd20_faces', counts: faceCounts, total: samples },
+      { name: 'd20_pairs', counts: pairCounts, total: pairs }
+    ].map(({ name, counts, total }) => {
+      const degreesOfFreedom = counts.length - 1;
+      const chiSquare = chiSquareStatistic(counts, total / counts.length);
+      const critical = chiSquareCritical(degreesOfFreedom, RNG.SELF_CHECK.Z_CRITICAL);
+      return { name, chiSquare, degreesOfFreedom, critical, passed: chiSquare <= critical };
+    });
+
+    return {
+      algorithm: this.algorithm,
+      samples,
+      passed: tests.every(test => test.passed),
+      tests
+    };
+  }
+
   /**
    * Get debug information about RNG state
    * @returns {Object} Debug information
    */
   getDebugInfo() {
     return {
+      algorithm: this.algorithm,
       originalSeed: this.originalSeed,
-      currentState: this.state,
+      currentState: this.generator.exportState(this.state),
       callCount: this.callCount,
       nextPreview: this.random() // Shows next value without advancing state
     };
@@ -328,17 +516,18 @@ export class DeterministicRNG {
    * @returns {string} Human-readable state representation
    */
   toString() {
-    return `DeterministicRNG(seed=${this.originalSeed}, state=${this.state}, calls=${this.callCount})`;
+    return `DeterministicRNG(algorithm=${this.algorithm}, seed=${this.originalSeed}, state=${this.generator.exportState(this.state)}, calls=${this.callCount})`;
   }
 }
 
 /**
  * Factory function for creating RNG instances
  * @param {number} seed - Initial seed value
+ * @param {Object} options - {algorithm: generator id}
  * @returns {DeterministicRNG} New RNG instance
  */
-export function createRNG(seed) {
-  return new DeterministicRNG(seed);
+export function createRNG(seed, options = {}) {
+  return new DeterministicRNG(seed, options);
 }
 
 /**
@@ -0,0 +1,260 @@
+/**
+ * Canonical State Hashing for Tactica Arena
+ *
+ * Checksums that two clients (or a client and the server) can compare after
+ * every action:
+ * - Canonical serializer: object keys sorted, Maps and Sets ordered by
+ *   content, -0/NaN/Infinity spelled out, so equal states always produce
+ *   identical text regardless of construction order
+ * - Pure-JS SHA-256 (no Node or WebCrypto dependency, synchronous)
+ * - Per-section checksums and a field-level diff to pinpoint where two
+ *   states diverged
+ */
+
+/**
+ * Round constants: first 32 bits of the fractional parts of the cube roots
+ * of the first 64 primes
+ */
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Initial hash values: first 32 bits of the fractional parts of the square
+ * roots of the first 8 primes
+ */
+const H0 = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Input text
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function toUTF8(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Compute the SHA-256 digest of a string
+ * @param {string} text - Input text (hashed as UTF-8)
+ * @returns {string} Lowercase hex digest (64 characters)
+ */
+export function sha256(text) {
+  const bytes = toUTF8(String(text));
+  const bitLength = bytes.length * 8;
+
+  // Pad: 0x80, zeros, then the 64-bit big-endian message length
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = H0.slice();
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const temp1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + maj) >>> 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) >>> 0;
+    }
+
+    hash[0] = (hash[0] + a) >>> 0;
+    hash[1] = (hash[1] + b) >>> 0;
+    hash[2] = (hash[2] + c) >>> 0;
+    hash[3] = (hash[3] + d) >>> 0;
+    hash[4] = (hash[4] + e) >>> 0;
+    hash[5] = (hash[5] + f) >>> 0;
+    hash[6] = (hash[6] + g) >>> 0;
+    hash[7] = (hash[7] + h) >>> 0;
+  }
+
+  return hash.map(word => word.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Rotate a 32-bit word right
+ * @param {number} value - 32-bit word
+ * @param {number} bits - Rotation amount
+ * @returns {number} Rotated word
+ */
+function rotr(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+/**
+ * Serialize a value canonically: sorted object keys, Sets sorted, Maps as
+ * key-sorted objects, undefined and functions dropped from objects
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical text
+ */
+export function canonicalize(value) {
+  return serializeValue(value, new Set());
+}
+
+/**
+ * Canonical text for one value
+ * @param {*} value - Value to serialize
+ * @param {Set} ancestors - Objects on the current path (cycle detection)
+ * @returns {string|undefined} Canonical text, or undefined for dropped values
+ */
+function serializeValue(value, ancestors) {
+  if (value === null) return 'null';
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (Number.isNaN(value)) return '"NaN"';
+      if (value === Infinity) return '"Infinity"';
+      if (value === -Infinity) return '"-Infinity"';
+      return JSON.stringify(value === 0 ? 0 : value); // -0 and 0 are the same state
+    case 'bigint':
+      return JSON.stringify(value.toString());
+    case 'string':
+      return JSON.stringify(value);
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+  }
+
+  if (ancestors.has(value)) {
+    throw new Error('Cannot canonicalize a circular structure');
+  }
+  ancestors.add(value);
+
+  let text;
+  if (Array.isArray(value)) {
+    text = `[${value.map(item => serializeValue(item, ancestors) ?? 'null').join(',')}]`;
+  } else if (value instanceof Set) {
+    const items = Array.from(value, item => serializeValue(item, ancestors) ?? 'null').sort();
+    text = `[${items.join(',')}]`;
+  } else if (value instanceof Map) {
+    const entries = {};
+    for (const [key, item] of value) {
+      entries[typeof key === 'string' ? key : canonicalize(key)] = item;
+    }
+    text = serializeValue(entries, ancestors);
+  } else {
+    const fields = [];
+    for (const key of Object.keys(value).sort()) {
+      const item = serializeValue(value[key], ancestors);
+      if (item !== undefined) {
+        fields.push(`${JSON.stringify(key)}:${item}`);
+      }
+    }
+    text = `{${fields.join(',')}}`;
+  }
+
+  ancestors.delete(value);
+  return text;
+}
+
+/**
+ * Hash a value canonically
+ * @param {*} value - Value to hash
+ * @returns {string} SHA-256 hex digest of the canonical text
+ */
+export function hashCanonical(value) {
+  return sha256(canonicalize(value));
+}
+
+/**
+ * Checksum each top-level section of a state snapshot; sections listed in
+ * `perEntry` get one checksum per key (e.g. one per unit)
+ * @param {Object} snapshot - State snapshot
+ * @param {Object} options - {perEntry: section names, length: digest characters kept}
+ * @returns {Object} Section path ('rng', 'units.a1', ...) -> digest
+ */
+export function checksumSections(snapshot, options = {}) {
+  const perEntry = options.perEntry || [];
+  const length = options.length || 16;
+  const sections = {};
+
+  for (const key of Object.keys(snapshot).sort()) {
+    const value = snapshot[key];
+    if (perEntry.includes(key) && value && typeof value === 'object') {
+      for (const entryKey of Object.keys(value).sort()) {
+        sections[`${key}.${entryKey}`] = hashCanonical(value[entryKey]).slice(0, length);
+      }
+    } else {
+      sections[key] = hashCanonical(value).slice(0, length);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * List the sections whose checksums differ
+ * @param {Object} expected - Section checksums from checksumSections
+ * @param {Object} actual - Section checksums to compare
+ * @returns {Array} Differing section paths, sorted
+ */
+export function diffChecksums(expected = {}, actual = {}) {
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return Array.from(keys).filter(key => expected[key] !== actual[key]).sort();
+}
+
+/**
+ * Find the first field (in canonical order) where two snapshots differ
+ * @param {*} expected - Expected snapshot
+ * @param {*} actual - Actual snapshot
+ * @param {string} path - Path prefix
+ * @returns {Object|null} {path, expected, actual}, or null if canonically equal
+ */
+export function findFirstDifference(expected, actual, path = '') {
+  if (canonicalize(expected) === canonicalize(actual)) return null;
+
+  const isContainer = (value) => value !== null && typeof value === 'object';
+  if (isContainer(expected) && isContainer(actual) &&
+      Array.isArray(expected) === Array.isArray(actual)) {
+    const keys = Array.isArray(expected)
+      ? Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => String(index))
+      : Array.from(new Set([...Object.keys(expected), ...Object.keys(actual)])).sort();
+
+    for (const key of keys) {
+      const difference = findFirstDifference(expected[key], actual[key], path ? `${path}.${key}` : key);
+      if (difference) return difference;
+    }
+  }
+
+  return { path, expected, actual };
+}
+
+export default hashCanonical;
@@ -0,0 +1,442 @@
+/**
+ * Ability Templates for Tactica Arena
+ *
+ * Data-driven definitions for the skill archetypes from the design document:
+ * - Range, area shape and targeting rules
+ * - AP cost, MP cost and cooldown
+ * - Damage source and damage type
+ * - Save type for resistible effects (resolved on the hidden layer)
+ * - Status effects by StatusEffectTypes catalog ID
+ * - Tags such as friendly-fire, mobility and leader-only
+ *
+ * Previews, AP cost calculation and action resolution all read from the
+ * shared registry so every layer agrees on what an ability does.
+ */
+
+import { ACTION_POINTS } from '../constants/GameConstants.js';
+import { getStatusType } from './StatusEffectTypes.js';
+
+/**
+ * Default values for optional ability fields
+ */
+const ABILITY_DEFAULTS = {
+  mpCost: 0,
+  cooldown: 0,
+  range: null, // null = use the caster's weapon range (RNG)
+  minRange: 0,
+  area: { shape: 'single', radius: 0 },
+  targeting: 'enemy', // 'enemy', 'ally', 'self', 'unit', 'tile'
+  requiresLOS: true,
+  damage: null, // { source: 'weapon' | 'spell', spell, multiplier }
+  damageType: null, // null = weapon/spell damage type
+  healing: null, // { dice, sides, modifier }
+  status: null, // Catalog status ID applied to affected units
+  statusDuration: null, // null = catalog duration
+  saveType: null, // Overrides the status save: 'fortitude', 'reflex', 'will'
+  saveAbility: 'INT', // Caster ability used for the save difficulty
+  tags: []
+};
+
+/**
+ * Skill archetype definitions keyed by ability ID
+ */
+export const ABILITY_TEMPLATES = {
+  STRIKE: {
+    id: 'STRIKE',
+    name: 'Strike',
+    archetype: 'Strike',
+    description: 'Single-target attack with the equipped weapon',
+    type: 'damage',
+    effect: 'strike',
+    apCost: ACTION_POINTS.COSTS.BASIC_ATTACK,
+    damage: { source: 'weapon' },
+    tags: ['attack']
+  },
+
+  BARRAGE: {
+    id: 'BARRAGE',
+    name: 'Barrage',
+    archetype: 'Barrage',
+    description: 'Hits every unit in a small area, allies included',
+    type: 'damage',
+    effect: 'area_strike',
+    apCost: ACTION_POINTS.COSTS.BARRAGE,
+    mpCost: 10,
+    cooldown: 2,
+    range: 4,
+    area: { shape: 'radius', radius: 1 },
+    targeting: 'tile',
+    damage: { source: 'weapon', multiplier: 0.75 },
+    saveType: 'reflex',
+    tags: ['attack', 'aoe', 'friendly_fire']
+  },
+
+  DASH: {
+    id: 'DASH',
+    name: 'Dash',
+    archetype: 'Dash/Gap-close',
+    description: 'Move next to an enemy and strike in one motion',
+    type: 'damage',
+    effect: 'dash',
+    apCost: ACTION_POINTS.COSTS.DASH,
+    cooldown: 2,
+    damage: { source: 'weapon' },
+    tags: ['attack', 'mobility', 'melee']
+  },
+
+  DISENGAGE: {
+    id: 'DISENGAGE',
+    name: 'Disengage',
+    archetype: 'Disengage',
+    description: 'Move without provoking attacks of opportunity',
+    type: 'movement',
+    effect: 'reposition',
+    apCost: ACTION_POINTS.COSTS.DISENGAGE,
+    cooldown: 1,
+    targeting: 'tile',
+    requiresLOS: false,
+    tags: ['mobility', 'ignores_zoc']
+  },
+
+  GUARD: {
+    id: 'GUARD',
+    name: 'Guard',
+    archetype: 'Guard/Shield',
+    description: 'Brace to reduce incoming damage until your next turn',
+    type: 'buff',
+    effect: 'status',
+    apCost: ACTION_POINTS.COSTS.GUARD,
+    cooldown: 1,
+    range: 0,
+    targeting: 'self',
+    requiresLOS: false,
+    status: 'GUARDED',
+    tags: ['buff']
+  },
+
+  INSPIRE: {
+    id: 'INSPIRE',
+    name: 'Inspire',
+    archetype: 'Inspire',
+    description: 'Rally nearby allies, quickening their actions',
+    type: 'buff',
+    effect: 'status',
+    apCost: ACTION_POINTS.COSTS.INSPIRE,
+    cooldown: 2,
+    range: 0,
+    area: { shape: 'radius', radius: 3 },
+    targeting: 'self',
+    requiresLOS: false,
+    status: 'INSPIRED',
+    tags: ['buff', 'leader_only', 'affects_allies']
+  },
+
+  MARK: {
+    id: 'MARK',
+    name: 'Mark',
+    archetype: 'Mark/Expose',
+    description: 'Expose an enemy, lowering its defenses',
+    type: 'debuff',
+    effect: 'status',
+    apCost: ACTION_POINTS.COSTS.MARK,
+    cooldown: 1,
+    range: 5,
+    status: 'MARKED',
+    tags: ['debuff', 'vision']
+  },
+
+  CLEANSE: {
+    id: 'CLEANSE',
+    name: 'Cleanse',
+    archetype: 'Cleanse',
+    description: 'Remove harmful effects from an ally',
+    type: 'support',
+    effect: 'cleanse',
+    apCost: ACTION_POINTS.COSTS.CLEANSE,
+    mpCost: 10,
+    cooldown: 1,
+    range: 3,
+    targeting: 'ally',
+    tags: ['support']
+  },
+
+  CONTROL: {
+    id: 'CONTROL',
+    name: 'Stun',
+    archetype: 'Control',
+    description: 'Attempt to stun an enemy, costing it its next turn',
+    type: 'control',
+    effect: 'status',
+    apCost: ACTION_POINTS.COSTS.CONTROL,
+    mpCost: 15,
+    cooldown: 3,
+    range: 3,
+    status: 'STUNNED',
+    tags: ['control']
+  },
+
+  HYPNOTISE: {
+    id: 'HYPNOTISE',
+    name: 'Hypnotise',
+    archetype: 'Control',
+    description: 'Attempt to turn an enemy against its own side for two turns',
+    type: 'control',
+    effect: 'status',
+    apCost: ACTION_POINTS.COSTS.CONTROL,
+    mpCost: 25,
+    cooldown: 4,
+    range: 3,
+    status: 'HYPNOTISED',
+    tags: ['control', 'mind']
+  },
+
+  TELEPORT: {
+    id: 'TELEPORT',
+    name: 'Teleport',
+    archetype: 'Teleport/Phase',
+    description: 'Blink to a visible tile',
+    type: 'movement',
+    effect: 'teleport',
+    apCost: ACTION_POINTS.COSTS.TELEPORT,
+    mpCost: 20,
+    cooldown: 3,
+    range: 4,
+    targeting: 'tile',
+    tags: ['mobility', 'magical', 'ignores_zoc']
+  },
+
+  TERRAIN_SHAPE: {
+    id: 'TERRAIN_SHAPE',
+    name: 'Terrain Shape',
+    archetype: 'Terrain Shape',
+    description: 'Raise a barricade that provides full cover',
+    type: 'terrain',
+    effect: 'terrain',
+    apCost: ACTION_POINTS.COSTS.TERRAIN_SHAPE,
+    mpCost: 10,
+    cooldown: 3,
+    range: 3,
+    targeting: 'tile',
+    terrain: { type: 'RUINS' },
+    tags: ['map', 'control']
+  },
+
+  SCOUT_EYE: {
+    id: 'SCOUT_EYE',
+    name: "Scout's Eye",
+    archetype: "Scout's Eye",
+    description: 'Extend sight and reach for a turn',
+    type: 'buff',
+    effect: 'status',
+    apCost: ACTION_POINTS.COSTS.SCOUT_EYE,
+    cooldown: 2,
+    range: 0,
+    targeting: 'self',
+    requiresLOS: false,
+    status: 'FARSIGHT',
+    tags: ['vision']
+  },
+
+  HEAL: {
+    id: 'HEAL',
+    name: 'Heal',
+    archetype: 'Heal',
+    description: 'Restore health to an ally',
+    type: 'healing',
+    effect: 'heal',
+    apCost: ACTION_POINTS.COSTS.HEAL,
+    mpCost: 15,
+    cooldown: 1,
+    range: 3,
+    targeting: 'ally',
+    healing: { dice: 2, sides: 8, modifier: 'WIS' },
+    tags: ['support']
+  },
+
+  FINISHER: {
+    id: 'FINISHER',
+    name: 'Finisher',
+    archetype: 'Finisher',
+    description: 'Heavy blow that deals bonus damage to badly wounded enemies',
+    type: 'damage',
+    effect: 'strike',
+    apCost: ACTION_POINTS.COSTS.FINISHER,
+    cooldown: 2,
+    damage: { source: 'weapon', executeThreshold: 0.3, executeMultiplier: 1.5 },
+    tags: ['attack', 'execute']
+  }
+};
+
+/**
+ * Default ability loadout per class (STRIKE is always available as the basic attack)
+ */
+export const CLASS_ABILITIES = {
+  SWORDSMAN: ['STRIKE', 'DASH', 'FINISHER', 'GUARD'],
+  GUARDIAN: ['STRIKE', 'GUARD', 'CONTROL'],
+  ARCHER: ['STRIKE', 'BARRAGE', 'MARK', 'SCOUT_EYE'],
+  RANGER: ['STRIKE', 'DISENGAGE', 'TERRAIN_SHAPE', 'SCOUT_EYE'],
+  MAGE: ['STRIKE', 'BARRAGE', 'CONTROL', 'HYPNOTISE', 'TELEPORT'],
+  CLERIC: ['STRIKE', 'HEAL', 'CLEANSE', 'GUARD'],
+  ROGUE: ['STRIKE', 'DISENGAGE', 'FINISHER', 'MARK'],
+  SPEARMASTER: ['STRIKE', 'CONTROL', 'GUARD', 'DASH']
+};
+
+/**
+ * Registry of ability definitions
+ */
+export class AbilityRegistry {
+  /**
+   * Create ability registry
+   * @param {Object} templates - Ability definitions keyed by ID
+   */
+  constructor(templates = ABILITY_TEMPLATES) {
+    this.abilities = new Map();
+    for (const definition of Object.values(templates)) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * Register an ability definition
+   * @param {Object} definition - Ability definition
+   * @returns {Object} Frozen, normalized definition
+   */
+  register(definition) {
+    if (!definition || !definition.id || !definition.name) {
+      throw new Error('Ability definition requires an id and name');
+    }
+
+    if (typeof definition.apCost !== 'number' || definition.apCost < 0) {
+      throw new Error(`Ability ${definition.id} has an invalid AP cost`);
+    }
+
+    if (!definition.effect) {
+      throw new Error(`Ability ${definition.id} has no effect handler`);
+    }
+
+    if (definition.status && !getStatusType(definition.status)) {
+      throw new Error(`Ability ${definition.id} references unknown status: ${definition.status}`);
+    }
+
+    const normalized = Object.freeze({
+      ...ABILITY_DEFAULTS,
+      ...definition,
+      id: definition.id.toUpperCase(),
+      status: definition.status ? definition.status.toUpperCase() : null,
+      area: Object.freeze({ ...ABILITY_DEFAULTS.area, ...(definition.area || {}) }),
+      tags: Object.freeze([...(definition.tags || [])])
+    });
+
+    this.abilities.set(normalized.id, normalized);
+    return normalized;
+  }
+
+  /**
+   * Get ability definition by ID
+   * @param {string} abilityId - Ability ID (case-insensitive)
+   * @returns {Object|null} Ability definition or null
+   */
+  get(abilityId) {
+    if (typeof abilityId !== 'string') return null;
+    return this.abilities.get(abilityId.toUpperCase()) || null;
+  }
+
+  /**
+   * Check if ability exists
+   * @param {string} abilityId - Ability ID
+   * @returns {boolean} True if ability is registered
+   */
+  has(abilityId) {
+    return this.get(abilityId) !== null;
+  }
+
+  /**
+   * Check if ability carries a tag
+   * @param {string} abilityId - Ability ID
+   * @param {string} tag - Tag to check
+   * @returns {boolean} True if ability has the tag
+   */
+  hasTag(abilityId, tag) {
+    const ability = this.get(abilityId);
+    return !!ability && ability.tags.includes(tag);
+  }
+
+  /**
+   * List all registered abilities
+   * @returns {Array} Array of ability definitions
+   */
+  list() {
+    return Array.from(this.abilities.values());
+  }
+
+  /**
+   * Get default ability IDs for a class
+   * @param {string} unitClass - Unit class
+   * @param {boolean} isLeader - Whether the unit leads the army
+   * @returns {Array} Ability IDs
+   */
+  getDefaultLoadout(unitClass, isLeader = false) {
+    const loadout = [...(CLASS_ABILITIES[unitClass] || ['STRIKE'])];
+    if (isLeader && !loadout.includes('INSPIRE')) {
+      loadout.push('INSPIRE');
+    }
+    return loadout;
+  }
+
+  /**
+   * Get the effective range of an ability for a caster
+   * @param {Object} ability - Ability definition
+   * @param {Unit} caster - Casting unit
+   * @returns {number} Range in tiles
+   */
+  getRange(ability, caster) {
+    if (ability.range !== null) return ability.range;
+    return caster.getCurrentStats().RNG || 1;
+  }
+
+  /**
+   * Check whether targets get a hidden save against an ability
+   * @param {Object} ability - Ability definition
+   * @returns {boolean} True if the ability or its status can be resisted
+   */
+  isResistible(ability) {
+    if (ability.saveType !== null) return true;
+    const status = ability.status ? getStatusType(ability.status) : null;
+    return !!status && status.saveType !== null;
+  }
+
+  /**
+   * Get client-safe ability info for previews and UI
+   * @param {string} abilityId - Ability ID
+   * @returns {Object|null} Public ability info
+   */
+  getPublicInfo(abilityId) {
+    const ability = this.get(abilityId);
+    if (!ability) return null;
+
+    return {
+      id: ability.id,
+      name: ability.name,
+      archetype: ability.archetype,
+      description: ability.description,
+      type: ability.type,
+      apCost: ability.apCost,
+      mpCost: ability.mpCost,
+      cooldown: ability.cooldown,
+      range: ability.range,
+      area: { ...ability.area },
+      targeting: ability.targeting,
+      requiresLOS: ability.requiresLOS,
+      damageType: ability.damageType,
+      resistible: this.isResistible(ability),
+      tags: [...ability.tags]
+    };
+  }
+}
+
+/**
+ * Shared registry instance used by the combat systems
+ */
+export const abilityRegistry = new AbilityRegistry();
+
+export default abilityRegistry;
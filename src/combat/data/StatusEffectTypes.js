@@ -0,0 +1,247 @@
+/**
+ * Status Effect Types for Tactica Arena
+ *
+ * Catalog of the conditions from the design document:
+ * - Control: Stunned, Rooted, Slowed, Hypnotised
+ * - Damage over time: Poisoned, Burning, Bleeding
+ * - Debuffs: Blinded, Marked, Morale Broken
+ * - Buffs: Guarded, Inspired, Farsight
+ *
+ * Each entry sets when the effect ticks, how repeat applications stack, which
+ * hidden save (if any) lets a target resist it, and the tags immunities and
+ * Cleanse work against. Players only ever see the name, duration and whether
+ * the effect was resisted.
+ */
+
+import { COMBAT } from '../constants/GameConstants.js';
+import { DAMAGE_TYPES } from '../systems/DamageCalculator.js';
+
+const STACK_TYPES = COMBAT.STATUS_EFFECTS.STACK_TYPES;
+const LEADER = COMBAT.LEADER;
+
+/**
+ * Default values for optional status fields
+ */
+const STATUS_DEFAULTS = {
+  duration: 1,
+  stackType: STACK_TYPES.NONE,
+  maxStacks: 1,
+  triggersOn: 'start_turn', // 'start_turn', 'end_turn', 'on_damage'
+  effects: {}, // Flat stat modifiers
+  percentEffects: {}, // Fractional stat modifiers (0.1 = +10%)
+  dot: null, // { dice, sides, flatDamage, damageType } dealt when triggered
+  flags: {}, // { skipsTurn, cannotMove, controlled }
+  saveType: null, // Save to resist on application: 'fortitude', 'reflex', 'will'
+  allowsSave: false, // Repeat the save at the end of each affected turn to shake it off
+  cleansable: false,
+  tags: []
+};
+
+/**
+ * Status definitions keyed by status ID
+ */
+export const STATUS_EFFECT_TYPES = {
+  STUNNED: {
+    id: 'STUNNED',
+    name: 'Stunned',
+    type: 'debuff',
+    description: 'Loses its next turn',
+    saveType: 'fortitude',
+    flags: { skipsTurn: true },
+    cleansable: true,
+    tags: ['control', 'stun']
+  },
+
+  ROOTED: {
+    id: 'ROOTED',
+    name: 'Rooted',
+    type: 'debuff',
+    description: 'Cannot move, but may still attack and use abilities',
+    duration: 2,
+    saveType: 'reflex',
+    allowsSave: true,
+    flags: { cannotMove: true },
+    cleansable: true,
+    tags: ['control', 'root']
+  },
+
+  SLOWED: {
+    id: 'SLOWED',
+    name: 'Slowed',
+    type: 'debuff',
+    description: 'Movement range reduced',
+    duration: 2,
+    stackType: STACK_TYPES.EXTEND,
+    saveType: 'reflex',
+    effects: { MOV: -2 },
+    cleansable: true,
+    tags: ['control', 'slow']
+  },
+
+  HYPNOTISED: {
+    id: 'HYPNOTISED',
+    name: 'Hypnotised',
+    type: 'debuff',
+    description: 'Fights for the enemy until the effect ends',
+    duration: 2,
+    triggersOn: 'end_turn', // Counts down after each controlled turn
+    saveType: 'will',
+    allowsSave: true,
+    flags: { controlled: true },
+    cleansable: true,
+    tags: ['control', 'mind']
+  },
+
+  POISONED: {
+    id: 'POISONED',
+    name: 'Poisoned',
+    type: 'debuff',
+    description: 'Takes poison damage at the start of each turn',
+    duration: 3,
+    stackType: STACK_TYPES.INTENSITY,
+    maxStacks: 3,
+    saveType: 'fortitude',
+    dot: { dice: 1, sides: 6, damageType: DAMAGE_TYPES.POISON },
+    cleansable: true,
+    tags: ['dot', 'poison']
+  },
+
+  BURNING: {
+    id: 'BURNING',
+    name: 'Burning',
+    type: 'debuff',
+    description: 'Takes fire damage at the end of each turn',
+    duration: 2,
+    stackType: STACK_TYPES.EXTEND,
+    triggersOn: 'end_turn',
+    saveType: 'reflex',
+    dot: { dice: 1, sides: 8, damageType: DAMAGE_TYPES.FIRE },
+    cleansable: true,
+    tags: ['dot', 'fire']
+  },
+
+  BLEEDING: {
+    id: 'BLEEDING',
+    name: 'Bleeding',
+    type: 'debuff',
+    description: 'Wounds reopen whenever it is struck',
+    duration: 3,
+    stackType: STACK_TYPES.INTENSITY,
+    maxStacks: 2,
+    triggersOn: 'on_damage',
+    dot: { dice: 1, sides: 4, damageType: DAMAGE_TYPES.PHYSICAL },
+    cleansable: true,
+    tags: ['dot', 'bleed']
+  },
+
+  BLINDED: {
+    id: 'BLINDED',
+    name: 'Blinded',
+    type: 'debuff',
+    description: 'Vision clouded: attack reach reduced',
+    saveType: 'fortitude',
+    effects: { RNG: -2 },
+    cleansable: true,
+    tags: ['blind', 'vision']
+  },
+
+  MARKED: {
+    id: 'MARKED',
+    name: 'Marked',
+    type: 'debuff',
+    description: 'Exposed: lower defenses and easier to hit',
+    duration: 2,
+    stackType: STACK_TYPES.EXTEND,
+    effects: { DEF: -5, RES: -5 },
+    cleansable: true,
+    tags: ['mark', 'vision']
+  },
+
+  MORALE_BROKEN: {
+    id: 'MORALE_BROKEN',
+    name: 'Morale Broken',
+    type: 'debuff',
+    description: 'Shaken by the loss of the leader',
+    duration: LEADER.MORALE_DEBUFF_DURATION,
+    percentEffects: { ATK: -LEADER.MORALE_DEBUFF_ATK, AGL: -LEADER.MORALE_DEBUFF_AGL },
+    tags: ['morale']
+  },
+
+  GUARDED: {
+    id: 'GUARDED',
+    name: 'Guarded',
+    type: 'buff',
+    description: 'Braced against incoming damage',
+    effects: { DEF: 10, RES: 10 },
+    tags: ['guard']
+  },
+
+  INSPIRED: {
+    id: 'INSPIRED',
+    name: 'Inspired',
+    type: 'buff',
+    description: 'Rallied by the leader',
+    duration: LEADER.INSPIRE_BUFF_DURATION,
+    percentEffects: { AGL: LEADER.INSPIRE_BUFF_AGL },
+    tags: ['morale']
+  },
+
+  FARSIGHT: {
+    id: 'FARSIGHT',
+    name: 'Farsight',
+    type: 'buff',
+    description: 'Sees and reaches further',
+    triggersOn: 'end_turn',
+    effects: { RNG: 1 },
+    tags: ['vision']
+  }
+};
+
+/**
+ * Get a normalized status definition
+ * @param {string} statusId - Status ID (case-insensitive)
+ * @returns {Object|null} Status definition with defaults applied, or null
+ */
+export function getStatusType(statusId) {
+  if (typeof statusId !== 'string') return null;
+  const definition = STATUS_EFFECT_TYPES[statusId.toUpperCase()];
+  if (!definition) return null;
+
+  return {
+    ...STATUS_DEFAULTS,
+    ...definition,
+    effects: { ...STATUS_DEFAULTS.effects, ...(definition.effects || {}) },
+    percentEffects: { ...(definition.percentEffects || {}) },
+    flags: { ...(definition.flags || {}) },
+    tags: [...(definition.tags || [])]
+  };
+}
+
+/**
+ * Get the player-facing view of a status (no save types or DCs)
+ * @param {string} statusId - Status ID (case-insensitive)
+ * @returns {Object|null} Public status info, or null if unknown
+ */
+export function getPublicStatusInfo(statusId) {
+  const definition = getStatusType(statusId);
+  if (!definition) return null;
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    type: definition.type,
+    description: definition.description,
+    duration: definition.duration,
+    stacks: definition.stackType !== STACK_TYPES.NONE,
+    resistible: definition.saveType !== null,
+    cleansable: definition.cleansable
+  };
+}
+
+// Freeze catalog entries to prevent accidental mutation
+for (const definition of Object.values(STATUS_EFFECT_TYPES)) {
+  Object.freeze(definition);
+}
+Object.freeze(STATUS_EFFECT_TYPES);
+
+export default STATUS_EFFECT_TYPES;
@@ -316,9 +316,10 @@ export class CriticalSystem {
    * @param {AbilityScores} abilities - Ability scores
    * @param {Object} visibleStats - Visible stats for LCK
    * @param {Object} equipment - Equipment critical modifiers
+   * @param {number} bonusChance - Situational crit chance (e.g. Umbral flank), as a fraction of the die
    * @returns {Object} Threat range info
    */
-  static calculateThreatRange(abilities, visibleStats, equipment = {}) {
+  static calculateThreatRange(abilities, visibleStats, equipment = {}, bonusChance = 0) {
     const intMod = abilities.getModifier('INT');
     const lckMod = calculateModifier(visibleStats.LCK || 8); // Convert visible LCK to modifier
     const equipmentMod = equipment.criticalModifier || 0;
@@ -326,7 +327,9 @@ export class CriticalSystem {
     // Base threat is 20, extend by (INT mod + LCK mod)
     const extension = Math.max(0, intMod + lckMod + equipmentMod);
     const maxExtension = HIDDEN_STATS.DICE.NATURAL_CRIT - COMBAT.CRITICAL.MAX_THREAT_RANGE;
-    const actualExtension = Math.min(extension, maxExtension);
+    // Situational bonuses stack on top of the stat cap so they always matter
+    const bonusExtension = Math.max(0, Math.round(bonusChance * HIDDEN_STATS.DICE.D20_MAX));
+    const actualExtension = Math.min(extension, maxExtension) + bonusExtension;
     
     const minThreat = HIDDEN_STATS.DICE.NATURAL_CRIT - actualExtension;
     
@@ -403,7 +406,7 @@ export class D20Engine {
    * @param {Object} attacker - Attacker data with abilities, level, equipment
    * @param {Object} defender - Defender data with abilities, equipment, situational
    * @param {Object} attackRoll - D20 roll result from RNG
-   * @param {Object} options - Attack options (isRanged, etc.)
+   * @param {Object} options - Attack options (isRanged, critChanceBonus, etc.)
    * @returns {Object} Attack resolution result
    */
   resolvePhysicalAttack(attacker, defender, attackRoll, options = {}) {
@@ -427,7 +430,8 @@ export class D20Engine {
       const threatRange = CriticalSystem.calculateThreatRange(
         attacker.abilities,
         attacker.visibleStats,
-        attacker.equipment
+        attacker.equipment,
+        options.critChanceBonus || 0
       );
       
       const critical = hit && CriticalSystem.isCriticalHit(attackRoll.result, threatRange);
@@ -462,7 +466,7 @@ export class D20Engine {
    * @param {Object} caster - Caster data with abilities, level, equipment
    * @param {Object} target - Target data with abilities, equipment, situational
    * @param {Object} attackRoll - D20 roll result from RNG
-   * @param {Object} options - Spell options (primaryAbility, etc.)
+   * @param {Object} options - Spell options (primaryAbility, critChanceBonus, etc.)
    * @returns {Object} Spell attack resolution result
    */
   resolveSpellAttack(caster, target, attackRoll, options = {}) {
@@ -486,7 +490,8 @@ export class D20Engine {
       const threatRange = CriticalSystem.calculateThreatRange(
         caster.abilities,
         caster.visibleStats,
-        caster.equipment
+        caster.equipment,
+        options.critChanceBonus || 0
       );
       
       const critical = hit && CriticalSystem.isCriticalHit(attackRoll.result, threatRange);
@@ -12,18 +12,40 @@
  * Public API includes:
  * - Unit creation and management (visible stats only)
  * - Combat state management
+ * - Army validation and the deployment phase
  * - Combat preview and calculation API
  * - Action point system
  * - Initiative system (results only, not d20 calculations)
+ * - Authoritative action resolution (player-safe result events)
+ * - Authoritative turn clocks with an optional per-player time bank
+ * - Practice AI opponents in four difficulty bands
+ * - Expectimax turn search for the Expert band, run where the match is hosted
  * - Game constants (visible values only)
  * 
  * Version: 1.0
  * Architecture: Dual-layer (hidden d20 + visible stats)
  */
 
+import { Unit } from './models/Unit.js';
+import { CombatState } from './models/CombatState.js';
+import { CombatPreview, CombatPreviewResult } from './api/CombatPreview.js';
+import { ActionPointSystem } from './systems/ActionPointSystem.js';
+import { InitiativeSystem, InitiativeEntry } from './systems/InitiativeSystem.js';
+import { ActionResolver, ActionResult } from './systems/ActionResolver.js';
+import { Pathfinder } from './systems/Pathfinder.js';
+import { ArmyValidator } from './systems/ArmyValidator.js';
+import { DeploymentSystem } from './systems/DeploymentSystem.js';
+import { ReplayRunner } from './systems/ReplayRunner.js';
+import { TurnClock } from './systems/TurnClock.js';
+import { VisionSystem } from './systems/VisionSystem.js';
+import { Replay } from './models/Replay.js';
+import { DeterministicRNG } from './core/DeterministicRNG.js';
+import { VALIDATION, PERFORMANCE } from './constants/GameConstants.js';
+
 // Public Models (safe for client use)
 export { Unit, StatusEffect, Equipment } from './models/Unit.js';
 export { CombatState, CombatAction, TerrainTile } from './models/CombatState.js';
+export { Replay } from './models/Replay.js';
 
 // Public API Layer (the main interface for clients)
 export { CombatPreview, CombatPreviewResult } from './api/CombatPreview.js';
@@ -31,6 +53,28 @@ export { CombatPreview, CombatPreviewResult } from './api/CombatPreview.js';
 // Public Systems (client-safe interfaces only)
 export { ActionPointSystem, Action, ActionQueue } from './systems/ActionPointSystem.js';
 export { InitiativeSystem, InitiativeEntry } from './systems/InitiativeSystem.js';
+export { ActionResolver, ActionResult, ACTION_TYPES } from './systems/ActionResolver.js';
+export { Pathfinder, PathSearch, CombatStateGrid } from './systems/Pathfinder.js';
+export { StatusEffectSystem } from './systems/StatusEffectSystem.js';
+export { MoraleSystem } from './systems/MoraleSystem.js';
+export { ArmyValidator } from './systems/ArmyValidator.js';
+export { DeploymentSystem } from './systems/DeploymentSystem.js';
+export { VictoryConditionRegistry, victoryConditionRegistry, VICTORY_CONDITION_TYPES } from './systems/VictoryConditions.js';
+export { ReplayRunner } from './systems/ReplayRunner.js';
+export { TurnClock } from './systems/TurnClock.js';
+export { VisionSystem } from './systems/VisionSystem.js';
+
+// Practice AI (plays from the public state and previews only)
+export { AIPlayer, createPreviewAccess } from './ai/AIPlayer.js';
+
+// Expert search (reads the hosted CombatState; its actions are ordinary intents)
+export { ExpectimaxPlanner } from './ai/ExpectimaxPlanner.js';
+
+// Ability definitions (public archetype data; resistance is exposed only as a flag)
+export { AbilityRegistry, abilityRegistry, ABILITY_TEMPLATES, CLASS_ABILITIES } from './data/AbilityTemplates.js';
+
+// Status catalog (player-facing view only; save details stay server-side)
+export { getPublicStatusInfo } from './data/StatusEffectTypes.js';
 
 // Public Constants (visible stats and game values only)
 export { 
@@ -42,7 +86,12 @@ export {
   ARMY,
   CLASSES,
   FACTIONS,
-  VALIDATION
+  VALIDATION,
+  RNG,
+  NETWORK,
+  RANKED,
+  AI,
+  PERFORMANCE
 } from './constants/GameConstants.js';
 
 // Damage system exports (public interface only)
@@ -50,6 +99,7 @@ export { DAMAGE_TYPES } from './systems/DamageCalculator.js';
 
 // Utility exports
 export { DeterministicRNG, createRNG, createTimestampRNG, createStringRNG } from './core/DeterministicRNG.js';
+export { canonicalize, sha256, hashCanonical, checksumSections, diffChecksums, findFirstDifference } from './core/StateHash.js';
 
 /**
  * Combat System Factory Class
@@ -67,44 +117,84 @@ export class CombatSystem {
       enableLogging: config.enableLogging || false,
       enableDetailedPreviews: config.enableDetailedPreviews !== false,
       maxConcurrentMatches: config.maxConcurrentMatches || 100,
-      turnTimeoutMs: config.turnTimeoutMs || 120000, // 2 minutes
+      turnTimeoutMs: PERFORMANCE.TARGETS.TURN_TIMEOUT, // Per unit activation; 0 disables turn clocks
+      timeBankMs: PERFORMANCE.TARGETS.TIME_BANK, // Per player
+      now: () => Date.now(), // Wall clock the turn clocks read
       ...config
     };
     
     // Initialize subsystems
-    this.preview = new (require('./api/CombatPreview.js').CombatPreview)({
-      enableDetailedPreviews: this.config.enableDetailedPreviews
-    });
-    
-    this.actionPoints = new (require('./systems/ActionPointSystem.js').ActionPointSystem)({
+    this.pathfinder = new Pathfinder();
+
+    this.actionPoints = new ActionPointSystem({
       logActions: this.config.enableLogging
     });
+
+    this.preview = new CombatPreview({
+      enableDetailedPreviews: this.config.enableDetailedPreviews,
+      actionPointSystem: this.actionPoints,
+      pathfinder: this.pathfinder
+    });
     
-    this.initiative = new (require('./systems/InitiativeSystem.js').InitiativeSystem)({
+    this.initiative = new InitiativeSystem({
       logInitiative: this.config.enableLogging
     });
+
+    this.armyValidator = new ArmyValidator();
+    this.deployment = new DeploymentSystem();
+    this.vision = new VisionSystem();
+
+    this.resolver = new ActionResolver({
+      actionPointSystem: this.actionPoints,
+      pathfinder: this.pathfinder,
+      initiativeSystem: this.initiative,
+      logResolutions: this.config.enableLogging
+    });
     
     this.matches = new Map();
+    this.replays = new Map(); // Match ID -> Replay being recorded
+    this.clocks = new Map(); // Match ID -> TurnClock
   }
 
   /**
    * Create a new combat match
-   * @param {Object} matchConfig - Match configuration
+   * @param {Object} matchConfig - Match configuration; set deploymentPattern
+   *   ('CLUSTERED', 'DISPERSED', 'FLANKED') to have armies deploy into zones,
+   *   and victoryConditions to type strings or {type, ...options} objects
+   *   (see VictoryConditions.js); rngAlgorithm picks the generator (RNG.ALGORITHMS)
+   *   and rngStreams how its rolls split into streams (RNG.STREAM_LAYOUTS);
+   *   turnClock overrides the system's {turnTime, timeBank} or is false to leave
+   *   the match untimed
    * @returns {CombatState} New combat state
    */
   createMatch(matchConfig = {}) {
-    const combatState = new (require('./models/CombatState.js').CombatState)({
+    const combatState = new CombatState({
       matchId: matchConfig.matchId || `match_${Date.now()}`,
       seed: matchConfig.seed || Date.now(),
+      rngAlgorithm: matchConfig.rngAlgorithm,
+      rngStreams: matchConfig.rngStreams,
       players: matchConfig.players || [],
       mapWidth: matchConfig.mapWidth || 24,
       mapHeight: matchConfig.mapHeight || 24,
       terrainData: matchConfig.terrainData,
       units: matchConfig.units,
-      victoryConditions: matchConfig.victoryConditions
+      victoryConditions: matchConfig.victoryConditions,
+      maxTurns: matchConfig.maxTurns
     });
 
+    if (matchConfig.deploymentPattern) {
+      const zones = this.deployment.createZones(
+        combatState.mapWidth,
+        combatState.mapHeight,
+        combatState.players.map(player => player.id),
+        matchConfig.deploymentPattern
+      );
+      combatState.setDeploymentZones(matchConfig.deploymentPattern, zones);
+    }
+
     this.matches.set(combatState.matchId, combatState);
+    this.replays.set(combatState.matchId, Replay.fromMatch(combatState, matchConfig));
+    this.clocks.set(combatState.matchId, this.createTurnClock(combatState, matchConfig.turnClock));
     
     // Initialize all units in the action point system
     for (const unit of combatState.units.values()) {
@@ -129,6 +219,8 @@ export class CombatSystem {
    * @returns {boolean} True if match was removed
    */
   removeMatch(matchId) {
+    this.replays.delete(matchId);
+    this.clocks.delete(matchId);
     return this.matches.delete(matchId);
   }
 
@@ -138,7 +230,7 @@ export class CombatSystem {
    * @returns {Unit} New unit instance
    */
   createUnit(unitConfig) {
-    return new (require('./models/Unit.js').Unit)(unitConfig);
+    return new Unit(unitConfig);
   }
 
   /**
@@ -152,7 +244,7 @@ export class CombatSystem {
   previewAttack(matchId, attackerId, targetId, options = {}) {
     const match = this.getMatch(matchId);
     if (!match) {
-      return new (require('./api/CombatPreview.js').CombatPreviewResult)({
+      return new CombatPreviewResult({
         success: false,
         errors: ['Match not found']
       });
@@ -162,7 +254,7 @@ export class CombatSystem {
     const target = match.getUnit(targetId);
 
     if (!attacker || !target) {
-      return new (require('./api/CombatPreview.js').CombatPreviewResult)({
+      return new CombatPreviewResult({
         success: false,
         errors: ['Unit not found']
       });
@@ -182,7 +274,7 @@ export class CombatSystem {
   previewMovement(matchId, unitId, targetPosition, options = {}) {
     const match = this.getMatch(matchId);
     if (!match) {
-      return new (require('./api/CombatPreview.js').CombatPreviewResult)({
+      return new CombatPreviewResult({
         success: false,
         errors: ['Match not found']
       });
@@ -190,7 +282,7 @@ export class CombatSystem {
 
     const unit = match.getUnit(unitId);
     if (!unit) {
-      return new (require('./api/CombatPreview.js').CombatPreviewResult)({
+      return new CombatPreviewResult({
         success: false,
         errors: ['Unit not found']
       });
@@ -199,6 +291,63 @@ export class CombatSystem {
     return this.preview.previewMovement(unit, targetPosition, match, options);
   }
 
+  /**
+   * Get the tiles a unit can reach this activation
+   * @param {string} matchId - Match ID
+   * @param {string} unitId - Unit ID
+   * @returns {CombatPreviewResult} Reachable tiles with movement costs
+   */
+  previewMovementRange(matchId, unitId) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new CombatPreviewResult({
+        success: false,
+        errors: ['Match not found']
+      });
+    }
+
+    const unit = match.getUnit(unitId);
+    if (!unit) {
+      return new CombatPreviewResult({
+        success: false,
+        errors: ['Unit not found']
+      });
+    }
+
+    return this.preview.previewMovementRange(unit, match);
+  }
+
+  /**
+   * Preview an ability against the units it would affect
+   * @param {string} matchId - Match ID
+   * @param {string} casterId - Caster unit ID
+   * @param {string} abilityId - Ability ID
+   * @param {Array} targetIds - Target unit IDs
+   * @param {Object} options - Ability options
+   * @returns {CombatPreviewResult} Ability preview result
+   */
+  previewAbility(matchId, casterId, abilityId, targetIds = [], options = {}) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new CombatPreviewResult({
+        success: false,
+        errors: ['Match not found']
+      });
+    }
+
+    const caster = match.getUnit(casterId);
+    const targets = targetIds.map(targetId => match.getUnit(targetId));
+
+    if (!caster || targets.some(target => !target)) {
+      return new CombatPreviewResult({
+        success: false,
+        errors: ['Unit not found']
+      });
+    }
+
+    return this.preview.previewAbility(caster, abilityId, targets, match, options);
+  }
+
   /**
    * Calculate initiative order for a match
    * @param {string} matchId - Match ID
@@ -209,17 +358,511 @@ export class CombatSystem {
     const match = this.getMatch(matchId);
     if (!match) return [];
 
-    const rng = new (require('./core/DeterministicRNG.js').DeterministicRNG)(seed);
+    const rng = new DeterministicRNG(seed, { algorithm: match.rngAlgorithm });
     const units = Array.from(match.units.values());
     
     return this.initiative.calculateInitiativeOrder(units, rng, {
-      getPlayerForUnit: (unitId) => {
-        const unit = match.getUnit(unitId);
-        return match.players.find(p => p.units && p.units.includes(unitId))?.id || 'unknown';
+      getPlayerForUnit: (unitId) => match.getPlayerForUnit(unitId)
+    });
+  }
+
+  /**
+   * Roll initiative with the match RNG and move the match into combat
+   * @param {string} matchId - Match ID
+   * @param {Object} options - {initiativeOrder: every unit ID, first to act first, to
+   *   skip the roll in scripted matches such as rule scenarios}
+   * @returns {ActionResult} Result with the opening activation event
+   */
+  startMatch(matchId, options = {}) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.MATCH_NOT_FOUND,
+        errors: ['Match not found']
+      });
+    }
+
+    if (match.phase !== 'DEPLOYMENT') {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.INVALID_PHASE,
+        errors: [`Match has already started (${match.phase})`]
+      });
+    }
+
+    const readiness = this.checkDeploymentReady(match);
+    if (!readiness.ready) {
+      return new ActionResult({
+        success: false,
+        errorCode: readiness.errorCode,
+        errors: readiness.errors
+      });
+    }
+
+    const order = options.initiativeOrder ?
+      this.createScriptedInitiative(match, options.initiativeOrder) :
+      this.initiative.calculateInitiativeOrder(
+        Array.from(match.units.values()),
+        match.getRNG('initiative'),
+        { getPlayerForUnit: (unitId) => match.getPlayerForUnit(unitId) }
+      );
+    if (!order) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.INVALID_ACTION,
+        errors: ['Initiative order must list every unit exactly once']
+      });
+    }
+
+    const result = new ActionResult({ actionType: 'START' });
+    match.startCombat(order);
+
+    result.addEvent('combat_started', {
+      turn: match.turn,
+      initiativeOrder: order.map(entry => ({ unitId: entry.unitId, playerId: entry.playerId }))
+    });
+
+    this.resolver.activateNextUnit(match, result);
+    this.recordReplayEntry(match, 'START', options.initiativeOrder ? { initiativeOrder: [...options.initiativeOrder] } : {}, result);
+    this.syncTurnClock(match);
+
+    return result;
+  }
+
+  /**
+   * Initiative entries for a fixed order in place of rolled initiative
+   * @param {CombatState} match - Match in DEPLOYMENT
+   * @param {Array<string>} unitIds - Every unit ID, first to act first
+   * @returns {Array|null} Initiative entries, or null unless each unit is listed once
+   * @private
+   */
+  createScriptedInitiative(match, unitIds) {
+    if (!Array.isArray(unitIds) || unitIds.length !== match.units.size ||
+        new Set(unitIds).size !== unitIds.length || unitIds.some(unitId => !match.getUnit(unitId))) {
+      return null;
+    }
+
+    // Descending totals, so re-sorts (morale) start from the scripted order
+    return unitIds.map((unitId, index) => new InitiativeEntry({
+      unitId,
+      unitName: match.getUnit(unitId).name,
+      playerId: match.getPlayerForUnit(unitId),
+      baseInitiative: unitIds.length - index,
+      totalInitiative: unitIds.length - index,
+      turnIndex: index
+    }));
+  }
+
+  /**
+   * Validate an army roster against the deployment rules
+   * @param {Array} units - Units or unit configs ({id, class, isLeader})
+   * @returns {Object} {valid, errors: [{code, message, unitIds?, class?}], summary}
+   */
+  validateArmy(units) {
+    return this.armyValidator.validateArmy(units);
+  }
+
+  /**
+   * Get the deployment zones of a match
+   * @param {string} matchId - Match ID
+   * @returns {Object} {found, pattern, zones: [{playerId, tiles}], deployedUnits}
+   */
+  getDeploymentZones(matchId) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return { found: false, error: 'Match not found' };
+    }
+
+    return { found: true, ...match.getPublicState().deployment };
+  }
+
+  /**
+   * Place one of a player's units in their deployment zone
+   * @param {string} matchId - Match ID
+   * @param {Object} request - {playerId, unitId, position}
+   * @returns {ActionResult} Result with a unit_deployed event
+   */
+  deployUnit(matchId, request = {}) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.MATCH_NOT_FOUND,
+        errors: ['Match not found']
+      });
+    }
+
+    const { playerId, unitId, position } = request;
+    const check = this.deployment.validatePlacement(match, playerId, unitId, position);
+    if (!check.valid) {
+      return new ActionResult({ success: false, actionType: 'DEPLOY', errorCode: check.code, errors: [check.message] });
+    }
+
+    match.deployUnit(unitId, position.x, position.y);
+
+    const result = new ActionResult({ actionType: 'DEPLOY' });
+    result.addEvent('unit_deployed', { unitId, playerId, position: { x: position.x, y: position.y } });
+    this.recordReplayEntry(match, 'DEPLOY', { playerId, unitId, position }, result);
+    return result;
+  }
+
+  /**
+   * Take a deployed unit back off the battlefield before round 1
+   * @param {string} matchId - Match ID
+   * @param {Object} request - {playerId, unitId}
+   * @returns {ActionResult} Result with a unit_withdrawn event
+   */
+  withdrawUnit(matchId, request = {}) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.MATCH_NOT_FOUND,
+        errors: ['Match not found']
+      });
+    }
+
+    const { playerId, unitId } = request;
+    if (match.getOwnerForUnit(unitId) !== playerId || !match.withdrawUnit(unitId)) {
+      return new ActionResult({
+        success: false,
+        actionType: 'WITHDRAW',
+        errorCode: VALIDATION.ERROR_CODES.INVALID_ACTION,
+        errors: [`${unitId} cannot be withdrawn`]
+      });
+    }
+
+    const result = new ActionResult({ actionType: 'WITHDRAW' });
+    result.addEvent('unit_withdrawn', { unitId, playerId });
+    this.recordReplayEntry(match, 'WITHDRAW', { playerId, unitId }, result);
+    return result;
+  }
+
+  /**
+   * Deploy all of a player's remaining units automatically
+   * @param {string} matchId - Match ID
+   * @param {string} playerId - Player ID
+   * @returns {ActionResult} Result with one unit_deployed event per placement;
+   *   rejected with DEPLOYMENT_INCOMPLETE if the zone ran out of free tiles
+   */
+  autoDeploy(matchId, playerId) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.MATCH_NOT_FOUND,
+        errors: ['Match not found']
+      });
+    }
+
+    if (match.phase !== 'DEPLOYMENT') {
+      return new ActionResult({
+        success: false,
+        actionType: 'DEPLOY',
+        errorCode: VALIDATION.ERROR_CODES.INVALID_PHASE,
+        errors: [`Units cannot be deployed during ${match.phase}`]
+      });
+    }
+
+    const result = new ActionResult({ actionType: 'DEPLOY' });
+    for (const placement of this.deployment.autoDeploy(match, playerId)) {
+      result.addEvent('unit_deployed', { ...placement, playerId });
+    }
+
+    const remaining = match.getUndeployedUnits(playerId);
+    if (remaining.length > 0) {
+      result.reject(VALIDATION.ERROR_CODES.DEPLOYMENT_INCOMPLETE, `No free zone tiles left for ${remaining.join(', ')}`);
+    }
+    this.recordReplayEntry(match, 'AUTO_DEPLOY', { playerId }, result);
+    return result;
+  }
+
+  /**
+   * Check that every army is legal and fully deployed before round 1
+   * @param {CombatState} match - Match in DEPLOYMENT
+   * @returns {Object} {ready, errorCode, errors}
+   * @private
+   */
+  checkDeploymentReady(match) {
+    // Matches without zones place units directly from their config
+    if (!match.deploymentPattern) {
+      return { ready: true, errorCode: null, errors: [] };
+    }
+
+    for (const player of match.players) {
+      const army = player.units.map(unitId => match.getUnit(unitId)).filter(Boolean);
+      const validation = this.armyValidator.validateArmy(army);
+      if (!validation.valid) {
+        return {
+          ready: false,
+          errorCode: VALIDATION.ERROR_CODES.INVALID_ARMY,
+          errors: validation.errors.map(error => `${player.id}: ${error.message}`)
+        };
       }
+
+      const undeployed = match.getUndeployedUnits(player.id);
+      if (undeployed.length > 0) {
+        return {
+          ready: false,
+          errorCode: VALIDATION.ERROR_CODES.DEPLOYMENT_INCOMPLETE,
+          errors: [`${player.id} still has ${undeployed.length} unit(s) to deploy`]
+        };
+      }
+    }
+
+    return { ready: true, errorCode: null, errors: [] };
+  }
+
+  /**
+   * Submit an action for authoritative resolution
+   * @param {string} matchId - Match ID
+   * @param {Object} action - Action request {type, actorId, targetId, targetPosition, abilityId, playerId}
+   * @returns {ActionResult} Resolution result with player-safe events
+   */
+  submitAction(matchId, action = {}) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.MATCH_NOT_FOUND,
+        errors: ['Match not found']
+      });
+    }
+
+    const result = this.resolver.resolve(match, action);
+    this.recordReplayEntry(match, 'ACTION', action, result);
+    this.syncTurnClock(match);
+    return result;
+  }
+
+  /**
+   * End a match in progress because one player forfeits it
+   * @param {string} matchId - Match ID
+   * @param {Object} request - {playerId, reason}
+   * @returns {ActionResult} Result with a match_ended event naming the forfeiting player,
+   *   then the equipment_worn events every match end brings
+   */
+  forfeitMatch(matchId, request = {}) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return new ActionResult({
+        success: false,
+        errorCode: VALIDATION.ERROR_CODES.MATCH_NOT_FOUND,
+        errors: ['Match not found']
+      });
+    }
+
+    if (match.phase !== 'DEPLOYMENT' && match.phase !== 'COMBAT') {
+      return new ActionResult({
+        success: false,
+        actionType: 'FORFEIT',
+        errorCode: VALIDATION.ERROR_CODES.INVALID_PHASE,
+        errors: [`Only a match in progress can be forfeited (${match.phase})`]
+      });
+    }
+
+    const { playerId, reason } = request;
+    if (!match.players.some(player => player.id === playerId)) {
+      return new ActionResult({
+        success: false,
+        actionType: 'FORFEIT',
+        errorCode: VALIDATION.ERROR_CODES.INVALID_ACTION,
+        errors: [`${playerId} is not playing in this match`]
+      });
+    }
+
+    match.forfeit(playerId, reason);
+
+    const result = new ActionResult({ actionType: 'FORFEIT' });
+    result.addEvent('match_ended', {
+      winner: match.winner,
+      condition: match.victoryCondition,
+      forfeitedBy: playerId,
+      reason: match.forfeiture.reason
+    });
+    this.resolver.applyMatchWear(match, result);
+    this.recordReplayEntry(match, 'FORFEIT', { playerId, reason: match.forfeiture.reason }, result);
+    this.syncTurnClock(match);
+    return result;
+  }
+
+  /**
+   * End the current activation if its turn clock has run out. The timeout is
+   * submitted as an ordinary END_TURN (flagged timedOut) so the replay
+   * reproduces it without the clock
+   * @param {string} matchId - Match ID
+   * @returns {ActionResult|null} END_TURN result, or null if nothing timed out
+   */
+  checkTurnTimeout(matchId) {
+    const match = this.getMatch(matchId);
+    const clock = this.clocks.get(matchId);
+    if (!match || !clock || match.phase !== 'COMBAT' || !clock.isExpired()) return null;
+
+    const unit = match.getCurrentUnit();
+    if (!unit) return null;
+
+    return this.submitAction(matchId, {
+      type: 'END_TURN',
+      actorId: unit.id,
+      playerId: match.getPlayerForUnit(unit.id),
+      timedOut: true
     });
   }
 
+  /**
+   * Get the turn clock reading of a match
+   * @param {string} matchId - Match ID
+   * @returns {Object|null} TurnClock.getPublicState(), or null for an unknown or untimed match
+   */
+  getTurnClock(matchId) {
+    const clock = this.clocks.get(matchId);
+    return clock && clock.isEnabled() ? clock.getPublicState() : null;
+  }
+
+  /**
+   * Stop a player's turn clock, e.g. while they are disconnected
+   * @param {string} matchId - Match ID
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the match has a clock
+   */
+  pauseTurnClock(matchId, playerId) {
+    const clock = this.clocks.get(matchId);
+    if (!clock) return false;
+
+    clock.pause(playerId);
+    return true;
+  }
+
+  /**
+   * Restart a paused player's turn clock
+   * @param {string} matchId - Match ID
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the match has a clock
+   */
+  resumeTurnClock(matchId, playerId) {
+    const clock = this.clocks.get(matchId);
+    if (!clock) return false;
+
+    clock.resume(playerId);
+    return true;
+  }
+
+  /**
+   * Get the units a player can see in a match (fog of war)
+   * @param {string} matchId - Match ID
+   * @param {string} playerId - Viewing player
+   * @returns {Set|null} Visible unit IDs, or null for an unknown match
+   */
+  getVisibleUnitIds(matchId, playerId) {
+    const match = this.getMatch(matchId);
+    return match ? this.vision.getVisibleUnitIds(match, playerId) : null;
+  }
+
+  /**
+   * Get the canonical state checksums of a match, for comparing peers
+   * after each action
+   * @param {string} matchId - Match ID
+   * @returns {Object} {found, hash, sections} (see CombatState.getStateChecksums)
+   */
+  getStateChecksums(matchId) {
+    const match = this.getMatch(matchId);
+    if (!match) {
+      return { found: false, error: 'Match not found' };
+    }
+
+    return { found: true, ...match.getStateChecksums() };
+  }
+
+  /**
+   * Get the replay document of a match
+   * @param {string} matchId - Match ID
+   * @returns {Object|null} Replay document (server-side: includes hidden army data), or null
+   */
+  getReplay(matchId) {
+    const match = this.getMatch(matchId);
+    const replay = this.replays.get(matchId);
+    if (!match || !replay) return null;
+
+    if (match.phase === 'COMPLETED') {
+      replay.finish(match);
+    }
+    return replay.serialize();
+  }
+
+  /**
+   * Re-execute a replay and check every recorded state hash
+   * @param {Object|string} replayData - Replay document
+   * @param {Object} options - {stopOnDivergence}
+   * @returns {Object} Verification report from the ReplayRunner
+   */
+  verifyReplay(replayData, options = {}) {
+    return this.createReplayRunner().run(replayData, options);
+  }
+
+  /**
+   * Create a runner that rebuilds replays with this system's configuration
+   * @returns {ReplayRunner} Replay runner
+   */
+  createReplayRunner() {
+    return new ReplayRunner({ createSystem: () => new CombatSystem(this.config) });
+  }
+
+  /**
+   * Record an input in the match replay if it changed the match
+   * @param {CombatState} match - Match state after the input
+   * @param {string} kind - Replay entry kind
+   * @param {Object} request - Input as submitted
+   * @param {ActionResult} result - Result of the input
+   * @private
+   */
+  recordReplayEntry(match, kind, request, result) {
+    const replay = this.replays.get(match.matchId);
+    // Rejected inputs leave the match untouched, except a partial auto-deploy
+    if (!replay || (!result.success && result.events.length === 0)) return;
+
+    replay.record(kind, request, match);
+  }
+
+  /**
+   * Create the turn clock of a new match
+   * @param {CombatState} match - New match
+   * @param {Object|boolean} overrides - Match turnClock config ({turnTime, timeBank} or false)
+   * @returns {TurnClock} Turn clock
+   * @private
+   */
+  createTurnClock(match, overrides = {}) {
+    const settings = overrides === false ? { turnTime: 0 } : (overrides || {});
+    return new TurnClock({
+      turnTime: settings.turnTime !== undefined ? settings.turnTime : this.config.turnTimeoutMs,
+      timeBank: settings.timeBank !== undefined ? settings.timeBank : this.config.timeBankMs,
+      playerIds: match.players.map(player => player.id),
+      now: this.config.now
+    });
+  }
+
+  /**
+   * Point the turn clock at the current activation, charging the one that ended
+   * @param {CombatState} match - Match state after an input
+   * @private
+   */
+  syncTurnClock(match) {
+    const clock = this.clocks.get(match.matchId);
+    if (!clock) return;
+
+    const unit = match.phase === 'COMBAT' ? match.getCurrentUnit() : null;
+    if (!unit) {
+      clock.stopTurn();
+      return;
+    }
+
+    // Not the initiative index: a mid-activation re-sort moves it without starting a new activation
+    const key = `${match.turn}:${unit.id}:${match.activationCount}`;
+    if (key !== clock.activeKey) {
+      clock.startTurn(key, match.getPlayerForUnit(unit.id), unit.id);
+    }
+  }
+
   /**
    * Get unit status for display
    * @param {string} matchId - Match ID
@@ -229,7 +872,7 @@ export class CombatSystem {
   getUnitStatus(matchId, unitId) {
     const match = this.getMatch(matchId);
     if (!match) {
-      return new (require('./api/CombatPreview.js').CombatPreviewResult)({
+      return new CombatPreviewResult({
         success: false,
         errors: ['Match not found']
       });
@@ -237,7 +880,7 @@ export class CombatSystem {
 
     const unit = match.getUnit(unitId);
     if (!unit) {
-      return new (require('./api/CombatPreview.js').CombatPreviewResult)({
+      return new CombatPreviewResult({
         success: false,
         errors: ['Unit not found']
       });
@@ -293,7 +936,7 @@ export class CombatSystem {
     for (const [matchId, match] of this.matches) {
       if (match.phase === 'COMPLETED' && 
           (now - match.lastActionTime) > maxAge) {
-        this.matches.delete(matchId);
+        this.removeMatch(matchId);
         cleaned++;
       }
     }
@@ -337,10 +980,18 @@ export const API_INFO = {
     'combat-preview',
     'initiative-system',
     'action-points',
+    'action-resolution',
+    'pathfinding',
+    'ability-registry',
     'status-effects',
+    'leader-morale',
+    'army-deployment',
+    'victory-conditions',
     'terrain-system',
     'deterministic-rng',
-    'replay-support'
+    'replay-support',
+    'replay-verification',
+    'state-checksums'
   ],
   compatibility: {
     client: 'web-browser',
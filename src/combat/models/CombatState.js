@@ -7,13 +7,20 @@
  * - Terrain and environmental effects
  * - Action history for replay system
  * - Match progression and phases
+ * - Deployment zones and unit placement before round 1
+ * - Pluggable victory conditions with per-round objective progress
+ * - Canonical SHA-256 state checksums for desync detection and replays
  * 
  * Provides immutable state updates and comprehensive state validation
  * for multiplayer consistency and replay integrity.
  */
 
-import { TERRAIN, ACTION_POINTS, ARMY, PERFORMANCE } from '../constants/GameConstants.js';
+import { TERRAIN, ACTION_POINTS, ARMY, PERFORMANCE, COMBAT, RNG } from '../constants/GameConstants.js';
 import Unit from './Unit.js';
+import { DeterministicRNG } from '../core/DeterministicRNG.js';
+import { InitiativeEntry } from '../systems/InitiativeSystem.js';
+import { victoryConditionRegistry } from '../systems/VictoryConditions.js';
+import { hashCanonical, checksumSections } from '../core/StateHash.js';
 
 /**
  * Combat Action class for tracking all actions taken during combat
@@ -30,7 +37,7 @@ export class CombatAction {
     this.targetId = config.targetId || null;
     this.targetPosition = config.targetPosition || null;
     this.abilityId = config.abilityId || null;
-    this.apCost = config.apCost || 1;
+    this.apCost = config.apCost !== undefined ? config.apCost : 1;
     this.timestamp = config.timestamp || Date.now();
     this.turnNumber = config.turnNumber;
     this.sequenceNumber = config.sequenceNumber;
@@ -80,10 +87,16 @@ export class TerrainTile {
     this.x = config.x;
     this.y = config.y;
     this.type = config.type || 'PLAINS';
-    this.height = config.height || 0;
-    this.moveCost = config.moveCost || TERRAIN.MODIFIERS.PLAINS.moveCost;
-    this.evasionBonus = config.evasionBonus || TERRAIN.MODIFIERS.PLAINS.evasion;
-    this.coverValue = config.coverValue || TERRAIN.MODIFIERS.PLAINS.cover;
+
+    // Unspecified values default to the tile type's modifiers
+    const modifiers = TERRAIN.MODIFIERS[this.type] || TERRAIN.MODIFIERS.PLAINS;
+    this.height = config.height !== undefined ? config.height : modifiers.height;
+    this.moveCost = config.moveCost !== undefined ? config.moveCost : modifiers.moveCost;
+    if (this.moveCost === null) {
+      this.moveCost = Infinity; // JSON writes an impassable tile's Infinity as null
+    }
+    this.evasionBonus = config.evasionBonus !== undefined ? config.evasionBonus : modifiers.evasion;
+    this.coverValue = config.coverValue !== undefined ? config.coverValue : modifiers.cover;
     this.blockingLOS = config.blockingLOS || false;
     this.destructible = config.destructible || false;
     this.currentHP = config.currentHP || null;
@@ -114,7 +127,7 @@ export class TerrainTile {
    */
   getMoveCost(unitType = 'normal') {
     // Special movement abilities (flying, amphibious, etc.)
-    if (unitType === 'flying') return 1;
+    if (unitType === 'flying' && this.type !== 'BLOCKED') return 1;
     if (unitType === 'amphibious' && this.type === 'WATER') return 1;
     
     return this.moveCost;
@@ -156,30 +169,58 @@ export class CombatState {
     this.seed = config.seed || Date.now();
     this.version = config.version || '1.0';
 
+    // Match RNG - every random outcome in this match is drawn from here, or
+    // from the subsystem streams derived from its seed (RNG.STREAM_LAYOUTS).
+    // A saved rngState names its own algorithm (lcg32 if it predates the field)
+    this.rng = new DeterministicRNG(this.seed, { algorithm: config.rngAlgorithm });
+    if (config.rngState) {
+      this.rng.setState(config.rngState);
+    }
+    this.rngAlgorithm = this.rng.algorithm;
+    this.rngStreams = config.rngStreams ||
+      (this.rngAlgorithm === RNG.LEGACY_ALGORITHM ? RNG.LEGACY_STREAMS : RNG.DEFAULT_STREAMS);
+    if (!RNG.STREAM_LAYOUTS[this.rngStreams]) {
+      throw new Error(`Unknown RNG stream layout: ${this.rngStreams}`);
+    }
+    this.streams = this.createStreams(this.rng); // Subsystem -> DeterministicRNG
+    for (const [subsystem, state] of Object.entries(config.rngStreamStates || {})) {
+      if (this.streams.has(subsystem)) {
+        this.streams.get(subsystem).setState(state);
+      }
+    }
+
     // Match progression
     this.phase = config.phase || 'DEPLOYMENT'; // DEPLOYMENT, COMBAT, RESOLUTION, COMPLETED
     this.turn = config.turn || 1;
     this.round = config.round || 1; // Round within turn
-    this.maxTurns = config.maxTurns || 50;
+    this.maxTurns = config.maxTurns || COMBAT.VICTORY.MAX_TURNS;
     
     // Player information
-    this.players = config.players || [];
+    this.players = (config.players || []).map(player => ({
+      ...player,
+      units: [...(player.units || [])]
+    }));
     this.currentPlayerId = config.currentPlayerId || null;
+    this.controllerOverrides = new Map(); // Unit ID -> { playerId, statusId, sourceId } while controlled
     
     // Unit management
     this.units = new Map();
     this.deployedUnits = new Set(); // IDs of deployed units
+    this.deploymentPattern = null; // Placement pattern when armies deploy into zones
+    this.deploymentZones = new Map(); // Player ID -> Set of position keys
     this.incapacitatedUnits = new Set(); // IDs of incapacitated units
     
     // Initiative and turn order
     this.initiativeOrder = [];
     this.currentUnitIndex = 0;
+    this.activationCount = 0; // Activations so far; identifies one even when initiative re-sorts
     this.unitsActedThisTurn = new Set();
     
     // Terrain and positioning  
     this.mapWidth = config.mapWidth || TERRAIN.MAP_SIZES.STANDARD.width;
     this.mapHeight = config.mapHeight || TERRAIN.MAP_SIZES.STANDARD.height;
     this.terrain = new Map(); // Position key -> TerrainTile
+    this.terrainRevision = 0; // Bumped on terrain changes so cached paths invalidate
     this.unitPositions = new Map(); // Position key -> Unit ID
     
     // Combat tracking
@@ -192,16 +233,21 @@ export class CombatState {
     this.areaEffects = new Map(); // Position-based effects (fire, ice, etc.)
     
     // Victory conditions
-    this.victoryConditions = config.victoryConditions || ['ELIMINATE_ENEMY'];
+    this.victoryConditions = (config.victoryConditions || COMBAT.VICTORY.DEFAULT_CONDITIONS)
+      .map(entry => victoryConditionRegistry.normalize(entry));
+    this.objectiveStates = this.victoryConditions.map(condition =>
+      victoryConditionRegistry.createState(this, condition));
     this.winConditionsMet = false;
     this.winner = null;
+    this.victoryCondition = null; // Type of the condition that decided the match
+    this.forfeiture = null; // {playerId, reason} when a player forfeited
     
     // Performance tracking
     this.turnTimeouts = new Map(); // Player -> timeout timestamp
     this.turnStartTime = Date.now();
     
-    // State validation
-    this.stateHash = this.calculateStateHash();
+    // State validation (a restored state keeps the hash it was saved with)
+    this.stateHash = config.stateHash || this.calculateStateHash();
     this.isValid = true;
     this.lastValidation = Date.now();
 
@@ -238,6 +284,26 @@ export class CombatState {
     for (const config of unitConfigs) {
       const unit = new Unit(config);
       this.addUnit(unit);
+      if (config.playerId) {
+        this.assignUnitToPlayer(unit.id, config.playerId);
+      }
+    }
+  }
+
+  /**
+   * Register a unit as belonging to a player's army
+   * @param {string} unitId - Unit ID
+   * @param {string} playerId - Owning player ID
+   */
+  assignUnitToPlayer(unitId, playerId) {
+    let player = this.players.find(p => p.id === playerId);
+    if (!player) {
+      player = { id: playerId, units: [] };
+      this.players.push(player);
+    }
+
+    if (!player.units.includes(unitId)) {
+      player.units.push(unitId);
     }
   }
 
@@ -355,10 +421,12 @@ export class CombatState {
       return false;
     }
 
-    // Remove from old position
+    // Remove from old position (undeployed units hold a placeholder position)
     if (unit.position) {
       const oldPosKey = this.getPositionKey(unit.position.x, unit.position.y);
-      this.unitPositions.delete(oldPosKey);
+      if (this.unitPositions.get(oldPosKey) === unitId) {
+        this.unitPositions.delete(oldPosKey);
+      }
     }
 
     // Set new position
@@ -385,6 +453,14 @@ export class CombatState {
       return false;
     }
 
+    // With zones in play a unit may only land on a free tile of its owner's zone
+    if (this.deploymentZones.size > 0) {
+      if (!this.isInDeploymentZone(this.getOwnerForUnit(unitId), x, y) ||
+          !this.isPositionPassable(x, y, unit.movementType)) {
+        return false;
+      }
+    }
+
     if (this.moveUnit(unitId, x, y)) {
       this.deployedUnits.add(unitId);
       return true;
@@ -393,6 +469,84 @@ export class CombatState {
     return false;
   }
 
+  /**
+   * Take a deployed unit back off the battlefield during deployment
+   * @param {string} unitId - Unit ID
+   * @returns {boolean} True if the unit was withdrawn
+   */
+  withdrawUnit(unitId) {
+    if (this.phase !== 'DEPLOYMENT' || !this.deployedUnits.has(unitId)) {
+      return false;
+    }
+
+    const unit = this.getUnit(unitId);
+    const posKey = this.getPositionKey(unit.position.x, unit.position.y);
+    if (this.unitPositions.get(posKey) === unitId) {
+      this.unitPositions.delete(posKey);
+    }
+    this.deployedUnits.delete(unitId);
+    return true;
+  }
+
+  /**
+   * Set the deployment zones armies must be placed in; clears every
+   * undeployed unit off the board until it is deployed
+   * @param {string} pattern - Placement pattern ID
+   * @param {Map} zones - Player ID -> zone tiles [{x, y}]
+   */
+  setDeploymentZones(pattern, zones) {
+    this.deploymentPattern = pattern;
+    this.deploymentZones = new Map();
+    for (const [playerId, tiles] of zones) {
+      this.deploymentZones.set(playerId, new Set(tiles.map(tile => this.getPositionKey(tile.x, tile.y))));
+    }
+    this.releaseUndeployedPositions();
+  }
+
+  /**
+   * Get a player's deployment zone
+   * @param {string} playerId - Player ID
+   * @returns {Array} Zone tiles [{x, y}] in placement order
+   */
+  getDeploymentZone(playerId) {
+    const keys = this.deploymentZones.get(playerId);
+    return keys ? Array.from(keys, key => this.parsePositionKey(key)) : [];
+  }
+
+  /**
+   * Check whether a tile is inside a player's deployment zone
+   * @param {string} playerId - Player ID
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the tile is in the zone
+   */
+  isInDeploymentZone(playerId, x, y) {
+    const keys = this.deploymentZones.get(playerId);
+    return Boolean(keys && keys.has(this.getPositionKey(x, y)));
+  }
+
+  /**
+   * Get a player's units that still need a tile
+   * @param {string} playerId - Player ID
+   * @returns {Array} IDs of undeployed units
+   */
+  getUndeployedUnits(playerId) {
+    const player = this.players.find(p => p.id === playerId);
+    return (player ? player.units : []).filter(unitId => !this.deployedUnits.has(unitId));
+  }
+
+  /**
+   * Drop the board positions of units that have not been deployed
+   * @private
+   */
+  releaseUndeployedPositions() {
+    for (const [posKey, unitId] of this.unitPositions) {
+      if (!this.deployedUnits.has(unitId)) {
+        this.unitPositions.delete(posKey);
+      }
+    }
+  }
+
   /**
    * Get terrain tile at position
    * @param {number} x - X coordinate
@@ -411,6 +565,7 @@ export class CombatState {
   setTerrainAt(tile) {
     const key = this.getPositionKey(tile.x, tile.y);
     this.terrain.set(key, tile);
+    this.terrainRevision++;
   }
 
   /**
@@ -441,6 +596,48 @@ export class CombatState {
     return true; // Default passable if no terrain data
   }
 
+  /**
+   * Check whether two units fight for opposing players
+   * @param {string} unitIdA - First unit ID
+   * @param {string} unitIdB - Second unit ID
+   * @returns {boolean} True if the units are enemies
+   */
+  areEnemies(unitIdA, unitIdB) {
+    if (unitIdA === unitIdB) return false;
+    return this.getPlayerForUnit(unitIdA) !== this.getPlayerForUnit(unitIdB);
+  }
+
+  /**
+   * Mark a unit as incapacitated and free the tile it occupied
+   * @param {string} unitId - Unit ID
+   * @returns {boolean} True if the unit was newly incapacitated
+   */
+  markIncapacitated(unitId) {
+    const unit = this.getUnit(unitId);
+    if (!unit || this.incapacitatedUnits.has(unitId)) return false;
+
+    unit.isIncapacitated = true;
+    unit.currentAP = 0;
+    this.incapacitatedUnits.add(unitId);
+
+    // A downed unit counts against its own army again
+    this.clearControllerOverride(unitId);
+
+    if (unit.position) {
+      const posKey = this.getPositionKey(unit.position.x, unit.position.y);
+      if (this.unitPositions.get(posKey) === unitId) {
+        this.unitPositions.delete(posKey);
+      }
+    }
+
+    const entry = this.initiativeOrder.find(e => e.unitId === unitId);
+    if (entry) {
+      entry.isIncapacitated = true;
+    }
+
+    return true;
+  }
+
   /**
    * Add action to history
    * @param {CombatAction} action - Action to record
@@ -454,6 +651,20 @@ export class CombatState {
     this.lastActionTime = action.timestamp;
   }
 
+  /**
+   * Begin the combat phase with a resolved initiative order.
+   * The first unit is activated by the ActionResolver so that its
+   * start-of-turn effects are resolved like any other activation.
+   * @param {Array} initiativeOrder - Ordered InitiativeEntry list
+   */
+  startCombat(initiativeOrder) {
+    this.phase = 'COMBAT';
+    this.initiativeOrder = initiativeOrder;
+    this.unitsActedThisTurn.clear();
+    this.currentUnitIndex = -1;
+    this.turnStartTime = Date.now();
+  }
+
   /**
    * Get current unit whose turn it is
    * @returns {Unit|null} Current active unit or null
@@ -472,40 +683,73 @@ export class CombatState {
   advanceToNextUnit() {
     if (this.initiativeOrder.length === 0) return null;
 
-    let attempts = 0;
-    do {
-      this.currentUnitIndex = (this.currentUnitIndex + 1) % this.initiativeOrder.length;
-      attempts++;
-      
-      // Check if we've cycled through all units
-      if (attempts >= this.initiativeOrder.length) {
-        this.advanceToNextTurn();
-        return null;
-      }
-      
-      const unit = this.getCurrentUnit();
+    // Scan from the top: initiative may have been re-sorted mid-round
+    let next = this.findNextReadyIndex(0);
+
+    // Everyone has acted - roll over into a new turn
+    if (next < 0) {
+      this.advanceToNextTurn();
+      if (this.phase !== 'COMBAT') return null;
+      next = this.findNextReadyIndex(0);
+    }
+
+    if (next < 0) return null;
+
+    this.currentUnitIndex = next;
+    this.activationCount++;
+    const unit = this.getCurrentUnit();
+    this.currentPlayerId = this.getPlayerForUnit(unit.id);
+    return unit;
+  }
+
+  /**
+   * Replace the initiative order (e.g. after a re-sort), keeping the active unit
+   * @param {Array} initiativeOrder - New ordered InitiativeEntry list
+   */
+  setInitiativeOrder(initiativeOrder) {
+    const current = this.getCurrentUnit();
+    this.initiativeOrder = initiativeOrder;
+
+    if (current) {
+      this.currentUnitIndex = initiativeOrder.findIndex(entry => entry.unitId === current.id);
+    }
+  }
+
+  /**
+   * Find the next initiative slot whose unit can still act this turn
+   * @param {number} fromIndex - Index to start searching from
+   * @returns {number} Initiative index or -1 if none remain
+   * @private
+   */
+  findNextReadyIndex(fromIndex) {
+    for (let i = Math.max(0, fromIndex); i < this.initiativeOrder.length; i++) {
+      const unit = this.getUnit(this.initiativeOrder[i].unitId);
       if (unit && !unit.isIncapacitated && !this.unitsActedThisTurn.has(unit.id)) {
-        return unit;
+        return i;
       }
-    } while (attempts < this.initiativeOrder.length);
-
-    return null;
+    }
+    return -1;
   }
 
   /**
    * Advance to next turn
    */
   advanceToNextTurn() {
+    this.endObjectiveRound();
     this.turn++;
     this.currentUnitIndex = 0;
     this.unitsActedThisTurn.clear();
     this.turnStartTime = Date.now();
+
+    for (const entry of this.initiativeOrder) {
+      entry.hasActed = false;
+    }
     
-    // Restore AP for all units and process start-of-turn effects
+    // Restore AP for all units; status effects tick on each unit's own activation
     for (const unit of this.units.values()) {
       if (!unit.isIncapacitated) {
         unit.restoreAP();
-        unit.processStatusEffects('start_turn');
+        unit.tickCooldowns();
       }
     }
 
@@ -527,186 +771,334 @@ export class CombatState {
 
     // Mark unit as having acted
     this.unitsActedThisTurn.add(unitId);
-    
-    // Process end-of-turn effects
-    unit.processStatusEffects('end_turn');
-    
-    // Record action
-    this.recordAction(new CombatAction({
-      type: 'END_TURN',
-      actorId: unitId,
-      apCost: 0
-    }));
+    const entry = this.initiativeOrder.find(e => e.unitId === unitId);
+    if (entry) {
+      entry.hasActed = true;
+    }
 
     return true;
   }
 
   /**
-   * Check for victory conditions
+   * Check for victory conditions; the first condition met decides the match
    * @returns {boolean} True if victory conditions are met
    */
   checkVictoryConditions() {
-    for (const condition of this.victoryConditions) {
-      switch (condition) {
-        case 'ELIMINATE_ENEMY':
-          if (this.checkEliminationVictory()) {
-            this.winConditionsMet = true;
-            return true;
-          }
-          break;
-        case 'ELIMINATE_LEADER':
-          if (this.checkLeaderEliminationVictory()) {
-            this.winConditionsMet = true;
-            return true;
-          }
-          break;
+    for (let i = 0; i < this.victoryConditions.length; i++) {
+      const condition = this.victoryConditions[i];
+      const outcome = victoryConditionRegistry.evaluate(this, condition, this.objectiveStates[i]);
+
+      if (outcome) {
+        this.winner = outcome.winner;
+        this.victoryCondition = condition.type;
+        this.winConditionsMet = true;
+        return true;
       }
     }
     return false;
   }
 
   /**
-   * Check elimination victory condition
-   * @returns {boolean} True if one side has eliminated the other
-   * @private
+   * Get the match's victory conditions with defaults applied
+   * @returns {Array} Normalized conditions
    */
-  checkEliminationVictory() {
-    const playerUnits = new Map();
-    
-    for (const unit of this.units.values()) {
-      if (!this.incapacitatedUnits.has(unit.id)) {
-        const playerId = this.getPlayerForUnit(unit.id);
-        if (!playerUnits.has(playerId)) {
-          playerUnits.set(playerId, []);
-        }
-        playerUnits.get(playerId).push(unit);
-      }
-    }
+  getVictoryConditions() {
+    return this.victoryConditions;
+  }
 
-    // Check if only one player has units remaining
-    const playersWithUnits = Array.from(playerUnits.keys()).filter(
-      playerId => playerUnits.get(playerId).length > 0
-    );
+  /**
+   * Get the progress record of a victory condition
+   * @param {number} index - Condition index
+   * @returns {Object|null} Progress record, or null if the condition keeps none
+   */
+  getObjectiveState(index) {
+    return this.objectiveStates[index] || null;
+  }
 
-    if (playersWithUnits.length === 1) {
-      this.winner = playersWithUnits[0];
-      return true;
-    }
+  /**
+   * Check whether any victory condition scores at the end of each round
+   * @returns {boolean} True if a round-scored objective is in play
+   */
+  hasRoundObjectives() {
+    return this.victoryConditions.some(condition =>
+      victoryConditionRegistry.get(condition.type).scoring === 'round');
+  }
 
-    return false;
+  /**
+   * Get player-safe progress for every victory condition
+   * @returns {Array} Objective progress entries
+   */
+  getObjectiveProgress() {
+    return this.victoryConditions.map((condition, index) =>
+      victoryConditionRegistry.describe(this, condition, this.objectiveStates[index]));
   }
 
   /**
-   * Check leader elimination victory condition
-   * @returns {boolean} True if all enemy leaders are eliminated
+   * Score round-based objectives for the round that just finished
    * @private
    */
-  checkLeaderEliminationVictory() {
-    const playerLeaders = new Map();
-    
-    for (const unit of this.units.values()) {
-      if (unit.isLeader) {
-        const playerId = this.getPlayerForUnit(unit.id);
-        if (!playerLeaders.has(playerId)) {
-          playerLeaders.set(playerId, []);
-        }
-        playerLeaders.get(playerId).push(unit);
-      }
-    }
+  endObjectiveRound() {
+    this.victoryConditions.forEach((condition, index) => {
+      victoryConditionRegistry.endRound(this, condition, this.objectiveStates[index]);
+    });
+  }
 
-    // Check if only one player has living leaders
-    const playersWithLivingLeaders = Array.from(playerLeaders.keys()).filter(
-      playerId => playerLeaders.get(playerId).some(leader => !leader.isIncapacitated)
-    );
+  /**
+   * Get the player currently controlling a unit (its owner unless hypnotised)
+   * @param {string} unitId - Unit ID
+   * @returns {string} Player ID
+   */
+  getPlayerForUnit(unitId) {
+    const override = this.controllerOverrides.get(unitId);
+    return override ? override.playerId : this.getOwnerForUnit(unitId);
+  }
 
-    if (playersWithLivingLeaders.length === 1) {
-      this.winner = playersWithLivingLeaders[0];
-      return true;
+  /**
+   * Get the player whose army a unit belongs to, ignoring temporary control
+   * @param {string} unitId - Unit ID
+   * @returns {string} Owning player ID
+   */
+  getOwnerForUnit(unitId) {
+    return this.players.find(p => p.units && p.units.includes(unitId))?.id || 'unknown';
+  }
+
+  /**
+   * Hand temporary control of a unit to another player
+   * @param {string} unitId - Unit ID
+   * @param {string} playerId - Player taking control
+   * @param {Object} details - {statusId, sourceId} of the controlling effect
+   * @returns {boolean} True if the override was set
+   */
+  setControllerOverride(unitId, playerId, details = {}) {
+    if (!this.units.has(unitId)) return false;
+
+    if (playerId === this.getOwnerForUnit(unitId)) {
+      return this.clearControllerOverride(unitId);
     }
 
-    return false;
+    this.controllerOverrides.set(unitId, {
+      playerId,
+      statusId: details.statusId || null,
+      sourceId: details.sourceId || null
+    });
+    this.syncControllerInInitiative(unitId);
+    return true;
   }
 
   /**
-   * Get player ID for a unit
+   * Return a controlled unit to its owner
    * @param {string} unitId - Unit ID
-   * @returns {string} Player ID
+   * @returns {boolean} True if an override was removed
+   */
+  clearControllerOverride(unitId) {
+    if (!this.controllerOverrides.delete(unitId)) return false;
+    this.syncControllerInInitiative(unitId);
+    return true;
+  }
+
+  /**
+   * Get the active control override for a unit
+   * @param {string} unitId - Unit ID
+   * @returns {Object|null} Override {playerId, statusId, sourceId} or null
+   */
+  getControllerOverride(unitId) {
+    const override = this.controllerOverrides.get(unitId);
+    return override ? { ...override } : null;
+  }
+
+  /**
+   * Keep initiative entries and the active player in step with unit control
+   * @param {string} unitId - Unit whose controller changed
    * @private
    */
-  getPlayerForUnit(unitId) {
-    // This would be determined by army ownership in a real implementation
-    // For now, return a placeholder
-    return this.players.find(p => p.units && p.units.includes(unitId))?.id || 'unknown';
+  syncControllerInInitiative(unitId) {
+    const playerId = this.getPlayerForUnit(unitId);
+    const entry = this.initiativeOrder.find(e => e.unitId === unitId);
+    if (entry) {
+      entry.playerId = playerId;
+    }
+
+    const current = this.getCurrentUnit();
+    if (this.phase === 'COMBAT' && current && current.id === unitId) {
+      this.currentPlayerId = playerId;
+    }
   }
 
   /**
-   * Determine winner based on remaining forces
+   * Determine winner when the turn limit runs out
    * @private
    */
   determineWinner() {
     if (!this.checkVictoryConditions()) {
-      // Determine winner by remaining forces/HP
-      const playerScores = new Map();
-      
-      for (const unit of this.units.values()) {
-        const playerId = this.getPlayerForUnit(unit.id);
-        if (!playerScores.has(playerId)) {
-          playerScores.set(playerId, 0);
-        }
-        
-        if (!unit.isIncapacitated) {
-          playerScores.set(playerId, playerScores.get(playerId) + unit.currentHP);
-        }
-      }
-
-      // Winner is player with highest remaining HP
-      let maxScore = -1;
-      let winner = null;
-      for (const [playerId, score] of playerScores) {
-        if (score > maxScore) {
-          maxScore = score;
-          winner = playerId;
-        }
-      }
-      
-      this.winner = winner;
+      this.winner = victoryConditionRegistry.breakTie(this, COMBAT.VICTORY.DEFAULT_TIEBREAKER);
+      this.victoryCondition = 'MAX_TURNS';
     }
     
     this.phase = 'COMPLETED';
   }
 
   /**
-   * Calculate state hash for validation
-   * @returns {string} State hash
+   * End the match in the other side's favour when a player forfeits
+   * @param {string|number} playerId - Forfeiting player
+   * @param {string} reason - Why the match was forfeited
+   */
+  forfeit(playerId, reason) {
+    const remaining = this.players.filter(player => player.id !== playerId);
+    this.winner = remaining.length === 1 ? remaining[0].id : null;
+    this.victoryCondition = 'FORFEIT';
+    this.forfeiture = { playerId, reason: reason || null };
+    this.phase = 'COMPLETED';
+  }
+
+  /**
+   * RNG that one kind of roll draws from
+   * @param {string} subsystem - 'initiative', 'hit', 'damage' or 'status'
+   * @returns {DeterministicRNG} The subsystem's stream (the match RNG under the single layout)
+   */
+  getRNG(subsystem) {
+    return this.streams.get(subsystem) || this.rng;
+  }
+
+  /**
+   * Replace the match RNG, deriving the subsystem streams again from it
+   * @param {DeterministicRNG} rng - New match RNG
+   */
+  setRNG(rng) {
+    this.rng = rng;
+    this.streams = this.createStreams(rng);
+  }
+
+  /**
+   * Subsystem streams of the match's stream layout
+   * @param {DeterministicRNG} rng - Match RNG whose seed the streams derive from
+   * @returns {Map} Subsystem -> DeterministicRNG
    * @private
    */
+  createStreams(rng) {
+    return new Map(RNG.STREAM_LAYOUTS[this.rngStreams].map(subsystem =>
+      [subsystem, rng.createSubsystemRNG(subsystem)]));
+  }
+
+  /**
+   * Build a plain snapshot of the full simulation state for hashing.
+   * Everything that decides how the next action resolves is included;
+   * wall-clock fields (timestamps, generated effect IDs) are left out so
+   * identical inputs always produce identical snapshots. Hidden d20 data is
+   * kept in its own `hidden` section so parties without it can still compare
+   * the visible sections.
+   * @returns {Object} Snapshot keyed by section
+   */
+  getStateSnapshot() {
+    const units = {};
+    const hidden = {};
+
+    for (const unit of this.units.values()) {
+      units[unit.id] = {
+        ...unit.serialize(false),
+        statusEffects: unit.statusEffects.map(effect => {
+          const { id, appliedAt, saveType, saveDC, allowsSave, ...visible } = effect.clone();
+          return visible;
+        }),
+        equipment: Array.from(unit.equipment.values()),
+        consumables: unit.consumables,
+        baseStats: unit.baseStats,
+        currentAP: unit.currentAP,
+        isIncapacitated: unit.isIncapacitated
+      };
+      hidden[unit.id] = {
+        abilities: unit.hiddenAbilities.toObject(),
+        statusSaves: unit.statusEffects.map(effect => ({
+          statusId: effect.statusId,
+          saveType: effect.saveType,
+          saveDC: effect.saveDC,
+          allowsSave: effect.allowsSave
+        }))
+      };
+    }
+
+    return {
+      match: {
+        matchId: this.matchId,
+        seed: this.seed,
+        phase: this.phase,
+        turn: this.turn,
+        round: this.round,
+        maxTurns: this.maxTurns,
+        currentPlayerId: this.currentPlayerId,
+        winner: this.winner,
+        victoryCondition: this.victoryCondition,
+        // Only present once set, so matches without a forfeit hash as before
+        ...(this.forfeiture ? { forfeiture: this.forfeiture } : {}),
+        actionCount: this.actionHistory.length
+      },
+      players: this.players,
+      units,
+      hidden,
+      positions: Object.fromEntries(this.unitPositions),
+      terrain: Object.fromEntries(this.terrain),
+      effects: {
+        global: this.globalEffects,
+        area: Object.fromEntries(this.areaEffects)
+      },
+      initiative: {
+        order: this.initiativeOrder.map(entry => ({
+          ...entry,
+          modifiers: entry.modifiers.map(({ applied, ...modifier }) => modifier)
+        })),
+        currentUnitIndex: this.currentUnitIndex,
+        actedThisTurn: Array.from(this.unitsActedThisTurn).sort()
+      },
+      conditions: {
+        incapacitated: Array.from(this.incapacitatedUnits).sort(),
+        deployed: Array.from(this.deployedUnits).sort(),
+        deploymentPattern: this.deploymentPattern,
+        deploymentZones: Object.fromEntries(Array.from(this.deploymentZones,
+          ([playerId, keys]) => [playerId, Array.from(keys).sort()])),
+        controllers: Object.fromEntries(this.controllerOverrides)
+      },
+      objectives: {
+        conditions: this.victoryConditions,
+        states: this.objectiveStates
+      },
+      rng: this.rng.getState(),
+      // Only present with subsystem streams, so single-stream matches hash as before
+      ...(this.streams.size > 0 ? {
+        streams: {
+          layout: this.rngStreams,
+          states: Object.fromEntries(Array.from(this.streams, ([subsystem, rng]) => [subsystem, rng.getState()]))
+        }
+      } : {})
+    };
+  }
+
+  /**
+   * Calculate the canonical state hash (SHA-256 over the canonical snapshot)
+   * @returns {string} State hash
+   */
   calculateStateHash() {
-    const stateData = {
-      turn: this.turn,
-      phase: this.phase,
-      units: Array.from(this.units.values()).map(u => u.serialize()),
-      positions: Array.from(this.unitPositions.entries()),
-      actionCount: this.actionHistory.length
+    return hashCanonical(this.getStateSnapshot());
+  }
+
+  /**
+   * Calculate the state hash plus one checksum per snapshot section, so two
+   * parties can tell which part of the state diverged
+   * @returns {Object} {hash, sections: {'rng': digest, 'units.a1': digest, ...}}
+   */
+  getStateChecksums() {
+    const snapshot = this.getStateSnapshot();
+    return {
+      hash: hashCanonical(snapshot),
+      sections: checksumSections(snapshot, { perEntry: ['units', 'hidden'] })
     };
-    
-    return this.hashObject(stateData);
   }
 
   /**
-   * Simple hash function for objects
-   * @param {Object} obj - Object to hash
-   * @returns {string} Hash string
-   * @private
+   * Recalculate and store the state hash after a change
+   * @returns {string} New state hash
    */
-  hashObject(obj) {
-    const str = JSON.stringify(obj);
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash).toString(16);
+  refreshStateHash() {
+    this.stateHash = this.calculateStateHash();
+    return this.stateHash;
   }
 
   /**
@@ -754,7 +1146,17 @@ export class CombatState {
       turn: this.turn,
       round: this.round,
       currentPlayerId: this.currentPlayerId,
+      players: this.players.map(player => ({
+        id: player.id,
+        name: player.name,
+        units: [...(player.units || [])]
+      })),
       units: Array.from(this.units.values()).map(u => u.getPublicData()),
+      controllers: Array.from(this.controllerOverrides.entries()).map(([unitId, override]) => ({
+        unitId,
+        playerId: override.playerId,
+        ownerId: this.getOwnerForUnit(unitId)
+      })),
       terrain: Array.from(this.terrain.values()).map(t => ({
         x: t.x,
         y: t.y,
@@ -766,8 +1168,20 @@ export class CombatState {
       })),
       mapWidth: this.mapWidth,
       mapHeight: this.mapHeight,
+      deployment: this.deploymentPattern ? {
+        pattern: this.deploymentPattern,
+        zones: Array.from(this.deploymentZones.keys(), playerId => ({
+          playerId,
+          tiles: this.getDeploymentZone(playerId)
+        })),
+        deployedUnits: Array.from(this.deployedUnits)
+      } : null,
       currentUnit: this.getCurrentUnit()?.getPublicData() || null,
+      maxTurns: this.maxTurns,
+      objectives: this.getObjectiveProgress(),
       winner: this.winner,
+      victoryCondition: this.victoryCondition,
+      forfeiture: this.forfeiture,
       winConditionsMet: this.winConditionsMet
     };
   }
@@ -781,19 +1195,43 @@ export class CombatState {
     return {
       matchId: this.matchId,
       seed: this.seed,
+      rngAlgorithm: this.rngAlgorithm,
       version: this.version,
       phase: this.phase,
       turn: this.turn,
       round: this.round,
+      currentPlayerId: this.currentPlayerId,
       players: this.players,
       units: Array.from(this.units.values()).map(u => u.serialize(includeHidden)),
       terrain: Array.from(this.terrain.values()),
       mapWidth: this.mapWidth,
       mapHeight: this.mapHeight,
       initiativeOrder: this.initiativeOrder,
+      currentUnitIndex: this.currentUnitIndex,
+      activationCount: this.activationCount,
+      unitsActedThisTurn: Array.from(this.unitsActedThisTurn),
+      incapacitatedUnits: Array.from(this.incapacitatedUnits),
+      deployedUnits: Array.from(this.deployedUnits),
+      deploymentPattern: this.deploymentPattern,
+      deploymentZones: Array.from(this.deploymentZones.keys(), playerId => ({
+        playerId,
+        tiles: this.getDeploymentZone(playerId)
+      })),
+      controllerOverrides: Array.from(this.controllerOverrides.entries()).map(([unitId, override]) => ({
+        unitId,
+        ...override
+      })),
+      rngState: this.rng.getState(),
+      rngStreams: this.rngStreams,
+      rngStreamStates: Object.fromEntries(Array.from(this.streams, ([subsystem, rng]) => [subsystem, rng.getState()])),
       actionHistory: this.actionHistory,
+      maxTurns: this.maxTurns,
       victoryConditions: this.victoryConditions,
+      objectiveStates: this.objectiveStates,
       winner: this.winner,
+      victoryCondition: this.victoryCondition,
+      forfeiture: this.forfeiture,
+      winConditionsMet: this.winConditionsMet,
       stateHash: this.stateHash,
       timestamp: Date.now()
     };
@@ -817,13 +1255,21 @@ export class CombatState {
     const state = new CombatState({
       matchId: data.matchId,
       seed: data.seed,
+      rngAlgorithm: data.rngAlgorithm,
       version: data.version,
       phase: data.phase,
       turn: data.turn,
+      round: data.round,
+      currentPlayerId: data.currentPlayerId,
       players: data.players,
       mapWidth: data.mapWidth,
       mapHeight: data.mapHeight,
-      victoryConditions: data.victoryConditions
+      maxTurns: data.maxTurns,
+      victoryConditions: data.victoryConditions,
+      rngState: data.rngState,
+      rngStreams: data.rngStreams || RNG.LEGACY_STREAMS,
+      rngStreamStates: data.rngStreamStates,
+      stateHash: data.stateHash
     });
 
     // Restore units
@@ -839,9 +1285,43 @@ export class CombatState {
     }
 
     // Restore other state
-    state.initiativeOrder = data.initiativeOrder || [];
-    state.actionHistory = data.actionHistory || [];
+    state.initiativeOrder = (data.initiativeOrder || []).map(entry => new InitiativeEntry({
+      ...entry,
+      modifiers: [...(entry.modifiers || [])]
+    }));
+    state.currentUnitIndex = data.currentUnitIndex || 0;
+    state.activationCount = data.activationCount || 0;
+    state.unitsActedThisTurn = new Set(data.unitsActedThisTurn || []);
+    state.incapacitatedUnits = new Set(data.incapacitatedUnits || []);
+    for (const unitId of state.incapacitatedUnits) {
+      const unit = state.getUnit(unitId);
+      if (unit && state.getUnitAtPosition(unit.position.x, unit.position.y) === unit) {
+        state.unitPositions.delete(state.getPositionKey(unit.position.x, unit.position.y));
+      }
+    }
+    // A living unit may stand where a downed unit fell
+    for (const unit of state.units.values()) {
+      if (!unit.isIncapacitated && unit.position) {
+        state.unitPositions.set(state.getPositionKey(unit.position.x, unit.position.y), unit.id);
+      }
+    }
+    state.deployedUnits = new Set(data.deployedUnits || []);
+    if (data.deploymentPattern) {
+      state.setDeploymentZones(data.deploymentPattern,
+        new Map((data.deploymentZones || []).map(zone => [zone.playerId, zone.tiles])));
+    }
+    for (const { unitId, ...override } of data.controllerOverrides || []) {
+      state.controllerOverrides.set(unitId, override);
+    }
+    state.actionHistory = [...(data.actionHistory || [])]; // A clone records its own actions
+    if (data.objectiveStates) {
+      state.objectiveStates = data.objectiveStates.map(record =>
+        record ? JSON.parse(JSON.stringify(record)) : null);
+    }
     state.winner = data.winner;
+    state.victoryCondition = data.victoryCondition || null;
+    state.forfeiture = data.forfeiture || null;
+    state.winConditionsMet = !!data.winConditionsMet;
 
     return state;
   }
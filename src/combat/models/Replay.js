@@ -0,0 +1,216 @@
+/**
+ * Replay Document for Tactica Arena
+ *
+ * Versioned record of everything needed to re-execute a match:
+ * - Match config (map, terrain, victory conditions, deployment pattern)
+ * - Army snapshots as the units were configured at match creation
+ * - Seed, RNG algorithm, RNG stream layout and rules version
+ * - Ordered inputs (start, deployment and actions), each with the canonical
+ *   state hash the match had after it resolved and per-section checksums
+ *   that locate a divergence
+ *
+ * Army snapshots carry hidden ability scores, so replay documents are server
+ * artifacts; clients watch a replay through the events the ReplayRunner
+ * produces, never the document itself.
+ */
+
+import { REPLAY, RNG } from '../constants/GameConstants.js';
+
+/**
+ * Deep-copy plain replay data
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Independent copy
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Replay document class
+ */
+export class Replay {
+  /**
+   * Create replay document
+   * @param {Object} config - Replay data
+   */
+  constructor(config = {}) {
+    this.format = config.format || REPLAY.FORMAT;
+    this.formatVersion = config.formatVersion !== undefined ? config.formatVersion : REPLAY.FORMAT_VERSION;
+    this.rulesVersion = config.rulesVersion || REPLAY.RULES_VERSION;
+    this.hashAlgorithm = config.hashAlgorithm || REPLAY.HASH_ALGORITHM;
+    this.matchId = config.matchId;
+    this.seed = config.seed;
+    this.rngAlgorithm = config.rngAlgorithm || RNG.LEGACY_ALGORITHM; // Replays without one predate the switch
+    this.rngStreams = config.rngStreams || RNG.LEGACY_STREAMS; // Replays without one drew every roll from one stream
+    this.config = copy(config.config) || {};
+    this.armies = copy(config.armies) || []; // [{playerId, units: [unit configs]}]
+    this.unitOrder = [...(config.unitOrder || [])]; // Unit IDs in creation order
+    this.initialStateHash = config.initialStateHash || null;
+    this.actions = copy(config.actions) || []; // [{sequence, kind, turn, request, stateHash, checksums}]
+    this.result = copy(config.result) || null; // {phase, winner, victoryCondition, forfeiture, turn, stateHash}
+    this.createdAt = config.createdAt || Date.now();
+  }
+
+  /**
+   * Start a replay for a freshly created match
+   * @param {CombatState} combatState - Match state before any input
+   * @param {Object} matchConfig - Config the match was created from
+   * @returns {Replay} Replay with no recorded inputs
+   */
+  static fromMatch(combatState, matchConfig = {}) {
+    const unitIds = Array.from(combatState.units.keys());
+    const snapshots = (matchConfig.units || []).map((unitConfig, index) => ({
+      ...copy(unitConfig),
+      id: unitIds[index]
+    }));
+
+    const armies = combatState.players.map(player => ({
+      playerId: player.id,
+      units: snapshots.filter(unit => player.units.includes(unit.id))
+    }));
+    const unassigned = snapshots.filter(unit => !combatState.players.some(p => p.units.includes(unit.id)));
+    if (unassigned.length > 0) {
+      armies.push({ playerId: null, units: unassigned });
+    }
+
+    return new Replay({
+      matchId: combatState.matchId,
+      seed: combatState.seed,
+      rngAlgorithm: combatState.rngAlgorithm,
+      rngStreams: combatState.rngStreams,
+      config: {
+        players: combatState.players.map(({ units, ...player }) => player),
+        mapWidth: combatState.mapWidth,
+        mapHeight: combatState.mapHeight,
+        terrainData: matchConfig.terrainData || null,
+        victoryConditions: combatState.victoryConditions,
+        maxTurns: combatState.maxTurns,
+        deploymentPattern: combatState.deploymentPattern
+      },
+      armies,
+      unitOrder: unitIds,
+      initialStateHash: combatState.calculateStateHash()
+    });
+  }
+
+  /**
+   * Load a replay document, checking its format
+   * @param {Object|string} data - Replay document or its JSON text
+   * @returns {Replay} Replay instance
+   */
+  static deserialize(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!parsed || parsed.format !== REPLAY.FORMAT) {
+      throw new Error('Not a Tactica Arena replay');
+    }
+    if (parsed.formatVersion > REPLAY.FORMAT_VERSION) {
+      throw new Error(`Replay format version ${parsed.formatVersion} is newer than supported (${REPLAY.FORMAT_VERSION})`);
+    }
+    if (!Array.isArray(parsed.actions) || !Array.isArray(parsed.armies)) {
+      throw new Error('Replay is missing its armies or action list');
+    }
+
+    return new Replay(parsed);
+  }
+
+  /**
+   * Append a resolved input
+   * @param {string} kind - Entry kind (REPLAY.ENTRY_KINDS)
+   * @param {Object} request - Input as submitted
+   * @param {CombatState} combatState - Match state after the input resolved
+   * @returns {Object} Recorded entry
+   */
+  record(kind, request, combatState) {
+    if (!REPLAY.ENTRY_KINDS.includes(kind)) {
+      throw new Error(`Unknown replay entry kind: ${kind}`);
+    }
+
+    const { hash, sections } = combatState.getStateChecksums();
+    combatState.stateHash = hash;
+
+    const entry = {
+      sequence: this.actions.length,
+      kind,
+      turn: combatState.turn,
+      request: copy(request) || {},
+      stateHash: hash,
+      checksums: sections
+    };
+    this.actions.push(entry);
+    return entry;
+  }
+
+  /**
+   * Store the match outcome once it is decided
+   * @param {CombatState} combatState - Completed match state
+   */
+  finish(combatState) {
+    this.result = {
+      phase: combatState.phase,
+      winner: combatState.winner,
+      victoryCondition: combatState.victoryCondition,
+      forfeiture: combatState.forfeiture,
+      turn: combatState.turn,
+      stateHash: combatState.calculateStateHash()
+    };
+  }
+
+  /**
+   * Build the createMatch config that recreates the match
+   * @returns {Object} Match config
+   */
+  toMatchConfig() {
+    const byId = new Map();
+    for (const army of this.armies) {
+      for (const unit of army.units) {
+        byId.set(unit.id, army.playerId ? { ...copy(unit), playerId: army.playerId } : copy(unit));
+      }
+    }
+
+    return {
+      ...copy(this.config),
+      matchId: this.matchId,
+      seed: this.seed,
+      rngAlgorithm: this.rngAlgorithm,
+      rngStreams: this.rngStreams,
+      terrainData: copy(this.config.terrainData) || undefined,
+      deploymentPattern: this.config.deploymentPattern || undefined,
+      units: this.unitOrder.map(unitId => byId.get(unitId)).filter(Boolean)
+    };
+  }
+
+  /**
+   * Serialize the replay document
+   * @returns {Object} Plain replay data
+   */
+  serialize() {
+    return {
+      format: this.format,
+      formatVersion: this.formatVersion,
+      rulesVersion: this.rulesVersion,
+      hashAlgorithm: this.hashAlgorithm,
+      matchId: this.matchId,
+      seed: this.seed,
+      rngAlgorithm: this.rngAlgorithm,
+      rngStreams: this.rngStreams,
+      config: copy(this.config),
+      armies: copy(this.armies),
+      unitOrder: [...this.unitOrder],
+      initialStateHash: this.initialStateHash,
+      actions: copy(this.actions),
+      result: copy(this.result),
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * String representation
+   * @returns {string} Human-readable replay description
+   */
+  toString() {
+    return `Replay(match=${this.matchId}, rules=${this.rulesVersion}, actions=${this.actions.length})`;
+  }
+}
+
+export default Replay;
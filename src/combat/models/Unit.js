@@ -16,9 +16,13 @@ import {
   HIDDEN_STATS, 
   ACTION_POINTS, 
   CLASSES, 
+  COMBAT,
+  EQUIPMENT,
   FACTIONS,
+  TERRAIN,
   VALIDATION 
 } from '../constants/GameConstants.js';
+import { abilityRegistry } from '../data/AbilityTemplates.js';
 
 /**
  * Status Effect class for tracking buffs, debuffs, and special conditions
@@ -30,11 +34,12 @@ export class StatusEffect {
    */
   constructor(config) {
     this.id = config.id || `effect_${Date.now()}_${Math.random()}`;
+    this.statusId = config.statusId || null; // Catalog ID from StatusEffectTypes
     this.type = config.type; // 'buff', 'debuff', 'condition'
     this.name = config.name;
     this.description = config.description;
-    this.duration = config.duration || 1;
-    this.maxDuration = config.maxDuration || config.duration || 1;
+    this.duration = Math.min(COMBAT.STATUS_EFFECTS.MAX_DURATION, config.duration || 1);
+    this.maxDuration = Math.min(COMBAT.STATUS_EFFECTS.MAX_DURATION, config.maxDuration || config.duration || 1);
     this.intensity = config.intensity || 1;
     this.maxStacks = config.maxStacks || 1;
     this.stackType = config.stackType || 'none'; // 'none', 'extend', 'intensity'
@@ -44,7 +49,21 @@ export class StatusEffect {
     this.saveDC = config.saveDC;
     this.triggersOn = config.triggersOn || 'start_turn'; // 'start_turn', 'end_turn', 'on_damage'
     this.effects = config.effects || {}; // Stat modifications
-    this.appliedAt = Date.now();
+    this.percentEffects = config.percentEffects || {}; // Fractional stat modifications
+    this.dot = config.dot || null; // Damage dealt each time the effect triggers
+    this.flags = config.flags || {}; // Behaviour flags (skipsTurn, cannotMove, controlled)
+    this.tags = config.tags || []; // Tags matched by immunities
+    this.cleansable = config.cleansable || false;
+    this.appliedAt = config.appliedAt || Date.now();
+  }
+
+  /**
+   * Get the phase in which the effect's duration counts down
+   * @returns {string} 'start_turn' or 'end_turn'
+   */
+  getDurationPhase() {
+    // Reactive effects still wear off once per turn
+    return this.triggersOn === 'on_damage' ? 'start_turn' : this.triggersOn;
   }
 
   /**
@@ -76,6 +95,20 @@ export class StatusEffect {
     return modifiers;
   }
 
+  /**
+   * Get fractional stat modifiers (0.1 = +10%)
+   * @returns {Object} Percentage modifiers to apply
+   */
+  getPercentModifiers() {
+    if (this.hasExpired()) return {};
+
+    const modifiers = {};
+    for (const [stat, value] of Object.entries(this.percentEffects)) {
+      modifiers[stat] = (value * this.intensity) || 0;
+    }
+    return modifiers;
+  }
+
   /**
    * Attempt to stack with existing effect
    * @param {StatusEffect} existingEffect - Existing effect of same type
@@ -86,18 +119,20 @@ export class StatusEffect {
     
     switch (this.stackType) {
       case 'extend':
-        existingEffect.duration = Math.max(existingEffect.duration, this.duration);
+        existingEffect.duration = Math.min(
+          COMBAT.STATUS_EFFECTS.MAX_DURATION,
+          existingEffect.duration + this.duration
+        );
         return true;
       
       case 'intensity':
-        if (existingEffect.intensity < existingEffect.maxStacks) {
-          existingEffect.intensity = Math.min(
-            existingEffect.maxStacks, 
-            existingEffect.intensity + this.intensity
-          );
-          return true;
-        }
-        return false;
+        // Add stacks up to the cap and refresh the duration
+        existingEffect.intensity = Math.min(
+          existingEffect.maxStacks, 
+          existingEffect.intensity + this.intensity
+        );
+        existingEffect.duration = Math.max(existingEffect.duration, this.duration);
+        return true;
       
       case 'none':
       default:
@@ -112,6 +147,7 @@ export class StatusEffect {
   clone() {
     return new StatusEffect({
       id: this.id,
+      statusId: this.statusId,
       type: this.type,
       name: this.name,
       description: this.description,
@@ -126,6 +162,11 @@ export class StatusEffect {
       saveDC: this.saveDC,
       triggersOn: this.triggersOn,
       effects: { ...this.effects },
+      percentEffects: { ...this.percentEffects },
+      dot: this.dot ? { ...this.dot } : null,
+      flags: { ...this.flags },
+      tags: [...this.tags],
+      cleansable: this.cleansable,
       appliedAt: this.appliedAt
     });
   }
@@ -209,6 +250,7 @@ export class Unit {
     this.faction = config.faction || 'HUMAN_KINGDOM';
     this.level = Math.max(1, Math.min(80, config.level || 1));
     this.isLeader = config.isLeader || false;
+    this.movementType = config.movementType || Unit.getDefaultMovementType(this.faction);
 
     // Hidden d20 ability scores (NEVER exposed to client)
     this.hiddenAbilities = new AbilityScores(config.hiddenAbilities);
@@ -223,14 +265,15 @@ export class Unit {
     // Base visible stats (derived from hidden abilities + equipment)
     this.baseStats = this.deriveVisibleStats();
     
-    // Current combat state
-    this.currentHP = this.baseStats.HP;
-    this.currentMP = this.baseStats.MP;
-    this.currentAP = ACTION_POINTS.MAX_PER_TURN;
+    // Current combat state (restored when rebuilding a serialized unit)
+    this.currentHP = config.currentHP !== undefined ? config.currentHP : this.baseStats.HP;
+    this.currentMP = config.currentMP !== undefined ? config.currentMP : this.baseStats.MP;
+    this.currentAP = config.currentAP !== undefined ? config.currentAP : ACTION_POINTS.MAX_PER_TURN;
     
     // Status effects and conditions
-    this.statusEffects = [];
-    this.isIncapacitated = false;
+    this.statusEffects = (config.statusEffects || []).map(effect => new StatusEffect(effect));
+    this.immunities = [...(config.immunities || [])]; // Status IDs or tags this unit ignores
+    this.isIncapacitated = config.isIncapacitated || false;
     
     // Combat positioning
     this.position = config.position || { x: 0, y: 0 };
@@ -243,7 +286,9 @@ export class Unit {
     // Experience and progression
     this.experience = config.experience || 0;
     this.skillPoints = config.skillPoints || 0;
-    this.abilities = config.abilities || [];
+    this.abilities = (config.abilities || abilityRegistry.getDefaultLoadout(this.class, this.isLeader))
+      .map(abilityId => String(abilityId).toUpperCase());
+    this.cooldowns = { ...(config.cooldowns || {}) }; // Ability ID -> turns remaining
     
     // Validation
     this.validate();
@@ -347,6 +392,7 @@ export class Unit {
     const base = { ...this.baseStats };
     
     // Apply status effect modifiers
+    const percentTotals = {};
     for (const effect of this.statusEffects) {
       const modifiers = effect.getModifiers();
       for (const [stat, modifier] of Object.entries(modifiers)) {
@@ -354,6 +400,17 @@ export class Unit {
           base[stat] = Math.max(0, base[stat] + modifier);
         }
       }
+
+      for (const [stat, modifier] of Object.entries(effect.getPercentModifiers())) {
+        percentTotals[stat] = (percentTotals[stat] || 0) + modifier;
+      }
+    }
+
+    // Percentage modifiers apply after flat ones
+    for (const [stat, total] of Object.entries(percentTotals)) {
+      if (base[stat] !== undefined) {
+        base[stat] = Math.max(0, Math.round(base[stat] * (1 + total)));
+      }
     }
     
     return base;
@@ -436,6 +493,34 @@ export class Unit {
     return null;
   }
 
+  /**
+   * Wear down equipped items after a match, applying faction durability passives
+   * @returns {Array} Wear per item [{itemId, amount, durability, broken}]
+   */
+  applyMatchWear() {
+    const factionData = FACTIONS.PASSIVES[this.faction] || {};
+    const reduction = factionData.durability_reduction || 0;
+    const amount = Math.round(EQUIPMENT.DURABILITY.WEAR_PER_MATCH * (1 - reduction) * 100) / 100;
+
+    const worn = [];
+    let brokeItem = false;
+    for (const item of this.equipment.values()) {
+      if (item.isBroken()) continue;
+
+      // Keep fractional wear exact to two decimals so passives accumulate cleanly
+      item.reduceDurability(amount);
+      item.durability = Math.round(item.durability * 100) / 100;
+      brokeItem = brokeItem || item.isBroken();
+
+      worn.push({ itemId: item.id, amount, durability: item.durability, broken: item.isBroken() });
+    }
+
+    if (brokeItem) {
+      this.baseStats = this.deriveVisibleStats(); // Broken gear no longer grants stats
+    }
+    return worn;
+  }
+
   /**
    * Apply status effect to unit
    * @param {StatusEffect} effect - Status effect to apply
@@ -481,23 +566,29 @@ export class Unit {
 
   /**
    * Process status effects for turn phase
-   * @param {string} phase - Turn phase ('start_turn', 'end_turn')
+   * @param {string} phase - Turn phase ('start_turn', 'end_turn', 'on_damage')
    * @returns {Array} Array of effect results
    */
   processStatusEffects(phase) {
     const results = [];
     
-    // Process effects that trigger on this phase
     for (const effect of this.statusEffects) {
+      // Process effects that trigger on this phase
       if (effect.triggersOn === phase) {
         results.push({
+          id: effect.id,
+          statusId: effect.statusId,
           effect: effect.name,
           type: effect.type,
           modifiers: effect.getModifiers(),
-          intensity: effect.intensity
+          intensity: effect.intensity,
+          dot: effect.dot,
+          flags: { ...effect.flags }
         });
-        
-        // Advance effect duration
+      }
+      
+      // Advance effect duration once per turn
+      if (effect.getDurationPhase() === phase) {
         effect.advance();
       }
     }
@@ -508,6 +599,39 @@ export class Unit {
     return results;
   }
 
+  /**
+   * Get an active status effect by ID, catalog ID or name
+   * @param {string} effectId - Effect ID, status ID or name
+   * @returns {StatusEffect|null} Matching effect or null
+   */
+  getStatusEffect(effectId) {
+    return this.statusEffects.find(e =>
+      e.id === effectId || e.statusId === effectId || e.name === effectId
+    ) || null;
+  }
+
+  /**
+   * Check whether any active status effect sets a behaviour flag
+   * @param {string} flag - Flag name (skipsTurn, cannotMove, controlled)
+   * @returns {boolean} True if an active effect sets the flag
+   */
+  hasStatusFlag(flag) {
+    return this.statusEffects.some(effect => !effect.hasExpired() && effect.flags[flag]);
+  }
+
+  /**
+   * Check whether the unit is immune to a status
+   * @param {Object} status - Status definition or effect with statusId/id and tags
+   * @returns {boolean} True if an immunity matches the status ID or any tag
+   */
+  isImmuneTo(status) {
+    const statusId = status.statusId || status.id;
+    return this.immunities.some(immunity =>
+      immunity === statusId || (status.tags || []).includes(immunity)
+    );
+  }
+
+
   /**
    * Take damage
    * @param {number} amount - Damage amount
@@ -600,6 +724,70 @@ export class Unit {
     return false;
   }
 
+  /**
+   * Spend mana points
+   * @param {number} cost - MP cost
+   * @returns {boolean} True if MP was successfully spent
+   */
+  spendMP(cost) {
+    if (this.currentMP >= cost && !this.isIncapacitated) {
+      this.currentMP = Math.max(0, this.currentMP - cost);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the movement type a faction's units use by default
+   * @param {string} faction - Faction ID
+   * @returns {string} Movement type ('normal', 'flying', 'amphibious')
+   */
+  static getDefaultMovementType(faction) {
+    const factionData = FACTIONS.PASSIVES[faction];
+    return factionData && factionData.water_movement ? 'amphibious' : 'normal';
+  }
+
+  /**
+   * Check if unit knows an ability
+   * @param {string} abilityId - Ability ID
+   * @returns {boolean} True if the ability is in the unit's loadout
+   */
+  knowsAbility(abilityId) {
+    return typeof abilityId === 'string' && this.abilities.includes(abilityId.toUpperCase());
+  }
+
+  /**
+   * Get remaining cooldown for an ability
+   * @param {string} abilityId - Ability ID
+   * @returns {number} Turns until the ability is ready (0 = ready)
+   */
+  getCooldown(abilityId) {
+    return this.cooldowns[abilityId.toUpperCase()] || 0;
+  }
+
+  /**
+   * Put an ability on cooldown
+   * @param {string} abilityId - Ability ID
+   * @param {number} turns - Cooldown length in turns
+   */
+  startCooldown(abilityId, turns) {
+    if (turns > 0) {
+      this.cooldowns[abilityId.toUpperCase()] = turns;
+    }
+  }
+
+  /**
+   * Reduce all ability cooldowns by one turn
+   */
+  tickCooldowns() {
+    for (const abilityId of Object.keys(this.cooldowns)) {
+      this.cooldowns[abilityId] = Math.max(0, this.cooldowns[abilityId] - 1);
+      if (this.cooldowns[abilityId] === 0) {
+        delete this.cooldowns[abilityId];
+      }
+    }
+  }
+
   /**
    * Restore action points (start of turn)
    */
@@ -646,6 +834,7 @@ export class Unit {
       faction: this.faction,
       level: this.level,
       isLeader: this.isLeader,
+      movementType: this.movementType,
       stats: this.getCurrentStats(),
       currentHP: this.currentHP,
       currentMP: this.currentMP,
@@ -654,11 +843,16 @@ export class Unit {
       position: { ...this.position },
       facing: this.facing,
       statusEffects: this.statusEffects.map(effect => ({
+        statusId: effect.statusId,
         name: effect.name,
         type: effect.type,
         duration: effect.duration,
         intensity: effect.intensity
       })),
+      abilities: this.abilities.map(abilityId => ({
+        id: abilityId,
+        cooldown: this.getCooldown(abilityId)
+      })),
       hasActedThisTurn: this.hasActedThisTurn
     };
   }
@@ -680,10 +874,20 @@ export class Unit {
     if (!FACTIONS.TYPES.includes(this.faction)) {
       throw new Error(`Invalid faction: ${this.faction}`);
     }
+
+    if (!TERRAIN.MOVEMENT.TYPES.includes(this.movementType)) {
+      throw new Error(`Invalid movement type: ${this.movementType}`);
+    }
     
     if (this.level < 1 || this.level > 80) {
       throw new Error(`Invalid level: ${this.level}. Must be 1-80`);
     }
+
+    for (const abilityId of this.abilities) {
+      if (!abilityRegistry.has(abilityId)) {
+        throw new Error(`Unknown ability: ${abilityId}`);
+      }
+    }
   }
 
   /**
@@ -698,13 +902,16 @@ export class Unit {
       faction: this.faction,
       level: this.level,
       isLeader: this.isLeader,
+      movementType: this.movementType,
       hiddenAbilities: this.hiddenAbilities.toObject(),
       equipment: Array.from(this.equipment.values()),
       position: { ...this.position },
       facing: this.facing,
       experience: this.experience,
       skillPoints: this.skillPoints,
-      abilities: [...this.abilities]
+      abilities: [...this.abilities],
+      cooldowns: { ...this.cooldowns },
+      immunities: [...this.immunities]
     });
   }
 
@@ -721,18 +928,25 @@ export class Unit {
       faction: this.faction,
       level: this.level,
       isLeader: this.isLeader,
-      equipment: Array.from(this.equipment.values()).map(item => ({
-        id: item.id,
-        type: item.type,
-        durability: item.durability
-      })),
+      movementType: this.movementType,
+      equipment: Array.from(this.equipment.values()).map(item => {
+        const { abilityModifiers, ...visible } = item;
+        return includeHidden ? { ...visible, abilityModifiers } : visible;
+      }),
       currentHP: this.currentHP,
       currentMP: this.currentMP,
+      currentAP: this.currentAP,
+      isIncapacitated: this.isIncapacitated,
       position: this.position,
       facing: this.facing,
-      statusEffects: this.statusEffects,
+      statusEffects: this.statusEffects.map(effect => {
+        const { saveType, saveDC, allowsSave, ...visible } = effect.clone();
+        return includeHidden ? { ...visible, saveType, saveDC, allowsSave } : visible;
+      }),
       experience: this.experience,
-      abilities: this.abilities
+      abilities: this.abilities,
+      cooldowns: this.cooldowns,
+      immunities: this.immunities
     };
 
     // Include hidden data only for server-side serialization
@@ -14,6 +14,7 @@
  */
 
 import { ACTION_POINTS, VALIDATION } from '../constants/GameConstants.js';
+import { abilityRegistry } from '../data/AbilityTemplates.js';
 
 /**
  * Action class for representing player actions with AP costs
@@ -30,14 +31,27 @@ export class Action {
     this.abilityId = config.abilityId || null;
     this.targetId = config.targetId || null;
     this.targetPosition = config.targetPosition || null;
-    this.baseCost = config.baseCost || ACTION_POINTS.COSTS[config.type] || 1;
-    this.modifiedCost = config.modifiedCost || this.baseCost;
+    this.baseCost = config.baseCost !== undefined ? config.baseCost : Action.getBaseCost(config.type, this.abilityId);
+    this.modifiedCost = config.modifiedCost !== undefined ? config.modifiedCost : this.baseCost;
     this.metadata = config.metadata || {};
     this.validated = false;
     this.executed = false;
     this.timestamp = config.timestamp || Date.now();
   }
 
+  /**
+   * Look up the base AP cost for an action type or ability
+   * @param {string} type - Action type
+   * @param {string|null} abilityId - Ability ID for ABILITY actions
+   * @returns {number} Base AP cost
+   */
+  static getBaseCost(type, abilityId = null) {
+    const ability = abilityId ? abilityRegistry.get(abilityId) : null;
+    if (ability) return ability.apCost;
+    if (type === 'ATTACK') return ACTION_POINTS.COSTS.BASIC_ATTACK;
+    return ACTION_POINTS.COSTS[type] !== undefined ? ACTION_POINTS.COSTS[type] : 1;
+  }
+
   /**
    * Check if action is valid
    * @returns {boolean} True if action has required data
@@ -723,7 +737,7 @@ export class ActionPointSystem {
       type: actionType,
       unitId: unit.id,
       abilityId: options.abilityId,
-      baseCost: options.baseCost || ACTION_POINTS.COSTS[actionType] || 1
+      baseCost: options.baseCost
     });
 
     const cost = this.calculateActionCost(unit, tempAction);
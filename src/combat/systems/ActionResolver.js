@@ -0,0 +1,1171 @@
+/**
+ * Action Resolver for Tactica Arena
+ *
+ * Authoritative resolution of player actions against a CombatState:
+ * - Validates phase, turn ownership, acting unit and targets
+ * - Resolves MOVE, ATTACK, ABILITY, WAIT and END_TURN actions
+ * - Reads ability range, targeting, costs and effects from the ability registry
+ * - Validates movement against terrain-aware paths from the Pathfinder
+ * - Resolves attacks of opportunity when a move leaves an enemy's zone of control
+ * - Draws every random outcome from the match's seeded DeterministicRNG
+ * - Spends AP through the ActionPointSystem
+ * - Records a CombatAction with its results and advances initiative
+ * - Applies post-match equipment wear (with faction durability passives)
+ * - Reports objective progress at the start of each round
+ *
+ * The resolver returns a player-safe event list. Hidden d20 values (rolls,
+ * attack bonuses, defense values, threat ranges) are consumed here and never
+ * copied into events or the recorded action history.
+ */
+
+import { HitCalculator } from './HitCalculator.js';
+import { DamageCalculator, DAMAGE_TYPES, WEAPON_DAMAGE, CLASS_WEAPONS } from './DamageCalculator.js';
+import { ActionPointSystem, Action } from './ActionPointSystem.js';
+import { Pathfinder, CombatStateGrid } from './Pathfinder.js';
+import { StatusEffectSystem } from './StatusEffectSystem.js';
+import { MoraleSystem } from './MoraleSystem.js';
+import { D20Engine } from '../hidden/D20Engine.js';
+import { CombatAction, TerrainTile } from '../models/CombatState.js';
+import { abilityRegistry } from '../data/AbilityTemplates.js';
+import { VALIDATION, TERRAIN } from '../constants/GameConstants.js';
+
+const ERROR_CODES = VALIDATION.ERROR_CODES;
+
+/**
+ * Action types the resolver understands
+ */
+export const ACTION_TYPES = ['MOVE', 'ATTACK', 'ABILITY', 'WAIT', 'END_TURN'];
+
+/**
+ * Result of submitting an action
+ */
+export class ActionResult {
+  /**
+   * Create action result
+   * @param {Object} config - Result configuration
+   */
+  constructor(config = {}) {
+    this.success = config.success !== false;
+    this.actionId = config.actionId || null;
+    this.actionType = config.actionType || null;
+    this.events = config.events || [];
+    this.errors = config.errors || [];
+    this.errorCode = config.errorCode || null;
+  }
+
+  /**
+   * Append a player-safe event
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  addEvent(type, data = {}) {
+    this.events.push({ type, ...data });
+  }
+
+  /**
+   * Mark the result as rejected
+   * @param {string} code - Error code from VALIDATION.ERROR_CODES
+   * @param {string} message - Human-readable reason
+   * @returns {ActionResult} This result
+   */
+  reject(code, message) {
+    this.success = false;
+    this.errorCode = code;
+    this.errors.push(message);
+    return this;
+  }
+}
+
+/**
+ * Main Action Resolver class
+ */
+export class ActionResolver {
+  /**
+   * Create action resolver
+   * @param {Object} config - Resolver configuration
+   */
+  constructor(config = {}) {
+    this.hitCalculator = config.hitCalculator || new HitCalculator();
+    this.damageCalculator = config.damageCalculator || new DamageCalculator();
+    this.actionPointSystem = config.actionPointSystem || new ActionPointSystem();
+    this.abilityRegistry = config.abilityRegistry || abilityRegistry;
+    this.pathfinder = config.pathfinder || new Pathfinder();
+    this.d20Engine = config.d20Engine || new D20Engine();
+    this.statusSystem = config.statusSystem || new StatusEffectSystem({
+      damageCalculator: this.damageCalculator,
+      d20Engine: this.d20Engine
+    });
+    this.moraleSystem = config.moraleSystem || new MoraleSystem({
+      statusSystem: this.statusSystem,
+      initiativeSystem: config.initiativeSystem
+    });
+    this.logResolutions = config.logResolutions || false;
+    this.resolutionLog = [];
+  }
+
+  /**
+   * Log resolution details for debugging (server-side only)
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   * @private
+   */
+  log(type, data) {
+    if (this.logResolutions) {
+      this.resolutionLog.push({
+        timestamp: Date.now(),
+        type,
+        data: { ...data }
+      });
+    }
+  }
+
+  /**
+   * Validate and resolve an action, mutating the combat state
+   * @param {CombatState} combatState - Match state
+   * @param {Object} request - Action request {type, actorId, targetId, targetPosition, abilityId, weaponType, playerId, timedOut}
+   * @returns {ActionResult} Resolution result with player-safe events
+   */
+  resolve(combatState, request = {}) {
+    const type = typeof request.type === 'string' ? request.type.toUpperCase() : null;
+    const actorId = request.actorId || request.unitId;
+    const result = new ActionResult({ actionType: type });
+
+    // Validate the request before touching state or RNG
+    const validation = this.validateRequest(combatState, type, actorId, request);
+    if (validation.error) {
+      return result.reject(validation.error.code, validation.error.message);
+    }
+
+    const actor = validation.actor;
+    const plan = this.planAction(combatState, actor, type, request);
+    if (plan.error) {
+      return result.reject(plan.error.code, plan.error.message);
+    }
+
+    // Spend AP through the shared AP rules
+    const apAction = new Action({
+      type,
+      unitId: actor.id,
+      abilityId: plan.ability && type === 'ABILITY' ? plan.ability.id : null,
+      targetId: request.targetId,
+      targetPosition: request.targetPosition
+    });
+
+    if (!this.actionPointSystem.spendAP(actor, apAction)) {
+      const affordCheck = this.actionPointSystem.canAffordAction(actor, apAction);
+      return result.reject(
+        ERROR_CODES.INSUFFICIENT_AP,
+        `Not enough action points (needs ${affordCheck.cost}, has ${affordCheck.available})`
+      );
+    }
+
+    try {
+      if (apAction.modifiedCost > 0) {
+        result.addEvent('ap_spent', {
+          unitId: actor.id,
+          cost: apAction.modifiedCost,
+          remainingAP: actor.currentAP
+        });
+      }
+
+      this.applyAction(combatState, actor, plan, result);
+
+      // Record the action with its player-safe results
+      const combatAction = new CombatAction({
+        type,
+        actorId: actor.id,
+        targetId: request.targetId,
+        targetPosition: request.targetPosition,
+        abilityId: request.abilityId,
+        apCost: apAction.modifiedCost,
+        results: { events: [...result.events] }
+      });
+      combatState.recordAction(combatAction);
+      result.actionId = combatAction.id;
+
+      this.finishAction(combatState, actor, type, result);
+    } catch (error) {
+      throw new Error(`Action resolution failed: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate match phase, acting unit and turn ownership
+   * @param {CombatState} combatState - Match state
+   * @param {string} type - Action type
+   * @param {string} actorId - Acting unit ID
+   * @param {Object} request - Action request
+   * @returns {Object} {actor} or {error}
+   * @private
+   */
+  validateRequest(combatState, type, actorId, request) {
+    if (!ACTION_TYPES.includes(type)) {
+      return { error: { code: ERROR_CODES.INVALID_ACTION, message: `Unknown action type: ${request.type}` } };
+    }
+
+    if (combatState.phase !== 'COMBAT') {
+      return { error: { code: ERROR_CODES.INVALID_PHASE, message: `Actions are not allowed during ${combatState.phase}` } };
+    }
+
+    const actor = combatState.getUnit(actorId);
+    if (!actor) {
+      return { error: { code: ERROR_CODES.UNIT_NOT_FOUND, message: 'Acting unit not found' } };
+    }
+
+    if (actor.isIncapacitated) {
+      return { error: { code: ERROR_CODES.UNIT_INCAPACITATED, message: 'Unit is incapacitated and cannot act' } };
+    }
+
+    const current = combatState.getCurrentUnit();
+    if (!current || current.id !== actor.id) {
+      return { error: { code: ERROR_CODES.NOT_YOUR_TURN, message: 'It is not this unit\'s turn' } };
+    }
+
+    if (request.playerId && request.playerId !== combatState.getPlayerForUnit(actor.id)) {
+      return { error: { code: ERROR_CODES.NOT_YOUR_TURN, message: 'This unit is not under your command' } };
+    }
+
+    return { actor };
+  }
+
+  /**
+   * Validate action-specific requirements and build a resolution plan
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Acting unit
+   * @param {string} type - Action type
+   * @param {Object} request - Action request
+   * @returns {Object} Resolution plan or {error}
+   * @private
+   */
+  planAction(combatState, actor, type, request) {
+    switch (type) {
+      case 'MOVE':
+        return this.planMove(combatState, actor, request);
+      case 'ATTACK':
+        return this.planAttack(combatState, actor, request);
+      case 'ABILITY':
+        return this.planAbility(combatState, actor, request);
+      case 'WAIT':
+        return { type };
+      case 'END_TURN':
+        return { type, timedOut: request.timedOut === true };
+      default:
+        return { error: { code: ERROR_CODES.INVALID_ACTION, message: `Unknown action type: ${type}` } };
+    }
+  }
+
+  /**
+   * Plan a movement action
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Moving unit
+   * @param {Object} request - Action request
+   * @returns {Object} Movement plan or {error}
+   * @private
+   */
+  planMove(combatState, actor, request) {
+    if (actor.hasStatusFlag('cannotMove')) {
+      return { error: { code: ERROR_CODES.INVALID_ACTION, message: `${actor.name} is rooted and cannot move` } };
+    }
+
+    const destinationCheck = this.validateDestination(combatState, actor, request.targetPosition, {
+      avoidZoneOfControl: request.avoidZoneOfControl
+    });
+    if (destinationCheck.error) return destinationCheck;
+
+    return {
+      type: 'MOVE',
+      from: { ...actor.position },
+      to: destinationCheck.destination,
+      path: destinationCheck.path
+    };
+  }
+
+  /**
+   * Validate a walking destination for a unit
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Moving unit
+   * @param {Object} destination - Destination {x, y}
+   * @param {Object} options - Route options {ignoresZoneOfControl, avoidZoneOfControl}
+   * @returns {Object} {destination, path} or {error}
+   * @private
+   */
+  validateDestination(combatState, actor, destination, options = {}) {
+    if (!this.isValidPosition(destination)) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Invalid position coordinates' } };
+    }
+
+    if (destination.x === actor.position.x && destination.y === actor.position.y) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Unit is already at that position' } };
+    }
+
+    if (!combatState.isPositionPassable(destination.x, destination.y, actor.movementType)) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Destination is blocked' } };
+    }
+
+    const grid = new CombatStateGrid(combatState);
+    const route = this.pathfinder.findPath(grid, grid.createMover(actor, options), destination);
+    if (!route.found) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'No path to destination' } };
+    }
+
+    if (!route.withinRange) {
+      return { error: { code: ERROR_CODES.OUT_OF_RANGE, message: 'Destination is beyond movement range' } };
+    }
+
+    return {
+      destination: { x: destination.x, y: destination.y },
+      path: route.path.map(step => ({ x: step.x, y: step.y, provokedBy: [...step.provokedBy] }))
+    };
+  }
+
+  /**
+   * Plan a basic attack (the Strike archetype, always available)
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Attacking unit
+   * @param {Object} request - Action request
+   * @returns {Object} Attack plan or {error}
+   * @private
+   */
+  planAttack(combatState, actor, request) {
+    const ability = this.abilityRegistry.get('STRIKE');
+    const weapon = this.planWeapon(actor, request);
+    if (weapon.error) return weapon;
+
+    const targetCheck = this.validateUnitTarget(combatState, actor, ability, request.targetId);
+    if (targetCheck.error) return targetCheck;
+
+    return {
+      type: 'ATTACK',
+      ability,
+      target: targetCheck.target,
+      targets: [targetCheck.target],
+      weaponType: weapon.weaponType
+    };
+  }
+
+  /**
+   * Pick the weapon a strike uses: the requested one, else the class weapon
+   * @param {Unit} actor - Striking unit
+   * @param {Object} request - Action request
+   * @returns {Object} {weaponType} or {error}
+   * @private
+   */
+  planWeapon(actor, request) {
+    if (request.weaponType === undefined || request.weaponType === null) {
+      return { weaponType: CLASS_WEAPONS[actor.class] || 'SWORD' };
+    }
+
+    // Checked here, before any AP is spent or die rolled, so a bad weapon changes nothing
+    const weaponType = typeof request.weaponType === 'string' ? request.weaponType.toUpperCase() : null;
+    if (!weaponType || !Object.prototype.hasOwnProperty.call(WEAPON_DAMAGE, weaponType)) {
+      return { error: { code: ERROR_CODES.INVALID_ACTION, message: `Unknown weapon type: ${request.weaponType}` } };
+    }
+
+    return { weaponType };
+  }
+
+  /**
+   * Plan an ability action from its registry definition
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Casting unit
+   * @param {Object} request - Action request
+   * @returns {Object} Ability plan or {error}
+   * @private
+   */
+  planAbility(combatState, actor, request) {
+    const ability = this.abilityRegistry.get(request.abilityId);
+    if (!ability) {
+      return { error: { code: ERROR_CODES.INVALID_ACTION, message: `Unknown ability: ${request.abilityId}` } };
+    }
+
+    if (!actor.knowsAbility(ability.id)) {
+      return { error: { code: ERROR_CODES.INVALID_ACTION, message: `${actor.name} does not know ${ability.name}` } };
+    }
+
+    if (ability.tags.includes('leader_only') && !actor.isLeader) {
+      return { error: { code: ERROR_CODES.INVALID_ACTION, message: `${ability.name} can only be used by a leader` } };
+    }
+
+    const cooldown = actor.getCooldown(ability.id);
+    if (cooldown > 0) {
+      return { error: { code: ERROR_CODES.ABILITY_ON_COOLDOWN, message: `${ability.name} is ready in ${cooldown} turn(s)` } };
+    }
+
+    if (actor.currentMP < ability.mpCost) {
+      return { error: { code: ERROR_CODES.INSUFFICIENT_MP, message: 'Not enough mana' } };
+    }
+
+    const weapon = this.planWeapon(actor, request);
+    if (weapon.error) return weapon;
+
+    const plan = {
+      type: 'ABILITY',
+      ability,
+      weaponType: weapon.weaponType,
+      target: null,
+      targets: [],
+      center: null,
+      destination: null,
+      path: null
+    };
+
+    // Movement archetypes validate their destination first
+    if (ability.effect === 'dash' || ability.effect === 'reposition') {
+      if (actor.hasStatusFlag('cannotMove')) {
+        return { error: { code: ERROR_CODES.INVALID_ACTION, message: `${actor.name} is rooted and cannot move` } };
+      }
+
+      const destinationCheck = this.validateDestination(combatState, actor, request.targetPosition, {
+        ignoresZoneOfControl: ability.tags.includes('ignores_zoc'),
+        avoidZoneOfControl: request.avoidZoneOfControl
+      });
+      if (destinationCheck.error) return destinationCheck;
+      plan.destination = destinationCheck.destination;
+      plan.path = destinationCheck.path;
+    }
+
+    switch (ability.targeting) {
+      case 'self':
+        plan.target = actor;
+        plan.center = { ...actor.position };
+        break;
+
+      case 'tile': {
+        const tileCheck = this.validateTileTarget(combatState, actor, ability, request.targetPosition);
+        if (tileCheck.error) return tileCheck;
+        plan.center = tileCheck.position;
+        break;
+      }
+
+      default: {
+        // Dash measures reach from the destination tile, not the starting tile
+        const origin = plan.destination || actor.position;
+        const targetCheck = this.validateUnitTarget(combatState, actor, ability, request.targetId, origin);
+        if (targetCheck.error) return targetCheck;
+        plan.target = targetCheck.target;
+        plan.center = { ...plan.target.position };
+      }
+    }
+
+    if (ability.effect === 'teleport' || ability.effect === 'terrain') {
+      if (combatState.getUnitAtPosition(plan.center.x, plan.center.y) ||
+          !combatState.isPositionPassable(plan.center.x, plan.center.y)) {
+        return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Target tile is blocked' } };
+      }
+    }
+
+    plan.targets = this.collectAffectedUnits(combatState, actor, ability, plan);
+    return plan;
+  }
+
+  /**
+   * Validate a unit target against an ability's targeting rules
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Acting unit
+   * @param {Object} ability - Ability definition
+   * @param {string} targetId - Target unit ID
+   * @param {Object} origin - Position range is measured from (defaults to actor)
+   * @returns {Object} {target} or {error}
+   * @private
+   */
+  validateUnitTarget(combatState, actor, ability, targetId, origin = actor.position) {
+    const target = combatState.getUnit(targetId);
+    if (!target) {
+      return { error: { code: ERROR_CODES.UNIT_NOT_FOUND, message: 'Target unit not found' } };
+    }
+
+    if (target.isIncapacitated) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Target is already incapacitated' } };
+    }
+
+    const isEnemy = combatState.areEnemies(actor.id, target.id);
+    if (ability.targeting === 'enemy' && !isEnemy) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Target is not an enemy' } };
+    }
+
+    if (ability.targeting === 'ally' && isEnemy) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Target is not an ally' } };
+    }
+
+    const range = this.abilityRegistry.getRange(ability, actor);
+    const distance = this.calculateDistance(origin, target.position);
+    if (distance > range || distance < ability.minRange) {
+      return { error: { code: ERROR_CODES.OUT_OF_RANGE, message: 'Target is out of range' } };
+    }
+
+    if (ability.requiresLOS && !this.hitCalculator.hasLineOfSight({ position: origin }, target, combatState)) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Line of sight is blocked' } };
+    }
+
+    return { target };
+  }
+
+  /**
+   * Validate a tile target against an ability's range and LOS rules
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Acting unit
+   * @param {Object} ability - Ability definition
+   * @param {Object} position - Target tile {x, y}
+   * @returns {Object} {position} or {error}
+   * @private
+   */
+  validateTileTarget(combatState, actor, ability, position) {
+    if (!this.isValidPosition(position) ||
+        position.x < 0 || position.x >= combatState.mapWidth ||
+        position.y < 0 || position.y >= combatState.mapHeight) {
+      return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Invalid position coordinates' } };
+    }
+
+    // Reposition abilities are limited by movement, not ability range
+    if (ability.effect !== 'reposition') {
+      const range = this.abilityRegistry.getRange(ability, actor);
+      if (this.calculateDistance(actor.position, position) > range) {
+        return { error: { code: ERROR_CODES.OUT_OF_RANGE, message: 'Target tile is out of range' } };
+      }
+
+      if (ability.requiresLOS && !this.hitCalculator.hasLineOfSight(actor, { position }, combatState)) {
+        return { error: { code: ERROR_CODES.INVALID_TARGET, message: 'Line of sight is blocked' } };
+      }
+    }
+
+    return { position: { x: position.x, y: position.y } };
+  }
+
+  /**
+   * Collect the units an ability will affect
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Acting unit
+   * @param {Object} ability - Ability definition
+   * @param {Object} plan - Partially built plan with target and center
+   * @returns {Array} Affected units
+   * @private
+   */
+  collectAffectedUnits(combatState, actor, ability, plan) {
+    if (ability.area.shape === 'single') {
+      return plan.target ? [plan.target] : [];
+    }
+
+    const affected = [];
+    for (const unit of combatState.units.values()) {
+      if (unit.isIncapacitated) continue;
+      if (this.calculateDistance(plan.center, unit.position) > ability.area.radius) continue;
+
+      const isEnemy = combatState.areEnemies(actor.id, unit.id);
+      if (ability.tags.includes('friendly_fire')) {
+        if (unit.id !== actor.id) affected.push(unit);
+      } else if (ability.tags.includes('affects_allies')) {
+        if (!isEnemy) affected.push(unit);
+      } else if (isEnemy) {
+        affected.push(unit);
+      }
+    }
+
+    // Stable order keeps RNG consumption identical across replays
+    return affected.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Apply a validated plan to the combat state
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Acting unit
+   * @param {Object} plan - Resolution plan
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  applyAction(combatState, actor, plan, result) {
+    switch (plan.type) {
+      case 'MOVE':
+        this.applyMove(combatState, actor, plan.to, result, plan.path);
+        break;
+
+      case 'ATTACK':
+        this.resolveStrike(combatState, actor, plan.target, plan.ability, result, {
+          weaponType: plan.weaponType
+        });
+        break;
+
+      case 'ABILITY':
+        this.applyAbility(combatState, actor, plan, result);
+        break;
+
+      case 'WAIT':
+        result.addEvent('unit_waited', { unitId: actor.id });
+        break;
+
+      case 'END_TURN':
+        if (plan.timedOut) {
+          result.addEvent('turn_timed_out', { unitId: actor.id, playerId: combatState.getPlayerForUnit(actor.id) });
+        }
+        break;
+    }
+  }
+
+  /**
+   * Move a unit along its path, resolving attacks of opportunity on the way
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Moving unit
+   * @param {Object} destination - Destination {x, y}
+   * @param {ActionResult} result - Result to append events to
+   * @param {Array} path - Planned path including both ends (omitted for teleports)
+   * @returns {boolean} True if the unit reached its destination
+   * @private
+   */
+  applyMove(combatState, actor, destination, result, path = null) {
+    const from = { ...actor.position };
+    const steps = path || [from, { ...destination }];
+    const walked = [{ x: from.x, y: from.y }];
+    const provoked = new Set();
+
+    for (let i = 1; i < steps.length; i++) {
+      const step = steps[i];
+
+      // Enemies whose zone this step leaves strike before the unit gets away
+      for (const enemyId of step.provokedBy || []) {
+        if (provoked.has(enemyId)) continue;
+        provoked.add(enemyId);
+        this.resolveOpportunityAttack(combatState, enemyId, actor, result);
+        if (actor.isIncapacitated) break;
+      }
+
+      if (actor.isIncapacitated) break;
+      combatState.moveUnit(actor.id, step.x, step.y);
+      walked.push({ x: step.x, y: step.y });
+    }
+
+    const to = walked[walked.length - 1];
+    if (walked.length > 1) {
+      result.addEvent('unit_moved', {
+        unitId: actor.id,
+        from,
+        to: { ...to },
+        path: walked,
+        interrupted: to.x !== destination.x || to.y !== destination.y
+      });
+    }
+
+    return to.x === destination.x && to.y === destination.y;
+  }
+
+  /**
+   * Resolve a free attack of opportunity against a unit leaving a zone of control
+   * @param {CombatState} combatState - Match state
+   * @param {string} attackerId - Enemy making the attack
+   * @param {Unit} target - Unit leaving the zone
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  resolveOpportunityAttack(combatState, attackerId, target, result) {
+    const attacker = combatState.getUnit(attackerId);
+    if (!attacker || attacker.isIncapacitated || attacker.hasStatusFlag('skipsTurn')) return;
+
+    result.addEvent('opportunity_attack', {
+      attackerId: attacker.id,
+      targetId: target.id,
+      position: { ...target.position }
+    });
+
+    this.resolveStrike(combatState, attacker, target, this.abilityRegistry.get('STRIKE'), result, {
+      weaponType: CLASS_WEAPONS[attacker.class] || 'SWORD'
+    });
+  }
+
+  /**
+   * Pay ability costs and dispatch to its effect handler
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Casting unit
+   * @param {Object} plan - Ability plan
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  applyAbility(combatState, actor, plan, result) {
+    const ability = plan.ability;
+
+    actor.spendMP(ability.mpCost);
+    actor.startCooldown(ability.id, ability.cooldown);
+
+    result.addEvent('ability_used', {
+      unitId: actor.id,
+      abilityId: ability.id,
+      abilityName: ability.name,
+      targetId: plan.target ? plan.target.id : null,
+      targetPosition: plan.center ? { ...plan.center } : null,
+      mpSpent: ability.mpCost
+    });
+
+    switch (ability.effect) {
+      case 'strike':
+        this.resolveStrike(combatState, actor, plan.target, ability, result, { weaponType: plan.weaponType });
+        break;
+
+      case 'area_strike':
+        for (const target of plan.targets) {
+          this.resolveAreaStrike(combatState, actor, target, ability, result, { weaponType: plan.weaponType });
+        }
+        break;
+
+      case 'dash':
+        // The strike only lands if the dash was not cut short
+        if (this.applyMove(combatState, actor, plan.destination, result, plan.path) &&
+            !plan.target.isIncapacitated) {
+          this.resolveStrike(combatState, actor, plan.target, ability, result, { weaponType: plan.weaponType });
+        }
+        break;
+
+      case 'reposition':
+        this.applyMove(combatState, actor, plan.destination, result, plan.path);
+        break;
+
+      case 'teleport':
+        this.applyMove(combatState, actor, plan.center, result);
+        break;
+
+      case 'status':
+        for (const target of plan.targets) {
+          this.applyAbilityStatus(combatState, actor, target, ability, result);
+        }
+        break;
+
+      case 'heal':
+        for (const target of plan.targets) {
+          this.applyHealing(actor, target, ability, combatState.getRNG('damage'), result);
+        }
+        break;
+
+      case 'cleanse':
+        for (const target of plan.targets) {
+          this.statusSystem.cleanse(combatState, target, result);
+          this.moraleSystem.syncInitiative(combatState, target, result);
+        }
+        break;
+
+      case 'terrain':
+        this.applyTerrainShape(combatState, plan.center, ability, result);
+        break;
+
+      default:
+        throw new Error(`No handler for ability effect: ${ability.effect}`);
+    }
+  }
+
+  /**
+   * Resolve a resistible area hit: full damage, or half if the target resists
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} attacker - Attacking unit
+   * @param {Unit} target - Unit in the area
+   * @param {Object} ability - Ability definition
+   * @param {ActionResult} result - Result to append events to
+   * @param {Object} options - Strike options {weaponType}
+   * @private
+   */
+  resolveAreaStrike(combatState, attacker, target, ability, result, options = {}) {
+    const resisted = ability.saveType ? this.attemptSave(attacker, target, ability, combatState.getRNG('status')) : false;
+
+    result.addEvent('attack', {
+      attackerId: attacker.id,
+      targetId: target.id,
+      outcome: resisted ? 'resisted' : 'hit'
+    });
+
+    const baseDamage = this.rollAbilityDamage(attacker, target, ability, combatState.getRNG('damage'), false, {
+      ...options,
+      multiplier: resisted ? 0.5 : 1
+    });
+    const finalDamage = this.damageCalculator.calculateFinalDamage(attacker, target, baseDamage, {
+      distance: this.calculateDistance(attacker.position, target.position)
+    });
+
+    this.applyDamage(combatState, target, finalDamage.afterMitigation, finalDamage.damageType, attacker.id, result);
+  }
+
+  /**
+   * Roll the hidden save for a resistible ability
+   * @param {Unit} caster - Unit using the ability
+   * @param {Unit} target - Unit attempting to resist
+   * @param {Object} ability - Ability definition
+   * @param {DeterministicRNG} rng - Match status stream
+   * @returns {boolean} True if the target resisted
+   * @private
+   */
+  attemptSave(caster, target, ability, rng) {
+    const save = this.statusSystem.rollSave(caster, target, ability.saveType, rng, {
+      saveAbility: ability.saveAbility
+    });
+
+    this.log('saving_throw', {
+      casterId: caster.id,
+      targetId: target.id,
+      abilityId: ability.id,
+      success: save.success
+    });
+
+    return save.success;
+  }
+
+  /**
+   * Apply an ability's catalog status to a unit, allowing enemies to resist
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} caster - Unit using the ability
+   * @param {Unit} target - Affected unit
+   * @param {Object} ability - Ability definition
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  applyAbilityStatus(combatState, caster, target, ability, result) {
+    const outcome = this.statusSystem.applyStatus(combatState, target, ability.status, {
+      source: caster,
+      saveType: ability.saveType,
+      saveAbility: ability.saveAbility,
+      duration: ability.statusDuration
+    }, result);
+
+    // Inspire and similar AGL effects move the unit in the initiative order
+    if (outcome.applied) {
+      this.moraleSystem.syncInitiative(combatState, target, result);
+    }
+  }
+
+  /**
+   * Restore health to a unit
+   * @param {Unit} caster - Healing unit
+   * @param {Unit} target - Unit being healed
+   * @param {Object} ability - Ability definition
+   * @param {DeterministicRNG} rng - Match damage stream
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  applyHealing(caster, target, ability, rng, result) {
+    const healing = ability.healing;
+    const abilityMod = healing.modifier ? Math.max(0, caster.hiddenAbilities.getModifier(healing.modifier)) : 0;
+    const amount = rng.roll(healing.dice, healing.sides) + abilityMod;
+    const healResult = target.heal(amount);
+
+    result.addEvent('healed', {
+      unitId: target.id,
+      sourceId: caster.id,
+      amount: healResult.actualHealing,
+      currentHP: healResult.currentHP
+    });
+  }
+
+  /**
+   * Reshape a tile into cover
+   * @param {CombatState} combatState - Match state
+   * @param {Object} position - Tile position {x, y}
+   * @param {Object} ability - Ability definition
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  applyTerrainShape(combatState, position, ability, result) {
+    const terrainType = ability.terrain.type;
+    const modifiers = TERRAIN.MODIFIERS[terrainType];
+
+    combatState.setTerrainAt(new TerrainTile({
+      x: position.x,
+      y: position.y,
+      type: terrainType,
+      moveCost: modifiers.moveCost,
+      evasionBonus: modifiers.evasion,
+      coverValue: modifiers.cover,
+      blockingLOS: true
+    }));
+
+    result.addEvent('terrain_changed', {
+      position: { ...position },
+      terrainType
+    });
+  }
+
+  /**
+   * Roll to hit and apply damage for a single-target strike
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} attacker - Attacking unit
+   * @param {Unit} target - Target unit
+   * @param {Object} ability - Ability definition driving the strike
+   * @param {ActionResult} result - Result to append events to
+   * @param {Object} options - Strike options {weaponType}
+   */
+  resolveStrike(combatState, attacker, target, ability, result, options = {}) {
+    const damageSpec = ability.damage || { source: 'weapon' };
+    const attack = this.hitCalculator.resolveAttack(attacker, target, combatState, combatState.getRNG('hit'), {
+      isSpell: damageSpec.source === 'spell' || undefined
+    });
+
+    this.log('attack_roll', {
+      attackerId: attacker.id,
+      targetId: target.id,
+      abilityId: ability.id,
+      hit: attack.hit,
+      critical: attack.critical,
+      fumble: attack.fumble,
+      margin: attack.margin
+    });
+
+    result.addEvent('attack', {
+      attackerId: attacker.id,
+      targetId: target.id,
+      outcome: attack.hit ? (attack.critical ? 'critical' : 'hit') : 'miss'
+    });
+
+    if (!attack.hit) return;
+
+    const baseDamage = this.rollAbilityDamage(attacker, target, ability, combatState.getRNG('damage'), attack.critical, options);
+    const situational = attack.situationalModifiers || {};
+    const finalDamage = this.damageCalculator.calculateFinalDamage(attacker, target, baseDamage, {
+      backstab: situational.backstab,
+      flanking: situational.flanking,
+      heightAdvantage: situational.heightBonus,
+      distance: attack.distance
+    });
+
+    this.applyDamage(combatState, target, finalDamage.afterMitigation, finalDamage.damageType, attacker.id, result);
+  }
+
+  /**
+   * Roll base damage for an ability's damage spec
+   * @param {Unit} attacker - Attacking unit
+   * @param {Unit} target - Target unit
+   * @param {Object} ability - Ability definition
+   * @param {DeterministicRNG} rng - Match damage stream
+   * @param {boolean} isCritical - Whether the hit was critical
+   * @param {Object} options - {weaponType, multiplier}
+   * @returns {Object} Base damage result for the DamageCalculator
+   * @private
+   */
+  rollAbilityDamage(attacker, target, ability, rng, isCritical, options = {}) {
+    const damageSpec = ability.damage || { source: 'weapon' };
+    const baseDamage = damageSpec.source === 'spell' ?
+      this.damageCalculator.calculateSpellDamage(attacker, damageSpec.spell, rng, isCritical, damageSpec.level || 1) :
+      this.damageCalculator.calculateWeaponDamage(attacker, options.weaponType || CLASS_WEAPONS[attacker.class] || 'SWORD', rng, isCritical);
+
+    let multiplier = (damageSpec.multiplier || 1) * (options.multiplier || 1);
+
+    // Execute bonus against badly wounded targets
+    if (damageSpec.executeThreshold &&
+        target.currentHP / target.getCurrentStats().HP <= damageSpec.executeThreshold) {
+      multiplier *= damageSpec.executeMultiplier || 1;
+    }
+
+    return {
+      ...baseDamage,
+      type: ability.damageType || baseDamage.type,
+      totalDamage: Math.max(1, Math.floor(baseDamage.totalDamage * multiplier))
+    };
+  }
+
+  /**
+   * Apply already-mitigated damage to a unit and emit events
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} target - Damaged unit
+   * @param {number} amount - Final damage after mitigation
+   * @param {string} damageType - Damage type for display
+   * @param {string} sourceId - Unit that dealt the damage
+   * @param {ActionResult} result - Result to append events to
+   */
+  applyDamage(combatState, target, amount, damageType, sourceId, result) {
+    // Mitigation was already applied by the DamageCalculator
+    const damageResult = target.takeDamage(amount, DAMAGE_TYPES.TRUE);
+
+    result.addEvent('damage', {
+      unitId: target.id,
+      sourceId,
+      amount: damageResult.actualDamage,
+      damageType,
+      remainingHP: damageResult.remainingHP
+    });
+
+    if (target.isIncapacitated) {
+      if (combatState.markIncapacitated(target.id)) {
+        result.addEvent('unit_incapacitated', { unitId: target.id });
+        this.moraleSystem.handleUnitDown(combatState, target, result);
+      }
+      return;
+    }
+
+    const reaction = this.statusSystem.handleDamageTaken(combatState, target, result);
+    if (reaction.incapacitated) {
+      this.moraleSystem.handleUnitDown(combatState, target, result);
+    }
+  }
+
+  /**
+   * Check victory and advance initiative after an action resolves
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Acting unit
+   * @param {string} type - Action type
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  finishAction(combatState, actor, type, result) {
+    if (this.checkMatchEnd(combatState, result)) return;
+
+    const activationOver = type === 'WAIT' || type === 'END_TURN' ||
+      actor.isIncapacitated || actor.currentAP <= 0;
+
+    if (activationOver) {
+      this.endActivation(combatState, actor, result);
+    }
+  }
+
+  /**
+   * End the acting unit's activation and hand over to the next unit
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} actor - Unit whose activation ends
+   * @param {ActionResult} result - Result to append events to
+   */
+  endActivation(combatState, actor, result) {
+    this.runStatusPhase(combatState, actor, 'end_turn', result);
+    combatState.endUnitTurn(actor.id);
+    result.addEvent('turn_ended', { unitId: actor.id });
+
+    if (this.checkMatchEnd(combatState, result)) return;
+
+    this.activateNextUnit(combatState, result);
+  }
+
+  /**
+   * Activate the next unit in initiative, resolving its start-of-turn
+   * effects and skipping any unit that cannot act
+   * @param {CombatState} combatState - Match state
+   * @param {ActionResult} result - Result to append events to
+   * @returns {Unit|null} Activated unit, or null if the match ended
+   */
+  activateNextUnit(combatState, result) {
+    while (combatState.phase === 'COMBAT') {
+      const previousTurn = combatState.turn;
+      const next = combatState.advanceToNextUnit();
+
+      if (this.checkMatchEnd(combatState, result) || !next) return null;
+
+      if (combatState.turn !== previousTurn) {
+        result.addEvent('round_started', { turn: combatState.turn });
+        if (combatState.hasRoundObjectives()) {
+          result.addEvent('objectives_updated', { objectives: combatState.getObjectiveProgress() });
+        }
+      }
+
+      const start = this.runStatusPhase(combatState, next, 'start_turn', result);
+      if (this.checkMatchEnd(combatState, result)) return null;
+
+      if (!next.isIncapacitated && !start.skipTurn) {
+        result.addEvent('unit_activated', {
+          unitId: next.id,
+          playerId: combatState.currentPlayerId,
+          currentAP: next.currentAP
+        });
+        return next;
+      }
+
+      // Stunned or downed by a damage tick: the activation passes
+      if (!next.isIncapacitated) {
+        result.addEvent('turn_skipped', { unitId: next.id, status: start.skippedBy });
+        this.runStatusPhase(combatState, next, 'end_turn', result);
+      }
+      combatState.endUnitTurn(next.id);
+      if (this.checkMatchEnd(combatState, result)) return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a unit's status effects for a turn phase and apply the knock-on
+   * morale and initiative changes
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Affected unit
+   * @param {string} phase - 'start_turn' or 'end_turn'
+   * @param {ActionResult} result - Result to append events to
+   * @returns {Object} Phase outcome from the StatusEffectSystem
+   * @private
+   */
+  runStatusPhase(combatState, unit, phase, result) {
+    const outcome = this.statusSystem.processPhase(combatState, unit, phase, result);
+
+    if (outcome.incapacitated) {
+      this.moraleSystem.handleUnitDown(combatState, unit, result);
+    } else {
+      this.moraleSystem.syncInitiative(combatState, unit, result);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Emit match_ended once the match is decided
+   * @param {CombatState} combatState - Match state
+   * @param {ActionResult} result - Result to append events to
+   * @returns {boolean} True if the match is over
+   * @private
+   */
+  checkMatchEnd(combatState, result) {
+    if (combatState.phase === 'COMBAT' && combatState.checkVictoryConditions()) {
+      combatState.phase = 'COMPLETED';
+    }
+
+    if (combatState.phase === 'COMPLETED') {
+      if (!result.events.some(event => event.type === 'match_ended')) {
+        result.addEvent('match_ended', {
+          winner: combatState.winner,
+          condition: combatState.victoryCondition
+        });
+        this.applyMatchWear(combatState, result);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Wear down every unit's equipment once the match is over, however it ended
+   * @param {CombatState} combatState - Completed match state
+   * @param {ActionResult} result - Result to append events to
+   */
+  applyMatchWear(combatState, result) {
+    for (const unit of combatState.units.values()) {
+      const items = unit.applyMatchWear();
+      if (items.length > 0) {
+        result.addEvent('equipment_worn', { unitId: unit.id, items });
+      }
+    }
+  }
+
+  /**
+   * Check that a value is a grid position
+   * @param {Object} position - Candidate position
+   * @returns {boolean} True if position has integer coordinates
+   * @private
+   */
+  isValidPosition(position) {
+    return !!position && Number.isInteger(position.x) && Number.isInteger(position.y);
+  }
+
+  /**
+   * Calculate grid distance between positions
+   * @param {Object} pos1 - First position {x, y}
+   * @param {Object} pos2 - Second position {x, y}
+   * @returns {number} Distance in tiles
+   * @private
+   */
+  calculateDistance(pos1, pos2) {
+    return Math.max(Math.abs(pos1.x - pos2.x), Math.abs(pos1.y - pos2.y));
+  }
+
+  /**
+   * Get resolution log for debugging
+   * @returns {Array} Array of logged resolution steps
+   */
+  getResolutionLog() {
+    return [...this.resolutionLog];
+  }
+
+  /**
+   * Clear resolution log
+   */
+  clearResolutionLog() {
+    this.resolutionLog = [];
+  }
+}
+
+export default ActionResolver;
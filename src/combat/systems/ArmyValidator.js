@@ -0,0 +1,166 @@
+/**
+ * Army Validator for Tactica Arena
+ *
+ * Checks an army's deployment roster against the ARMY rules:
+ * - Between ARMY.SIZE.MIN_DEPLOYED and ARMY.SIZE.MAX_DEPLOYED units
+ * - No more than ARMY.SIZE.MAX_PER_CLASS units of any class
+ * - Exactly one leader (ARMY.LEADER)
+ * - Known classes and unique unit IDs
+ *
+ * Every problem is reported as a structured error with a code from
+ * VALIDATION.ERROR_CODES, so clients can highlight the offending units
+ * instead of parsing messages.
+ */
+
+import { ARMY, CLASSES, VALIDATION } from '../constants/GameConstants.js';
+
+const ERROR_CODES = VALIDATION.ERROR_CODES;
+
+/**
+ * Main Army Validator class
+ */
+export class ArmyValidator {
+  /**
+   * Create army validator
+   * @param {Object} config - Validator configuration
+   */
+  constructor(config = {}) {
+    this.maxDeployed = config.maxDeployed !== undefined ? config.maxDeployed : ARMY.SIZE.MAX_DEPLOYED;
+    this.minDeployed = config.minDeployed !== undefined ? config.minDeployed : ARMY.SIZE.MIN_DEPLOYED;
+    this.maxPerClass = config.maxPerClass !== undefined ? config.maxPerClass : ARMY.SIZE.MAX_PER_CLASS;
+  }
+
+  /**
+   * Validate an army roster
+   * @param {Array} units - Units or unit configs ({id, class, isLeader})
+   * @returns {Object} {valid, errors: [{code, message, unitIds?, class?}], summary}
+   */
+  validateArmy(units = []) {
+    const errors = [];
+
+    if (units.length < this.minDeployed) {
+      errors.push({
+        code: ERROR_CODES.ARMY_TOO_SMALL,
+        message: `Army needs at least ${this.minDeployed} unit(s)`
+      });
+    }
+
+    if (units.length > this.maxDeployed) {
+      errors.push({
+        code: ERROR_CODES.ARMY_TOO_LARGE,
+        message: `Army can deploy at most ${this.maxDeployed} units (has ${units.length})`,
+        unitIds: units.slice(this.maxDeployed).map(unit => unit.id)
+      });
+    }
+
+    this.checkUnitIds(units, errors);
+    const classCounts = this.checkClasses(units, errors);
+    const leaders = this.checkLeaders(units, errors);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      summary: {
+        size: units.length,
+        classCounts,
+        leaderId: leaders.length === 1 ? leaders[0].id : null
+      }
+    };
+  }
+
+  /**
+   * Report duplicate unit IDs
+   * @param {Array} units - Army roster
+   * @param {Array} errors - Error list to append to
+   * @private
+   */
+  checkUnitIds(units, errors) {
+    const seen = new Set();
+    const duplicates = new Set();
+
+    for (const unit of units) {
+      if (seen.has(unit.id)) duplicates.add(unit.id);
+      seen.add(unit.id);
+    }
+
+    if (duplicates.size > 0) {
+      errors.push({
+        code: ERROR_CODES.DUPLICATE_UNIT,
+        message: `Units appear more than once: ${[...duplicates].join(', ')}`,
+        unitIds: [...duplicates]
+      });
+    }
+  }
+
+  /**
+   * Report unknown classes and classes over the per-class limit
+   * @param {Array} units - Army roster
+   * @param {Array} errors - Error list to append to
+   * @returns {Object} Unit count per class
+   * @private
+   */
+  checkClasses(units, errors) {
+    const byClass = new Map();
+
+    for (const unit of units) {
+      if (!CLASSES.TYPES.includes(unit.class)) {
+        errors.push({
+          code: ERROR_CODES.UNKNOWN_CLASS,
+          message: `${unit.id} has unknown class ${unit.class}`,
+          unitIds: [unit.id],
+          class: unit.class
+        });
+        continue;
+      }
+
+      if (!byClass.has(unit.class)) byClass.set(unit.class, []);
+      byClass.get(unit.class).push(unit.id);
+    }
+
+    const classCounts = {};
+    for (const [unitClass, unitIds] of byClass) {
+      classCounts[unitClass] = unitIds.length;
+
+      if (unitIds.length > this.maxPerClass) {
+        errors.push({
+          code: ERROR_CODES.CLASS_LIMIT_EXCEEDED,
+          message: `At most ${this.maxPerClass} ${unitClass} units may deploy (has ${unitIds.length})`,
+          unitIds,
+          class: unitClass
+        });
+      }
+    }
+
+    return classCounts;
+  }
+
+  /**
+   * Report a missing leader or too many leaders
+   * @param {Array} units - Army roster
+   * @param {Array} errors - Error list to append to
+   * @returns {Array} Leader units
+   * @private
+   */
+  checkLeaders(units, errors) {
+    const leaders = units.filter(unit => unit.isLeader);
+
+    if (ARMY.LEADER.REQUIRED && leaders.length === 0 && units.length > 0) {
+      errors.push({
+        code: ERROR_CODES.LEADER_REQUIRED,
+        message: 'Army must have a leader'
+      });
+    }
+
+    if (leaders.length > ARMY.LEADER.MAX_LEADERS) {
+      errors.push({
+        code: ERROR_CODES.TOO_MANY_LEADERS,
+        message: `Army can have only ${ARMY.LEADER.MAX_LEADERS} leader (has ${leaders.length})`,
+        unitIds: leaders.map(unit => unit.id)
+      });
+    }
+
+    return leaders;
+  }
+}
+
+export default ArmyValidator;
@@ -66,6 +66,20 @@ export const WEAPON_DAMAGE = {
   DUAL_WIELD: { dice: 1, sides: 6, modifier: 'DEX', type: DAMAGE_TYPES.SLASHING }
 };
 
+/**
+ * Default weapon carried by each class when no weapon type is specified
+ */
+export const CLASS_WEAPONS = {
+  SWORDSMAN: 'SWORD',
+  GUARDIAN: 'MACE',
+  ARCHER: 'BOW',
+  RANGER: 'SPEAR',
+  MAGE: 'STAFF',
+  CLERIC: 'MACE',
+  ROGUE: 'DAGGER',
+  SPEARMASTER: 'SPEAR'
+};
+
 /**
  * Spell damage formulas
  */
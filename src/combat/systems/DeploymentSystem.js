@@ -0,0 +1,183 @@
+/**
+ * Deployment System for Tactica Arena
+ *
+ * Builds per-player deployment zones and places armies before round 1:
+ * - Zones follow the GDD placement patterns (Clustered, Dispersed, Flanked)
+ * - Each player deploys from their own map edge; zones are rotated copies of
+ *   each other so no side gets a better shape
+ * - Placement validation with structured error codes
+ * - Deterministic auto-deployment (leader at the back, centre outward)
+ */
+
+import { ARMY, VALIDATION } from '../constants/GameConstants.js';
+
+const DEPLOYMENT = ARMY.DEPLOYMENT;
+const ERROR_CODES = VALIDATION.ERROR_CODES;
+
+/**
+ * Main Deployment System class
+ */
+export class DeploymentSystem {
+  /**
+   * Create deployment system
+   * @param {Object} config - System configuration
+   */
+  constructor(config = {}) {
+    this.zoneDepth = config.zoneDepth || DEPLOYMENT.ZONE_DEPTH;
+  }
+
+  /**
+   * Build deployment zones for every player
+   * @param {number} mapWidth - Map width in tiles
+   * @param {number} mapHeight - Map height in tiles
+   * @param {Array} playerIds - Player IDs in seating order (north, south, west, east)
+   * @param {string} pattern - Placement pattern ID (DEPLOYMENT.PATTERNS)
+   * @returns {Map} Player ID -> zone tiles [{x, y}], back row first
+   */
+  createZones(mapWidth, mapHeight, playerIds, pattern = DEPLOYMENT.DEFAULT_PATTERN) {
+    if (!DEPLOYMENT.PATTERNS[pattern]) {
+      throw new Error(`Unknown placement pattern: ${pattern}`);
+    }
+    if (playerIds.length > DEPLOYMENT.EDGES.length) {
+      throw new Error(`At most ${DEPLOYMENT.EDGES.length} players can deploy`);
+    }
+
+    const zones = new Map();
+    playerIds.forEach((playerId, index) => {
+      const edge = DEPLOYMENT.EDGES[index];
+      const length = edge === 'north' || edge === 'south' ? mapWidth : mapHeight;
+
+      const tiles = this.getPatternCells(pattern, length)
+        .map(({ u, v }) => this.toMapPosition(edge, u, v, mapWidth, mapHeight));
+      zones.set(playerId, tiles);
+    });
+
+    return zones;
+  }
+
+  /**
+   * Check whether a unit may be placed on a tile
+   * @param {CombatState} combatState - Match state
+   * @param {string} playerId - Player placing the unit
+   * @param {string} unitId - Unit to place
+   * @param {Object} position - Target tile {x, y}
+   * @returns {Object} {valid, code, message}
+   */
+  validatePlacement(combatState, playerId, unitId, position) {
+    const fail = (code, message) => ({ valid: false, code, message });
+
+    if (combatState.phase !== 'DEPLOYMENT') {
+      return fail(ERROR_CODES.INVALID_PHASE, `Units cannot be deployed during ${combatState.phase}`);
+    }
+
+    const unit = combatState.getUnit(unitId);
+    if (!unit) {
+      return fail(ERROR_CODES.UNIT_NOT_FOUND, `Unit ${unitId} not found`);
+    }
+    if (combatState.getOwnerForUnit(unitId) !== playerId) {
+      return fail(ERROR_CODES.INVALID_ACTION, `${unit.name} is not in ${playerId}'s army`);
+    }
+    if (combatState.deployedUnits.has(unitId)) {
+      return fail(ERROR_CODES.INVALID_ACTION, `${unit.name} is already deployed`);
+    }
+    if (!position || !Number.isInteger(position.x) || !Number.isInteger(position.y)) {
+      return fail(ERROR_CODES.INVALID_ACTION, 'A deployment tile is required');
+    }
+    if (!combatState.isInDeploymentZone(playerId, position.x, position.y)) {
+      return fail(ERROR_CODES.OUTSIDE_DEPLOYMENT_ZONE, `(${position.x}, ${position.y}) is outside the deployment zone`);
+    }
+    if (!combatState.isPositionPassable(position.x, position.y, unit.movementType)) {
+      return fail(ERROR_CODES.POSITION_BLOCKED, `(${position.x}, ${position.y}) is occupied or impassable`);
+    }
+
+    return { valid: true, code: null, message: null };
+  }
+
+  /**
+   * Place every undeployed unit of a player on free tiles in their zone
+   * @param {CombatState} combatState - Match state
+   * @param {string} playerId - Player to deploy for
+   * @returns {Array} Placements made [{unitId, position}]
+   */
+  autoDeploy(combatState, playerId) {
+    const units = Array.from(combatState.units.values())
+      .filter(unit => combatState.getOwnerForUnit(unit.id) === playerId && !combatState.deployedUnits.has(unit.id))
+      .sort((a, b) => Number(b.isLeader) - Number(a.isLeader)); // Leader takes the safest tile
+
+    const tiles = combatState.getDeploymentZone(playerId);
+    const placements = [];
+
+    for (const unit of units) {
+      const tile = tiles.find(candidate =>
+        this.validatePlacement(combatState, playerId, unit.id, candidate).valid
+      );
+      if (!tile) break;
+
+      combatState.deployUnit(unit.id, tile.x, tile.y);
+      placements.push({ unitId: unit.id, position: { x: tile.x, y: tile.y } });
+    }
+
+    return placements;
+  }
+
+  /**
+   * Edge-relative cells of a pattern, back row first and centre outward
+   * @param {string} pattern - Placement pattern ID
+   * @param {number} length - Length of the player's edge
+   * @returns {Array} Cells [{u, v}] (u along the edge, v rows in from it)
+   * @private
+   */
+  getPatternCells(pattern, length) {
+    const depth = this.zoneDepth;
+    const centre = (length - 1) / 2;
+    let include;
+
+    switch (pattern) {
+      case 'CLUSTERED': {
+        const width = Math.max(Math.ceil(length / 3), Math.ceil(ARMY.SIZE.MAX_DEPLOYED / depth));
+        const start = Math.floor((length - width) / 2);
+        include = (u) => u >= start && u < start + width;
+        break;
+      }
+      case 'DISPERSED':
+        include = (u, v) => (u + v) % 2 === 0;
+        break;
+      case 'FLANKED': {
+        const width = Math.max(Math.ceil(length / 6), Math.ceil(ARMY.SIZE.MAX_DEPLOYED / (depth * 2)));
+        include = (u) => u < width || u >= length - width;
+        break;
+      }
+    }
+
+    const cells = [];
+    for (let v = 0; v < depth; v++) {
+      for (let u = 0; u < length; u++) {
+        if (include(u, v)) cells.push({ u, v });
+      }
+    }
+
+    // Stable order so auto-deployment and zone listings are deterministic
+    return cells.sort((a, b) => a.v - b.v || Math.abs(a.u - centre) - Math.abs(b.u - centre) || a.u - b.u);
+  }
+
+  /**
+   * Map an edge-relative cell to a map tile; each edge is a rotation of north
+   * @param {string} edge - Player edge ('north', 'south', 'west', 'east')
+   * @param {number} u - Offset along the edge
+   * @param {number} v - Rows in from the edge
+   * @param {number} mapWidth - Map width
+   * @param {number} mapHeight - Map height
+   * @returns {Object} Tile {x, y}
+   * @private
+   */
+  toMapPosition(edge, u, v, mapWidth, mapHeight) {
+    switch (edge) {
+      case 'south': return { x: mapWidth - 1 - u, y: mapHeight - 1 - v };
+      case 'west': return { x: v, y: mapHeight - 1 - u };
+      case 'east': return { x: mapWidth - 1 - v, y: u };
+      default: return { x: u, y: v };
+    }
+  }
+}
+
+export default DeploymentSystem;
@@ -14,7 +14,7 @@
 
 import { D20Engine, AttackCalculator, DefenseCalculator, CriticalSystem } from '../hidden/D20Engine.js';
 import { DeterministicRNG } from '../core/DeterministicRNG.js';
-import { COMBAT, TERRAIN, HIDDEN_STATS } from '../constants/GameConstants.js';
+import { COMBAT, TERRAIN, HIDDEN_STATS, FACTIONS } from '../constants/GameConstants.js';
 
 /**
  * Situational modifier calculator for attacks
@@ -37,6 +37,7 @@ export class SituationalModifiers {
       coverBonus: 0,
       heightBonus: 0,
       flanking: false,
+      flankCritBonus: 0,
       backstab: false,
       statusEffects: []
     };
@@ -179,9 +180,28 @@ export class SituationalModifiers {
     // Flanking bonus (attack from side)
     if ((angle >= 45 && angle <= 135) || (angle >= 225 && angle <= 315)) {
       modifiers.flanking = true;
+
+      // Faction passive: Umbral flankers widen their critical threat range
+      const passives = FACTIONS.PASSIVES[attacker.faction] || {};
+      modifiers.flankCritBonus = passives.flank_crit_bonus || 0;
     }
   }
 
+  /**
+   * Which side of a defender an attack comes from (the same arcs as
+   * calculateFacingModifiers; the diagonals behind count as the back)
+   * @param {Object} attackerPos - Attacker position {x, y}
+   * @param {Object} defenderPos - Defender position {x, y}
+   * @param {string} defenderFacing - Defender facing direction
+   * @returns {string} 'back', 'flank' or 'front'
+   */
+  static getAttackSide(attackerPos, defenderPos, defenderFacing) {
+    const angle = this.calculateAttackAngle(attackerPos, defenderPos, defenderFacing);
+    if (angle >= 135 && angle <= 225) return 'back';
+    if ((angle >= 45 && angle < 135) || (angle > 225 && angle <= 315)) return 'flank';
+    return 'front';
+  }
+
   /**
    * Calculate attack angle relative to defender facing
    * @param {Object} attackerPos - Attacker position {x, y}
@@ -322,7 +342,7 @@ export class HitCalculator {
       const hitChances = this.calculateHitProbabilities(attackBonus, defenseValue, rollType);
       
       // Calculate critical hit chances
-      const criticalInfo = this.calculateCriticalChances(attackerData, rollType);
+      const criticalInfo = this.calculateCriticalChances(attackerData, rollType, situational.flankCritBonus);
 
       return {
         baseHitChance: hitChances.normal,
@@ -338,6 +358,7 @@ export class HitCalculator {
           cover: situational.coverBonus > 0,
           height: situational.heightBonus !== 0,
           flanking: situational.flanking,
+          flankCritBonus: situational.flankCritBonus > 0,
           backstab: situational.backstab,
           statusEffects: situational.statusEffects
         }
@@ -398,7 +419,10 @@ export class HitCalculator {
             }
           },
           attackRoll,
-          { primaryAbility: options.primaryAbility || 'INT' }
+          {
+            primaryAbility: options.primaryAbility || 'INT',
+            critChanceBonus: situational.flankCritBonus
+          }
         );
       } else {
         result = this.d20Engine.resolvePhysicalAttack(
@@ -420,7 +444,8 @@ export class HitCalculator {
           },
           attackRoll,
           { 
-            isRanged: options.isRanged || SituationalModifiers.isRangedAttack(attacker, defender)
+            isRanged: options.isRanged || SituationalModifiers.isRangedAttack(attacker, defender),
+            critChanceBonus: situational.flankCritBonus
           }
         );
       }
@@ -474,14 +499,16 @@ export class HitCalculator {
    * Calculate critical hit probabilities
    * @param {Object} attackerData - Hidden attacker data
    * @param {string} rollType - Roll type
+   * @param {number} bonusChance - Situational crit chance bonus (e.g. Umbral flank)
    * @returns {Object} Critical hit information
    * @private
    */
-  calculateCriticalChances(attackerData, rollType) {
+  calculateCriticalChances(attackerData, rollType, bonusChance = 0) {
     const threatRange = CriticalSystem.calculateThreatRange(
       attackerData.abilities,
       attackerData.visibleStats,
-      attackerData.equipment
+      attackerData.equipment,
+      bonusChance
     );
     
     const critRolls = HIDDEN_STATS.DICE.D20_MAX - threatRange.minThreat + 1;
@@ -521,20 +521,26 @@ export class InitiativeSystem {
    * @param {Array} initiativeOrder - Current initiative order
    * @param {string} unitId - Target unit ID
    * @param {Object} modifier - Modifier to apply
+   * @param {Object} options - {replace: drop earlier modifiers from the same source, resort: always re-sort}
    * @returns {Array} Updated initiative order
    */
-  applyInitiativeModifier(initiativeOrder, unitId, modifier) {
+  applyInitiativeModifier(initiativeOrder, unitId, modifier, options = {}) {
     const updatedOrder = initiativeOrder.map(entry => {
       if (entry.unitId === unitId) {
         const newEntry = entry.clone();
-        newEntry.addModifier(modifier);
+        if (options.replace) {
+          while (newEntry.removeModifier(modifier.source));
+        }
+        if (modifier.value) {
+          newEntry.addModifier(modifier);
+        }
         return newEntry;
       }
       return entry;
     });
 
     // Re-sort if initiative values changed significantly
-    const needsResorting = updatedOrder.some(entry => 
+    const needsResorting = options.resort || updatedOrder.some(entry => 
       Math.abs(modifier.value) >= 5 // Significant modifier
     );
 
@@ -0,0 +1,144 @@
+/**
+ * Morale System for Tactica Arena
+ *
+ * Applies the leader rules from COMBAT.LEADER:
+ * - Leader knocked out: every surviving unit of that army gets Morale Broken
+ *   (ATK and AGL reduced for MORALE_DEBUFF_DURATION turns)
+ * - Faction morale resistance (FACTIONS.PASSIVES.*.morale_resist) softens the debuff
+ * - Inspire: non-stacking AGL buff from the leader
+ * - Initiative follows AGL changes from morale effects and is re-sorted
+ *   through InitiativeSystem.applyInitiativeModifier
+ */
+
+import { COMBAT, FACTIONS } from '../constants/GameConstants.js';
+import { InitiativeSystem } from './InitiativeSystem.js';
+import { StatusEffectSystem } from './StatusEffectSystem.js';
+
+const LEADER = COMBAT.LEADER;
+const MORALE_INITIATIVE_SOURCE = 'morale';
+
+/**
+ * Main Morale System class
+ */
+export class MoraleSystem {
+  /**
+   * Create morale system
+   * @param {Object} config - System configuration
+   */
+  constructor(config = {}) {
+    this.statusSystem = config.statusSystem || new StatusEffectSystem();
+    this.initiativeSystem = config.initiativeSystem || new InitiativeSystem();
+  }
+
+  /**
+   * React to a unit being knocked out; breaks its army's morale if it led it
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Newly incapacitated unit
+   * @param {ActionResult} result - Result to append events to (optional)
+   * @returns {Array} IDs of units whose morale broke
+   */
+  handleUnitDown(combatState, unit, result = null) {
+    if (!unit.isLeader) return [];
+
+    const ownerId = combatState.getOwnerForUnit(unit.id);
+    const allies = Array.from(combatState.units.values()).filter(ally =>
+      ally.id !== unit.id &&
+      !ally.isIncapacitated &&
+      combatState.getOwnerForUnit(ally.id) === ownerId
+    );
+
+    if (result) {
+      result.addEvent('morale_broken', {
+        leaderId: unit.id,
+        playerId: ownerId,
+        unitIds: allies.map(ally => ally.id)
+      });
+    }
+
+    const affected = [];
+    for (const ally of allies) {
+      const outcome = this.statusSystem.applyStatus(combatState, ally, 'MORALE_BROKEN', {
+        percentEffects: this.getMoralePenalty(ally)
+      }, result);
+
+      if (outcome.applied) {
+        affected.push(ally.id);
+        this.syncInitiative(combatState, ally, result);
+      }
+    }
+
+    return affected;
+  }
+
+  /**
+   * Get the Morale Broken penalty for a unit after faction resistance
+   * @param {Unit} unit - Affected unit
+   * @returns {Object} Percent modifiers {ATK, AGL}
+   */
+  getMoralePenalty(unit) {
+    const passives = FACTIONS.PASSIVES[unit.faction] || {};
+    const resist = passives.morale_resist || 0;
+
+    return {
+      ATK: -Math.max(0, LEADER.MORALE_DEBUFF_ATK - resist),
+      AGL: -Math.max(0, LEADER.MORALE_DEBUFF_AGL - resist)
+    };
+  }
+
+  /**
+   * Bring a unit's initiative in line with its current AGL effects and re-sort
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Unit whose effects changed
+   * @param {ActionResult} result - Result to append events to (optional)
+   * @returns {boolean} True if the initiative order changed
+   */
+  syncInitiative(combatState, unit, result = null) {
+    const entry = combatState.initiativeOrder.find(e => e.unitId === unit.id);
+    if (!entry) return false;
+
+    const value = this.getInitiativeAdjustment(unit);
+    const current = entry.modifiers
+      .filter(modifier => modifier.source === MORALE_INITIATIVE_SOURCE)
+      .reduce((sum, modifier) => sum + modifier.value, 0);
+
+    if (value === current) return false;
+
+    const before = combatState.initiativeOrder.map(e => e.unitId).join(',');
+    const updated = this.initiativeSystem.applyInitiativeModifier(
+      combatState.initiativeOrder,
+      unit.id,
+      { source: MORALE_INITIATIVE_SOURCE, value, type: 'status' },
+      { replace: true, resort: true }
+    );
+    combatState.setInitiativeOrder(updated);
+
+    const order = updated.map(e => e.unitId);
+    const reordered = order.join(',') !== before;
+    if (reordered && result) {
+      result.addEvent('initiative_changed', { unitId: unit.id, order });
+    }
+
+    return reordered;
+  }
+
+  /**
+   * Initiative adjustment from percentage AGL effects (Inspired, Morale Broken)
+   * @param {Unit} unit - Unit to evaluate
+   * @returns {number} Whole-point initiative modifier
+   * @private
+   */
+  getInitiativeAdjustment(unit) {
+    let percent = 0;
+    for (const effect of unit.statusEffects) {
+      percent += effect.getPercentModifiers().AGL || 0;
+    }
+
+    if (percent === 0) return 0;
+    const adjustment = Math.round(unit.baseStats.AGL * percent);
+
+    // Even a small AGL swing should move the unit at least one point
+    return adjustment !== 0 ? adjustment : Math.sign(percent);
+  }
+}
+
+export default MoraleSystem;
@@ -0,0 +1,474 @@
+/**
+ * Pathfinder for Tactica Arena
+ *
+ * Terrain-aware movement search over the battle grid including:
+ * - Dijkstra search with 8-directional movement (Chebyshev grid)
+ * - Per-tile movement costs from terrain (roads 0.5, forests 2, mountains 3)
+ * - Movement types: normal, flying (ignores terrain cost), amphibious (water costs 1)
+ * - Units pass through allies but are blocked by enemies; no tile may be shared
+ * - Zone of control: entering a tile next to an enemy ends movement, and
+ *   leaving an enemy's zone provokes an attack of opportunity from it
+ * - Optional safe routing that prefers paths provoking no attacks
+ * - Minimum path cost of 1 so road moves are never free
+ * - Cached searches so hover previews and range overlays stay cheap
+ *
+ * The pathfinder works against a small grid interface so it can run on the
+ * authoritative CombatState (via CombatStateGrid) and on the client scene:
+ *   { width, height, getStepCost(x, y, movementType), getOccupant(x, y), getRevision() }
+ * getOccupant returns { id, teamId, controlsZone } or null (controlsZone false
+ * for units that exert no zone, e.g. stunned). getRevision must change whenever
+ * terrain, unit positions, unit sides or zone control change.
+ */
+
+import { TERRAIN, COMBAT } from '../constants/GameConstants.js';
+
+const ZOC = COMBAT.ZONE_OF_CONTROL;
+
+/**
+ * Neighbour offsets in a fixed order so searches are deterministic
+ */
+const DIRECTIONS = [
+  { dx: 0, dy: -1 }, { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, { dx: -1, dy: 0 },
+  { dx: 1, dy: -1 }, { dx: 1, dy: 1 }, { dx: -1, dy: 1 }, { dx: -1, dy: -1 }
+];
+
+/**
+ * Binary min-heap of [cost, index] pairs, ties broken by tile index
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, index) {
+    const items = this.items;
+    items.push([cost, index]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!MinHeap.less(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && MinHeap.less(items[left], items[smallest])) smallest = left;
+        if (right < items.length && MinHeap.less(items[right], items[smallest])) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  static less(a, b) {
+    return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  }
+}
+
+/**
+ * Grid adapter exposing a CombatState to the pathfinder
+ */
+export class CombatStateGrid {
+  /**
+   * Create grid adapter
+   * @param {CombatState} combatState - Match state
+   */
+  constructor(combatState) {
+    this.combatState = combatState;
+    this.width = combatState.mapWidth;
+    this.height = combatState.mapHeight;
+  }
+
+  /**
+   * Get the cost of stepping onto a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} movementType - Mover's movement type
+   * @returns {number} Step cost (Infinity if impassable)
+   */
+  getStepCost(x, y, movementType) {
+    const tile = this.combatState.getTerrainAt(x, y);
+    return tile ? tile.getMoveCost(movementType) : TERRAIN.MODIFIERS.PLAINS.moveCost;
+  }
+
+  /**
+   * Get the unit standing on a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Object|null} Occupant {id, teamId, controlsZone} or null
+   */
+  getOccupant(x, y) {
+    const unit = this.combatState.getUnitAtPosition(x, y);
+    if (!unit) return null;
+    return {
+      id: unit.id,
+      teamId: this.combatState.getPlayerForUnit(unit.id),
+      controlsZone: !unit.hasStatusFlag('skipsTurn')
+    };
+  }
+
+  /**
+   * Get a key that changes whenever terrain, unit positions, sides or zone control change
+   * @returns {string} Revision key
+   */
+  getRevision() {
+    const positions = Array.from(this.combatState.unitPositions.entries())
+      .map(([key, unitId]) => {
+        const unit = this.combatState.getUnit(unitId);
+        const zone = unit && unit.hasStatusFlag('skipsTurn') ? '!' : '';
+        return `${key}=${unitId}:${this.combatState.getPlayerForUnit(unitId)}${zone}`;
+      })
+      .sort()
+      .join(';');
+    return `${this.combatState.terrainRevision}|${positions}`;
+  }
+
+  /**
+   * Describe a unit as a pathfinding mover
+   * @param {Unit} unit - Unit to move
+   * @param {Object} options - {ignoresZoneOfControl, avoidZoneOfControl}
+   * @returns {Object} Mover description for the pathfinder
+   */
+  createMover(unit, options = {}) {
+    return {
+      id: unit.id,
+      position: { ...unit.position },
+      movementType: unit.movementType || 'normal',
+      teamId: this.combatState.getPlayerForUnit(unit.id),
+      movement: unit.getCurrentStats().MOV,
+      ignoresZoneOfControl: options.ignoresZoneOfControl || false,
+      avoidZoneOfControl: options.avoidZoneOfControl || false
+    };
+  }
+}
+
+/**
+ * Result of a completed search from one origin
+ */
+export class PathSearch {
+  /**
+   * Create search result
+   * @param {Object} config - Search data
+   */
+  constructor(config) {
+    this.width = config.width;
+    this.height = config.height;
+    this.origin = config.origin;
+    this.costs = config.costs; // Float64Array of raw path costs
+    this.previous = config.previous; // Int32Array of predecessor tile indices
+    this.stepCosts = config.stepCosts; // Float64Array of per-tile step costs
+    this.occupied = config.occupied; // Uint8Array, 1 where another unit stands
+    this.threats = config.threats; // Per-tile arrays of enemy IDs whose zone covers the tile
+  }
+
+  /**
+   * Get the enemies whose zone of control covers a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array} Enemy unit IDs
+   */
+  getThreats(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return [];
+    return this.threats[y * this.width + x];
+  }
+
+  /**
+   * Get the reported cost to reach a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Movement cost (Infinity if unreachable)
+   */
+  getCost(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return Infinity;
+    const raw = this.costs[y * this.width + x];
+    return raw > 0 ? Math.max(TERRAIN.MOVEMENT.MIN_PATH_COST, raw) : raw;
+  }
+
+  /**
+   * Check whether a unit may end its move on a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the tile is reachable and unoccupied
+   */
+  canStopAt(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+    const index = y * this.width + x;
+    return this.costs[index] < Infinity && this.occupied[index] === 0;
+  }
+
+  /**
+   * Rebuild the cheapest path to a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array|null} Steps from origin [{x, y, stepCost, cost, provokedBy}] or null
+   */
+  getPath(x, y) {
+    if (this.getCost(x, y) === Infinity) return null;
+
+    const indices = [];
+    for (let index = y * this.width + x; index !== -1; index = this.previous[index]) {
+      indices.push(index);
+    }
+    indices.reverse();
+
+    return indices.map((index, i) => {
+      const stepX = index % this.width;
+      const stepY = Math.floor(index / this.width);
+      return {
+        x: stepX,
+        y: stepY,
+        stepCost: i === 0 ? 0 : this.stepCosts[index],
+        cost: this.getCost(stepX, stepY),
+        // Enemies whose zone is left by stepping onto this tile
+        provokedBy: i === 0 ? [] : Pathfinder.getProvokers(this.threats[indices[i - 1]], this.threats[index])
+      };
+    });
+  }
+}
+
+/**
+ * Main Pathfinder class
+ */
+export class Pathfinder {
+  /**
+   * Create pathfinder
+   * @param {Object} config - Pathfinder configuration
+   */
+  constructor(config = {}) {
+    this.cacheSize = config.cacheSize || TERRAIN.MOVEMENT.PATH_CACHE_SIZE;
+    this.cache = new Map();
+    this.stats = { searches: 0, cacheHits: 0 };
+  }
+
+  /**
+   * Search every tile reachable from a mover's position (cached)
+   * @param {Object} grid - Grid interface
+   * @param {Object} mover - Mover {id, position, movementType, teamId, ignoresZoneOfControl, avoidZoneOfControl}
+   * @returns {PathSearch} Search result
+   */
+  search(grid, mover) {
+    const movementType = mover.movementType || 'normal';
+    const key = [
+      grid.getRevision(), mover.id, mover.position.x, mover.position.y, movementType, mover.teamId,
+      mover.ignoresZoneOfControl ? 'ignore' : (mover.avoidZoneOfControl ? 'avoid' : 'normal')
+    ].join('|');
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      // Refresh LRU position
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    const result = this.runSearch(grid, mover, movementType);
+    this.cache.set(key, result);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.stats.searches++;
+    return result;
+  }
+
+  /**
+   * Run Dijkstra from the mover's position over the whole grid
+   * @param {Object} grid - Grid interface
+   * @param {Object} mover - Mover description
+   * @param {string} movementType - Mover's movement type
+   * @returns {PathSearch} Search result
+   * @private
+   */
+  runSearch(grid, mover, movementType) {
+    const { width, height } = grid;
+    const size = width * height;
+    const stepCosts = new Float64Array(size);
+    const blocked = new Uint8Array(size);
+    const occupied = new Uint8Array(size);
+    const threats = Array.from({ length: size }, () => []);
+    const usesZoneOfControl = !mover.ignoresZoneOfControl;
+
+    // Snapshot terrain, occupancy and enemy zones once per search
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        stepCosts[index] = grid.getStepCost(x, y, movementType);
+
+        const occupant = grid.getOccupant(x, y);
+        if (occupant && occupant.id !== mover.id) {
+          occupied[index] = 1;
+          if (occupant.teamId !== mover.teamId) {
+            blocked[index] = 1;
+            if (usesZoneOfControl && occupant.controlsZone !== false) {
+              this.markZone(threats, width, height, x, y, occupant.id);
+            }
+          }
+        }
+      }
+    }
+
+    const costs = new Float64Array(size).fill(Infinity);
+    const priorities = new Float64Array(size).fill(Infinity);
+    const previous = new Int32Array(size).fill(-1);
+    const origin = { x: mover.position.x, y: mover.position.y };
+    const start = origin.y * width + origin.x;
+    const avoidPenalty = mover.avoidZoneOfControl ? ZOC.AVOID_PENALTY : 0;
+    costs[start] = 0;
+    priorities[start] = 0;
+
+    const heap = new MinHeap();
+    heap.push(0, start);
+
+    while (heap.size > 0) {
+      const [priority, index] = heap.pop();
+      if (priority > priorities[index]) continue;
+
+      // Entering an enemy zone ends movement (the starting tile is exempt)
+      if (ZOC.STOPS_MOVEMENT && index !== start && threats[index].length > 0) continue;
+
+      const x = index % width;
+      const y = Math.floor(index / width);
+
+      for (const { dx, dy } of DIRECTIONS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+        const next = ny * width + nx;
+        const stepCost = stepCosts[next];
+        if (stepCost === Infinity || blocked[next]) continue;
+
+        // No cutting corners past impassable terrain
+        if (dx !== 0 && dy !== 0 &&
+            (stepCosts[y * width + nx] === Infinity || stepCosts[ny * width + x] === Infinity)) {
+          continue;
+        }
+
+        const nextCost = costs[index] + stepCost;
+        const provoked = avoidPenalty > 0 ? Pathfinder.getProvokers(threats[index], threats[next]).length : 0;
+        const nextPriority = priority + stepCost + provoked * avoidPenalty;
+        if (nextPriority < priorities[next]) {
+          priorities[next] = nextPriority;
+          costs[next] = nextCost;
+          previous[next] = index;
+          heap.push(nextPriority, next);
+        }
+      }
+    }
+
+    return new PathSearch({ width, height, origin, costs, previous, stepCosts, occupied, threats });
+  }
+
+  /**
+   * Record an enemy's zone of control around its tile
+   * @param {Array} threats - Per-tile threat lists
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {number} x - Enemy X coordinate
+   * @param {number} y - Enemy Y coordinate
+   * @param {string} enemyId - Enemy unit ID
+   * @private
+   */
+  markZone(threats, width, height, x, y, enemyId) {
+    for (let dy = -ZOC.RADIUS; dy <= ZOC.RADIUS; dy++) {
+      for (let dx = -ZOC.RADIUS; dx <= ZOC.RADIUS; dx++) {
+        const zx = x + dx;
+        const zy = y + dy;
+        if ((dx === 0 && dy === 0) || zx < 0 || zx >= width || zy < 0 || zy >= height) continue;
+        threats[zy * width + zx].push(enemyId);
+      }
+    }
+  }
+
+  /**
+   * Get the enemies whose zone a step leaves
+   * @param {Array} fromThreats - Enemy IDs threatening the tile being left
+   * @param {Array} toThreats - Enemy IDs threatening the tile being entered
+   * @returns {Array} Enemy IDs entitled to an attack of opportunity
+   */
+  static getProvokers(fromThreats, toThreats) {
+    return fromThreats.filter(enemyId => !toThreats.includes(enemyId));
+  }
+
+  /**
+   * Find the cheapest path to a destination
+   * @param {Object} grid - Grid interface
+   * @param {Object} mover - Mover {id, position, movementType, teamId, movement}
+   * @param {Object} destination - Destination {x, y}
+   * @returns {Object} {found, path, totalCost, totalDistance, withinRange, provokedBy}
+   */
+  findPath(grid, mover, destination) {
+    const search = this.search(grid, mover);
+
+    if (!search.canStopAt(destination.x, destination.y)) {
+      return {
+        found: false, path: [], totalCost: Infinity, totalDistance: 0, withinRange: false, provokedBy: []
+      };
+    }
+
+    const path = search.getPath(destination.x, destination.y);
+    const totalCost = search.getCost(destination.x, destination.y);
+
+    return {
+      found: true,
+      path,
+      totalCost,
+      totalDistance: path.length - 1,
+      withinRange: mover.movement === undefined || totalCost <= mover.movement,
+      provokedBy: path.flatMap(step => step.provokedBy)
+    };
+  }
+
+  /**
+   * Get every tile a mover can end its move on within a budget
+   * @param {Object} grid - Grid interface
+   * @param {Object} mover - Mover {id, position, movementType, teamId, movement}
+   * @param {number} budget - Movement budget (defaults to mover.movement)
+   * @returns {Array} Reachable tiles [{x, y, cost}] in row order
+   */
+  getReachableTiles(grid, mover, budget = mover.movement) {
+    const search = this.search(grid, mover);
+    const tiles = [];
+
+    for (let y = 0; y < grid.height; y++) {
+      for (let x = 0; x < grid.width; x++) {
+        if (x === mover.position.x && y === mover.position.y) continue;
+        if (!search.canStopAt(x, y)) continue;
+
+        const cost = search.getCost(x, y);
+        if (cost <= budget) {
+          tiles.push({ x, y, cost });
+        }
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Drop all cached searches
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export default Pathfinder;
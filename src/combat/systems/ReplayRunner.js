@@ -0,0 +1,194 @@
+/**
+ * Replay Runner for Tactica Arena
+ *
+ * Re-executes a recorded match from its replay document:
+ * - Rebuilds the match from the recorded config, armies and seed
+ * - Feeds the recorded inputs back one at a time through a fresh CombatSystem
+ * - Compares the state hash after every input with the recorded one
+ * - Reports the first divergence (hash mismatch or rejected input) and the
+ *   state sections whose checksums differ
+ *
+ * Runs can be stepped one input at a time so a viewer can play the match
+ * back from the events each step produces.
+ */
+
+import { Replay } from '../models/Replay.js';
+import { diffChecksums } from '../core/StateHash.js';
+import { REPLAY } from '../constants/GameConstants.js';
+
+/**
+ * Main Replay Runner class
+ */
+export class ReplayRunner {
+  /**
+   * Create replay runner
+   * @param {Object} config - Runner configuration
+   * @param {Function} config.createSystem - Factory returning a fresh CombatSystem
+   */
+  constructor(config = {}) {
+    if (typeof config.createSystem !== 'function') {
+      throw new Error('ReplayRunner needs a createSystem factory');
+    }
+
+    this.createSystem = config.createSystem;
+    this.replay = null;
+    this.system = null;
+    this.match = null;
+    this.cursor = 0;
+    this.divergence = null;
+  }
+
+  /**
+   * Rebuild the match from a replay, ready to step through its inputs
+   * @param {Object|string|Replay} replayData - Replay document
+   * @returns {Object} {match, divergence} (divergence set if the starting state differs)
+   */
+  load(replayData) {
+    this.replay = replayData instanceof Replay ? replayData : Replay.deserialize(replayData);
+    this.system = this.createSystem();
+    this.match = this.system.createMatch(this.replay.toMatchConfig());
+    this.cursor = 0;
+    this.divergence = null;
+
+    const actualHash = this.match.refreshStateHash();
+    if (this.replay.hashAlgorithm !== REPLAY.HASH_ALGORITHM) {
+      this.divergence = {
+        index: -1,
+        sequence: null,
+        kind: null,
+        reason: 'hash_algorithm',
+        expectedHash: this.replay.hashAlgorithm,
+        actualHash: REPLAY.HASH_ALGORITHM,
+        sections: [],
+        errors: [`Replay hashes use ${this.replay.hashAlgorithm}; this build uses ${REPLAY.HASH_ALGORITHM}`]
+      };
+    } else if (this.replay.initialStateHash && actualHash !== this.replay.initialStateHash) {
+      this.divergence = {
+        index: -1,
+        sequence: null,
+        kind: null,
+        reason: 'initial_state',
+        expectedHash: this.replay.initialStateHash,
+        actualHash,
+        sections: [],
+        errors: []
+      };
+    }
+
+    return { match: this.match, divergence: this.divergence };
+  }
+
+  /**
+   * Check whether recorded inputs remain
+   * @returns {boolean} True if step() has an input to apply
+   */
+  hasNext() {
+    return !!this.replay && this.cursor < this.replay.actions.length;
+  }
+
+  /**
+   * Apply the next recorded input and verify the resulting state
+   * @returns {Object|null} {index, entry, result, stateHash, matches}, or null when done
+   */
+  step() {
+    if (!this.hasNext()) return null;
+
+    const index = this.cursor++;
+    const entry = this.replay.actions[index];
+    const result = this.applyEntry(entry);
+    const checksums = this.match.getStateChecksums();
+    const stateHash = checksums.hash;
+    this.match.stateHash = stateHash;
+
+    // autoDeploy can place some units and still reject; anything else must succeed
+    const rejected = !result.success && !(entry.kind === 'AUTO_DEPLOY' && result.events.length > 0);
+    const matches = !rejected && stateHash === entry.stateHash;
+
+    if (!matches && !this.divergence) {
+      this.divergence = {
+        index,
+        sequence: entry.sequence,
+        kind: entry.kind,
+        reason: rejected ? 'input_rejected' : 'hash_mismatch',
+        expectedHash: entry.stateHash,
+        actualHash: stateHash,
+        sections: entry.checksums ? diffChecksums(entry.checksums, checksums.sections) : [],
+        errors: [...result.errors]
+      };
+    }
+
+    return { index, entry, result, stateHash, matches };
+  }
+
+  /**
+   * Replay a match from start to finish
+   * @param {Object|string|Replay} replayData - Replay document
+   * @param {Object} options - {stopOnDivergence: stop at the first mismatch (default true)}
+   * @returns {Object} Verification report
+   */
+  run(replayData, options = {}) {
+    const stopOnDivergence = options.stopOnDivergence !== false;
+    this.load(replayData);
+
+    while (this.hasNext() && !(stopOnDivergence && this.divergence)) {
+      this.step();
+    }
+
+    return this.getReport();
+  }
+
+  /**
+   * Summarize the run so far
+   * @returns {Object} {valid, rulesVersion, rulesVersionMatches, actionsReplayed,
+   *   totalActions, divergence, finalStateHash, winner, outcomeMatches}
+   */
+  getReport() {
+    const expected = this.replay.result;
+    const complete = this.cursor === this.replay.actions.length;
+    const outcomeMatches = !expected || !complete || (
+      expected.winner === this.match.winner && expected.phase === this.match.phase
+    );
+
+    return {
+      valid: complete && !this.divergence && outcomeMatches,
+      rulesVersion: this.replay.rulesVersion,
+      rulesVersionMatches: this.replay.rulesVersion === REPLAY.RULES_VERSION,
+      actionsReplayed: this.cursor,
+      totalActions: this.replay.actions.length,
+      divergence: this.divergence ? { ...this.divergence } : null,
+      finalStateHash: this.match.stateHash,
+      winner: this.match.winner,
+      outcomeMatches
+    };
+  }
+
+  /**
+   * Submit one recorded input to the rebuilt match
+   * @param {Object} entry - Replay entry
+   * @returns {ActionResult} Result of the input
+   * @private
+   */
+  applyEntry(entry) {
+    const matchId = this.match.matchId;
+    const request = entry.request || {};
+
+    switch (entry.kind) {
+      case 'START':
+        return this.system.startMatch(matchId, request);
+      case 'DEPLOY':
+        return this.system.deployUnit(matchId, request);
+      case 'WITHDRAW':
+        return this.system.withdrawUnit(matchId, request);
+      case 'AUTO_DEPLOY':
+        return this.system.autoDeploy(matchId, request.playerId);
+      case 'ACTION':
+        return this.system.submitAction(matchId, request);
+      case 'FORFEIT':
+        return this.system.forfeitMatch(matchId, request);
+      default:
+        throw new Error(`Unknown replay entry kind: ${entry.kind}`);
+    }
+  }
+}
+
+export default ReplayRunner;
@@ -0,0 +1,397 @@
+/**
+ * Status Effect System for Tactica Arena
+ *
+ * Applies and runs status effects from the StatusEffectTypes catalog:
+ * - Apply with immunity check and hidden saving throw ("Resisted" to players)
+ * - Stacking per COMBAT.STATUS_EFFECTS.STACK_TYPES and the MAX_DURATION cap
+ * - Start-of-turn, end-of-turn and on-damage triggers
+ * - Damage over time through DamageCalculator.calculateDOTDamage
+ * - Turn skipping (Stun) and repeat saves to shake off lingering control
+ * - Cleanse removal of negative effects
+ * - Control transfer for Hypnotise, handed back when the effect ends
+ *
+ * Every roll is drawn from the match RNG. Events carry only status names,
+ * durations and damage; save types, DCs and rolls stay on the hidden layer.
+ */
+
+import { D20Engine, SaveSystem } from '../hidden/D20Engine.js';
+import { DamageCalculator, DAMAGE_TYPES } from './DamageCalculator.js';
+import { StatusEffect } from '../models/Unit.js';
+import { getStatusType } from '../data/StatusEffectTypes.js';
+
+/**
+ * Main Status Effect System class
+ */
+export class StatusEffectSystem {
+  /**
+   * Create status effect system
+   * @param {Object} config - System configuration
+   */
+  constructor(config = {}) {
+    this.damageCalculator = config.damageCalculator || new DamageCalculator();
+    this.d20Engine = config.d20Engine || new D20Engine();
+    this.logEffects = config.logEffects || false;
+    this.effectLog = [];
+  }
+
+  /**
+   * Log effect processing for debugging (server-side only)
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   * @private
+   */
+  log(type, data) {
+    if (this.logEffects) {
+      this.effectLog.push({
+        timestamp: Date.now(),
+        type,
+        data: { ...data }
+      });
+    }
+  }
+
+  /**
+   * Build a status effect instance from its catalog entry
+   * @param {string} statusId - Catalog status ID
+   * @param {Object} options - Overrides {targetId, source, duration, intensity, saveDC, percentEffects}
+   * @returns {StatusEffect} New status effect
+   */
+  createEffect(statusId, options = {}) {
+    const definition = getStatusType(statusId);
+    if (!definition) {
+      throw new Error(`Unknown status effect: ${statusId}`);
+    }
+
+    return new StatusEffect({
+      ...definition,
+      id: options.targetId ? `${definition.id.toLowerCase()}_${options.targetId}` : undefined,
+      statusId: definition.id,
+      duration: options.duration || definition.duration,
+      intensity: options.intensity || 1,
+      percentEffects: options.percentEffects || definition.percentEffects,
+      source: options.source || null,
+      saveDC: options.saveDC
+    });
+  }
+
+  /**
+   * Roll a hidden saving throw for a target against a caster
+   * @param {Unit} caster - Unit imposing the effect
+   * @param {Unit} target - Unit attempting to resist
+   * @param {string} saveType - 'fortitude', 'reflex' or 'will'
+   * @param {DeterministicRNG} rng - Match status stream
+   * @param {Object} options - {saveAbility, saveDC}
+   * @returns {Object} {success, saveDC}
+   */
+  rollSave(caster, target, saveType, rng, options = {}) {
+    const saveDC = options.saveDC !== undefined ?
+      options.saveDC :
+      SaveSystem.calculateSaveDC(caster.hiddenAbilities, caster.level, options.saveAbility || 'INT');
+
+    const save = this.d20Engine.resolveSavingThrow(
+      {
+        id: target.id,
+        abilities: target.hiddenAbilities,
+        level: target.level,
+        equipment: {}
+      },
+      rng.rollD20WithCondition('normal'),
+      saveType,
+      saveDC
+    );
+
+    this.log('saving_throw', {
+      casterId: caster ? caster.id : null,
+      targetId: target.id,
+      saveType,
+      success: save.success,
+      margin: save.margin
+    });
+
+    return { success: save.success, saveDC };
+  }
+
+  /**
+   * Try to apply a catalog status to a unit
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} target - Unit receiving the status
+   * @param {string} statusId - Catalog status ID
+   * @param {Object} options - {source (Unit), saveType, saveAbility, duration, intensity, percentEffects}
+   * @param {ActionResult} result - Result to append events to (optional)
+   * @returns {Object} {applied, resisted, immune, effect}
+   */
+  applyStatus(combatState, target, statusId, options = {}, result = null) {
+    const definition = getStatusType(statusId);
+    if (!definition) {
+      throw new Error(`Unknown status effect: ${statusId}`);
+    }
+
+    if (target.isImmuneTo(definition)) {
+      this.emit(result, 'status_immune', { unitId: target.id, status: definition.name });
+      return { applied: false, resisted: false, immune: true, effect: null };
+    }
+
+    // Only hostile effects can be resisted
+    const caster = options.source || null;
+    const saveType = options.saveType || definition.saveType;
+    const hostile = caster && combatState.areEnemies(caster.id, target.id);
+    let saveDC;
+
+    if (saveType && hostile) {
+      const save = this.rollSave(caster, target, saveType, combatState.getRNG('status'), {
+        saveAbility: options.saveAbility
+      });
+      saveDC = save.saveDC;
+
+      if (save.success) {
+        this.emit(result, 'status_resisted', { unitId: target.id, status: definition.name });
+        return { applied: false, resisted: true, immune: false, effect: null };
+      }
+    }
+
+    const effect = this.createEffect(definition.id, {
+      targetId: target.id,
+      source: caster ? caster.id : null,
+      duration: options.duration,
+      intensity: options.intensity,
+      percentEffects: options.percentEffects,
+      saveDC: definition.allowsSave ? saveDC : undefined
+    });
+    effect.saveType = saveType;
+
+    if (!target.applyStatusEffect(effect)) {
+      return { applied: false, resisted: false, immune: false, effect: null };
+    }
+
+    const applied = target.getStatusEffect(definition.id);
+    this.emit(result, 'status_applied', {
+      unitId: target.id,
+      statusId: definition.id,
+      status: definition.name,
+      statusType: definition.type,
+      duration: applied.duration,
+      intensity: applied.intensity
+    });
+
+    if (applied.flags.controlled && caster) {
+      this.transferControl(combatState, target, combatState.getPlayerForUnit(caster.id), applied, result);
+    }
+
+    return { applied: true, resisted: false, immune: false, effect: applied };
+  }
+
+  /**
+   * Run a unit's effects for a turn phase
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Affected unit
+   * @param {string} phase - 'start_turn', 'end_turn' or 'on_damage'
+   * @param {ActionResult} result - Result to append events to (optional)
+   * @returns {Object} {skipTurn, skippedBy, incapacitated}
+   */
+  processPhase(combatState, unit, phase, result = null) {
+    const outcome = { skipTurn: false, skippedBy: null, incapacitated: false };
+    if (unit.isIncapacitated) return outcome;
+
+    const before = new Map(unit.statusEffects.map(effect => [effect.id, effect.name]));
+    const triggered = unit.processStatusEffects(phase);
+
+    for (const entry of triggered) {
+      if (entry.dot) {
+        this.applyDamageOverTime(combatState, unit, entry, result);
+        if (unit.isIncapacitated) {
+          outcome.incapacitated = true;
+          return outcome;
+        }
+      }
+
+      if (phase === 'start_turn' && entry.flags.skipsTurn && !outcome.skipTurn) {
+        outcome.skipTurn = true;
+        outcome.skippedBy = entry.effect;
+      }
+    }
+
+    this.emitExpired(unit, before, result);
+
+    // Lingering control can be shaken off at the end of each affected turn
+    if (phase === 'end_turn') {
+      this.attemptRecovery(combatState, unit, result);
+    }
+
+    this.syncControl(combatState, unit, result);
+    return outcome;
+  }
+
+  /**
+   * Deal one tick of damage over time
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Affected unit
+   * @param {Object} entry - Triggered effect entry from processStatusEffects
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  applyDamageOverTime(combatState, unit, entry, result) {
+    const dotResult = this.damageCalculator.calculateDOTDamage(unit, {
+      ...entry.dot,
+      intensity: entry.intensity,
+      name: entry.effect
+    }, combatState.getRNG('status'));
+
+    const amount = Math.max(1, dotResult.finalDamage);
+    const damageResult = unit.takeDamage(amount, DAMAGE_TYPES.TRUE);
+
+    this.emit(result, 'status_damage', {
+      unitId: unit.id,
+      status: entry.effect,
+      amount: damageResult.actualDamage,
+      damageType: dotResult.damageType,
+      remainingHP: damageResult.remainingHP
+    });
+
+    if (unit.isIncapacitated && combatState.markIncapacitated(unit.id)) {
+      this.emit(result, 'unit_incapacitated', { unitId: unit.id });
+    }
+  }
+
+  /**
+   * Give effects that allow repeat saves a chance to end early
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Affected unit
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  attemptRecovery(combatState, unit, result) {
+    const lingering = unit.statusEffects.filter(effect =>
+      effect.allowsSave && effect.saveType && effect.saveDC !== undefined
+    );
+
+    for (const effect of lingering) {
+      const save = this.rollSave(null, unit, effect.saveType, combatState.getRNG('status'), { saveDC: effect.saveDC });
+      if (save.success) {
+        unit.removeStatusEffect(effect.id);
+        this.emit(result, 'status_removed', { unitId: unit.id, status: effect.name, reason: 'resisted' });
+      }
+    }
+  }
+
+  /**
+   * Run on-damage triggers after a unit is hit
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Damaged unit
+   * @param {ActionResult} result - Result to append events to
+   * @returns {Object} Phase outcome from processPhase
+   */
+  handleDamageTaken(combatState, unit, result = null) {
+    return this.processPhase(combatState, unit, 'on_damage', result);
+  }
+
+  /**
+   * Remove every cleansable effect from a unit
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Unit being cleansed
+   * @param {ActionResult} result - Result to append events to (optional)
+   * @returns {Array} Names of removed effects
+   */
+  cleanse(combatState, unit, result = null) {
+    const removed = unit.statusEffects.filter(effect => effect.cleansable);
+    for (const effect of removed) {
+      unit.removeStatusEffect(effect.id);
+      this.emit(result, 'status_removed', { unitId: unit.id, status: effect.name, reason: 'cleansed' });
+    }
+
+    this.syncControl(combatState, unit, result);
+    return removed.map(effect => effect.name);
+  }
+
+  /**
+   * Hand a unit to the player behind a controlling effect
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Controlled unit
+   * @param {string} playerId - Player taking control
+   * @param {StatusEffect} effect - Controlling effect
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  transferControl(combatState, unit, playerId, effect, result) {
+    const previous = combatState.getPlayerForUnit(unit.id);
+    if (previous === playerId) return;
+
+    combatState.setControllerOverride(unit.id, playerId, {
+      statusId: effect.statusId,
+      sourceId: effect.source
+    });
+
+    this.emit(result, 'control_changed', {
+      unitId: unit.id,
+      playerId,
+      previousPlayerId: previous,
+      status: effect.name,
+      duration: effect.duration
+    });
+  }
+
+  /**
+   * Return a unit to its owner once no controlling effect remains
+   * @param {CombatState} combatState - Match state
+   * @param {Unit} unit - Possibly controlled unit
+   * @param {ActionResult} result - Result to append events to
+   */
+  syncControl(combatState, unit, result = null) {
+    const override = combatState.getControllerOverride(unit.id);
+    if (!override || unit.hasStatusFlag('controlled')) return;
+
+    combatState.clearControllerOverride(unit.id);
+    this.emit(result, 'control_changed', {
+      unitId: unit.id,
+      playerId: combatState.getPlayerForUnit(unit.id),
+      previousPlayerId: override.playerId,
+      status: null,
+      duration: 0
+    });
+  }
+
+  /**
+   * Emit events for effects that wore off during processing
+   * @param {Unit} unit - Affected unit
+   * @param {Map} before - Effect ID to name for effects present before processing
+   * @param {ActionResult} result - Result to append events to
+   * @private
+   */
+  emitExpired(unit, before, result) {
+    const remaining = new Set(unit.statusEffects.map(effect => effect.id));
+    for (const [effectId, name] of before) {
+      if (!remaining.has(effectId)) {
+        this.emit(result, 'status_expired', { unitId: unit.id, status: name });
+      }
+    }
+  }
+
+  /**
+   * Append an event if a result is being collected
+   * @param {ActionResult|null} result - Result to append to
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @private
+   */
+  emit(result, type, data) {
+    if (result) {
+      result.addEvent(type, data);
+    }
+  }
+
+  /**
+   * Get effect log for debugging
+   * @returns {Array} Logged effect processing steps
+   */
+  getEffectLog() {
+    return [...this.effectLog];
+  }
+
+  /**
+   * Clear effect log
+   */
+  clearEffectLog() {
+    this.effectLog = [];
+  }
+}
+
+export default StatusEffectSystem;
@@ -0,0 +1,171 @@
+/**
+ * Turn Clock for Tactica Arena
+ *
+ * Authoritative activation timer with an optional chess-clock time bank:
+ * - Every unit activation gets the same allowance (turnTime)
+ * - Time spent past the allowance is drawn from the acting player's bank
+ * - An activation times out once its allowance and the bank are both spent
+ * - A player's clock can be paused, e.g. while their seat waits for a reconnect
+ *
+ * The clock reads wall time, so it lives beside the match rather than in the
+ * hashed CombatState. A timeout reaches the match only as an END_TURN input,
+ * which the replay records like any other action.
+ */
+
+import { PERFORMANCE } from '../constants/GameConstants.js';
+
+/**
+ * Main Turn Clock class
+ */
+export class TurnClock {
+  /**
+   * Create turn clock
+   * @param {Object} config - {turnTime, timeBank, playerIds, now}; turnTime 0 disables the clock
+   */
+  constructor(config = {}) {
+    this.turnTime = config.turnTime !== undefined ? config.turnTime : PERFORMANCE.TARGETS.TURN_TIMEOUT;
+    this.timeBank = config.timeBank !== undefined ? config.timeBank : PERFORMANCE.TARGETS.TIME_BANK;
+    this.now = config.now || (() => Date.now());
+
+    this.banks = new Map(); // Player ID -> bank time left (ms)
+    for (const playerId of config.playerIds || []) {
+      this.banks.set(playerId, this.timeBank);
+    }
+
+    // Running activation
+    this.activeKey = null; // Identifies the activation (see CombatSystem.syncTurnClock)
+    this.playerId = null;
+    this.unitId = null;
+    this.startedAt = null;
+    this.pausedAt = null; // Set while the acting player is paused
+
+    this.pausedPlayers = new Set();
+  }
+
+  /**
+   * Whether the clock enforces anything
+   * @returns {boolean} True if activations are timed
+   */
+  isEnabled() {
+    return this.turnTime > 0;
+  }
+
+  /**
+   * Start timing an activation, charging the previous one first
+   * @param {string} key - Activation key
+   * @param {string} playerId - Acting player
+   * @param {string} unitId - Acting unit
+   */
+  startTurn(key, playerId, unitId) {
+    this.stopTurn();
+
+    const now = this.now();
+    this.activeKey = key;
+    this.playerId = playerId;
+    this.unitId = unitId;
+    this.startedAt = now;
+    this.pausedAt = this.pausedPlayers.has(playerId) ? now : null;
+  }
+
+  /**
+   * Stop timing the running activation and charge its overtime to the bank
+   */
+  stopTurn() {
+    if (this.activeKey === null) return;
+
+    const overtime = this.getElapsed() - this.turnTime;
+    if (overtime > 0) {
+      this.banks.set(this.playerId, Math.max(0, this.getBank(this.playerId) - overtime));
+    }
+
+    this.activeKey = null;
+    this.playerId = null;
+    this.unitId = null;
+    this.startedAt = null;
+    this.pausedAt = null;
+  }
+
+  /**
+   * Pause a player's clock; an activation already running stops counting
+   * @param {string} playerId - Player ID
+   */
+  pause(playerId) {
+    this.pausedPlayers.add(playerId);
+    if (this.playerId === playerId && this.pausedAt === null) {
+      this.pausedAt = this.now();
+    }
+  }
+
+  /**
+   * Resume a paused player's clock where it stopped
+   * @param {string} playerId - Player ID
+   */
+  resume(playerId) {
+    this.pausedPlayers.delete(playerId);
+    if (this.playerId === playerId && this.pausedAt !== null) {
+      this.startedAt += this.now() - this.pausedAt;
+      this.pausedAt = null;
+    }
+  }
+
+  /**
+   * Time the running activation has used
+   * @returns {number} Elapsed milliseconds (0 when idle)
+   */
+  getElapsed() {
+    if (this.activeKey === null) return 0;
+    const until = this.pausedAt !== null ? this.pausedAt : this.now();
+    return Math.max(0, until - this.startedAt);
+  }
+
+  /**
+   * Bank time a player has left
+   * @param {string} playerId - Player ID
+   * @returns {number} Milliseconds
+   */
+  getBank(playerId) {
+    return this.banks.has(playerId) ? this.banks.get(playerId) : this.timeBank;
+  }
+
+  /**
+   * When the running activation times out
+   * @returns {number|null} Wall-clock deadline, or null when idle, paused or disabled
+   */
+  getDeadline() {
+    if (!this.isEnabled() || this.activeKey === null || this.pausedAt !== null) return null;
+    return this.startedAt + this.turnTime + this.getBank(this.playerId);
+  }
+
+  /**
+   * Whether the running activation has run out of time
+   * @returns {boolean} True once the allowance and the bank are spent
+   */
+  isExpired() {
+    const deadline = this.getDeadline();
+    return deadline !== null && this.now() >= deadline;
+  }
+
+  /**
+   * Clock reading for clients; remaining times are as of serverTime
+   * @returns {Object} {turnTime, timeBank, playerId, unitId, turnRemaining, bankRemaining, paused, deadline, serverTime, banks}
+   */
+  getPublicState() {
+    const elapsed = this.getElapsed();
+    const bank = this.playerId !== null ? this.getBank(this.playerId) : 0;
+
+    return {
+      turnTime: this.turnTime,
+      timeBank: this.timeBank,
+      playerId: this.playerId,
+      unitId: this.unitId,
+      turnRemaining: Math.max(0, this.turnTime - elapsed),
+      bankRemaining: Math.max(0, bank - Math.max(0, elapsed - this.turnTime)),
+      paused: this.pausedAt !== null,
+      deadline: this.getDeadline(),
+      serverTime: this.now(),
+      banks: Array.from(this.banks.entries(), ([playerId, remaining]) => ({ playerId, remaining }))
+    };
+  }
+}
+
+export default TurnClock;
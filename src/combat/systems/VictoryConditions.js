@@ -0,0 +1,578 @@
+/**
+ * Victory Conditions for Tactica Arena
+ *
+ * Pluggable match objectives evaluated by CombatState:
+ * - ELIMINATE_ENEMY: last army with conscious units wins
+ * - ELIMINATE_LEADER: last army with a conscious leader wins
+ * - CAPTURE_AND_HOLD: hold enough control points for consecutive rounds
+ * - KING_OF_THE_HILL: score each round the hill is held uncontested
+ * - ESCORT_VIP: walk a VIP onto an extraction tile (or down it to stop them)
+ * - SURVIVE_ROUNDS: one army wins by lasting a number of rounds
+ * - ROUND_LIMIT: the match ends after N rounds and a tiebreaker decides it
+ *
+ * A match lists its conditions as type strings or {type, ...options}
+ * objects; the first condition that is met decides the match. Conditions
+ * that score over time keep a small progress record in CombatState, updated
+ * at the end of each round. Every condition describes its progress in
+ * player-safe terms so the UI can show how close each side is.
+ */
+
+import { COMBAT } from '../constants/GameConstants.js';
+
+const VICTORY = COMBAT.VICTORY;
+
+/**
+ * Player IDs in seating order
+ * @param {CombatState} combatState - Match state
+ * @returns {Array} Player IDs
+ */
+function getPlayerIds(combatState) {
+  return combatState.players.map(player => player.id);
+}
+
+/**
+ * Players controlling units inside an area (Chebyshev radius around a tile)
+ * @param {CombatState} combatState - Match state
+ * @param {Object} area - {x, y, radius}
+ * @returns {Set} Player IDs with a conscious unit in the area
+ */
+function getPlayersInArea(combatState, area) {
+  const radius = area.radius || 0;
+  const present = new Set();
+
+  for (let x = area.x - radius; x <= area.x + radius; x++) {
+    for (let y = area.y - radius; y <= area.y + radius; y++) {
+      const unit = combatState.getUnitAtPosition(x, y);
+      if (unit && !unit.isIncapacitated) {
+        present.add(combatState.getPlayerForUnit(unit.id));
+      }
+    }
+  }
+
+  return present;
+}
+
+/**
+ * Sole player holding an area, or null if it is empty or contested
+ * @param {CombatState} combatState - Match state
+ * @param {Object} area - {x, y, radius}
+ * @returns {string|null} Controlling player ID
+ */
+function getAreaController(combatState, area) {
+  const present = getPlayersInArea(combatState, area);
+  return present.size === 1 ? [...present][0] : null;
+}
+
+/**
+ * Player a condition is about, defaulting to the first seat
+ * @param {CombatState} combatState - Match state
+ * @param {Object} condition - Normalized condition
+ * @returns {string|null} Player ID
+ */
+function getSubjectPlayer(combatState, condition) {
+  return condition.playerId || getPlayerIds(combatState)[0] || null;
+}
+
+/**
+ * First opponent of a player in seating order
+ * @param {CombatState} combatState - Match state
+ * @param {string} playerId - Player ID
+ * @returns {string|null} Opponent player ID
+ */
+function getOpponent(combatState, playerId) {
+  return getPlayerIds(combatState).find(id => id !== playerId) || null;
+}
+
+/**
+ * Tiebreaker scoring functions, higher is better
+ */
+const TIEBREAKER_SCORES = {
+  REMAINING_HP: (combatState, playerId) => {
+    let total = 0;
+    for (const unit of combatState.units.values()) {
+      if (!unit.isIncapacitated && combatState.getOwnerForUnit(unit.id) === playerId) {
+        total += unit.currentHP;
+      }
+    }
+    return total;
+  },
+
+  UNITS_ALIVE: (combatState, playerId) => {
+    let count = 0;
+    for (const unit of combatState.units.values()) {
+      if (!unit.isIncapacitated && combatState.getOwnerForUnit(unit.id) === playerId) {
+        count++;
+      }
+    }
+    return count;
+  },
+
+  LEADER_ALIVE: (combatState, playerId) => {
+    for (const unit of combatState.units.values()) {
+      if (unit.isLeader && !unit.isIncapacitated && combatState.getOwnerForUnit(unit.id) === playerId) {
+        return 1;
+      }
+    }
+    return 0;
+  },
+
+  OBJECTIVE_SCORE: (combatState, playerId, registry) => {
+    let total = 0;
+    combatState.getVictoryConditions().forEach((condition, index) => {
+      const handler = registry.get(condition.type);
+      if (handler && handler.score) {
+        total += handler.score(combatState, condition, combatState.getObjectiveState(index), playerId);
+      }
+    });
+    return total;
+  }
+};
+
+/**
+ * Built-in condition handlers keyed by type
+ *
+ * Handler fields:
+ * - defaults: option values applied when a match omits them
+ * - scoring: 'instant' (checked after every action) or 'round' (scored at round end)
+ * - validate(condition): throw on bad options
+ * - createState(combatState, condition): initial progress record
+ * - onRoundEnd(combatState, condition, state): update the progress record
+ * - evaluate(combatState, condition, state): {winner} when met, otherwise null
+ * - describe(combatState, condition, state): player-safe progress
+ * - score(combatState, condition, state, playerId): points for OBJECTIVE_SCORE
+ */
+export const VICTORY_CONDITION_TYPES = {
+  ELIMINATE_ENEMY: {
+    type: 'ELIMINATE_ENEMY',
+    name: 'Elimination',
+    description: 'Defeat every enemy unit',
+    scoring: 'instant',
+    evaluate: (combatState) => {
+      const playersWithUnits = new Set();
+      for (const unit of combatState.units.values()) {
+        if (!combatState.incapacitatedUnits.has(unit.id)) {
+          playersWithUnits.add(combatState.getPlayerForUnit(unit.id));
+        }
+      }
+      return playersWithUnits.size === 1 ? { winner: [...playersWithUnits][0] } : null;
+    },
+    describe: (combatState) => ({
+      players: getPlayerIds(combatState).map(playerId => ({
+        playerId,
+        value: TIEBREAKER_SCORES.UNITS_ALIVE(combatState, playerId),
+        label: 'units standing'
+      }))
+    })
+  },
+
+  ELIMINATE_LEADER: {
+    type: 'ELIMINATE_LEADER',
+    name: 'Regicide',
+    description: 'Defeat the enemy leader',
+    scoring: 'instant',
+    evaluate: (combatState) => {
+      // A hypnotised leader still leads its own army
+      const leaderStatus = new Map();
+      for (const unit of combatState.units.values()) {
+        if (unit.isLeader) {
+          const playerId = combatState.getOwnerForUnit(unit.id);
+          leaderStatus.set(playerId, leaderStatus.get(playerId) || !unit.isIncapacitated);
+        }
+      }
+      const living = [...leaderStatus.keys()].filter(playerId => leaderStatus.get(playerId));
+      return living.length === 1 ? { winner: living[0] } : null;
+    },
+    describe: (combatState) => ({
+      players: getPlayerIds(combatState).map(playerId => ({
+        playerId,
+        value: TIEBREAKER_SCORES.LEADER_ALIVE(combatState, playerId),
+        label: 'leader standing'
+      }))
+    })
+  },
+
+  CAPTURE_AND_HOLD: {
+    type: 'CAPTURE_AND_HOLD',
+    name: 'Capture and Hold',
+    description: 'Hold the control points until the end of enough rounds in a row',
+    scoring: 'round',
+    defaults: { points: [], holdRounds: VICTORY.CAPTURE_HOLD_ROUNDS, required: null },
+    validate: (condition) => {
+      if (!Array.isArray(condition.points) || condition.points.length === 0) {
+        throw new Error('CAPTURE_AND_HOLD needs at least one control point');
+      }
+      if (condition.required !== null &&
+          (condition.required < 1 || condition.required > condition.points.length)) {
+        throw new Error(`CAPTURE_AND_HOLD cannot require ${condition.required} of ${condition.points.length} points`);
+      }
+    },
+    createState: (combatState, condition) => ({
+      points: condition.points.map(() => ({ holder: null, heldRounds: 0 }))
+    }),
+    onRoundEnd: (combatState, condition, state) => {
+      condition.points.forEach((point, index) => {
+        const record = state.points[index];
+        const controller = getAreaController(combatState, point);
+
+        if (controller && controller === record.holder) {
+          record.heldRounds++;
+        } else {
+          record.holder = controller;
+          record.heldRounds = controller ? 1 : 0;
+        }
+      });
+    },
+    evaluate: (combatState, condition, state) => {
+      const required = condition.required || Math.floor(condition.points.length / 2) + 1;
+      for (const playerId of getPlayerIds(combatState)) {
+        const secured = state.points.filter(record =>
+          record.holder === playerId && record.heldRounds >= condition.holdRounds
+        ).length;
+        if (secured >= required) return { winner: playerId };
+      }
+      return null;
+    },
+    describe: (combatState, condition, state) => ({
+      target: condition.holdRounds,
+      required: condition.required || Math.floor(condition.points.length / 2) + 1,
+      points: condition.points.map((point, index) => ({
+        id: point.id || `point_${index + 1}`,
+        x: point.x,
+        y: point.y,
+        radius: point.radius || 0,
+        holder: state.points[index].holder,
+        heldRounds: state.points[index].heldRounds,
+        contested: getPlayersInArea(combatState, point).size > 1
+      })),
+      players: getPlayerIds(combatState).map(playerId => ({
+        playerId,
+        value: state.points.filter(record => record.holder === playerId).length,
+        label: 'points held'
+      }))
+    }),
+    score: (combatState, condition, state, playerId) =>
+      state.points.reduce((total, record) => total + (record.holder === playerId ? record.heldRounds : 0), 0)
+  },
+
+  KING_OF_THE_HILL: {
+    type: 'KING_OF_THE_HILL',
+    name: 'King of the Hill',
+    description: 'Score a point for every round you hold the hill alone',
+    scoring: 'round',
+    defaults: { hill: null, scoreToWin: VICTORY.HILL_SCORE_TO_WIN, pointsPerRound: 1 },
+    validate: (condition) => {
+      if (!condition.hill || !Number.isInteger(condition.hill.x) || !Number.isInteger(condition.hill.y)) {
+        throw new Error('KING_OF_THE_HILL needs a hill position');
+      }
+      if (!(condition.scoreToWin > 0)) {
+        throw new Error('KING_OF_THE_HILL needs a positive score to win');
+      }
+    },
+    createState: (combatState) => ({
+      scores: Object.fromEntries(getPlayerIds(combatState).map(playerId => [playerId, 0])),
+      lastScorer: null
+    }),
+    onRoundEnd: (combatState, condition, state) => {
+      const controller = getAreaController(combatState, condition.hill);
+      state.lastScorer = controller;
+      if (controller) {
+        state.scores[controller] = (state.scores[controller] || 0) + condition.pointsPerRound;
+      }
+    },
+    evaluate: (combatState, condition, state) => {
+      for (const playerId of getPlayerIds(combatState)) {
+        if ((state.scores[playerId] || 0) >= condition.scoreToWin) return { winner: playerId };
+      }
+      return null;
+    },
+    describe: (combatState, condition, state) => ({
+      target: condition.scoreToWin,
+      hill: { x: condition.hill.x, y: condition.hill.y, radius: condition.hill.radius || 0 },
+      holder: getAreaController(combatState, condition.hill),
+      contested: getPlayersInArea(combatState, condition.hill).size > 1,
+      lastScorer: state.lastScorer,
+      players: getPlayerIds(combatState).map(playerId => ({
+        playerId,
+        value: state.scores[playerId] || 0,
+        target: condition.scoreToWin,
+        label: 'points'
+      }))
+    }),
+    score: (combatState, condition, state, playerId) => state.scores[playerId] || 0
+  },
+
+  ESCORT_VIP: {
+    type: 'ESCORT_VIP',
+    name: 'Escort',
+    description: 'Get the VIP to an extraction tile; the other side wins if the VIP falls',
+    scoring: 'instant',
+    defaults: { vipId: null, extraction: [] },
+    validate: (condition) => {
+      if (!condition.vipId) {
+        throw new Error('ESCORT_VIP needs a vipId');
+      }
+      if (!Array.isArray(condition.extraction) || condition.extraction.length === 0) {
+        throw new Error('ESCORT_VIP needs at least one extraction tile');
+      }
+    },
+    evaluate: (combatState, condition) => {
+      const vip = combatState.getUnit(condition.vipId);
+      if (!vip) return null;
+
+      const escort = condition.playerId || combatState.getOwnerForUnit(vip.id);
+      if (vip.isIncapacitated) {
+        return { winner: condition.opponentId || getOpponent(combatState, escort) };
+      }
+
+      const extracted = condition.extraction.some(tile =>
+        tile.x === vip.position.x && tile.y === vip.position.y
+      );
+      return extracted ? { winner: escort } : null;
+    },
+    describe: (combatState, condition) => {
+      const vip = combatState.getUnit(condition.vipId);
+      const escort = vip ? (condition.playerId || combatState.getOwnerForUnit(vip.id)) : null;
+      const distance = vip && !vip.isIncapacitated
+        ? Math.min(...condition.extraction.map(tile =>
+          Math.max(Math.abs(tile.x - vip.position.x), Math.abs(tile.y - vip.position.y))))
+        : null;
+
+      return {
+        vipId: condition.vipId,
+        escortPlayerId: escort,
+        vipDown: !vip || vip.isIncapacitated,
+        distance,
+        extraction: condition.extraction.map(tile => ({ x: tile.x, y: tile.y }))
+      };
+    }
+  },
+
+  SURVIVE_ROUNDS: {
+    type: 'SURVIVE_ROUNDS',
+    name: 'Last Stand',
+    description: 'Keep at least one unit standing until the final round ends',
+    scoring: 'round',
+    defaults: { rounds: VICTORY.SURVIVE_ROUNDS },
+    validate: (condition) => {
+      if (!Number.isInteger(condition.rounds) || condition.rounds < 1) {
+        throw new Error('SURVIVE_ROUNDS needs a positive round count');
+      }
+    },
+    evaluate: (combatState, condition) => {
+      const survivor = getSubjectPlayer(combatState, condition);
+      const roundsCompleted = combatState.turn - 1;
+      if (roundsCompleted < condition.rounds) return null;
+      return TIEBREAKER_SCORES.UNITS_ALIVE(combatState, survivor) > 0 ? { winner: survivor } : null;
+    },
+    describe: (combatState, condition) => ({
+      playerId: getSubjectPlayer(combatState, condition),
+      value: Math.min(combatState.turn - 1, condition.rounds),
+      target: condition.rounds,
+      roundsRemaining: Math.max(0, condition.rounds - (combatState.turn - 1))
+    })
+  },
+
+  ROUND_LIMIT: {
+    type: 'ROUND_LIMIT',
+    name: 'Round Limit',
+    description: 'The match ends after a set number of rounds',
+    scoring: 'round',
+    defaults: { rounds: VICTORY.ROUND_LIMIT, tiebreaker: VICTORY.DEFAULT_TIEBREAKER },
+    validate: (condition) => {
+      if (!Number.isInteger(condition.rounds) || condition.rounds < 1) {
+        throw new Error('ROUND_LIMIT needs a positive round count');
+      }
+      for (const tiebreaker of [].concat(condition.tiebreaker)) {
+        if (!VICTORY.TIEBREAKERS.includes(tiebreaker)) {
+          throw new Error(`Unknown tiebreaker: ${tiebreaker}`);
+        }
+      }
+    },
+    evaluate: (combatState, condition, state, registry) => {
+      if (combatState.turn - 1 < condition.rounds) return null;
+      return { winner: registry.breakTie(combatState, condition.tiebreaker) };
+    },
+    describe: (combatState, condition) => ({
+      value: Math.min(combatState.turn - 1, condition.rounds),
+      target: condition.rounds,
+      roundsRemaining: Math.max(0, condition.rounds - (combatState.turn - 1)),
+      tiebreaker: [].concat(condition.tiebreaker)
+    })
+  }
+};
+
+/**
+ * Registry of victory condition handlers
+ */
+export class VictoryConditionRegistry {
+  /**
+   * Create victory condition registry
+   * @param {Object} types - Handler definitions keyed by type
+   */
+  constructor(types = VICTORY_CONDITION_TYPES) {
+    this.types = new Map();
+    for (const definition of Object.values(types)) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * Register a condition handler
+   * @param {Object} definition - Handler definition
+   * @returns {Object} Frozen definition
+   */
+  register(definition) {
+    if (!definition || !definition.type || !definition.name) {
+      throw new Error('Victory condition requires a type and name');
+    }
+
+    if (typeof definition.evaluate !== 'function') {
+      throw new Error(`Victory condition ${definition.type} has no evaluate handler`);
+    }
+
+    if (definition.scoring === 'round' && definition.createState && typeof definition.onRoundEnd !== 'function') {
+      throw new Error(`Victory condition ${definition.type} keeps state but never updates it`);
+    }
+
+    const normalized = Object.freeze({
+      scoring: 'instant',
+      defaults: {},
+      ...definition,
+      type: definition.type.toUpperCase(),
+      defaults: Object.freeze({ ...(definition.defaults || {}) })
+    });
+
+    this.types.set(normalized.type, normalized);
+    return normalized;
+  }
+
+  /**
+   * Get condition handler by type
+   * @param {string} type - Condition type (case-insensitive)
+   * @returns {Object|null} Handler definition or null
+   */
+  get(type) {
+    if (typeof type !== 'string') return null;
+    return this.types.get(type.toUpperCase()) || null;
+  }
+
+  /**
+   * Check if a condition type exists
+   * @param {string} type - Condition type
+   * @returns {boolean} True if the type is registered
+   */
+  has(type) {
+    return this.get(type) !== null;
+  }
+
+  /**
+   * List all registered condition types
+   * @returns {Array} Handler definitions
+   */
+  list() {
+    return Array.from(this.types.values());
+  }
+
+  /**
+   * Expand a match's condition entry into a full condition
+   * @param {string|Object} entry - Type string or {type, ...options}
+   * @returns {Object} Condition with defaults applied
+   */
+  normalize(entry) {
+    const condition = typeof entry === 'string' ? { type: entry } : { ...entry };
+    const handler = this.get(condition.type);
+    if (!handler) {
+      throw new Error(`Unknown victory condition: ${condition.type}`);
+    }
+
+    const normalized = { ...handler.defaults, ...condition, type: handler.type };
+    if (handler.validate) {
+      handler.validate(normalized);
+    }
+    return normalized;
+  }
+
+  /**
+   * Fresh progress record for a condition, if it keeps one
+   * @param {CombatState} combatState - Match state
+   * @param {Object} condition - Normalized condition
+   * @returns {Object|null} Progress record
+   */
+  createState(combatState, condition) {
+    const handler = this.get(condition.type);
+    return handler && handler.createState ? handler.createState(combatState, condition) : null;
+  }
+
+  /**
+   * Update a condition's progress at the end of a round
+   * @param {CombatState} combatState - Match state
+   * @param {Object} condition - Normalized condition
+   * @param {Object|null} state - Progress record (mutated)
+   */
+  endRound(combatState, condition, state) {
+    const handler = this.get(condition.type);
+    if (handler && handler.onRoundEnd) {
+      handler.onRoundEnd(combatState, condition, state, this);
+    }
+  }
+
+  /**
+   * Check whether a condition decides the match
+   * @param {CombatState} combatState - Match state
+   * @param {Object} condition - Normalized condition
+   * @param {Object|null} state - Progress record
+   * @returns {Object|null} {winner} (winner null for a draw), or null if not met
+   */
+  evaluate(combatState, condition, state) {
+    const handler = this.get(condition.type);
+    return handler ? handler.evaluate(combatState, condition, state, this) : null;
+  }
+
+  /**
+   * Player-safe progress for a condition
+   * @param {CombatState} combatState - Match state
+   * @param {Object} condition - Normalized condition
+   * @param {Object|null} state - Progress record
+   * @returns {Object} {id, type, name, description, scoring, ...progress}
+   */
+  describe(combatState, condition, state) {
+    const handler = this.get(condition.type);
+    return {
+      id: condition.id || handler.type,
+      type: handler.type,
+      name: condition.name || handler.name,
+      description: condition.description || handler.description,
+      scoring: handler.scoring,
+      ...(handler.describe ? handler.describe(combatState, condition, state, this) : {})
+    };
+  }
+
+  /**
+   * Pick a winner by tiebreaker, falling through the list on ties
+   * @param {CombatState} combatState - Match state
+   * @param {string|Array} tiebreakers - Tiebreaker IDs (VICTORY.TIEBREAKERS), in order
+   * @returns {string|null} Winning player ID, or null for a draw
+   */
+  breakTie(combatState, tiebreakers = VICTORY.DEFAULT_TIEBREAKER) {
+    let contenders = getPlayerIds(combatState);
+
+    for (const tiebreaker of [].concat(tiebreakers)) {
+      const scoreFn = TIEBREAKER_SCORES[tiebreaker];
+      if (!scoreFn) return null; // DRAW
+
+      const scores = contenders.map(playerId => scoreFn(combatState, playerId, this));
+      const best = Math.max(...scores);
+      contenders = contenders.filter((playerId, index) => scores[index] === best);
+      if (contenders.length === 1) return contenders[0];
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Shared registry instance used by the combat systems
+ */
+export const victoryConditionRegistry = new VictoryConditionRegistry();
+
+export default victoryConditionRegistry;
@@ -0,0 +1,69 @@
+/**
+ * Vision System for Tactica Arena
+ *
+ * Works out which units a player can see, for fog-of-war views:
+ * - A player always sees the units they control
+ * - Any other unit is seen while one of the player's active units is within
+ *   TERRAIN.LINE_OF_SIGHT.MAX_RANGE of it and has clear line of sight
+ * - Incapacitated units see nothing, but can still be seen
+ *
+ * Vision only reads the state; nothing here touches the RNG or the replay.
+ */
+
+import { TERRAIN } from '../constants/GameConstants.js';
+import { HitCalculator } from './HitCalculator.js';
+
+/**
+ * Main Vision System class
+ */
+export class VisionSystem {
+  /**
+   * Create vision system
+   * @param {Object} config - System configuration
+   * @param {number} config.range - Sight range in tiles (default TERRAIN.LINE_OF_SIGHT.MAX_RANGE)
+   * @param {HitCalculator} config.hitCalculator - Line-of-sight rules
+   */
+  constructor(config = {}) {
+    this.range = config.range !== undefined ? config.range : TERRAIN.LINE_OF_SIGHT.MAX_RANGE;
+    this.hitCalculator = config.hitCalculator || new HitCalculator();
+  }
+
+  /**
+   * Whether one unit can see another
+   * @param {Unit} viewer - Looking unit
+   * @param {Unit} target - Unit looked at
+   * @param {CombatState} combatState - Match state
+   * @returns {boolean} True within range and line of sight
+   */
+  canSee(viewer, target, combatState) {
+    if (viewer.isIncapacitated) return false;
+
+    const distance = Math.max(
+      Math.abs(viewer.position.x - target.position.x),
+      Math.abs(viewer.position.y - target.position.y)
+    );
+    return distance <= this.range && this.hitCalculator.hasLineOfSight(viewer, target, combatState);
+  }
+
+  /**
+   * Units a player can currently see
+   * @param {CombatState} combatState - Match state
+   * @param {number} playerId - Viewing player
+   * @returns {Set} Visible unit IDs, the player's own included
+   */
+  getVisibleUnitIds(combatState, playerId) {
+    const units = Array.from(combatState.units.values());
+    const own = units.filter(unit => combatState.getPlayerForUnit(unit.id) === playerId);
+    const visible = new Set(own.map(unit => unit.id));
+
+    for (const target of units) {
+      if (visible.has(target.id)) continue;
+      if (own.some(viewer => this.canSee(viewer, target, combatState))) {
+        visible.add(target.id);
+      }
+    }
+    return visible;
+  }
+}
+
+export default VisionSystem;
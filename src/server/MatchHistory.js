@@ -0,0 +1,241 @@
+/**
+ * Match History for Tactica Arena
+ *
+ * Finished online matches, kept after their room is gone:
+ * - A summary per match: mode, map size, placement pattern, start and end
+ *   times, result and each player's name, profile and statistics
+ * - The match's replay document, stored next to the summary
+ * - Listing newest first with paging (NETWORK.HISTORY) and filters by mode,
+ *   map size, end date and player profile
+ * - Playback of a stored replay as the events each recorded input produces
+ *
+ * Replay documents carry the armies' hidden ability scores, so they never
+ * leave the server as they are; playback re-runs them with a ReplayRunner
+ * and hands out only public events and states. A stored replay never changes,
+ * so each match is stepped through once and its pages are served from the
+ * result (the last NETWORK.HISTORY.PLAYBACK_CACHE matches are kept).
+ *
+ * With a directory configured, summaries live in `index.json` and each replay
+ * in `replays/<matchId>.json`; without one the history is in-memory only.
+ */
+
+import path from 'path';
+import { CombatSystem, NETWORK } from '../combat/index.js';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Clamp paging options
+ * @param {Object} options - {offset, limit}
+ * @param {number} defaultLimit - Limit when none is given
+ * @param {number} maxLimit - Largest limit allowed
+ * @returns {Object} {offset, limit}
+ */
+function getPage(options, defaultLimit, maxLimit) {
+  return {
+    offset: Math.max(0, Math.floor(Number(options.offset)) || 0),
+    limit: Math.min(maxLimit, Math.max(1, Math.floor(Number(options.limit)) || defaultLimit))
+  };
+}
+
+/**
+ * Main Match History class
+ */
+export class MatchHistory {
+  /**
+   * Create match history
+   * @param {Object} config - History configuration
+   * @param {string} config.dir - Directory to load from and save to (omit for in-memory)
+   * @param {CombatSystem} config.combatSystem - Engine whose rules replays are played back with
+   * @param {Function} config.now - Clock for end times (default Date.now)
+   */
+  constructor(config = {}) {
+    this.dir = config.dir || null;
+    this.system = config.combatSystem || new CombatSystem();
+    this.now = config.now || (() => Date.now());
+    this.matches = new Map(); // Match ID -> summary, oldest first
+    this.replays = new Map(); // Match ID -> replay document (in-memory history only)
+    this.playbacks = new Map(); // Match ID -> stepped replay, least recently used first
+
+    if (this.dir) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load match summaries from the index, if it exists
+   * @private
+   */
+  load() {
+    const file = path.join(this.dir, 'index.json');
+    const data = readJsonFile(file, null);
+    if (!data) return;
+    if (data.version > STORE_VERSION) {
+      throw new Error(`${file} has store version ${data.version}; this server supports ${STORE_VERSION}`);
+    }
+
+    for (const summary of data.matches || []) {
+      this.matches.set(summary.id, summary);
+    }
+  }
+
+  /**
+   * Write every match summary to the index
+   */
+  save() {
+    if (!this.dir) return;
+    writeJsonFile(path.join(this.dir, 'index.json'), {
+      version: STORE_VERSION,
+      matches: Array.from(this.matches.values())
+    });
+  }
+
+  /**
+   * File holding a match's replay
+   * @param {string} matchId - Match ID
+   * @returns {string} File path
+   * @private
+   */
+  getReplayFile(matchId) {
+    return path.join(this.dir, 'replays', `${matchId}.json`);
+  }
+
+  /**
+   * Store a finished match
+   * @param {Object} summary - {id, code, mode, mapSize, placementPattern, startedAt, turns, winner,
+   *   victoryCondition, players: [{playerId, name, profileId, level, result, stats}]}
+   * @param {Object|null} replay - Serialized replay document
+   * @returns {Object} Stored summary, with endedAt set
+   */
+  recordMatch(summary, replay) {
+    const stored = { ...summary, endedAt: this.now(), hasReplay: !!replay };
+
+    // Replay first: an index entry must never point at a replay that was not written
+    if (replay) {
+      if (this.dir) {
+        writeJsonFile(this.getReplayFile(stored.id), { version: STORE_VERSION, replay });
+      } else {
+        this.replays.set(stored.id, replay);
+      }
+    }
+
+    this.matches.set(stored.id, stored);
+    this.playbacks.delete(stored.id);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Get a match summary
+   * @param {string} matchId - Match ID
+   * @returns {Object|null} Summary
+   */
+  getMatch(matchId) {
+    return this.matches.get(matchId) || null;
+  }
+
+  /**
+   * Get a match's replay document (server-side only: includes hidden army data)
+   * @param {string} matchId - Match ID
+   * @returns {Object|null} Replay document
+   */
+  getReplay(matchId) {
+    // Only IDs from the index reach the file system
+    const summary = this.matches.get(matchId);
+    if (!summary || !summary.hasReplay) return null;
+    if (!this.dir) return this.replays.get(matchId) || null;
+
+    const data = readJsonFile(this.getReplayFile(matchId), null);
+    return data ? data.replay : null;
+  }
+
+  /**
+   * Matches newest first
+   * @param {Object} options - {mode, mapSize, profileId, from, to (end time bounds in ms), offset, limit}
+   * @returns {Object} {total, offset, limit, matches}
+   */
+  listMatches(options = {}) {
+    const { offset, limit } = getPage(options, NETWORK.HISTORY.DEFAULT_LIMIT, NETWORK.HISTORY.MAX_LIMIT);
+
+    const matches = Array.from(this.matches.values())
+      .filter(match =>
+        (options.mode === undefined || match.mode === options.mode) &&
+        (options.mapSize === undefined || match.mapSize === options.mapSize) &&
+        (options.from === undefined || match.endedAt >= options.from) &&
+        (options.to === undefined || match.endedAt <= options.to) &&
+        (options.profileId === undefined || match.players.some(player => player.profileId === options.profileId)))
+      .reverse();
+
+    return { total: matches.length, offset, limit, matches: matches.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Play part of a stored replay back
+   * @param {string} matchId - Match ID
+   * @param {Object} options - {offset, limit} in recorded inputs
+   * @returns {Object|null} {matchId, totalSteps, offset, limit, state, steps: [{sequence, kind, turn,
+   *   events}], divergence}, where state is the public state before the first returned step; null
+   *   without a replay
+   */
+  getPlayback(matchId, options = {}) {
+    const playback = this.getSteppedReplay(matchId);
+    if (!playback) return null;
+
+    const { offset, limit } = getPage(options, NETWORK.HISTORY.DEFAULT_STEPS, NETWORK.HISTORY.MAX_STEPS);
+    const divergence = playback.divergence;
+    // A page reports the divergence only once it has stepped that far
+    const reached = divergence && divergence.index < offset + limit;
+
+    return {
+      matchId,
+      totalSteps: playback.totalSteps,
+      offset,
+      limit,
+      state: JSON.parse(playback.states[Math.min(offset, playback.steps.length)]),
+      steps: playback.steps.slice(offset, offset + limit),
+      divergence: reached ? { index: divergence.index, reason: divergence.reason } : null
+    };
+  }
+
+  /**
+   * Step through a stored replay once, or reuse the last run
+   * @param {string} matchId - Match ID
+   * @returns {Object|null} {totalSteps, steps, states, divergence}, where states[i] is the public
+   *   state before steps[i] as JSON (one more than steps: the last is the state after them all),
+   *   or null without a replay
+   * @private
+   */
+  getSteppedReplay(matchId) {
+    const cached = this.playbacks.get(matchId);
+    if (cached) {
+      this.playbacks.delete(matchId);
+      this.playbacks.set(matchId, cached);
+      return cached;
+    }
+
+    const replay = this.getReplay(matchId);
+    if (!replay) return null;
+
+    const runner = this.system.createReplayRunner();
+    runner.load(replay);
+
+    // States are kept as JSON: far smaller than the objects, and no page can change them
+    const steps = [];
+    const states = [JSON.stringify(runner.match.getPublicState())];
+    while (runner.hasNext() && !runner.divergence) {
+      const { entry, result } = runner.step();
+      steps.push({ sequence: entry.sequence, kind: entry.kind, turn: entry.turn, events: result.events });
+      states.push(JSON.stringify(runner.match.getPublicState()));
+    }
+
+    const playback = { totalSteps: runner.replay.actions.length, steps, states, divergence: runner.divergence };
+    this.playbacks.set(matchId, playback);
+    if (this.playbacks.size > NETWORK.HISTORY.PLAYBACK_CACHE) {
+      this.playbacks.delete(this.playbacks.keys().next().value);
+    }
+    return playback;
+  }
+}
+
+export default MatchHistory;
@@ -0,0 +1,1411 @@
+/**
+ * Match Server for Tactica Arena
+ *
+ * Hosts authoritative online matches over WebSocket:
+ * - A player creates a room and shares its code; a second player joins with it
+ * - Clients only send intents (deploy, ready, action); the server validates
+ *   and resolves them with the seeded CombatSystem
+ * - Every accepted intent is broadcast as the resulting events plus a view
+ *   built from CombatState.getPublicState(); hidden ability scores, saves and
+ *   the RNG never leave the server
+ * - Each player's placements stay hidden from the opponent until combat starts
+ * - A dropped player's seat is held for the reconnect window; resuming with the
+ *   seat's token sends a full snapshot plus the events missed, and a window
+ *   that runs out forfeits the match
+ * - Each activation runs on the engine's turn clock; when it runs out the
+ *   server ends the turn itself, and a disconnected player's clock is paused
+ * - Players can also queue (see MatchmakingService); a ranked match's result
+ *   updates both profiles and each player is told their new tier
+ * - Anyone with a room's code can spectate read-only. Spectators trail the
+ *   live match by a few turns so they cannot feed a player information, and
+ *   watch either as a caster (both armies) or through one team's vision
+ * - With a MatchHistory, every finished match is stored with its replay and
+ *   each player's statistics
+ *
+ * Protocol: JSON text frames {type, requestId?, ...payload}. Message types are
+ * listed in NETWORK.CLIENT_MESSAGES / NETWORK.SERVER_MESSAGES.
+ */
+
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import { CombatSystem, ARMY, FACTIONS, NETWORK, PERFORMANCE, PROGRESSION, RANKED, VALIDATION } from '../combat/index.js';
+import { MatchHistory } from './MatchHistory.js';
+import { MatchmakingService } from './MatchmakingService.js';
+import { MatchStatistics } from './MatchStatistics.js';
+
+const { ERROR_CODES } = VALIDATION;
+
+/** Seats in join order; hotseat uses the same player IDs */
+const PLAYER_IDS = [1, 2];
+
+/** Events that reveal where a player put their units during deployment */
+const DEPLOYMENT_EVENTS = ['unit_deployed', 'unit_withdrawn'];
+
+/** Event fields naming a unit; team spectators only get events involving a unit their team can see */
+const EVENT_UNIT_FIELDS = ['unitId', 'attackerId', 'targetId', 'sourceId'];
+
+/**
+ * Main Match Server class
+ */
+export class MatchServer {
+  /**
+   * Create match server
+   * @param {Object} config - Server configuration
+   * @param {CombatSystem} config.combatSystem - Engine hosting the matches (default: new CombatSystem())
+   * @param {MatchmakingService} config.matchmaking - Queues and ratings (default: in-memory profiles)
+   * @param {MatchHistory} config.history - Where finished matches are stored (omit to keep none)
+   * @param {string} config.path - WebSocket path (default NETWORK.PATH)
+   * @param {number} config.reconnectWindow - How long a dropped seat is held (ms, default
+   *   PERFORMANCE.NETWORKING.RECONNECT_WINDOW)
+   * @param {Object|boolean} config.turnClock - {turnTime, timeBank} for every match, or false for
+   *   untimed matches (default: the combat system's settings)
+   * @param {number} config.spectatorDelay - Turns spectators trail the live match (default
+   *   NETWORK.SPECTATE.DELAY_TURNS; 0 for live spectating)
+   * @param {boolean} config.enableLogging - Log room lifecycle to the console
+   */
+  constructor(config = {}) {
+    this.system = config.combatSystem || new CombatSystem();
+    this.matchmaking = config.matchmaking || new MatchmakingService();
+    this.matchmaking.onMatch = (mode, entryA, entryB) => this.startQueuedMatch(mode, entryA, entryB);
+    this.history = config.history || null;
+    this.path = config.path || NETWORK.PATH;
+    this.reconnectWindow = config.reconnectWindow !== undefined ?
+      config.reconnectWindow : PERFORMANCE.NETWORKING.RECONNECT_WINDOW;
+    this.turnClock = config.turnClock;
+    this.spectatorDelay = config.spectatorDelay !== undefined ? config.spectatorDelay : NETWORK.SPECTATE.DELAY_TURNS;
+    this.enableLogging = config.enableLogging || false;
+
+    this.rooms = new Map(); // Match code -> room
+    this.sessions = new Set();
+    this.wss = null;
+    this.heartbeat = null;
+    this.nextSessionId = 1;
+  }
+
+  /**
+   * Start accepting WebSocket connections on an HTTP server
+   * @param {http.Server} httpServer - Server returned by app.listen()
+   * @returns {MatchServer} This server
+   */
+  attach(httpServer) {
+    this.wss = new WebSocketServer({
+      server: httpServer,
+      path: this.path,
+      maxPayload: NETWORK.MAX_MESSAGE_BYTES
+    });
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), NETWORK.HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+    this.matchmaking.start();
+    return this;
+  }
+
+  /**
+   * Close every connection and stop the server
+   * @returns {Promise} Resolves once the WebSocket server has closed
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.matchmaking.stop();
+
+    for (const session of this.sessions) {
+      session.socket.terminate();
+    }
+    for (const room of this.rooms.values()) {
+      this.closeRoom(room);
+    }
+
+    return new Promise(resolve => {
+      if (!this.wss) return resolve();
+      this.wss.close(() => resolve());
+      this.wss = null;
+    });
+  }
+
+  /**
+   * Summary for health checks
+   * @returns {Object} {connections, rooms, matchesInProgress, queued, spectators}
+   */
+  getStats() {
+    const rooms = Array.from(this.rooms.values());
+    return {
+      connections: this.sessions.size,
+      rooms: rooms.length,
+      matchesInProgress: rooms.filter(room => room.status === 'DEPLOYMENT' || room.status === 'COMBAT').length,
+      queued: this.matchmaking.entries.size,
+      spectators: rooms.reduce((total, room) => total + room.spectators.size, 0)
+    };
+  }
+
+  /**
+   * Matches in progress that can be spectated
+   * @returns {Array} [{code, mode, status, turn, players: [{playerId, name}], spectators}]
+   */
+  getLiveMatches() {
+    return Array.from(this.rooms.values())
+      .filter(room => room.status === 'DEPLOYMENT' || room.status === 'COMBAT')
+      .map(room => ({
+        code: room.code,
+        mode: room.mode,
+        status: room.status,
+        turn: this.system.getMatch(room.matchId).turn,
+        players: room.seats.map(seat => ({ playerId: seat.playerId, name: seat.name })),
+        spectators: room.spectators.size
+      }));
+  }
+
+  /**
+   * Set up a new client connection
+   * @param {WebSocket} socket - Client socket
+   * @private
+   */
+  handleConnection(socket) {
+    const session = {
+      id: this.nextSessionId++,
+      socket,
+      room: null,
+      playerId: null,
+      spectating: null, // Room being watched
+      profileId: null, // Matchmaking profile this connection speaks for, once it has queued, taken a seat or resumed one
+      isAlive: true
+    };
+    this.sessions.add(session);
+
+    socket.on('pong', () => { session.isAlive = true; });
+    socket.on('message', (data, isBinary) => this.handleMessage(session, isBinary ? null : data.toString()));
+    socket.on('close', () => {
+      this.sessions.delete(session);
+      this.matchmaking.leave(session);
+      this.stopSpectating(session);
+      this.handleDeparture(session, false);
+    });
+    socket.on('error', (error) => this.log(`Session ${session.id} socket error: ${error.message}`));
+
+    this.send(session, { type: 'welcome', protocolVersion: NETWORK.PROTOCOL_VERSION, sessionId: session.id });
+  }
+
+  /**
+   * Drop sockets that stopped answering pings
+   * @private
+   */
+  checkHeartbeats() {
+    for (const session of this.sessions) {
+      if (!session.isAlive) {
+        session.socket.terminate();
+        continue;
+      }
+      session.isAlive = false;
+      session.socket.ping();
+    }
+  }
+
+  /**
+   * Parse and dispatch one client message
+   * @param {Object} session - Sending session
+   * @param {string|null} text - Message text (null for binary frames)
+   * @private
+   */
+  handleMessage(session, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message || typeof message !== 'object' || !NETWORK.CLIENT_MESSAGES.includes(message.type)) {
+      this.sendError(session, ERROR_CODES.BAD_MESSAGE, 'Expected a JSON intent with a known type', message?.requestId);
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'create_match':
+          return this.createRoom(session, message);
+        case 'join_match':
+          return this.joinRoom(session, message);
+        case 'queue_join':
+          return this.joinQueue(session, message);
+        case 'queue_leave':
+          return this.leaveQueue(session, message);
+        case 'resume':
+          return this.resumeSeat(session, message);
+        case 'spectate':
+          return this.spectate(session, message);
+        case 'deploy':
+          return this.handleDeploy(session, message);
+        case 'withdraw':
+          return this.handleWithdraw(session, message);
+        case 'auto_deploy':
+          return this.handleAutoDeploy(session, message);
+        case 'ready':
+          return this.handleReady(session, message);
+        case 'action':
+          return this.handleAction(session, message);
+        case 'leave':
+          this.matchmaking.leave(session);
+          this.stopSpectating(session);
+          return this.handleDeparture(session, true);
+      }
+    } catch (error) {
+      this.log(`Session ${session.id} ${message.type} failed: ${error.message}`);
+      this.sendError(session, ERROR_CODES.INVALID_ACTION, 'The server could not process that intent', message.requestId);
+    }
+  }
+
+  /**
+   * Open a room and seat the creator as player 1
+   * @param {Object} session - Creating session
+   * @param {Object} message - {name, mapSize, placementPattern, army, profileId, profileToken}
+   * @private
+   */
+  createRoom(session, message) {
+    if (!this.requireIdle(session, message)) return;
+
+    const roster = this.resolveRoster(session, message);
+    if (!roster) return;
+
+    const resolved = this.resolveProfile(session, message);
+    if (!resolved) return;
+
+    const room = this.openRoom(RANKED.MODES.FRIENDLY, message);
+    this.seatPlayer(room, session, message.name, roster, resolved.profile.id);
+
+    this.log(`Room ${room.code} opened by session ${session.id}`);
+    this.send(session, {
+      type: 'match_created',
+      requestId: message.requestId,
+      code: room.code,
+      playerId: session.playerId,
+      reconnectToken: room.seats[0].token,
+      settings: { ...room.settings },
+      profile: this.describeProfile(resolved.profile, resolved.token)
+    });
+  }
+
+  /**
+   * Register an empty room
+   * @param {string} mode - RANKED.MODES value; code rooms are friendly
+   * @param {Object} options - {mapSize, placementPattern}
+   * @returns {Object} Room
+   * @private
+   */
+  openRoom(mode, options) {
+    const room = {
+      code: this.generateCode(),
+      mode,
+      matchId: null,
+      status: 'WAITING', // WAITING, DEPLOYMENT, COMBAT, COMPLETED
+      settings: {
+        mapSize: NETWORK.MAP_SIZES[options.mapSize] ? options.mapSize : 'quick',
+        placementPattern: ARMY.DEPLOYMENT.PATTERNS[options.placementPattern] ?
+          options.placementPattern : ARMY.DEPLOYMENT.DEFAULT_PATTERN
+      },
+      seats: [],
+      turnTimer: null, // Fires when the current activation's clock runs out
+      xpEligible: false, // Set at deployment: ranked always, friendly only within the level window
+      resultRecorded: false,
+      archived: false,
+      startedAt: null, // When deployment began
+      statistics: null, // MatchStatistics, from deployment on
+      spectators: new Map(), // Session -> {view, playerId}
+      spectatorFrames: [], // Updates not yet old enough for spectators, oldest first
+      spectatorFrame: null, // Latest update spectators have been sent
+      spectatorTerrain: null // {revision, terrain} shared by frames while the terrain is unchanged
+    };
+    this.rooms.set(room.code, room);
+    return room;
+  }
+
+  /**
+   * Check that a session is neither seated nor queued
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent
+   * @returns {boolean} True if the session is free to start something new
+   * @private
+   */
+  requireIdle(session, message) {
+    if (session.spectating) {
+      this.sendError(session, ERROR_CODES.INVALID_ACTION, 'Stop spectating first', message.requestId);
+      return false;
+    }
+    if (session.room) {
+      this.sendError(session, ERROR_CODES.INVALID_ACTION, 'Leave your current match first', message.requestId);
+      return false;
+    }
+    if (this.matchmaking.isQueued(session)) {
+      this.sendError(session, ERROR_CODES.ALREADY_QUEUED, 'Leave the queue first', message.requestId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Put the sender in a matchmaking queue
+   * @param {Object} session - Sending session
+   * @param {Object} message - {mode, name, army, mapSize, placementPattern, profileId, profileToken}
+   * @private
+   */
+  joinQueue(session, message) {
+    if (!this.requireIdle(session, message)) return;
+
+    const roster = this.resolveRoster(session, message);
+    if (!roster) return;
+
+    const resolved = this.resolveProfile(session, message);
+    if (!resolved) return;
+    const { profile, token } = resolved;
+
+    const joined = this.matchmaking.join(session, {
+      mode: message.mode,
+      profile,
+      level: this.matchmaking.getArmyLevel(roster),
+      data: { name: message.name || profile.name, roster, options: message }
+    });
+    if (joined.error) {
+      this.sendError(session, joined.error.code, joined.error.message, message.requestId);
+      return;
+    }
+
+    this.log(`Session ${session.id} queued for ${message.mode}`);
+    this.send(session, {
+      type: 'queued',
+      requestId: message.requestId,
+      mode: message.mode,
+      profile: this.describeProfile(profile, token),
+      level: joined.entry.level
+    });
+    this.matchmaking.tick();
+  }
+
+  /**
+   * Take the sender out of its queue
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent
+   * @private
+   */
+  leaveQueue(session, message) {
+    const entry = this.matchmaking.leave(session);
+    if (!entry) {
+      this.sendError(session, ERROR_CODES.INVALID_ACTION, 'Not waiting in a queue', message.requestId);
+      return;
+    }
+    this.send(session, { type: 'queue_left', requestId: message.requestId, mode: entry.mode });
+  }
+
+  /**
+   * Find the matchmaking profile an intent speaks for (creating one for a new
+   * player) and remember it for the session; every seat has one, so match
+   * history can list a player's friendly matches as well as ranked ones
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent carrying {profileId, profileToken, name}
+   * @returns {Object|null} {profile, token}, or null after sending the error
+   * @private
+   */
+  resolveProfile(session, message) {
+    const { profile, token, error } = this.matchmaking.resolveProfile(message, session.profileId);
+    if (error) {
+      this.sendError(session, error.code, error.message, message.requestId);
+      return null;
+    }
+
+    session.profileId = profile.id;
+    return { profile, token };
+  }
+
+  /**
+   * Profile as its owner is sent it
+   * @param {Object} profile - Stored profile
+   * @param {string|null} token - Token of a profile created just now, for the client to keep
+   * @returns {Object} Public profile, with the token when there is one
+   * @private
+   */
+  describeProfile(profile, token) {
+    return { ...this.matchmaking.getPublicProfile(profile), token: token || undefined };
+  }
+
+  /**
+   * Seat two queued players in a new room and start deployment
+   * @param {string} mode - Queue mode
+   * @param {Object} entryA - Longer-waiting entry; its map settings are used
+   * @param {Object} entryB - Opponent entry
+   * @private
+   */
+  startQueuedMatch(mode, entryA, entryB) {
+    const room = this.openRoom(mode, entryA.data.options);
+    for (const entry of [entryA, entryB]) {
+      this.seatPlayer(room, entry.ticket, entry.data.name, entry.data.roster, entry.profileId);
+    }
+
+    this.log(`Room ${room.code} opened by ${mode} matchmaking`);
+    this.startDeployment(room);
+  }
+
+  /**
+   * Seat a second player and start deployment
+   * @param {Object} session - Joining session
+   * @param {Object} message - {code, name, army, profileId, profileToken}
+   * @private
+   */
+  joinRoom(session, message) {
+    if (!this.requireIdle(session, message)) return;
+
+    const room = this.rooms.get(String(message.code || '').toUpperCase());
+    if (!room) {
+      this.sendError(session, ERROR_CODES.ROOM_NOT_FOUND, 'No match with that code', message.requestId);
+      return;
+    }
+    if (room.seats.length >= PLAYER_IDS.length) {
+      this.sendError(session, ERROR_CODES.ROOM_FULL, 'That match already has two players', message.requestId);
+      return;
+    }
+
+    const roster = this.resolveRoster(session, message);
+    if (!roster) return;
+
+    const resolved = this.resolveProfile(session, message);
+    if (!resolved) return;
+
+    this.seatPlayer(room, session, message.name, roster, resolved.profile.id);
+    this.startDeployment(room, { [session.playerId]: resolved.token });
+  }
+
+  /**
+   * Give a session the next free seat in a room
+   * @param {Object} room - Room
+   * @param {Object} session - Session
+   * @param {string} name - Display name
+   * @param {Array} roster - Validated roster
+   * @param {string} profileId - Matchmaking profile
+   * @private
+   */
+  seatPlayer(room, session, name, roster, profileId) {
+    const playerId = PLAYER_IDS[room.seats.length];
+    room.seats.push({
+      playerId,
+      name: String(name || `Player ${playerId}`).slice(0, 20),
+      roster,
+      level: this.matchmaking.getArmyLevel(roster),
+      profileId,
+      session,
+      ready: false,
+      token: crypto.randomBytes(16).toString('hex'), // Reclaims the seat after a dropped connection
+      disconnectedAt: null,
+      reconnectTimer: null,
+      missedEvents: []
+    });
+    session.room = room;
+    session.playerId = playerId;
+  }
+
+  /**
+   * Take the roster from an intent (or the default one) and validate it with
+   * the same rules the engine applies
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent carrying an optional army array
+   * @returns {Array|null} Roster entries, or null after replying with the errors
+   * @private
+   */
+  resolveRoster(session, message) {
+    const source = Array.isArray(message.army) ? message.army : ARMY.DEFAULT_ROSTER;
+    const roster = source.map(unit => ({
+      class: unit.class,
+      name: String(unit.name || unit.class),
+      isLeader: !!unit.isLeader,
+      faction: unit.faction,
+      level: Math.min(PROGRESSION.MAX_LEVEL, Math.max(1, Math.floor(Number(unit.level)) || 1))
+    }));
+
+    const validation = this.system.validateArmy(roster.map((unit, i) => ({ ...unit, id: `roster_${i}` })));
+    if (!validation.valid) {
+      this.send(session, {
+        type: 'rejected',
+        requestId: message.requestId,
+        code: ERROR_CODES.INVALID_ARMY,
+        errors: validation.errors.map(error => error.message)
+      });
+      return null;
+    }
+    return roster;
+  }
+
+  /**
+   * Create the engine match once both seats are filled and send each player
+   * their opening view
+   * @param {Object} room - Full room
+   * @param {Object} profileTokens - Player ID -> token of a profile created for the seat just now
+   * @private
+   */
+  startDeployment(room, profileTokens = {}) {
+    const size = NETWORK.MAP_SIZES[room.settings.mapSize];
+    const units = room.seats.flatMap((seat, seatIndex) => seat.roster.map((unit, i) => ({
+      ...unit,
+      id: `${seat.playerId}_unit_${i + 1}`,
+      faction: unit.faction || FACTIONS.TYPES[seatIndex],
+      playerId: seat.playerId
+    })));
+
+    const match = this.system.createMatch({
+      matchId: `online_${room.code}_${Date.now()}`,
+      seed: crypto.randomInt(1, 0x7fffffff),
+      players: room.seats.map(seat => ({ id: seat.playerId, name: seat.name })),
+      mapWidth: size,
+      mapHeight: size,
+      units,
+      deploymentPattern: room.settings.placementPattern,
+      turnClock: this.turnClock
+    });
+
+    room.matchId = match.matchId;
+    room.status = 'DEPLOYMENT';
+    room.startedAt = Date.now();
+    room.statistics = new MatchStatistics(units);
+    // Whoever took the second seat challenges the player who was waiting in the first
+    room.xpEligible = room.mode === RANKED.MODES.RANKED ||
+      this.matchmaking.isWithinLevelWindow(room.seats[1].level, room.seats[0].level);
+    this.log(`Room ${room.code} deploying (${match.matchId})`);
+
+    for (const seat of room.seats) {
+      const profile = this.matchmaking.store.getProfile(seat.profileId);
+      this.send(seat.session, {
+        type: 'match_ready',
+        code: room.code,
+        mode: room.mode,
+        playerId: seat.playerId,
+        reconnectToken: seat.token,
+        profile: profile ? this.describeProfile(profile, profileTokens[seat.playerId]) : undefined,
+        room: this.describeRoom(room),
+        state: this.buildView(room, seat.playerId)
+      });
+    }
+  }
+
+  /**
+   * Place one of the sender's units
+   * @param {Object} session - Sending session
+   * @param {Object} message - {unitId, position: {x, y}}
+   * @private
+   */
+  handleDeploy(session, message) {
+    const seat = this.requireSeat(session, message, 'DEPLOYMENT');
+    if (!seat) return;
+
+    const position = message.position || {};
+    const result = this.system.deployUnit(session.room.matchId, {
+      playerId: seat.playerId,
+      unitId: message.unitId,
+      position: { x: Number(position.x), y: Number(position.y) }
+    });
+    this.publishResult(session, message, result);
+  }
+
+  /**
+   * Pick one of the sender's placed units back up
+   * @param {Object} session - Sending session
+   * @param {Object} message - {unitId}
+   * @private
+   */
+  handleWithdraw(session, message) {
+    const seat = this.requireSeat(session, message, 'DEPLOYMENT');
+    if (!seat) return;
+
+    const result = this.system.withdrawUnit(session.room.matchId, {
+      playerId: seat.playerId,
+      unitId: message.unitId
+    });
+    this.publishResult(session, message, result);
+  }
+
+  /**
+   * Place all of the sender's remaining units
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent
+   * @private
+   */
+  handleAutoDeploy(session, message) {
+    const seat = this.requireSeat(session, message, 'DEPLOYMENT');
+    if (!seat) return;
+
+    const result = this.system.autoDeploy(session.room.matchId, seat.playerId);
+    this.publishResult(session, message, result);
+  }
+
+  /**
+   * Lock in the sender's deployment; combat starts once every player is ready
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent
+   * @private
+   */
+  handleReady(session, message) {
+    const seat = this.requireSeat(session, message, 'DEPLOYMENT');
+    if (!seat) return;
+
+    const room = session.room;
+    const match = this.system.getMatch(room.matchId);
+    if (match.getUndeployedUnits(seat.playerId).length > 0) {
+      this.send(session, {
+        type: 'rejected',
+        requestId: message.requestId,
+        code: ERROR_CODES.DEPLOYMENT_INCOMPLETE,
+        errors: ['Place every unit before confirming']
+      });
+      return;
+    }
+
+    seat.ready = true;
+    if (!room.seats.every(other => other.ready)) {
+      this.broadcast(room, [], session, message.requestId);
+      return;
+    }
+
+    const result = this.system.startMatch(room.matchId);
+    if (result.success) {
+      room.status = 'COMBAT';
+      this.log(`Room ${room.code} in combat`);
+    }
+    this.publishResult(session, message, result);
+  }
+
+  /**
+   * Resolve a combat action for one of the sender's units
+   * @param {Object} session - Sending session
+   * @param {Object} message - {action: {type, actorId, targetId, targetPosition, abilityId}}
+   * @private
+   */
+  handleAction(session, message) {
+    const seat = this.requireSeat(session, message, 'COMBAT');
+    if (!seat) return;
+
+    // Only intent fields are forwarded; the acting player always comes from the seat
+    const action = message.action || {};
+    const result = this.system.submitAction(session.room.matchId, {
+      type: action.type,
+      actorId: action.actorId,
+      targetId: action.targetId,
+      targetPosition: action.targetPosition,
+      abilityId: action.abilityId,
+      avoidZoneOfControl: action.avoidZoneOfControl === true,
+      playerId: seat.playerId
+    });
+    this.publishResult(session, message, result);
+  }
+
+  /**
+   * Check that a session is seated in a room in the expected phase
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent
+   * @param {string} status - Required room status
+   * @returns {Object|null} Seat, or null after replying with the error
+   * @private
+   */
+  requireSeat(session, message, status) {
+    const room = session.room;
+    if (!room) {
+      this.sendError(session, ERROR_CODES.NOT_IN_MATCH, 'Create or join a match first', message.requestId);
+      return null;
+    }
+    if (room.status !== status) {
+      this.send(session, {
+        type: 'rejected',
+        requestId: message.requestId,
+        code: ERROR_CODES.INVALID_PHASE,
+        errors: [`Not allowed while the match is ${room.status}`]
+      });
+      return null;
+    }
+
+    const seat = room.seats.find(candidate => candidate.session === session);
+    if (status === 'DEPLOYMENT' && seat.ready) {
+      this.send(session, {
+        type: 'rejected',
+        requestId: message.requestId,
+        code: ERROR_CODES.INVALID_ACTION,
+        errors: ['Your deployment is already confirmed']
+      });
+      return null;
+    }
+    return seat;
+  }
+
+  /**
+   * Reply to an intent: rejected intents go back to the sender only; anything
+   * that changed the match is broadcast to the room
+   * @param {Object} session - Sending session
+   * @param {Object} message - Intent
+   * @param {ActionResult} result - Engine result
+   * @private
+   */
+  publishResult(session, message, result) {
+    const room = session.room;
+
+    if (!result.success) {
+      this.send(session, {
+        type: 'rejected',
+        requestId: message.requestId,
+        code: result.errorCode,
+        errors: [...result.errors]
+      });
+      // autoDeploy can place some units before running out of tiles
+      if (result.events.length === 0) return;
+    }
+
+    this.syncRoomStatus(room);
+    this.broadcast(room, result.events, session, message.requestId);
+    this.finishRoom(room);
+  }
+
+  /**
+   * Mark the room completed once its match is decided
+   * @param {Object} room - Room
+   * @private
+   */
+  syncRoomStatus(room) {
+    const match = this.system.getMatch(room.matchId);
+    if (match && match.phase === 'COMPLETED' && room.status !== 'COMPLETED') {
+      room.status = 'COMPLETED';
+      this.log(`Room ${room.code} finished: winner ${match.winner ?? 'none'} (${match.victoryCondition})`);
+    }
+  }
+
+  /**
+   * Settle a room whose match just ended
+   * @param {Object} room - Room
+   * @private
+   */
+  finishRoom(room) {
+    if (room.status !== 'COMPLETED') return;
+    this.recordRatedResult(room);
+    this.archiveMatch(room);
+  }
+
+  /**
+   * Rate a finished ranked match once and tell each connected player their new standing
+   * @param {Object} room - Room
+   * @private
+   */
+  recordRatedResult(room) {
+    if (room.status !== 'COMPLETED' || room.resultRecorded || room.mode !== RANKED.MODES.RANKED) return;
+    room.resultRecorded = true;
+
+    const match = this.system.getMatch(room.matchId);
+    const [seatA, seatB] = room.seats;
+    const scoreA = match.winner === seatA.playerId ? 1 : match.winner === seatB.playerId ? 0 : 0.5;
+    const updates = this.matchmaking.recordResult(room.mode, seatA.profileId, seatB.profileId, scoreA);
+    if (!updates) return;
+
+    for (const seat of room.seats) {
+      if (seat.session) {
+        this.send(seat.session, { type: 'rating_updated', mode: room.mode, profile: updates[seat.profileId] });
+      }
+    }
+  }
+
+  /**
+   * Store a finished match in the history once
+   * @param {Object} room - Completed room
+   * @private
+   */
+  archiveMatch(room) {
+    if (!this.history || room.archived) return;
+    room.archived = true;
+
+    const match = this.system.getMatch(room.matchId);
+    const resultFor = playerId => match.winner === playerId ? 'WIN' :
+      room.seats.some(seat => seat.playerId === match.winner) ? 'LOSS' : 'DRAW';
+    try {
+      this.history.recordMatch({
+        id: room.matchId,
+        code: room.code,
+        mode: room.mode,
+        mapSize: room.settings.mapSize,
+        placementPattern: room.settings.placementPattern,
+        startedAt: room.startedAt,
+        turns: match.turn,
+        winner: match.winner,
+        victoryCondition: match.victoryCondition,
+        players: room.seats.map(seat => ({
+          playerId: seat.playerId,
+          name: seat.name,
+          profileId: seat.profileId,
+          level: seat.level,
+          result: resultFor(seat.playerId),
+          stats: room.statistics.getPlayerStats(seat.playerId)
+        }))
+      }, this.system.getReplay(room.matchId));
+    } catch (error) {
+      // The players already have their result; a lost record must not take the room down
+      this.log(`Room ${room.code}: match could not be stored: ${error.message}`);
+    }
+  }
+
+  /**
+   * Arm the room's timer for the current activation's deadline
+   * @param {Object} room - Room
+   * @private
+   */
+  scheduleTurnTimeout(room) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+    if (room.status !== 'COMBAT') return;
+
+    // No deadline while the acting player is paused or the match is untimed
+    const clock = this.system.getTurnClock(room.matchId);
+    if (!clock || clock.deadline === null) return;
+
+    room.turnTimer = setTimeout(() => this.expireTurn(room), Math.max(0, clock.deadline - clock.serverTime));
+    room.turnTimer.unref();
+  }
+
+  /**
+   * End an activation whose clock ran out and tell the room
+   * @param {Object} room - Room in combat
+   * @private
+   */
+  expireTurn(room) {
+    room.turnTimer = null;
+    if (this.rooms.get(room.code) !== room) return;
+
+    const result = this.system.checkTurnTimeout(room.matchId);
+    if (!result) {
+      // The deadline moved since the timer was armed
+      this.scheduleTurnTimeout(room);
+      return;
+    }
+    if (!result.success) {
+      this.log(`Room ${room.code}: timed-out turn could not end: ${result.errors.join('; ')}`);
+      return;
+    }
+
+    this.log(`Room ${room.code}: turn clock ran out`);
+    this.syncRoomStatus(room);
+    this.broadcast(room, result.events, null, undefined);
+    this.finishRoom(room);
+  }
+
+  /**
+   * Send every seated player the latest events and their own view
+   * @param {Object} room - Room
+   * @param {Array} events - Events produced by the intent
+   * @param {Object} origin - Session whose intent caused the update
+   * @param {string} requestId - Origin's request ID
+   * @private
+   */
+  broadcast(room, events, origin, requestId) {
+    const summary = this.describeRoom(room);
+
+    for (const seat of room.seats) {
+      if (!seat.session) {
+        this.holdEvents(room, seat, events);
+        continue;
+      }
+      this.send(seat.session, {
+        type: 'state',
+        requestId: seat.session === origin ? requestId : undefined,
+        room: summary,
+        events: this.filterEvents(room.status, events, seat.playerId),
+        state: this.buildView(room, seat.playerId)
+      });
+    }
+
+    room.statistics.record(events);
+    this.captureSpectatorFrame(room, events);
+    this.scheduleTurnTimeout(room);
+  }
+
+  /**
+   * Keep events for a disconnected seat so resuming can replay them
+   * @param {Object} room - Room
+   * @param {Object} seat - Disconnected seat
+   * @param {Array} events - Events it missed
+   * @private
+   */
+  holdEvents(room, seat, events) {
+    if (seat.disconnectedAt === null) return;
+
+    seat.missedEvents.push(...this.filterEvents(room.status, events, seat.playerId));
+    if (seat.missedEvents.length > NETWORK.MAX_MISSED_EVENTS) {
+      seat.missedEvents.splice(0, seat.missedEvents.length - NETWORK.MAX_MISSED_EVENTS);
+    }
+  }
+
+  /**
+   * Public match state as one player may see it
+   * @param {Object} room - Room
+   * @param {number} playerId - Viewing player
+   * @returns {Object} getPublicState() plus the turn clock, with opponent placements hidden
+   *   during deployment
+   * @private
+   */
+  buildView(room, playerId) {
+    const state = this.system.getMatch(room.matchId).getPublicState();
+    state.clock = this.system.getTurnClock(room.matchId);
+    return state.phase === 'DEPLOYMENT' ? this.hidePlacements(state, playerId) : state;
+  }
+
+  /**
+   * Withhold the other army's deployment from a public state
+   * @param {Object} state - Public state in deployment
+   * @param {number} playerId - Viewing player
+   * @returns {Object} Copy with only the viewer's placements
+   * @private
+   */
+  hidePlacements(state, playerId) {
+    const own = new Set(state.players.find(player => player.id === playerId)?.units || []);
+    return {
+      ...state,
+      units: state.units.map(unit => own.has(unit.id) ? unit : { ...unit, position: null }),
+      deployment: state.deployment && {
+        ...state.deployment,
+        deployedUnits: state.deployment.deployedUnits.filter(unitId => own.has(unitId))
+      }
+    };
+  }
+
+  /**
+   * Drop events a player may not see yet
+   * @param {string} status - Room status when the events happened
+   * @param {Array} events - Events
+   * @param {number} playerId - Receiving player
+   * @returns {Array} Events for that player
+   * @private
+   */
+  filterEvents(status, events, playerId) {
+    if (status !== 'DEPLOYMENT') return events;
+    return events.filter(event => !DEPLOYMENT_EVENTS.includes(event.type) || event.playerId === playerId);
+  }
+
+  /**
+   * Start watching a room, or switch room or view
+   * @param {Object} session - Sending session
+   * @param {Object} message - {code, view, playerId}; playerId picks the team for a TEAM view
+   * @private
+   */
+  spectate(session, message) {
+    this.stopSpectating(session);
+    if (!this.requireIdle(session, message)) return;
+
+    const { VIEWS, MAX_PER_ROOM } = NETWORK.SPECTATE;
+    const view = message.view || VIEWS.CASTER;
+    const playerId = view === VIEWS.TEAM ? message.playerId : null;
+    if (!Object.values(VIEWS).includes(view) || (view === VIEWS.TEAM && !PLAYER_IDS.includes(playerId))) {
+      this.sendError(session, ERROR_CODES.BAD_MESSAGE, 'Spectate as CASTER, or as TEAM with a playerId', message.requestId);
+      return;
+    }
+
+    const room = this.rooms.get(String(message.code || '').toUpperCase());
+    if (!room) {
+      this.sendError(session, ERROR_CODES.ROOM_NOT_FOUND, 'No match with that code', message.requestId);
+      return;
+    }
+    if (room.status === 'WAITING') {
+      this.sendError(session, ERROR_CODES.INVALID_PHASE, 'That match has not started yet', message.requestId);
+      return;
+    }
+    if (room.spectators.size >= MAX_PER_ROOM) {
+      this.sendError(session, ERROR_CODES.ROOM_FULL, 'That match has no room for more spectators', message.requestId);
+      return;
+    }
+
+    const spectator = { view, playerId };
+    room.spectators.set(session, spectator);
+    session.spectating = room;
+
+    this.log(`Session ${session.id} spectating room ${room.code} (${view}${playerId ? ` ${playerId}` : ''})`);
+    const frame = room.spectatorFrame && this.buildSpectatorView(room.spectatorFrame, spectator);
+    this.send(session, {
+      type: 'spectating',
+      requestId: message.requestId,
+      code: room.code,
+      view,
+      playerId,
+      delayTurns: this.spectatorDelay,
+      room: this.describeRoom(room),
+      settings: { ...room.settings },
+      state: frame ? frame.state : null // Null until the first update is old enough to show
+    });
+  }
+
+  /**
+   * Stop watching, if the session is a spectator
+   * @param {Object} session - Session
+   * @private
+   */
+  stopSpectating(session) {
+    if (!session.spectating) return;
+
+    session.spectating.spectators.delete(session);
+    session.spectating = null;
+  }
+
+  /**
+   * Queue the room's latest update for spectators and send whatever is now old enough
+   * @param {Object} room - Room
+   * @param {Array} events - Events of the update
+   * @private
+   */
+  captureSpectatorFrame(room, events) {
+    const match = this.system.getMatch(room.matchId);
+    if (!match) return;
+
+    const state = match.getPublicState();
+    state.clock = null; // A clock from turns ago would only mislead
+
+    // Terrain changes rarely; frames share one copy until it does
+    if (room.spectatorTerrain && room.spectatorTerrain.revision === match.terrainRevision) {
+      state.terrain = room.spectatorTerrain.terrain;
+    } else {
+      room.spectatorTerrain = { revision: match.terrainRevision, terrain: state.terrain };
+    }
+
+    room.spectatorFrames.push({
+      turn: match.turn,
+      status: room.status,
+      events,
+      state,
+      visible: state.phase === 'DEPLOYMENT' ? null :
+        new Map(PLAYER_IDS.map(playerId => [playerId, this.system.getVisibleUnitIds(room.matchId, playerId)]))
+    });
+    this.releaseSpectatorFrames(room, match.turn);
+  }
+
+  /**
+   * Send spectators every queued update at least the delay behind the live
+   * turn; a finished match has nothing left to hide, so all of it goes out
+   * @param {Object} room - Room
+   * @param {number} liveTurn - Turn the match is on
+   * @private
+   */
+  releaseSpectatorFrames(room, liveTurn) {
+    const frames = room.spectatorFrames;
+    const finished = room.status === 'COMPLETED';
+
+    while (frames.length > 0 && (finished || liveTurn - frames[0].turn >= this.spectatorDelay)) {
+      const frame = frames.shift();
+      room.spectatorFrame = frame;
+
+      const summary = this.describeRoom(room);
+      for (const [session, spectator] of room.spectators) {
+        this.send(session, {
+          type: 'spectator_state',
+          room: summary,
+          liveTurn,
+          ...this.buildSpectatorView(frame, spectator)
+        });
+      }
+    }
+  }
+
+  /**
+   * One spectator's view of a queued update
+   * @param {Object} frame - Queued update
+   * @param {Object} spectator - {view, playerId}
+   * @returns {Object} {events, state}; a team view hides what that team cannot see
+   * @private
+   */
+  buildSpectatorView(frame, spectator) {
+    if (spectator.view === NETWORK.SPECTATE.VIEWS.CASTER) {
+      return { events: frame.events, state: frame.state };
+    }
+
+    const { playerId } = spectator;
+    const events = this.filterEvents(frame.status, frame.events, playerId);
+    if (!frame.visible) {
+      return { events, state: this.hidePlacements(frame.state, playerId) };
+    }
+
+    const visible = frame.visible.get(playerId);
+    const hide = unit => unit && !visible.has(unit.id) ? { ...unit, position: null } : unit;
+    return {
+      events: events.filter(event => {
+        const unitIds = EVENT_UNIT_FIELDS.map(field => event[field]).filter(Boolean);
+        return unitIds.length === 0 || unitIds.some(unitId => visible.has(unitId));
+      }),
+      state: { ...frame.state, units: frame.state.units.map(hide), currentUnit: hide(frame.state.currentUnit) }
+    };
+  }
+
+  /**
+   * Room summary sent with every update
+   * @param {Object} room - Room
+   * @returns {Object} {code, mode, status, xpEligible, spectators, players: [{playerId, name, ready, connected,
+   *   reconnectDeadline}]}
+   * @private
+   */
+  describeRoom(room) {
+    return {
+      code: room.code,
+      mode: room.mode,
+      status: room.status,
+      xpEligible: room.xpEligible,
+      spectators: room.spectators.size,
+      players: room.seats.map(seat => ({
+        playerId: seat.playerId,
+        name: seat.name,
+        ready: seat.ready,
+        connected: !!seat.session,
+        reconnectDeadline: seat.disconnectedAt !== null ? seat.disconnectedAt + this.reconnectWindow : null
+      }))
+    };
+  }
+
+  /**
+   * Remove a session from its room. A dropped connection in a running match
+   * holds the seat; leaving on purpose forfeits it. Rooms that are waiting or
+   * finished close and the opponent is told.
+   * @param {Object} session - Departing session
+   * @param {boolean} voluntary - True for a leave intent, false for a closed socket
+   * @private
+   */
+  handleDeparture(session, voluntary) {
+    const room = session.room;
+    if (!room) return;
+
+    session.room = null;
+    session.playerId = null;
+    const seat = room.seats.find(candidate => candidate.session === session);
+    if (!seat) return;
+    seat.session = null;
+
+    const inProgress = room.status === 'DEPLOYMENT' || room.status === 'COMBAT';
+    if (inProgress && !voluntary) {
+      this.holdSeat(room, seat);
+      return;
+    }
+    if (inProgress) {
+      this.forfeitSeat(room, seat, NETWORK.FORFEIT_REASONS.LEFT_MATCH);
+    }
+
+    for (const other of room.seats) {
+      if (other.session) {
+        this.send(other.session, { type: 'opponent_left', playerId: seat.playerId, room: this.describeRoom(room) });
+        other.session.room = null;
+        other.session.playerId = null;
+        other.session = null;
+      }
+    }
+
+    this.log(`Room ${room.code} closed: player ${seat.playerId} left`);
+    this.closeRoom(room);
+  }
+
+  /**
+   * Keep a dropped player's seat open for the reconnect window
+   * @param {Object} room - Room in progress
+   * @param {Object} seat - Seat that lost its connection
+   * @private
+   */
+  holdSeat(room, seat) {
+    seat.disconnectedAt = Date.now();
+    seat.missedEvents = [];
+    seat.reconnectTimer = setTimeout(() => this.expireSeat(room, seat), this.reconnectWindow);
+    seat.reconnectTimer.unref();
+
+    // Nobody can act for the missing player, so their time stops too
+    this.system.pauseTurnClock(room.matchId, seat.playerId);
+    this.scheduleTurnTimeout(room);
+
+    this.log(`Room ${room.code}: player ${seat.playerId} disconnected, holding the seat`);
+    const summary = this.describeRoom(room);
+    const clock = this.system.getTurnClock(room.matchId);
+    for (const other of room.seats) {
+      if (other.session) {
+        this.send(other.session, {
+          type: 'opponent_disconnected',
+          playerId: seat.playerId,
+          reconnectDeadline: seat.disconnectedAt + this.reconnectWindow,
+          room: summary,
+          clock
+        });
+      }
+    }
+  }
+
+  /**
+   * Forfeit a seat whose reconnect window ran out
+   * @param {Object} room - Room
+   * @param {Object} seat - Seat still disconnected
+   * @private
+   */
+  expireSeat(room, seat) {
+    seat.reconnectTimer = null;
+    if (seat.session || this.rooms.get(room.code) !== room) return;
+
+    this.log(`Room ${room.code}: player ${seat.playerId} did not reconnect in time`);
+    this.forfeitSeat(room, seat, NETWORK.FORFEIT_REASONS.RECONNECT_TIMEOUT);
+
+    // Nobody left to see the result
+    if (room.seats.every(other => !other.session)) {
+      this.closeRoom(room);
+    }
+  }
+
+  /**
+   * End a running match against one seat and tell everyone still connected
+   * @param {Object} room - Room in progress
+   * @param {Object} seat - Forfeiting seat
+   * @param {string} reason - NETWORK.FORFEIT_REASONS value
+   * @private
+   */
+  forfeitSeat(room, seat, reason) {
+    const result = this.system.forfeitMatch(room.matchId, { playerId: seat.playerId, reason });
+    if (!result.success) {
+      this.log(`Room ${room.code}: forfeit failed: ${result.errors.join('; ')}`);
+      return;
+    }
+
+    for (const other of room.seats) {
+      this.clearReconnectTimer(other);
+    }
+    room.status = 'COMPLETED';
+    this.log(`Room ${room.code} finished: player ${seat.playerId} forfeited (${reason})`);
+    this.broadcast(room, result.events, null, undefined);
+    this.finishRoom(room);
+  }
+
+  /**
+   * Put a reconnecting client back in its seat
+   * @param {Object} session - New session
+   * @param {Object} message - {code, token}
+   * @private
+   */
+  resumeSeat(session, message) {
+    if (session.room || session.spectating) {
+      this.sendError(session, ERROR_CODES.INVALID_ACTION, 'Leave your current match first', message.requestId);
+      return;
+    }
+
+    const room = this.rooms.get(String(message.code || '').toUpperCase());
+    const seat = room && typeof message.token === 'string' ?
+      room.seats.find(candidate => candidate.token === message.token) : null;
+    if (!seat) {
+      this.sendError(session, ERROR_CODES.RESUME_FAILED, 'That match seat is no longer available', message.requestId);
+      return;
+    }
+
+    // A newer connection takes over from one the server has not noticed is dead
+    if (seat.session) {
+      const stale = seat.session;
+      stale.room = null;
+      stale.playerId = null;
+      stale.socket.terminate();
+    }
+
+    const missedEvents = seat.missedEvents;
+    this.clearReconnectTimer(seat);
+    seat.session = session;
+    session.room = room;
+    session.playerId = seat.playerId;
+    if (seat.profileId) session.profileId = seat.profileId;
+
+    this.system.resumeTurnClock(room.matchId, seat.playerId);
+    this.scheduleTurnTimeout(room);
+
+    this.log(`Room ${room.code}: player ${seat.playerId} resumed on session ${session.id}`);
+    const summary = this.describeRoom(room);
+    const clock = this.system.getTurnClock(room.matchId);
+    this.send(session, {
+      type: 'resumed',
+      requestId: message.requestId,
+      code: room.code,
+      playerId: seat.playerId,
+      room: summary,
+      settings: { ...room.settings },
+      events: missedEvents,
+      state: this.buildView(room, seat.playerId)
+    });
+
+    for (const other of room.seats) {
+      if (other !== seat && other.session) {
+        this.send(other.session, { type: 'opponent_reconnected', playerId: seat.playerId, room: summary, clock });
+      }
+    }
+  }
+
+  /**
+   * Stop holding a seat
+   * @param {Object} seat - Seat
+   * @private
+   */
+  clearReconnectTimer(seat) {
+    clearTimeout(seat.reconnectTimer);
+    seat.reconnectTimer = null;
+    seat.disconnectedAt = null;
+    seat.missedEvents = [];
+  }
+
+  /**
+   * Forget a room and its engine match
+   * @param {Object} room - Room
+   * @private
+   */
+  closeRoom(room) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+    for (const seat of room.seats) {
+      this.clearReconnectTimer(seat);
+    }
+    for (const session of room.spectators.keys()) {
+      session.spectating = null;
+      this.send(session, { type: 'spectating_ended', code: room.code });
+    }
+    room.spectators.clear();
+    room.spectatorFrames = [];
+    if (room.matchId) {
+      this.system.removeMatch(room.matchId);
+    }
+    this.rooms.delete(room.code);
+  }
+
+  /**
+   * Generate an unused match code
+   * @returns {string} Code from NETWORK.MATCH_CODE_ALPHABET
+   * @private
+   */
+  generateCode() {
+    const alphabet = NETWORK.MATCH_CODE_ALPHABET;
+    let code;
+    do {
+      code = Array.from({ length: NETWORK.MATCH_CODE_LENGTH }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  /**
+   * Send a message if the socket is still open
+   * @param {Object} session - Target session
+   * @param {Object} message - Message object
+   * @private
+   */
+  send(session, message) {
+    if (session.socket.readyState === WebSocket.OPEN) {
+      session.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send a protocol error
+   * @param {Object} session - Target session
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {string} requestId - Request being answered
+   * @private
+   */
+  sendError(session, code, message, requestId) {
+    this.send(session, { type: 'error', requestId, code, message });
+  }
+
+  /**
+   * Log when enabled
+   * @param {string} message - Log line
+   * @private
+   */
+  log(message) {
+    if (this.enableLogging) {
+      console.log(`[match-server] ${message}`);
+    }
+  }
+}
+
+export default MatchServer;
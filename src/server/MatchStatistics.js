@@ -0,0 +1,131 @@
+/**
+ * Match Statistics for Tactica Arena
+ *
+ * Per-player totals for a networked match, tallied from the events the
+ * engine produces as the match is played:
+ * - Damage dealt and taken, healing done
+ * - Attacks, abilities used and moves
+ * - Units fielded and lost, and kills (credited to the owner of the unit that
+ *   dealt the incapacitating damage)
+ * - Activations the turn clock ended
+ *
+ * Units count for the player who brought them, even while charmed. Only
+ * public event fields are read, so the totals are safe to publish.
+ */
+
+/**
+ * Main Match Statistics class
+ */
+export class MatchStatistics {
+  /**
+   * Create statistics for a match
+   * @param {Array} units - Every unit in the match ({id, playerId})
+   */
+  constructor(units) {
+    this.owners = new Map(units.map(unit => [unit.id, unit.playerId])); // Unit ID -> owning player
+    this.lastDamageSource = new Map(); // Unit ID -> unit that last damaged it
+    this.players = new Map(); // Player ID -> totals
+
+    for (const unit of units) {
+      this.getTotals(unit.playerId).unitsFielded++;
+    }
+  }
+
+  /**
+   * Totals for a player, created on first use
+   * @param {number} playerId - Player ID
+   * @returns {Object} Mutable totals
+   * @private
+   */
+  getTotals(playerId) {
+    if (!this.players.has(playerId)) {
+      this.players.set(playerId, {
+        unitsFielded: 0,
+        unitsLost: 0,
+        kills: 0,
+        damageDealt: 0,
+        damageTaken: 0,
+        healingDone: 0,
+        attacks: 0,
+        abilitiesUsed: 0,
+        moves: 0,
+        turnsTimedOut: 0
+      });
+    }
+    return this.players.get(playerId);
+  }
+
+  /**
+   * Totals for the owner of a unit
+   * @param {string} unitId - Unit ID
+   * @returns {Object|null} Totals, or null for an unknown unit
+   * @private
+   */
+  getOwnerTotals(unitId) {
+    const owner = this.owners.get(unitId);
+    return owner === undefined ? null : this.getTotals(owner);
+  }
+
+  /**
+   * Add a batch of events to the totals
+   * @param {Array} events - Events in the order they happened
+   */
+  record(events) {
+    for (const event of events) {
+      switch (event.type) {
+        case 'damage': {
+          this.lastDamageSource.set(event.unitId, event.sourceId);
+          const dealer = this.getOwnerTotals(event.sourceId);
+          const taker = this.getOwnerTotals(event.unitId);
+          if (dealer) dealer.damageDealt += event.amount;
+          if (taker) taker.damageTaken += event.amount;
+          break;
+        }
+        case 'healed': {
+          const healer = this.getOwnerTotals(event.sourceId);
+          if (healer) healer.healingDone += event.amount;
+          break;
+        }
+        case 'unit_incapacitated': {
+          const loser = this.getOwnerTotals(event.unitId);
+          const killer = this.getOwnerTotals(this.lastDamageSource.get(event.unitId));
+          if (loser) loser.unitsLost++;
+          if (killer && killer !== loser) killer.kills++;
+          break;
+        }
+        case 'attack': {
+          const attacker = this.getOwnerTotals(event.attackerId);
+          if (attacker) attacker.attacks++;
+          break;
+        }
+        case 'ability_used': {
+          const caster = this.getOwnerTotals(event.unitId);
+          if (caster) caster.abilitiesUsed++;
+          break;
+        }
+        case 'unit_moved': {
+          const mover = this.getOwnerTotals(event.unitId);
+          if (mover) mover.moves++;
+          break;
+        }
+        case 'turn_timed_out':
+          this.getTotals(event.playerId).turnsTimedOut++;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Totals for one player
+   * @param {number} playerId - Player ID
+   * @returns {Object} {unitsFielded, unitsLost, kills, damageDealt, damageTaken, healingDone,
+   *   attacks, abilitiesUsed, moves, turnsTimedOut}
+   */
+  getPlayerStats(playerId) {
+    return { ...this.getTotals(playerId) };
+  }
+}
+
+export default MatchStatistics;
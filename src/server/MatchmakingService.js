@@ -0,0 +1,367 @@
+/**
+ * Matchmaking Service for Tactica Arena
+ *
+ * Pairs queued players for online matches and keeps their ranking:
+ * - One queue per mode (RANKED.MODES); ranked results move the hidden Elo
+ *   rating, friendly results never do
+ * - Ranked pairs must be within the level window (RANKED.LEVEL_WINDOW) by
+ *   army level: whoever joins later may challenge a waiting army up to that
+ *   many levels above their own, never one below it; and within a rating
+ *   range that widens the longer both wait
+ * - Visible tiers and the leaderboard are derived from the hidden rating,
+ *   which is never part of anything sent to a client
+ * - With a SeasonService, players are unranked until their placement games
+ *   are done, placements use the provisional K-factor, and the leaderboard
+ *   lists only placed players
+ *
+ * The service knows nothing about sockets: a queue entry carries an opaque
+ * ticket (the MatchServer session) and whatever data the caller needs to set
+ * up the match once onMatch fires.
+ */
+
+import { RANKED, VALIDATION } from '../combat/index.js';
+import { ProfileStore } from './ProfileStore.js';
+import { RatingSystem } from './RatingSystem.js';
+import { SeasonService } from './SeasonService.js';
+
+const { ERROR_CODES } = VALIDATION;
+
+/**
+ * Main Matchmaking Service class
+ */
+export class MatchmakingService {
+  /**
+   * Create matchmaking service
+   * @param {Object} config - Service configuration
+   * @param {ProfileStore} config.store - Profile store (default: in-memory)
+   * @param {RatingSystem} config.ratingSystem - Rating rules (default: RANKED.RATING)
+   * @param {SeasonService} config.seasons - Ranked seasons (omit for no seasons)
+   * @param {number} config.levelWindow - Allowed army level gap in ranked (default RANKED.LEVEL_WINDOW)
+   * @param {Function} config.now - Clock for queue wait times (default Date.now)
+   */
+  constructor(config = {}) {
+    this.store = config.store || new ProfileStore();
+    this.rating = config.ratingSystem || new RatingSystem();
+    this.seasons = config.seasons || null;
+    this.levelWindow = config.levelWindow !== undefined ? config.levelWindow : RANKED.LEVEL_WINDOW;
+    this.search = { ...RANKED.SEARCH, ...(config.search || {}) };
+    this.now = config.now || (() => Date.now());
+
+    this.queues = new Map(Object.values(RANKED.MODES).map(mode => [mode, []])); // Mode -> entries, oldest first
+    this.entries = new Map(); // Ticket -> entry
+    this.matchesMade = 0;
+    this.timer = null;
+
+    // Callbacks
+    this.onMatch = null; // (mode, entryA, entryB) once two entries are paired and dequeued
+  }
+
+  /**
+   * Re-check the queues periodically so search ranges can widen
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.search.INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic re-check
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Find the profile a queue request speaks for, creating one for new players
+   * @param {Object} request - {profileId, profileToken, name}
+   * @param {string|null} knownProfileId - Profile the caller already speaks for (a re-queue or a
+   *   resumed seat), used when the request names none so anonymous players are not stored again
+   * @returns {Object} {profile, token} (token only for a new profile) or {error}
+   */
+  resolveProfile(request = {}, knownProfileId = null) {
+    if (request.profileId === undefined || request.profileId === null) {
+      const known = knownProfileId ? this.store.getProfile(knownProfileId) : null;
+      if (!known) return this.store.createProfile(request.name);
+      return { profile: this.renameProfile(known, request.name), token: null };
+    }
+
+    const profile = this.store.authenticate(request.profileId, request.profileToken);
+    if (!profile) {
+      return { error: { code: ERROR_CODES.PROFILE_INVALID, message: 'Unknown profile or wrong profile token' } };
+    }
+
+    return { profile: this.renameProfile(profile, request.name), token: null };
+  }
+
+  /**
+   * Take a new display name for a profile, if one is given
+   * @param {Object} profile - Stored profile
+   * @param {string} name - Requested name
+   * @returns {Object} Profile as stored
+   * @private
+   */
+  renameProfile(profile, name) {
+    const trimmed = name ? String(name).slice(0, 20) : profile.name;
+    return trimmed === profile.name ? profile : this.store.updateProfile(profile.id, { name: trimmed });
+  }
+
+  /**
+   * Put a player in a queue
+   * @param {*} ticket - Caller's handle for the player (one queue entry per ticket)
+   * @param {Object} request - {mode, profile, level, data}
+   * @returns {Object} {entry} or {error}
+   */
+  join(ticket, request) {
+    const queue = this.queues.get(request.mode);
+    if (!queue) {
+      return { error: { code: ERROR_CODES.BAD_MESSAGE, message: `Unknown queue mode: ${request.mode}` } };
+    }
+    if (this.entries.has(ticket)) {
+      return { error: { code: ERROR_CODES.ALREADY_QUEUED, message: 'Already waiting in a queue' } };
+    }
+
+    const entry = {
+      ticket,
+      mode: request.mode,
+      profileId: request.profile.id,
+      name: request.profile.name,
+      rating: request.profile.rating,
+      level: request.level,
+      joinedAt: this.now(),
+      data: request.data
+    };
+    queue.push(entry);
+    this.entries.set(ticket, entry);
+    return { entry };
+  }
+
+  /**
+   * Take a player out of their queue
+   * @param {*} ticket - Ticket passed to join()
+   * @returns {Object|null} Removed entry
+   */
+  leave(ticket) {
+    const entry = this.entries.get(ticket);
+    if (!entry) return null;
+
+    this.entries.delete(ticket);
+    const queue = this.queues.get(entry.mode);
+    queue.splice(queue.indexOf(entry), 1);
+    return entry;
+  }
+
+  /**
+   * Whether a ticket is queued
+   * @param {*} ticket - Ticket
+   * @returns {boolean} True while waiting
+   */
+  isQueued(ticket) {
+    return this.entries.has(ticket);
+  }
+
+  /**
+   * Level an army is matched at: its highest unit level, so one maxed unit
+   * cannot hide behind a low-level roster
+   * @param {Array} roster - Units ({level})
+   * @returns {number} Army level
+   */
+  getArmyLevel(roster) {
+    return roster.reduce((highest, unit) => Math.max(highest, unit.level || 1), 1);
+  }
+
+  /**
+   * Whether a challenger may take on an opponent: up to the level window
+   * above their own army level, never below it (no downward stomps)
+   * @param {number} challengerLevel - Army level of the player taking the match
+   * @param {number} opponentLevel - Army level of the player already waiting
+   * @returns {boolean} True within the level window
+   */
+  isWithinLevelWindow(challengerLevel, opponentLevel) {
+    const gap = opponentLevel - challengerLevel;
+    return gap >= 0 && gap <= this.levelWindow;
+  }
+
+  /**
+   * Rating range an entry accepts after waiting
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Current time
+   * @returns {number} Largest accepted rating gap
+   */
+  getSearchRange(entry, now) {
+    const waited = Math.max(0, now - entry.joinedAt) / 1000;
+    return Math.min(this.search.MAX_RANGE, this.search.BASE_RANGE + waited * this.search.RANGE_PER_SECOND);
+  }
+
+  /**
+   * Whether two entries may be paired
+   * @param {Object} a - Queue entry waiting longer
+   * @param {Object} b - Queue entry that joined later, and so challenges a
+   * @param {number} now - Current time
+   * @returns {boolean} True if they can play each other
+   * @private
+   */
+  canPair(a, b, now) {
+    if (a.profileId === b.profileId) return false;
+    if (a.mode !== RANKED.MODES.RANKED) return true;
+
+    const range = Math.min(this.getSearchRange(a, now), this.getSearchRange(b, now));
+    return this.isWithinLevelWindow(b.level, a.level) && Math.abs(a.rating - b.rating) <= range;
+  }
+
+  /**
+   * Pair everyone who can be paired, longest-waiting first
+   * @returns {number} Matches made
+   */
+  tick() {
+    const now = this.now();
+    let made = 0;
+
+    for (const [mode, queue] of this.queues) {
+      for (let i = 0; i < queue.length; i++) {
+        const a = queue[i];
+        const b = queue.slice(i + 1).find(candidate => this.canPair(a, candidate, now));
+        if (!b) continue;
+
+        this.leave(a.ticket);
+        this.leave(b.ticket);
+        i--; // a's slot now holds the next entry
+        made++;
+        this.matchesMade++;
+        if (this.onMatch) this.onMatch(mode, a, b);
+      }
+    }
+
+    return made;
+  }
+
+  /**
+   * Apply a finished match to both profiles
+   * @param {string} mode - Queue mode the match came from
+   * @param {string} profileIdA - First player's profile
+   * @param {string} profileIdB - Second player's profile
+   * @param {number} scoreA - 1 if A won, 0.5 for a draw, 0 if A lost
+   * @returns {Object|null} Profile ID -> {previousTier, ...public profile}, or null for unrated modes
+   */
+  recordResult(mode, profileIdA, profileIdB, scoreA) {
+    const a = this.store.getProfile(profileIdA);
+    const b = this.store.getProfile(profileIdB);
+    if (mode !== RANKED.MODES.RANKED || !a || !b) return null;
+
+    const previousTiers = { [a.id]: this.getPublicProfile(a).tier, [b.id]: this.getPublicProfile(b).tier };
+    const { ratingA, ratingB } = this.rating.rate(this.getRatingInput(a), this.getRatingInput(b), scoreA);
+    const record = (profile, rating, score) => this.store.updateProfile(profile.id, {
+      rating,
+      games: profile.games + 1,
+      wins: profile.wins + (score === 1 ? 1 : 0),
+      losses: profile.losses + (score === 0 ? 1 : 0),
+      draws: profile.draws + (score === 0.5 ? 1 : 0)
+    });
+    record(a, ratingA, scoreA);
+    record(b, ratingB, 1 - scoreA);
+    if (this.seasons) {
+      this.seasons.recordGame(a.id, scoreA, ratingA);
+      this.seasons.recordGame(b.id, 1 - scoreA, ratingB);
+    }
+
+    return {
+      [a.id]: { previousTier: previousTiers[a.id], ...this.getPublicProfile(a) },
+      [b.id]: { previousTier: previousTiers[b.id], ...this.getPublicProfile(b) }
+    };
+  }
+
+  /**
+   * What the rating system sees of a player; placement games are rated as
+   * provisional so a soft-reset rating can move quickly
+   * @param {Object} profile - Stored profile
+   * @returns {Object} {rating, games}
+   * @private
+   */
+  getRatingInput(profile) {
+    const placing = this.seasons && this.seasons.isInPlacement(profile.id);
+    return { rating: profile.rating, games: placing ? 0 : profile.games };
+  }
+
+  /**
+   * Whether a player shows on the leaderboard and has a visible tier
+   * @param {Object} profile - Stored profile
+   * @returns {boolean} True once rated (and placed, with seasons)
+   * @private
+   */
+  isPlaced(profile) {
+    if (profile.games === 0) return false;
+    return !this.seasons || !this.seasons.isInPlacement(profile.id);
+  }
+
+  /**
+   * Profile as anyone may see it (tier, not rating)
+   * @param {Object} profile - Stored profile
+   * @returns {Object} {id, name, tier, tierName, games, wins, losses, draws, season?}
+   */
+  getPublicProfile(profile) {
+    const tier = !this.seasons || this.isPlaced(profile) ? this.rating.getTier(profile.rating) : null;
+    const result = {
+      id: profile.id,
+      name: profile.name,
+      tier: tier ? tier.id : null,
+      tierName: tier ? tier.name : 'Unranked',
+      games: profile.games,
+      wins: profile.wins,
+      losses: profile.losses,
+      draws: profile.draws
+    };
+
+    if (this.seasons) {
+      result.season = this.seasons.getStanding(profile.id);
+    }
+    return result;
+  }
+
+  /**
+   * Queue sizes and waits
+   * @returns {Object} {queues: [{mode, waiting, longestWaitMs, averageWaitMs}], matchesMade}
+   */
+  getQueueStatus() {
+    const now = this.now();
+    return {
+      queues: Array.from(this.queues, ([mode, queue]) => {
+        const waits = queue.map(entry => now - entry.joinedAt);
+        return {
+          mode,
+          waiting: queue.length,
+          longestWaitMs: waits.length > 0 ? Math.max(...waits) : 0,
+          averageWaitMs: waits.length > 0 ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : 0
+        };
+      }),
+      matchesMade: this.matchesMade
+    };
+  }
+
+  /**
+   * Rated (and, with seasons, placed) players by hidden rating
+   * @param {Object} options - {offset, limit}
+   * @returns {Object} {total, offset, limit, entries: [{rank, ...public profile}]}
+   */
+  getLeaderboard(options = {}) {
+    const offset = Math.max(0, Math.floor(Number(options.offset)) || 0);
+    const limit = Math.min(RANKED.LEADERBOARD.MAX_LIMIT,
+      Math.max(1, Math.floor(Number(options.limit)) || RANKED.LEADERBOARD.DEFAULT_LIMIT));
+
+    const ranked = this.store.getAllProfiles()
+      .filter(profile => this.isPlaced(profile))
+      .sort((a, b) => b.rating - a.rating || b.wins - a.wins || a.createdAt - b.createdAt);
+
+    return {
+      total: ranked.length,
+      offset,
+      limit,
+      entries: ranked.slice(offset, offset + limit).map((profile, index) => ({
+        rank: offset + index + 1,
+        ...this.getPublicProfile(profile)
+      }))
+    };
+  }
+}
+
+export default MatchmakingService;
@@ -0,0 +1,164 @@
+/**
+ * Profile Store for Tactica Arena
+ *
+ * Player profiles for matchmaking, kept in memory and persisted to a local
+ * JSON file when one is configured:
+ * - A profile is created on a player's first queue and identified by an ID
+ *   plus a secret token the client keeps; only a hash of the token is stored
+ * - Holds the hidden rating and the rated game record
+ * - Without a file the store is in-memory only (tests, throwaway servers)
+ */
+
+import crypto from 'crypto';
+import { RANKED } from '../combat/index.js';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Hash a profile token for storage
+ * @param {string} token - Client token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Main Profile Store class
+ */
+export class ProfileStore {
+  /**
+   * Create profile store
+   * @param {Object} config - Store configuration
+   * @param {string} config.file - JSON file to load from and save to (omit for in-memory)
+   * @param {Function} config.now - Clock for timestamps (default Date.now)
+   */
+  constructor(config = {}) {
+    this.file = config.file || null;
+    this.now = config.now || (() => Date.now());
+    this.profiles = new Map(); // Profile ID -> profile
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load profiles from the file, if it exists
+   * @private
+   */
+  load() {
+    const data = readJsonFile(this.file, null);
+    if (!data) return;
+    if (data.version > STORE_VERSION) {
+      throw new Error(`${this.file} has store version ${data.version}; this server supports ${STORE_VERSION}`);
+    }
+
+    for (const profile of data.profiles || []) {
+      this.profiles.set(profile.id, profile);
+    }
+  }
+
+  /**
+   * Write every profile to the file
+   */
+  save() {
+    if (!this.file) return;
+    writeJsonFile(this.file, { version: STORE_VERSION, profiles: Array.from(this.profiles.values()) });
+  }
+
+  /**
+   * Create a profile with a fresh token
+   * @param {string} name - Display name
+   * @returns {Object} {profile, token}; the token is not kept and must go back to the client
+   */
+  createProfile(name) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const now = this.now();
+    const profile = {
+      id: crypto.randomUUID(),
+      tokenHash: hashToken(token),
+      name: String(name || 'Player').slice(0, 20),
+      rating: RANKED.RATING.INITIAL,
+      games: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.profiles.set(profile.id, profile);
+    this.save();
+    return { profile, token };
+  }
+
+  /**
+   * Find a profile by ID and token
+   * @param {string} id - Profile ID
+   * @param {string} token - Profile token
+   * @returns {Object|null} Profile, or null if either is wrong
+   */
+  authenticate(id, token) {
+    const profile = typeof id === 'string' ? this.profiles.get(id) : null;
+    if (!profile || typeof token !== 'string') return null;
+
+    const expected = Buffer.from(profile.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? profile : null;
+  }
+
+  /**
+   * Get a profile
+   * @param {string} id - Profile ID
+   * @returns {Object|null} Profile
+   */
+  getProfile(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  /**
+   * Change profile fields and save
+   * @param {string} id - Profile ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object|null} Updated profile
+   */
+  updateProfile(id, changes) {
+    const profile = this.profiles.get(id);
+    if (!profile) return null;
+
+    Object.assign(profile, changes, { updatedAt: this.now() });
+    this.save();
+    return profile;
+  }
+
+  /**
+   * Change many profiles and save once
+   * @param {Array} updates - [[id, changes], ...]
+   * @returns {number} Profiles updated
+   */
+  updateProfiles(updates) {
+    const now = this.now();
+    let updated = 0;
+    for (const [id, changes] of updates) {
+      const profile = this.profiles.get(id);
+      if (!profile) continue;
+      Object.assign(profile, changes, { updatedAt: now });
+      updated++;
+    }
+
+    this.save();
+    return updated;
+  }
+
+  /**
+   * Every profile
+   * @returns {Array} Profiles in creation order
+   */
+  getAllProfiles() {
+    return Array.from(this.profiles.values());
+  }
+}
+
+export default ProfileStore;
@@ -0,0 +1,80 @@
+/**
+ * Rating System for Tactica Arena Ranked Play
+ *
+ * Hidden Elo rating behind the visible tiers:
+ * - Expected score from the rating gap (RANKED.RATING.SCALE)
+ * - Larger K-factor for provisional players so new accounts settle quickly
+ * - Tier lookup from RANKED.TIERS; the rating itself never leaves the server
+ */
+
+import { RANKED } from '../combat/index.js';
+
+/**
+ * Main Rating System class
+ */
+export class RatingSystem {
+  /**
+   * Create rating system
+   * @param {Object} config - Overrides for RANKED.RATING values
+   */
+  constructor(config = {}) {
+    const defaults = RANKED.RATING;
+    this.initialRating = config.initialRating !== undefined ? config.initialRating : defaults.INITIAL;
+    this.scale = config.scale || defaults.SCALE;
+    this.kFactor = config.kFactor || defaults.K_FACTOR;
+    this.provisionalKFactor = config.provisionalKFactor || defaults.PROVISIONAL_K_FACTOR;
+    this.provisionalGames = config.provisionalGames !== undefined ? config.provisionalGames : defaults.PROVISIONAL_GAMES;
+    this.tiers = config.tiers || RANKED.TIERS;
+  }
+
+  /**
+   * Expected score of player A against player B
+   * @param {number} ratingA - Player A rating
+   * @param {number} ratingB - Player B rating
+   * @returns {number} Expected score in [0, 1]
+   */
+  expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / this.scale));
+  }
+
+  /**
+   * K-factor for a player
+   * @param {number} gamesPlayed - Rated games completed before this one
+   * @returns {number} K-factor
+   */
+  getKFactor(gamesPlayed) {
+    return gamesPlayed < this.provisionalGames ? this.provisionalKFactor : this.kFactor;
+  }
+
+  /**
+   * Rate one finished game
+   * @param {Object} playerA - {rating, games}
+   * @param {Object} playerB - {rating, games}
+   * @param {number} scoreA - 1 if A won, 0.5 for a draw, 0 if A lost
+   * @returns {Object} {ratingA, ratingB} rounded to whole points
+   */
+  rate(playerA, playerB, scoreA) {
+    const expectedA = this.expectedScore(playerA.rating, playerB.rating);
+    const scoreB = 1 - scoreA;
+
+    return {
+      ratingA: Math.round(playerA.rating + this.getKFactor(playerA.games) * (scoreA - expectedA)),
+      ratingB: Math.round(playerB.rating + this.getKFactor(playerB.games) * (scoreB - (1 - expectedA)))
+    };
+  }
+
+  /**
+   * Visible tier for a rating
+   * @param {number} rating - Hidden rating
+   * @returns {Object} Tier {id, name, minRating}
+   */
+  getTier(rating) {
+    let tier = this.tiers[0];
+    for (const candidate of this.tiers) {
+      if (rating >= candidate.minRating) tier = candidate;
+    }
+    return tier;
+  }
+}
+
+export default RatingSystem;
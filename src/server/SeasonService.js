@@ -0,0 +1,270 @@
+/**
+ * Season Service for Tactica Arena Ranked Play
+ *
+ * Ten-week ranked seasons (RANKED.SEASON):
+ * - Each season has a start and a scheduled end; the first one starts when
+ *   the service is first created
+ * - Players play placement matches at the start of every season and show no
+ *   tier until they are done
+ * - The highest tier a player reaches after placements is tracked per season
+ * - Rolling a season grants the cosmetic rewards for each player's peak tier,
+ *   softly pulls every rating back toward the initial rating and starts the
+ *   next season
+ *
+ * State persists to a local JSON file when one is configured. All time comes
+ * from the injectable clock, so rollovers can be tested without waiting.
+ */
+
+import { RANKED } from '../combat/index.js';
+import { ProfileStore } from './ProfileStore.js';
+import { RatingSystem } from './RatingSystem.js';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Main Season Service class
+ */
+export class SeasonService {
+  /**
+   * Create season service
+   * @param {Object} config - Service configuration
+   * @param {ProfileStore} config.store - Profiles whose ratings are reset at rollover
+   * @param {RatingSystem} config.ratingSystem - Tier rules (default: RANKED)
+   * @param {string} config.file - JSON file to load from and save to (omit for in-memory)
+   * @param {Function} config.now - Clock (default Date.now)
+   * @param {number} config.seasonLength - Season length in ms (default RANKED.SEASON.LENGTH_MS)
+   * @param {number} config.placementGames - Placement matches per season (default RANKED.SEASON.PLACEMENT_GAMES)
+   * @param {number} config.softResetFactor - Share of the distance to the initial rating removed at rollover
+   */
+  constructor(config = {}) {
+    this.store = config.store || new ProfileStore();
+    this.rating = config.ratingSystem || new RatingSystem();
+    this.file = config.file || null;
+    this.now = config.now || (() => Date.now());
+    this.seasonLength = config.seasonLength || RANKED.SEASON.LENGTH_MS;
+    this.placementGames = config.placementGames !== undefined ? config.placementGames : RANKED.SEASON.PLACEMENT_GAMES;
+    this.softResetFactor = config.softResetFactor !== undefined ? config.softResetFactor : RANKED.SEASON.SOFT_RESET_FACTOR;
+
+    this.current = null; // {id, number, name, startsAt, endsAt}
+    this.history = []; // Ended seasons, oldest first
+    this.records = new Map(); // Profile ID -> record for the current season
+    this.rewards = new Map(); // Profile ID -> [{seasonId, tier, items, grantedAt}]
+    this.timer = null;
+
+    if (this.file) {
+      this.load();
+    }
+    if (!this.current) {
+      this.startSeason(1);
+      this.save();
+    }
+  }
+
+  /**
+   * Load season state from the file, if it exists
+   * @private
+   */
+  load() {
+    const data = readJsonFile(this.file, null);
+    if (!data) return;
+    if (data.version > STORE_VERSION) {
+      throw new Error(`${this.file} has store version ${data.version}; this server supports ${STORE_VERSION}`);
+    }
+
+    this.current = data.current || null;
+    this.history = data.history || [];
+    this.records = new Map(Object.entries(data.records || {}));
+    this.rewards = new Map(Object.entries(data.rewards || {}));
+  }
+
+  /**
+   * Write season state to the file
+   */
+  save() {
+    if (!this.file) return;
+    writeJsonFile(this.file, {
+      version: STORE_VERSION,
+      current: this.current,
+      history: this.history,
+      records: Object.fromEntries(this.records),
+      rewards: Object.fromEntries(this.rewards)
+    });
+  }
+
+  /**
+   * Check for seasons past their end periodically
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.rollIfDue(), RANKED.SEASON.ROLLOVER_CHECK_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the rollover check
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Begin a season now
+   * @param {number} number - Season number
+   * @private
+   */
+  startSeason(number) {
+    const startsAt = this.now();
+    this.current = {
+      id: `season_${number}`,
+      number,
+      name: `Season ${number}`,
+      startsAt,
+      endsAt: startsAt + this.seasonLength
+    };
+    this.records = new Map();
+  }
+
+  /**
+   * The running season
+   * @returns {Object} {id, number, name, startsAt, endsAt, remainingMs}
+   */
+  getCurrentSeason() {
+    return { ...this.current, remainingMs: Math.max(0, this.current.endsAt - this.now()) };
+  }
+
+  /**
+   * Ended seasons, newest first
+   * @returns {Array} Season summaries
+   */
+  getHistory() {
+    return [...this.history].reverse();
+  }
+
+  /**
+   * A player's record for the current season
+   * @param {string} profileId - Profile ID
+   * @returns {Object} {games, wins, losses, draws, peakRating, peakTier}
+   */
+  getRecord(profileId) {
+    return this.records.get(profileId) ||
+      { games: 0, wins: 0, losses: 0, draws: 0, peakRating: null, peakTier: null };
+  }
+
+  /**
+   * Placement matches a player still has to play this season
+   * @param {string} profileId - Profile ID
+   * @returns {number} Games left (0 once placed)
+   */
+  getPlacementGamesLeft(profileId) {
+    return Math.max(0, this.placementGames - this.getRecord(profileId).games);
+  }
+
+  /**
+   * Whether a player is still in placements
+   * @param {string} profileId - Profile ID
+   * @returns {boolean} True until the placement games are played
+   */
+  isInPlacement(profileId) {
+    return this.getPlacementGamesLeft(profileId) > 0;
+  }
+
+  /**
+   * Count a rated game toward the season
+   * @param {string} profileId - Profile ID
+   * @param {number} score - 1 win, 0.5 draw, 0 loss
+   * @param {number} rating - Rating after the game
+   * @returns {Object} Updated record
+   */
+  recordGame(profileId, score, rating) {
+    const record = { ...this.getRecord(profileId) };
+    record.games++;
+    if (score === 1) record.wins++;
+    else if (score === 0) record.losses++;
+    else record.draws++;
+
+    // Peaks only count once placements are over
+    if (record.games >= this.placementGames && (record.peakRating === null || rating > record.peakRating)) {
+      record.peakRating = rating;
+      record.peakTier = this.rating.getTier(rating).id;
+    }
+
+    this.records.set(profileId, record);
+    this.save();
+    return record;
+  }
+
+  /**
+   * Season standing as anyone may see it
+   * @param {string} profileId - Profile ID
+   * @returns {Object} {id, name, endsAt, games, placementGamesLeft, peakTier}
+   */
+  getStanding(profileId) {
+    const record = this.getRecord(profileId);
+    return {
+      id: this.current.id,
+      name: this.current.name,
+      endsAt: this.current.endsAt,
+      games: record.games,
+      placementGamesLeft: this.getPlacementGamesLeft(profileId),
+      peakTier: record.peakTier
+    };
+  }
+
+  /**
+   * Rewards a player has been granted
+   * @param {string} profileId - Profile ID
+   * @returns {Array} [{seasonId, tier, items, grantedAt}], oldest first
+   */
+  getRewards(profileId) {
+    return [...(this.rewards.get(profileId) || [])];
+  }
+
+  /**
+   * Roll the season if its end has passed
+   * @returns {Object|null} Rollover summary, or null if the season is still running
+   */
+  rollIfDue() {
+    return this.now() >= this.current.endsAt ? this.rollSeason() : null;
+  }
+
+  /**
+   * End the current season: grant peak-tier rewards, soft-reset every rating
+   * and start the next season
+   * @returns {Object} {ended, started, rewardsGranted, ratingsReset}
+   */
+  rollSeason() {
+    const now = this.now();
+    const ended = { ...this.current, endedAt: now, players: this.records.size, rewardsGranted: 0 };
+
+    for (const [profileId, record] of this.records) {
+      if (!record.peakTier) continue;
+
+      const grants = this.rewards.get(profileId) || [];
+      grants.push({
+        seasonId: ended.id,
+        tier: record.peakTier,
+        items: [...(RANKED.SEASON.REWARDS[record.peakTier] || [])],
+        grantedAt: now
+      });
+      this.rewards.set(profileId, grants);
+      ended.rewardsGranted++;
+    }
+
+    const target = this.rating.initialRating;
+    const ratingsReset = this.store.updateProfiles(this.store.getAllProfiles()
+      .filter(profile => profile.games > 0)
+      .map(profile => [profile.id, {
+        rating: Math.round(target + (profile.rating - target) * (1 - this.softResetFactor))
+      }]));
+
+    this.history.push(ended);
+    this.startSeason(ended.number + 1);
+    this.save();
+
+    return { ended, started: this.getCurrentSeason(), rewardsGranted: ended.rewardsGranted, ratingsReset };
+  }
+}
+
+export default SeasonService;
@@ -0,0 +1,166 @@
+/**
+ * REST API Routes for Tactica Arena
+ *
+ * HTTP views of the match server's lobby:
+ * - GET /api/matchmaking/queues    - queue sizes and waits per mode
+ * - GET /api/live-matches          - matches in progress, with the codes to spectate them
+ * - GET /api/leaderboard           - placed players by tier (?offset=&limit=)
+ * - GET /api/profiles/:id          - one player's public profile and season rewards
+ * - GET /api/seasons/current       - the running ranked season
+ * - GET /api/seasons               - ended seasons, newest first
+ * - POST /api/admin/seasons/roll   - end the season now (admin token required)
+ * - GET /api/matches               - finished matches, newest first
+ * - GET /api/matches/:id           - one finished match with each player's statistics
+ * - GET /api/matches/:id/replay    - a finished match played back (?offset=&limit= in inputs)
+ * - GET /api/players/:id/matches   - finished matches a profile played in, friendly or ranked
+ *
+ * Match lists page with ?offset=&limit= and filter with ?mode=&mapSize=&from=&to=,
+ * where from and to bound the end time as an ISO date or epoch milliseconds.
+ *
+ * Responses never include hidden ratings, profile tokens or hidden ability
+ * scores; replays are served as the public events they produce. Admin routes take
+ * `Authorization: Bearer <admin token>` and are refused outright when no admin
+ * token is configured.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+
+/**
+ * Whether a request carries the admin token
+ * @param {express.Request} req - Request
+ * @param {string} adminToken - Configured token
+ * @returns {boolean} True if the bearer token matches
+ */
+function isAdmin(req, adminToken) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!match) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(adminToken));
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - ISO date or epoch milliseconds
+ * @returns {number|undefined} Epoch milliseconds (NaN if unparseable), undefined when absent
+ */
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Build the API router
+ * @param {MatchServer} matchServer - Server whose matchmaking service and match history are exposed
+ * @param {Object} options - Router options
+ * @param {string} options.adminToken - Bearer token for admin routes (omit to disable them)
+ * @returns {express.Router} Router to mount at the app root
+ */
+export function createApiRouter(matchServer, options = {}) {
+  const router = express.Router();
+  const matchmaking = matchServer.matchmaking;
+  const seasons = matchmaking.seasons;
+  const history = matchServer.history;
+  const adminToken = options.adminToken || null;
+
+  const requireAdmin = (req, res, next) => {
+    if (!adminToken) {
+      res.status(403).json({ error: 'Admin API is disabled' });
+      return;
+    }
+    if (!isAdmin(req, adminToken)) {
+      res.status(401).json({ error: 'Admin token required' });
+      return;
+    }
+    next();
+  };
+
+  router.get('/api/matchmaking/queues', (req, res) => {
+    res.json(matchmaking.getQueueStatus());
+  });
+
+  router.get('/api/live-matches', (req, res) => {
+    res.json({ matches: matchServer.getLiveMatches() });
+  });
+
+  router.get('/api/leaderboard', (req, res) => {
+    res.json(matchmaking.getLeaderboard({ offset: req.query.offset, limit: req.query.limit }));
+  });
+
+  router.get('/api/profiles/:id', (req, res) => {
+    const profile = matchmaking.store.getProfile(req.params.id);
+    if (!profile) {
+      res.status(404).json({ error: 'Profile not found' });
+      return;
+    }
+    res.json({
+      ...matchmaking.getPublicProfile(profile),
+      rewards: seasons ? seasons.getRewards(profile.id) : []
+    });
+  });
+
+  if (seasons) {
+    router.get('/api/seasons/current', (req, res) => {
+      res.json(seasons.getCurrentSeason());
+    });
+
+    router.get('/api/seasons', (req, res) => {
+      res.json({ current: seasons.getCurrentSeason(), history: seasons.getHistory() });
+    });
+
+    router.post('/api/admin/seasons/roll', requireAdmin, (req, res) => {
+      res.json(seasons.rollSeason());
+    });
+  }
+
+  if (history) {
+    const listMatches = (req, res, filters) => {
+      const from = parseTime(req.query.from);
+      const to = parseTime(req.query.to);
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+        return;
+      }
+      res.json(history.listMatches({
+        ...filters,
+        mode: req.query.mode,
+        mapSize: req.query.mapSize,
+        from,
+        to,
+        offset: req.query.offset,
+        limit: req.query.limit
+      }));
+    };
+
+    router.get('/api/matches', (req, res) => {
+      listMatches(req, res, {});
+    });
+
+    router.get('/api/matches/:id', (req, res) => {
+      const match = history.getMatch(req.params.id);
+      if (!match) {
+        res.status(404).json({ error: 'Match not found' });
+        return;
+      }
+      res.json(match);
+    });
+
+    router.get('/api/matches/:id/replay', (req, res) => {
+      const playback = history.getPlayback(req.params.id, { offset: req.query.offset, limit: req.query.limit });
+      if (!playback) {
+        res.status(404).json({ error: 'Replay not found' });
+        return;
+      }
+      res.json(playback);
+    });
+
+    router.get('/api/players/:id/matches', (req, res) => {
+      listMatches(req, res, { profileId: req.params.id });
+    });
+  }
+
+  return router;
+}
+
+export default createApiRouter;
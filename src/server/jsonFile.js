@@ -0,0 +1,47 @@
+/**
+ * JSON File Helpers for the Server's Local Stores
+ *
+ * Stores keep their data in memory and rewrite one JSON file on change.
+ * Writes go to a temporary file that is renamed over the old one, so a crash
+ * mid-write leaves the previous version intact.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read a JSON file
+ * @param {string} file - File path
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} Parsed contents or the fallback
+ */
+export function readJsonFile(file, fallback) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Replace a JSON file atomically, creating its directory if needed
+ * @param {string} file - File path
+ * @param {*} data - JSON-compatible value
+ */
+export function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+  fs.renameSync(temporary, file);
+}
+
+export default { readJsonFile, writeJsonFile };
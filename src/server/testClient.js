@@ -0,0 +1,531 @@
+/**
+ * Node Test Client for the Tactica Arena Match Server
+ *
+ * Plays one online match between two scripted clients and reports the result:
+ *
+ *   node src/server/testClient.js                      # throwaway local server
+ *   node src/server/testClient.js ws://localhost:3000/ws
+ *   node src/server/testClient.js --reconnect          # guest drops once mid-combat and resumes
+ *   node src/server/testClient.js --ranked             # both bots meet through the ranked queue
+ *   node src/server/testClient.js --spectate           # a caster and a team spectator watch the match
+ *
+ * Each bot auto-deploys and confirms, then on its turns attacks the nearest
+ * enemy, steps toward it (asking for the route that avoids zones of control)
+ * if no attack lands, and ends the turn otherwise. Every message received is
+ * checked for server-only fields, and spectators check that their feed trails
+ * the live turn and keeps the other army's deployment hidden from a team view.
+ * Against the throwaway server, the stored replay must show the moves reached
+ * the engine with that route option. The process exits non-zero on a leak, a
+ * protocol error, a dropped route option or a stalled match.
+ */
+
+import http from 'http';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { WebSocket } from 'ws';
+import { MatchServer } from './MatchServer.js';
+import { MatchHistory } from './MatchHistory.js';
+import { NETWORK, RANKED } from '../combat/index.js';
+
+/** Combat actions the guest sends before dropping its connection in --reconnect runs */
+const DROP_AFTER_ACTIONS = 10;
+
+/** Fields that only exist in server-side state (serialize(true), RNG) */
+const SERVER_ONLY_FIELDS = ['hiddenAbilities', 'abilityModifiers', 'saveDC', 'saveType', 'allowsSave', 'rngState', 'seed'];
+
+const MATCH_TIMEOUT_MS = 60000;
+
+/**
+ * Find the first server-only field anywhere in a message
+ * @param {*} value - Parsed message
+ * @param {string} path - Path prefix
+ * @returns {string|null} Path of the leaked field
+ */
+function findLeak(value, path = '') {
+  if (!value || typeof value !== 'object') return null;
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = path ? `${path}.${key}` : key;
+    if (SERVER_ONLY_FIELDS.includes(key)) return itemPath;
+    const nested = findLeak(item, itemPath);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/**
+ * Scripted player connected to the match server
+ */
+class TestBot {
+  /**
+   * Create bot
+   * @param {string} name - Display name
+   * @param {Function} onFinish - Called with (bot, error) when the bot stops
+   * @param {number|null} dropAfter - Combat actions to send before dropping the connection once
+   * @param {boolean} ranked - Wait for the rating update before finishing
+   */
+  constructor(name, onFinish, dropAfter = null, ranked = false) {
+    this.name = name;
+    this.onFinish = onFinish;
+    this.dropAfter = dropAfter;
+    this.ranked = ranked;
+    this.profile = null; // Standing after a ranked match
+    this.url = null;
+    this.socket = null;
+    this.playerId = null;
+    this.code = null;
+    this.token = null;
+    this.resumes = 0;
+    this.state = null;
+    this.candidates = [];
+    this.turnKey = null;
+    this.pendingRequestId = null; // Action awaiting a reply
+    this.readySent = false;
+    this.actionsSent = 0;
+    this.messagesReceived = 0;
+    this.nextRequestId = 1;
+    this.finished = false;
+    this.onMatchCreated = null;
+    this.onMatchReady = null;
+  }
+
+  /**
+   * Connect and run the opening intent
+   * @param {string} url - Server URL
+   * @param {Object} opening - First intent (create_match or join_match)
+   */
+  connect(url, opening) {
+    this.url = url;
+    this.socket = new WebSocket(url);
+    this.socket.on('open', () => this.send(opening.type, opening));
+    this.socket.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+    this.socket.on('error', (error) => this.finish(error));
+  }
+
+  /**
+   * Cut the connection without leaving, then reclaim the seat
+   */
+  dropAndResume() {
+    this.dropAfter = null;
+    this.socket.terminate();
+    setTimeout(() => this.connect(this.url, { type: 'resume', code: this.code, token: this.token }), 200);
+  }
+
+  /**
+   * Send an intent
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   * @returns {string} Request ID
+   */
+  send(type, payload = {}) {
+    const requestId = `${this.name}-${this.nextRequestId++}`;
+    this.socket.send(JSON.stringify({ ...payload, type, requestId }));
+    return requestId;
+  }
+
+  /**
+   * React to one server message
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(message) {
+    this.messagesReceived++;
+
+    const leak = findLeak(message);
+    if (leak) {
+      this.finish(new Error(`${this.name} received server-only field ${leak} in ${message.type}`));
+      return;
+    }
+
+    switch (message.type) {
+      case 'match_created':
+        this.code = message.code;
+        this.playerId = message.playerId;
+        this.token = message.reconnectToken;
+        if (this.onMatchCreated) this.onMatchCreated(message.code);
+        break;
+      case 'queued':
+        break;
+      case 'rating_updated':
+        this.profile = message.profile;
+        this.finish(null);
+        break;
+      case 'match_ready':
+        this.code = message.code;
+        this.playerId = message.playerId;
+        this.token = message.reconnectToken;
+        this.state = message.state;
+        this.send('auto_deploy');
+        if (this.onMatchReady) this.onMatchReady(message.code);
+        break;
+      case 'resumed':
+        // The action in flight when the connection dropped may or may not have landed
+        this.resumes++;
+        this.pendingRequestId = null;
+        this.turnKey = null;
+        this.handleState(message);
+        break;
+      case 'state':
+        this.handleState(message);
+        break;
+      case 'rejected':
+        this.handleRejected(message);
+        break;
+      case 'opponent_left':
+        this.finish(new Error(`${this.name}: opponent left before the match ended`));
+        break;
+      case 'error':
+        this.finish(new Error(`${this.name}: ${message.code} ${message.message}`));
+        break;
+    }
+  }
+
+  /**
+   * Handle a state update: confirm deployment, take turns, stop when decided
+   * @param {Object} message - State message
+   */
+  handleState(message) {
+    this.state = message.state;
+    if (this.state.phase === 'DEPLOYMENT') {
+      const deployed = this.state.deployment.deployedUnits.length;
+      const own = this.state.players.find(player => player.id === this.playerId).units.length;
+      if (!this.readySent && deployed === own) {
+        this.readySent = true;
+        this.send('ready');
+      }
+      return;
+    }
+
+    if (this.state.phase === 'COMPLETED') {
+      if (!this.ranked) this.finish(null);
+      return;
+    }
+
+    if (message.requestId && message.requestId === this.pendingRequestId) {
+      this.pendingRequestId = null;
+    }
+    if (this.state.currentPlayerId !== this.playerId || !this.state.currentUnit) {
+      this.candidates = [];
+      return;
+    }
+
+    const unit = this.state.currentUnit;
+    const key = `${this.state.turn}:${unit.id}:${unit.currentAP}:${unit.position.x},${unit.position.y}`;
+    if (key === this.turnKey) return;
+
+    this.turnKey = key;
+    this.candidates = this.planActions(unit);
+    this.sendNextCandidate();
+  }
+
+  /**
+   * Try the next planned action after a rejection
+   * @param {Object} message - Rejected message
+   */
+  handleRejected(message) {
+    if (message.requestId !== this.pendingRequestId) return;
+    this.pendingRequestId = null;
+
+    if (this.state && this.state.phase === 'COMBAT' && this.candidates.length > 0) {
+      this.sendNextCandidate();
+    } else if (this.state && this.state.phase === 'COMBAT') {
+      this.finish(new Error(`${this.name}: every action was rejected (${message.code})`));
+    }
+  }
+
+  /**
+   * Candidate actions for the current unit, best first
+   * @param {Object} unit - Acting unit (public data)
+   * @returns {Array} Action intents
+   */
+  planActions(unit) {
+    const own = new Set(this.state.players.find(player => player.id === this.playerId).units);
+    const distance = (other) => Math.abs(other.position.x - unit.position.x) + Math.abs(other.position.y - unit.position.y);
+    const enemies = this.state.units
+      .filter(other => !own.has(other.id) && !other.isIncapacitated && other.position)
+      .sort((a, b) => distance(a) - distance(b));
+
+    const candidates = enemies.slice(0, 2).map(enemy => ({ type: 'ATTACK', actorId: unit.id, targetId: enemy.id }));
+    if (enemies.length > 0) {
+      const dx = Math.sign(enemies[0].position.x - unit.position.x);
+      const dy = Math.sign(enemies[0].position.y - unit.position.y);
+      const step = (x, y) => ({ type: 'MOVE', actorId: unit.id, targetPosition: { x, y }, avoidZoneOfControl: true });
+      if (dx !== 0) candidates.push(step(unit.position.x + dx, unit.position.y));
+      if (dy !== 0) candidates.push(step(unit.position.x, unit.position.y + dy));
+    }
+    candidates.push({ type: 'END_TURN', actorId: unit.id });
+    return candidates;
+  }
+
+  /**
+   * Send the next planned action
+   */
+  sendNextCandidate() {
+    const action = this.candidates.shift();
+    this.actionsSent++;
+    this.pendingRequestId = this.send('action', { action });
+
+    if (this.dropAfter !== null && this.actionsSent >= this.dropAfter) {
+      this.dropAndResume();
+    }
+  }
+
+  /**
+   * Stop the bot once
+   * @param {Error|null} error - Failure, or null when the match completed
+   */
+  finish(error) {
+    if (this.finished) return;
+    this.finished = true;
+    this.onFinish(this, error);
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.socket) this.socket.close();
+  }
+}
+
+/**
+ * Scripted spectator that watches a match through to its end
+ */
+class SpectatorBot {
+  /**
+   * Create spectator
+   * @param {string} name - Name for error messages
+   * @param {Object} watch - {view, playerId} as sent in the spectate intent
+   * @param {Function} onFinish - Called with (bot, error) when the bot stops
+   */
+  constructor(name, watch, onFinish) {
+    this.name = name;
+    this.watch = watch;
+    this.onFinish = onFinish;
+    this.socket = null;
+    this.delayTurns = null;
+    this.framesReceived = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Connect and start watching a room
+   * @param {string} url - Server URL
+   * @param {string} code - Room code
+   */
+  connect(url, code) {
+    this.socket = new WebSocket(url);
+    this.socket.on('open', () => this.socket.send(JSON.stringify({ type: 'spectate', code, ...this.watch })));
+    this.socket.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+    this.socket.on('error', (error) => this.finish(error));
+  }
+
+  /**
+   * Check one server message
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(message) {
+    const leak = findLeak(message);
+    if (leak) {
+      this.finish(new Error(`${this.name} received server-only field ${leak} in ${message.type}`));
+      return;
+    }
+
+    switch (message.type) {
+      case 'spectating':
+        this.delayTurns = message.delayTurns;
+        break;
+      case 'spectator_state':
+        this.framesReceived++;
+        this.checkFrame(message);
+        break;
+      case 'error':
+        this.finish(new Error(`${this.name}: ${message.code} ${message.message}`));
+        break;
+    }
+  }
+
+  /**
+   * Check a spectator update against the delay and the view's hiding rules
+   * @param {Object} message - spectator_state message
+   */
+  checkFrame(message) {
+    const state = message.state;
+    // Once the match is decided the rest of the feed is flushed at once
+    if (message.room.status !== 'COMPLETED' && message.liveTurn - state.turn < this.delayTurns) {
+      this.finish(new Error(`${this.name} saw turn ${state.turn} while the match was on turn ${message.liveTurn}`));
+      return;
+    }
+
+    if (this.watch.view === NETWORK.SPECTATE.VIEWS.TEAM && state.phase === 'DEPLOYMENT') {
+      const own = new Set(state.players.find(player => player.id === this.watch.playerId).units);
+      const exposed = state.units.find(unit => !own.has(unit.id) && unit.position);
+      if (exposed) {
+        this.finish(new Error(`${this.name} saw the opponent's placement of ${exposed.id}`));
+        return;
+      }
+    }
+
+    if (state.phase === 'COMPLETED') {
+      this.finish(null);
+    }
+  }
+
+  /**
+   * Stop the bot once
+   * @param {Error|null} error - Failure, or null when the match completed
+   */
+  finish(error) {
+    if (this.finished) return;
+    this.finished = true;
+    this.onFinish(this, error);
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.socket) this.socket.close();
+  }
+}
+
+/**
+ * Play one match against a server
+ * @param {string} url - Server URL
+ * @param {Object} options - {reconnect: the guest drops once mid-combat and resumes its seat,
+ *   ranked: both bots queue for a ranked match instead of using a match code,
+ *   spectate: a caster and a player-1 team spectator watch from deployment on}
+ * @returns {Promise<Object>} {winner, victoryCondition, turn, actionsSent, messagesReceived, resumes, profiles,
+ *   spectatorFrames}
+ */
+export function playTestMatch(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const finished = new Map();
+    let timer = null;
+
+    const closeAll = () => {
+      clearTimeout(timer);
+      for (const bot of [host, guest, ...spectators]) {
+        bot.close();
+      }
+    };
+
+    const onFinish = (bot, error) => {
+      if (error) {
+        closeAll();
+        reject(error);
+        return;
+      }
+
+      finished.set(bot.name, bot);
+      if (finished.size < 2 + spectators.length) return;
+
+      closeAll();
+      const state = host.state;
+      resolve({
+        winner: state.winner,
+        victoryCondition: state.victoryCondition,
+        turn: state.turn,
+        actionsSent: host.actionsSent + guest.actionsSent,
+        messagesReceived: host.messagesReceived + guest.messagesReceived,
+        resumes: guest.resumes,
+        profiles: [host.profile, guest.profile].filter(Boolean),
+        spectatorFrames: spectators.map(spectator => spectator.framesReceived)
+      });
+    };
+
+    const ranked = !!options.ranked;
+    const host = new TestBot('host', onFinish, null, ranked);
+    const guest = new TestBot('guest', onFinish, options.reconnect ? DROP_AFTER_ACTIONS : null, ranked);
+    const { VIEWS } = NETWORK.SPECTATE;
+    const spectators = options.spectate ? [
+      new SpectatorBot('caster', { view: VIEWS.CASTER }, onFinish),
+      new SpectatorBot('team-1', { view: VIEWS.TEAM, playerId: 1 }, onFinish)
+    ] : [];
+    host.onMatchReady = (code) => spectators.forEach(spectator => spectator.connect(url, code));
+    if (ranked) {
+      host.connect(url, { type: 'queue_join', mode: RANKED.MODES.RANKED, name: 'Host Bot', mapSize: 'quick' });
+      guest.connect(url, { type: 'queue_join', mode: RANKED.MODES.RANKED, name: 'Guest Bot' });
+    } else {
+      host.onMatchCreated = (code) => guest.connect(url, { type: 'join_match', code, name: 'Guest Bot' });
+      host.connect(url, { type: 'create_match', name: 'Host Bot', mapSize: 'quick' });
+    }
+
+    timer = setTimeout(() => onFinish(host, new Error('Match did not finish in time')), MATCH_TIMEOUT_MS);
+  });
+}
+
+/**
+ * Check that the bots' moves reached the engine with their route option
+ * @param {MatchHistory} history - History of the throwaway server
+ */
+function checkRouteOption(history) {
+  const moves = history.listMatches().matches
+    .flatMap(summary => history.getReplay(summary.id).actions)
+    .filter(entry => entry.kind === 'ACTION' && entry.request.type === 'MOVE');
+  if (moves.length === 0) {
+    throw new Error('no move was recorded');
+  }
+  if (moves.some(entry => entry.request.avoidZoneOfControl !== true)) {
+    throw new Error('a move reached the engine without avoidZoneOfControl');
+  }
+}
+
+/**
+ * Command-line entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const reconnect = args.includes('--reconnect');
+  const ranked = args.includes('--ranked');
+  const spectate = args.includes('--spectate');
+  let url = args.find(arg => !arg.startsWith('--'));
+  let httpServer = null;
+  let matchServer = null;
+  let history = null;
+
+  if (!url) {
+    httpServer = http.createServer();
+    history = new MatchHistory();
+    matchServer = new MatchServer({ history }).attach(httpServer);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${httpServer.address().port}${NETWORK.PATH}`;
+  }
+
+  try {
+    const result = await playTestMatch(url, { reconnect, ranked, spectate });
+    if (reconnect && result.resumes === 0) {
+      throw new Error('guest never resumed its seat');
+    }
+    if (ranked && result.profiles.length < 2) {
+      throw new Error('a bot never received its rating update');
+    }
+    if (spectate && result.spectatorFrames.some(frames => frames === 0)) {
+      throw new Error('a spectator never received an update');
+    }
+    if (history) {
+      checkRouteOption(history);
+    }
+    console.log(`Match complete: winner ${result.winner ?? 'none'} by ${result.victoryCondition} on turn ${result.turn}`);
+    console.log(`${result.actionsSent} actions sent, ${result.messagesReceived} messages received, no server-only fields seen`);
+    if (reconnect) {
+      console.log(`Guest dropped and resumed its seat ${result.resumes} time(s)`);
+    }
+    if (spectate) {
+      console.log(`Spectators received ${result.spectatorFrames.join(' and ')} delayed updates`);
+    }
+    for (const profile of result.profiles) {
+      console.log(`${profile.name}: ${profile.tierName} (was ${profile.previousTier}), ${profile.wins}W ${profile.losses}L ${profile.draws}D`);
+    }
+  } catch (error) {
+    console.error(`Test match failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (matchServer) await matchServer.close();
+    if (httpServer) httpServer.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main();
+}
+
+export default playTestMatch;
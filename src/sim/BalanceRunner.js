@@ -0,0 +1,277 @@
+/**
+ * Balance Runner for Tactica Arena
+ *
+ * Plays batches of headless AI-vs-AI matches and summarizes them for class
+ * and faction tuning:
+ * - Win rates by class, faction, AI band, seat and first mover
+ * - Average match length in turns and actions, and the draw rate
+ * - Damage dealt and taken per unit of each class
+ * - Critical hit and fumble rates per attacking class
+ *
+ * Each match draws both armies and factions from the configured pools with
+ * its own seeded stream, and the two AI bands trade seats every other match
+ * so neither band keeps the same deployment edge. Rates carry 95% Wilson
+ * score intervals and means carry normal-approximation intervals; a class
+ * or faction counts once per side that fields it. The summary can be
+ * written as JSON or as flat CSV rows.
+ */
+
+import { ArmyValidator, DeterministicRNG, AI, ARMY, CLASSES, FACTIONS } from '../combat/index.js';
+import { HeadlessMatch } from './HeadlessMatch.js';
+
+const CONFIDENCE_Z = 1.96; // Two-sided 95% normal quantile
+const CSV_COLUMNS = ['metric', 'group', 'key', 'samples', 'value', 'ci_low', 'ci_high'];
+
+/**
+ * Wilson score interval for a proportion
+ * @param {number} successes - Successful trials
+ * @param {number} trials - Total trials
+ * @returns {Object} {samples, value, low, high}; null bounds without trials
+ */
+function proportionInterval(successes, trials) {
+  if (trials === 0) {
+    return { samples: 0, value: null, low: null, high: null };
+  }
+
+  const rate = successes / trials;
+  const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+  const centre = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+  const spread = (CONFIDENCE_Z / (1 + z2 / trials)) *
+    Math.sqrt(rate * (1 - rate) / trials + z2 / (4 * trials * trials));
+  return { samples: trials, value: rate, low: Math.max(0, centre - spread), high: Math.min(1, centre + spread) };
+}
+
+/**
+ * Normal-approximation interval for a mean
+ * @param {Array<number>} values - Samples
+ * @returns {Object} {samples, value, low, high}; null bounds with fewer than two samples
+ */
+function meanInterval(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { samples: 0, value: null, low: null, high: null };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  if (n < 2) {
+    return { samples: n, value: mean, low: null, high: null };
+  }
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  const margin = CONFIDENCE_Z * Math.sqrt(variance / n);
+  return { samples: n, value: mean, low: mean - margin, high: mean + margin };
+}
+
+/**
+ * Win/loss tally keyed by group member, created on first use
+ * @param {Map} tallies - Key -> {wins, samples}
+ * @param {*} key - Group member
+ * @param {boolean} won - Whether this appearance won
+ */
+function countResult(tallies, key, won) {
+  const tally = tallies.get(key) || { wins: 0, samples: 0 };
+  tally.samples++;
+  if (won) tally.wins++;
+  tallies.set(key, tally);
+}
+
+/**
+ * Main Balance Runner class
+ */
+export class BalanceRunner {
+  /**
+   * Create balance runner
+   * @param {Object} config - Batch configuration
+   * @param {number} config.matches - Matches to play (default 100)
+   * @param {number} config.seed - Seed of the first match; match i uses seed + i (default 1)
+   * @param {Array} config.armies - Army compositions (class lists, leader first) to draw
+   *   from; by default every match draws random legal armies of config.armySize units
+   * @param {number} config.armySize - Size of random armies (default ARMY.DEFAULT_ROSTER.length)
+   * @param {Array} config.factions - Factions to draw from (default FACTIONS.TYPES)
+   * @param {Array} config.bands - AI bands of the two sides (default [AI.DEFAULT_DIFFICULTY] x2)
+   * @param {string} config.mapSize - NETWORK.MAP_SIZES key (default 'quick')
+   * @param {string} config.placementPattern - ARMY.DEPLOYMENT pattern
+   */
+  constructor(config = {}) {
+    this.matches = config.matches !== undefined ? config.matches : 100;
+    this.seed = config.seed !== undefined ? config.seed : 1;
+    this.armies = config.armies && config.armies.length > 0 ? config.armies : null;
+    this.armySize = config.armySize || ARMY.DEFAULT_ROSTER.length;
+    this.factions = config.factions && config.factions.length > 0 ? config.factions : [...FACTIONS.TYPES];
+    this.bands = config.bands && config.bands.length > 0 ? config.bands : [AI.DEFAULT_DIFFICULTY];
+    this.mapSize = config.mapSize;
+    this.placementPattern = config.placementPattern;
+
+    if (!Number.isInteger(this.matches) || this.matches < 1) {
+      throw new Error(`Match count must be a positive integer (got ${config.matches})`);
+    }
+    if (this.bands.length === 1) {
+      this.bands = [this.bands[0], this.bands[0]];
+    }
+    if (this.bands.length !== 2) {
+      throw new Error('Give one AI band for both sides or one per side');
+    }
+    for (const band of this.bands) {
+      if (!AI.BANDS[band]) {
+        throw new Error(`Unknown AI difficulty: ${band}`);
+      }
+    }
+    for (const faction of this.factions) {
+      if (!FACTIONS.TYPES.includes(faction)) {
+        throw new Error(`Unknown faction: ${faction}`);
+      }
+    }
+    // Checked here so a bad composition fails before the batch rather than partway through
+    const validator = new ArmyValidator();
+    for (const classes of this.armies || []) {
+      const validation = validator.validateArmy(classes.map((unitClass, i) => ({ id: `unit_${i + 1}`, class: unitClass, isLeader: i === 0 })));
+      if (!validation.valid) {
+        throw new Error(`Invalid army ${classes.join(',')}: ${validation.errors.map(error => error.message).join('; ')}`);
+      }
+    }
+    const pool = CLASSES.TYPES.length * ARMY.SIZE.MAX_PER_CLASS;
+    if (!this.armies && (this.armySize < ARMY.SIZE.MIN_DEPLOYED || this.armySize > Math.min(pool, ARMY.SIZE.MAX_DEPLOYED))) {
+      throw new Error(`Random armies need between ${ARMY.SIZE.MIN_DEPLOYED} and ${Math.min(pool, ARMY.SIZE.MAX_DEPLOYED)} units`);
+    }
+  }
+
+  /**
+   * Sides for one match of the batch
+   * @param {number} index - Match index
+   * @param {number} seed - Match seed
+   * @returns {Array} Two sides {classes, faction, band}
+   */
+  createSides(index, seed) {
+    const rng = new DeterministicRNG(seed).createSubsystemRNG('balance');
+    const bands = index % 2 === 0 ? this.bands : [this.bands[1], this.bands[0]];
+
+    return bands.map(band => ({
+      classes: this.armies ? [...rng.choice(this.armies)] : this.createRandomArmy(rng),
+      faction: rng.choice(this.factions),
+      band
+    }));
+  }
+
+  /**
+   * Random legal army: no class past ARMY.SIZE.MAX_PER_CLASS, leader first
+   * @param {DeterministicRNG} rng - Match's balance stream
+   * @returns {Array<string>} Unit classes
+   * @private
+   */
+  createRandomArmy(rng) {
+    const pool = CLASSES.TYPES.flatMap(unitClass => Array(ARMY.SIZE.MAX_PER_CLASS).fill(unitClass));
+    return rng.shuffle(pool).slice(0, this.armySize);
+  }
+
+  /**
+   * Play the whole batch
+   * @param {Function} onMatch - Called with (record, index) after each match (optional)
+   * @returns {Array} Match records (see HeadlessMatch.play)
+   */
+  run(onMatch = null) {
+    const records = [];
+    for (let index = 0; index < this.matches; index++) {
+      const seed = this.seed + index;
+      const record = new HeadlessMatch({
+        seed,
+        sides: this.createSides(index, seed),
+        mapSize: this.mapSize,
+        placementPattern: this.placementPattern
+      }).play();
+      records.push(record);
+      if (onMatch) onMatch(record, index);
+    }
+    return records;
+  }
+
+  /**
+   * Summarize match records
+   * @param {Array} records - Match records
+   * @returns {Object} {matches, draws, turns, actions, winRates: {class, faction, band, seat,
+   *   firstMover}, damageDealt, damageTaken, criticalRate, fumbleRate}; every figure is
+   *   {samples, value, low, high}, grouped ones keyed by class, faction, band or seat
+   */
+  static summarize(records) {
+    const winRates = { class: new Map(), faction: new Map(), band: new Map(), seat: new Map(), firstMover: new Map() };
+    const damageDealt = new Map();
+    const damageTaken = new Map();
+    const rolls = new Map([['ALL', { rolls: 0, criticals: 0, fumbles: 0 }]]);
+
+    for (const record of records) {
+      for (const side of record.sides) {
+        const won = record.winner === side.playerId;
+        for (const unitClass of new Set(side.classes)) {
+          countResult(winRates.class, unitClass, won);
+        }
+        countResult(winRates.faction, side.faction, won);
+        countResult(winRates.band, side.band, won);
+        countResult(winRates.seat, side.playerId, won);
+        countResult(winRates.firstMover, side.playerId === record.firstPlayerId ? 'first' : 'second', won);
+      }
+
+      for (const unit of record.units) {
+        if (!damageDealt.has(unit.class)) {
+          damageDealt.set(unit.class, []);
+          damageTaken.set(unit.class, []);
+          rolls.set(unit.class, { rolls: 0, criticals: 0, fumbles: 0 });
+        }
+        damageDealt.get(unit.class).push(unit.damageDealt);
+        damageTaken.get(unit.class).push(unit.damageTaken);
+        for (const key of [unit.class, 'ALL']) {
+          const tally = rolls.get(key);
+          tally.rolls += unit.attackRolls;
+          tally.criticals += unit.criticals;
+          tally.fumbles += unit.fumbles;
+        }
+      }
+    }
+
+    const draws = records.filter(record => !record.winner).length;
+    const byKey = (map, describe) => Object.fromEntries([...map.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([key, value]) => [key, describe(value)]));
+
+    return {
+      matches: records.length,
+      draws: proportionInterval(draws, records.length),
+      turns: meanInterval(records.map(record => record.turns)),
+      actions: meanInterval(records.map(record => record.actions)),
+      winRates: Object.fromEntries(Object.entries(winRates).map(([group, tallies]) =>
+        [group, byKey(tallies, tally => proportionInterval(tally.wins, tally.samples))])),
+      damageDealt: byKey(damageDealt, meanInterval),
+      damageTaken: byKey(damageTaken, meanInterval),
+      criticalRate: byKey(rolls, tally => proportionInterval(tally.criticals, tally.rolls)),
+      fumbleRate: byKey(rolls, tally => proportionInterval(tally.fumbles, tally.rolls))
+    };
+  }
+
+  /**
+   * Flatten a summary into CSV, one figure per row
+   * @param {Object} summary - Result of summarize()
+   * @returns {string} CSV text with a header row (metric, group, key, samples, value, ci_low, ci_high)
+   */
+  static toCSV(summary) {
+    const rows = [
+      ['draw_rate', 'match', 'all', summary.draws],
+      ['turns', 'match', 'all', summary.turns],
+      ['actions', 'match', 'all', summary.actions]
+    ];
+    for (const [group, figures] of Object.entries(summary.winRates)) {
+      for (const [key, figure] of Object.entries(figures)) {
+        rows.push(['win_rate', group, key, figure]);
+      }
+    }
+    for (const [metric, name] of [['damageDealt', 'damage_dealt'], ['damageTaken', 'damage_taken'],
+      ['criticalRate', 'critical_rate'], ['fumbleRate', 'fumble_rate']]) {
+      for (const [key, figure] of Object.entries(summary[metric])) {
+        rows.push([name, 'class', key, figure]);
+      }
+    }
+
+    const format = value => value === null ? '' : String(Number.isInteger(value) ? value : Number(value.toFixed(4)));
+    const lines = rows.map(([metric, group, key, figure]) =>
+      [metric, group, key, figure.samples, format(figure.value), format(figure.low), format(figure.high)].join(','));
+    return `${[CSV_COLUMNS.join(','), ...lines].join('\n')}\n`;
+  }
+}
+
+export default BalanceRunner;
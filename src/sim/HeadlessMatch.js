@@ -0,0 +1,227 @@
+/**
+ * Headless Match for Tactica Arena
+ *
+ * Plays one AI-vs-AI match through CombatSystem, with no renderer and no
+ * match server, and tallies what balance tuning needs from it:
+ * - Winner, victory condition, turns and actions played
+ * - Which player's unit activated first
+ * - Damage dealt and taken by every unit, keyed by class
+ * - Attack rolls, critical hits and fumbles per attacking unit
+ *
+ * Both seats are AIPlayers reading the public state and previews, like the
+ * practice opponent; a band that searches also gets an ExpectimaxPlanner,
+ * since the match is hosted here. Rolls come from the resolver's server-side
+ * log because the public attack events do not tell a fumble from a miss.
+ * Everything is seeded from the match seed, so a record can be replayed: the
+ * planner stops on its node budget alone, never on wall-clock time.
+ */
+
+import { CombatSystem, AIPlayer, ExpectimaxPlanner, createPreviewAccess, AI, ARMY, NETWORK } from '../combat/index.js';
+
+const PLAYER_IDS = [1, 2];
+const MAX_ACTIONS = 5000; // Far beyond any match that reaches COMBAT.VICTORY.MAX_TURNS
+
+/**
+ * Main Headless Match class
+ */
+export class HeadlessMatch {
+  /**
+   * Create a headless match
+   * @param {Object} config - Match configuration
+   * @param {number} config.seed - Match seed (deployment, initiative, dice and both AIs)
+   * @param {Array} config.sides - Two sides {classes, faction, band}; classes lists the
+   *   army's unit classes with the leader first
+   * @param {string} config.mapSize - NETWORK.MAP_SIZES key (default 'quick')
+   * @param {string} config.placementPattern - ARMY.DEPLOYMENT pattern (default ARMY.DEPLOYMENT.DEFAULT_PATTERN)
+   */
+  constructor(config = {}) {
+    if (!config.sides || config.sides.length !== PLAYER_IDS.length) {
+      throw new Error('A headless match needs exactly two sides');
+    }
+
+    this.seed = config.seed !== undefined ? config.seed : 1;
+    this.sides = config.sides.map((side, index) => ({
+      ...side,
+      playerId: PLAYER_IDS[index],
+      band: side.band || AI.DEFAULT_DIFFICULTY
+    }));
+    this.mapSize = NETWORK.MAP_SIZES[config.mapSize || 'quick'];
+    this.placementPattern = config.placementPattern || ARMY.DEPLOYMENT.DEFAULT_PATTERN;
+
+    if (!this.mapSize) {
+      throw new Error(`Unknown map size: ${config.mapSize}`);
+    }
+    for (const side of this.sides) {
+      if (!AI.BANDS[side.band]) {
+        throw new Error(`Unknown AI difficulty: ${side.band}`);
+      }
+    }
+
+    // A fresh system per match keeps the resolution log to this match
+    this.system = new CombatSystem({ enableLogging: true });
+  }
+
+  /**
+   * Unit configs for one side
+   * @param {Object} side - Side {classes, faction, playerId}
+   * @returns {Array} Unit configs
+   * @private
+   */
+  buildUnits(side) {
+    return side.classes.map((unitClass, i) => ({
+      id: `${side.playerId}_unit_${i + 1}`,
+      class: unitClass,
+      name: `${unitClass.charAt(0)}${unitClass.slice(1).toLowerCase()}`,
+      isLeader: i === 0,
+      faction: side.faction,
+      playerId: side.playerId
+    }));
+  }
+
+  /**
+   * Play the match to the end
+   * @returns {Object} Match record {seed, winner, condition, turns, actions, firstPlayerId,
+   *   sides: [{playerId, band, faction, classes}], units: [{id, playerId, class,
+   *   damageDealt, damageTaken, attackRolls, criticals, fumbles, incapacitated}]}
+   */
+  play() {
+    const armies = this.sides.map(side => this.buildUnits(side));
+    for (const [index, army] of armies.entries()) {
+      const validation = this.system.validateArmy(army);
+      if (!validation.valid) {
+        throw new Error(`Invalid army for player ${PLAYER_IDS[index]}: ${validation.errors.map(error => error.message).join('; ')}`);
+      }
+    }
+    const units = armies.flat();
+
+    const matchId = `sim_${this.seed}`;
+    const match = this.system.createMatch({
+      matchId,
+      seed: this.seed,
+      players: this.sides.map(side => ({ id: side.playerId, name: `${side.band} AI` })),
+      mapWidth: this.mapSize,
+      mapHeight: this.mapSize,
+      units,
+      deploymentPattern: this.placementPattern,
+      turnClock: false
+    });
+
+    for (const side of this.sides) {
+      const deployed = this.system.autoDeploy(matchId, side.playerId);
+      if (!deployed.success) {
+        throw new Error(`Deployment failed for player ${side.playerId}: ${deployed.errors.join('; ')}`);
+      }
+    }
+    const started = this.system.startMatch(matchId);
+    if (!started.success) {
+      throw new Error(`Match failed to start: ${started.errors.join('; ')}`);
+    }
+    const firstPlayerId = match.currentPlayerId;
+
+    const preview = createPreviewAccess(this.system, matchId);
+    const players = new Map(this.sides.map((side, index) => [side.playerId, new AIPlayer({
+      playerId: side.playerId,
+      difficulty: side.band,
+      preview,
+      seed: this.seed + index,
+      planner: AI.BANDS[side.band].search ? new ExpectimaxPlanner({
+        playerId: side.playerId,
+        getState: () => match,
+        seed: this.seed + index
+      }) : null
+    })]));
+
+    const tallies = new Map(units.map(unit => [unit.id, {
+      id: unit.id,
+      playerId: unit.playerId,
+      class: unit.class,
+      damageDealt: 0,
+      damageTaken: 0,
+      attackRolls: 0,
+      criticals: 0,
+      fumbles: 0,
+      incapacitated: false
+    }]));
+
+    let actions = 0;
+    while (match.phase === 'COMBAT') {
+      if (actions >= MAX_ACTIONS) {
+        throw new Error(`Match ${matchId} did not finish within ${MAX_ACTIONS} actions`);
+      }
+      const playerId = match.currentPlayerId;
+      const result = this.playAction(matchId, playerId, players.get(playerId).planActions(match.getPublicState()));
+      this.recordDamage(result.events, tallies);
+      actions++;
+    }
+    this.recordRolls(tallies);
+    for (const tally of tallies.values()) {
+      tally.incapacitated = match.getUnit(tally.id).isIncapacitated;
+    }
+
+    return {
+      seed: this.seed,
+      winner: match.winner,
+      condition: match.victoryCondition,
+      turns: match.turn,
+      actions,
+      firstPlayerId,
+      sides: this.sides.map(side => ({
+        playerId: side.playerId,
+        band: side.band,
+        faction: side.faction,
+        classes: [...side.classes]
+      })),
+      units: [...tallies.values()]
+    };
+  }
+
+  /**
+   * Submit an AI's candidates in order until one is accepted
+   * @param {string} matchId - Match ID
+   * @param {number} playerId - Acting player
+   * @param {Array} candidates - Actions best first, ending with END_TURN
+   * @returns {ActionResult} Accepted result
+   * @private
+   */
+  playAction(matchId, playerId, candidates) {
+    for (const action of candidates) {
+      const result = this.system.submitAction(matchId, { ...action, playerId });
+      if (result.success) return result;
+    }
+    throw new Error(`AI for player ${playerId} found no legal action in ${matchId}`);
+  }
+
+  /**
+   * Add damage events to the unit tallies
+   * @param {Array} events - Events of one accepted action
+   * @param {Map} tallies - Unit ID -> tally
+   * @private
+   */
+  recordDamage(events, tallies) {
+    for (const event of events) {
+      if (event.type !== 'damage') continue;
+      const dealer = tallies.get(event.sourceId);
+      const taker = tallies.get(event.unitId);
+      if (dealer) dealer.damageDealt += event.amount;
+      if (taker) taker.damageTaken += event.amount;
+    }
+  }
+
+  /**
+   * Count attack rolls, criticals and fumbles from the resolution log
+   * @param {Map} tallies - Unit ID -> tally
+   * @private
+   */
+  recordRolls(tallies) {
+    for (const entry of this.system.resolver.resolutionLog) {
+      if (entry.type !== 'attack_roll') continue;
+      const attacker = tallies.get(entry.data.attackerId);
+      if (!attacker) continue;
+      attacker.attackRolls++;
+      if (entry.data.critical) attacker.criticals++;
+      if (entry.data.fumble) attacker.fumbles++;
+    }
+  }
+}
+
+export default HeadlessMatch;
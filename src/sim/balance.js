@@ -0,0 +1,121 @@
+/**
+ * Batch Balance Runner CLI for Tactica Arena
+ *
+ * Plays headless AI-vs-AI matches and writes the balance summary:
+ *
+ *   npm run balance -- --matches 500                     # random armies, all factions, CSV to stdout
+ *   npm run balance -- --bands HARD,NORMAL --seed 1000   # one band per side (they swap seats)
+ *   npm run balance -- --army SWORDSMAN,ARCHER,MAGE --army GUARDIAN,ROGUE,CLERIC
+ *   npm run balance -- --factions ELVEN_COURT,TIDEMARCH --size standard --pattern FLANKED
+ *   npm run balance -- --out results.csv --out results.json
+ *
+ * An --army lists its classes with the leader first and may be repeated;
+ * without one, every side gets a random legal army of --army-size units.
+ * Each --out file is written as JSON when it ends in .json and as CSV
+ * otherwise; with no --out the summary goes to stdout (--format picks csv
+ * or json). Progress goes to stderr, one line per match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BalanceRunner } from './BalanceRunner.js';
+
+const LIST_OPTIONS = ['bands', 'factions'];
+const NUMBER_OPTIONS = ['matches', 'seed', 'army-size'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {config, outputs, format}
+ */
+function parseArgs(args) {
+  const config = { armies: [] };
+  const outputs = [];
+  let format = 'csv';
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    if (!args[i].startsWith('--') || value === undefined) {
+      throw new Error(`Expected --option value, got ${args[i]}`);
+    }
+    i++;
+
+    if (NUMBER_OPTIONS.includes(name)) {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new Error(`--${name} needs a number`);
+      config[name === 'army-size' ? 'armySize' : name] = number;
+    } else if (LIST_OPTIONS.includes(name)) {
+      config[name] = value.split(',').map(item => item.trim().toUpperCase());
+    } else if (name === 'army') {
+      config.armies.push(value.split(',').map(item => item.trim().toUpperCase()));
+    } else if (name === 'size') {
+      config.mapSize = value;
+    } else if (name === 'pattern') {
+      config.placementPattern = value.toUpperCase();
+    } else if (name === 'out') {
+      outputs.push(value);
+    } else if (name === 'format') {
+      if (!['csv', 'json'].includes(value)) throw new Error('--format is csv or json');
+      format = value;
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  return { config, outputs, format };
+}
+
+/**
+ * Summary as JSON, with the batch settings that produced it
+ * @param {BalanceRunner} runner - Runner that played the batch
+ * @param {Object} summary - BalanceRunner.summarize() result
+ * @returns {string} JSON text
+ */
+function toJSON(runner, summary) {
+  return `${JSON.stringify({
+    settings: {
+      matches: runner.matches,
+      seed: runner.seed,
+      armies: runner.armies,
+      armySize: runner.armies ? null : runner.armySize,
+      factions: runner.factions,
+      bands: runner.bands,
+      mapSize: runner.mapSize || 'quick',
+      placementPattern: runner.placementPattern || null
+    },
+    summary
+  }, null, 2)}\n`;
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+  try {
+    const { config, outputs, format } = parseArgs(process.argv.slice(2));
+    const runner = new BalanceRunner(config);
+    const started = Date.now();
+
+    const records = runner.run((record, index) => {
+      const result = record.winner ? `player ${record.winner} won (${record.condition})` : 'draw';
+      process.stderr.write(`[${index + 1}/${runner.matches}] seed ${record.seed}: ${result} on turn ${record.turns}\n`);
+    });
+    const summary = BalanceRunner.summarize(records);
+    process.stderr.write(`${records.length} matches in ${((Date.now() - started) / 1000).toFixed(1)}s\n`);
+
+    if (outputs.length === 0) {
+      process.stdout.write(format === 'json' ? toJSON(runner, summary) : BalanceRunner.toCSV(summary));
+    }
+    for (const output of outputs) {
+      const json = path.extname(output).toLowerCase() === '.json';
+      fs.writeFileSync(output, json ? toJSON(runner, summary) : BalanceRunner.toCSV(summary));
+      process.stderr.write(`Wrote ${output}\n`);
+    }
+  } catch (error) {
+    console.error(`Balance run failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
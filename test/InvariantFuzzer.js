@@ -0,0 +1,537 @@
+/**
+ * Invariant Fuzzer for Tactica Arena
+ *
+ * Plays random legal action sequences on random maps through CombatSystem
+ * and checks the state invariants after every accepted action:
+ * - hp-bounds: Every unit's HP stays within [0, max HP]
+ * - ap-non-negative: No unit's AP drops below zero
+ * - one-unit-per-tile: Living units stand on distinct tiles inside the map
+ * - incapacitated-never-act: Downed units are never activated and never act
+ * - initiative-living-units: Initiative lists every unit once, and exactly
+ *   the living units are not flagged as down in it
+ * - rejection-unchanged: A rejected action leaves the state hash as it was
+ * - serialize-roundtrip: serialize -> JSON -> deserialize hashes the same
+ * - valid-state: CombatState.validateState and Unit.validate accept the state
+ * - no-exception: Submitting an action never throws
+ *
+ * A case is a rule scenario without expectations (see ScenarioRunner.js):
+ * seed, map, units, initiative, maxTurns and the actions submitted, so a
+ * counterexample can be re-run as it is or turned into a scenario. When a
+ * case breaks an invariant it is shrunk to a smaller one that still breaks
+ * the same invariant: later steps are cut, then steps, units, statuses,
+ * terrain and map rows and columns are dropped while the failure holds.
+ * Steps that no longer apply once something is dropped are simply rejected
+ * by the engine and skipped.
+ */
+
+import { CombatSystem, CombatState, StatusEffectSystem, DeterministicRNG, Pathfinder, CombatStateGrid,
+  abilityRegistry, CLASSES, FACTIONS, TERRAIN } from '../src/combat/index.js';
+import { STATUS_EFFECT_TYPES } from '../src/combat/data/StatusEffectTypes.js';
+
+const MAP_RANGE = [4, 8]; // Width and height in tiles
+const UNITS_PER_SIDE = [1, 4];
+const LEVEL_RANGE = [1, 12];
+const TURN_RANGE = [4, 10]; // maxTurns, so some matches end on the turn limit
+const TERRAIN_CHANCE = 0.3; // Share of tiles that are not plain
+const WOUNDED_CHANCE = 0.5; // Units starting below full HP
+const STATUS_CHANCE = 0.2; // Units starting with a status
+const MOVE_CANDIDATES = 4; // Reachable tiles offered per activation step
+const END_TURN_CHANCE = 0.15; // Ending the activation is picked outright this often
+const REJECTED_CHANCE = 0.1; // Each rejected candidate is submitted anyway this often
+const MAX_SHRINK_ATTEMPTS = 400;
+
+/**
+ * Main Invariant Fuzzer class
+ */
+export class InvariantFuzzer {
+  /**
+   * Create invariant fuzzer
+   * @param {Object} config - Fuzzer configuration
+   * @param {number} config.steps - Most actions played per case (default 150)
+   */
+  constructor(config = {}) {
+    this.steps = config.steps || 150;
+    this.statusSystem = new StatusEffectSystem();
+    this.pathfinder = new Pathfinder();
+  }
+
+  /**
+   * Generate a case from a seed and play it, recording the submitted actions
+   * @param {number} seed - Case seed (map, armies, actions and the match dice)
+   * @returns {Object} {testCase, failure}; failure is null when every invariant held
+   */
+  fuzz(seed) {
+    const rng = new DeterministicRNG(seed).createSubsystemRNG('fuzz');
+    const testCase = this.generateCase(seed, rng);
+    const system = new CombatSystem();
+    const match = this.createMatch(system, testCase);
+    const failure = this.play(system, match, testCase, () => this.chooseAction(system, match, rng));
+    return { testCase, failure };
+  }
+
+  /**
+   * Play a recorded case again
+   * @param {Object} testCase - Case
+   * @returns {Object|null} First failure {step, invariant, message}, or null
+   */
+  replay(testCase) {
+    const system = new CombatSystem();
+    let match;
+    try {
+      match = this.createMatch(system, testCase);
+    } catch (error) {
+      return null; // A shrink that leaves no playable match reproduces nothing
+    }
+
+    const steps = (testCase.steps || []).map(step => step.action);
+    return this.play(system, match, { ...testCase, steps: [] }, () => steps.shift() || null);
+  }
+
+  /**
+   * Shrink a failing case while it keeps breaking the same invariant
+   * @param {Object} testCase - Failing case
+   * @param {Object} failure - Its failure
+   * @returns {Object} {testCase, failure, attempts}
+   */
+  shrink(testCase, failure) {
+    let best = { testCase: this.cutAfter(testCase, failure.step), failure };
+    let attempts = 0;
+
+    const tryCandidate = candidate => {
+      if (attempts >= MAX_SHRINK_ATTEMPTS) return false;
+      attempts++;
+      const result = this.replay(candidate);
+      if (!result || result.invariant !== failure.invariant) return false;
+      best = { testCase: this.cutAfter(candidate, result.step), failure: result };
+      return true;
+    };
+
+    let progress = true;
+    while (progress && attempts < MAX_SHRINK_ATTEMPTS) {
+      progress = false;
+      for (const candidates of [
+        current => this.dropChunks(current, 'steps'),
+        current => this.dropUnits(current),
+        current => this.simplifyUnits(current),
+        current => this.dropChunks(current, 'terrain'),
+        current => this.shrinkMap(current)
+      ]) {
+        for (const candidate of candidates(best.testCase)) {
+          if (tryCandidate(candidate)) {
+            progress = true;
+            break;
+          }
+        }
+      }
+    }
+
+    return { ...best, attempts };
+  }
+
+  /**
+   * Random map, armies and match settings
+   * @param {number} seed - Case seed
+   * @param {DeterministicRNG} rng - Fuzzer stream
+   * @returns {Object} Case without steps
+   * @private
+   */
+  generateCase(seed, rng) {
+    const width = rng.randInt(...MAP_RANGE);
+    const height = rng.randInt(...MAP_RANGE);
+    const types = Object.keys(TERRAIN.MODIFIERS).filter(type => type !== 'PLAINS');
+    const terrain = [];
+    const open = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const type = rng.random() < TERRAIN_CHANCE ? rng.choice(types) : 'PLAINS';
+        if (type !== 'PLAINS') {
+          terrain.push({ x, y, type, height: rng.randInt(0, 2) });
+        }
+        if (TERRAIN.MODIFIERS[type].moveCost !== Infinity) {
+          open.push({ x, y });
+        }
+      }
+    }
+    rng.shuffle(open);
+
+    const statuses = Object.keys(STATUS_EFFECT_TYPES);
+    const units = [];
+    for (const playerId of [1, 2]) {
+      const count = Math.min(rng.randInt(...UNITS_PER_SIDE), Math.floor(open.length / 2));
+      const faction = rng.choice(FACTIONS.TYPES);
+      for (let i = 0; i < count; i++) {
+        const unit = {
+          id: `p${playerId}_${i + 1}`,
+          playerId,
+          class: rng.choice(CLASSES.TYPES),
+          faction,
+          isLeader: i === 0,
+          level: rng.randInt(...LEVEL_RANGE),
+          position: open.pop()
+        };
+        if (rng.random() < WOUNDED_CHANCE) {
+          unit.currentHP = rng.randInt(1, 40);
+        }
+        if (rng.random() < STATUS_CHANCE) {
+          unit.status = [{ id: rng.choice(statuses), duration: rng.randInt(1, 3) }];
+        }
+        units.push(unit);
+      }
+    }
+
+    return {
+      seed,
+      map: { width, height, terrain },
+      units,
+      initiative: rng.shuffle(units.map(unit => unit.id)),
+      maxTurns: rng.randInt(...TURN_RANGE),
+      steps: []
+    };
+  }
+
+  /**
+   * Play a started match, taking actions from a source and checking after each one
+   * @param {CombatSystem} system - Combat system hosting the match
+   * @param {CombatState} match - Match in COMBAT
+   * @param {Object} testCase - Case; submitted actions are appended to its steps
+   * @param {Function} nextAction - Returns the action to submit, or null to stop
+   * @returns {Object|null} First failure {step, invariant, message}, or null
+   * @private
+   */
+  play(system, match, testCase, nextAction) {
+    let failure = this.checkInvariants(match);
+    let step = 0;
+    while (!failure && match.phase === 'COMBAT' && step < this.steps) {
+      const action = nextAction(system, match);
+      if (!action) break;
+      step++;
+
+      const actor = match.getUnit(action.actorId);
+      const wasDown = !!actor && actor.isIncapacitated;
+      const hashBefore = match.calculateStateHash();
+      testCase.steps.push({ action });
+      let result;
+      try {
+        result = system.submitAction(match.matchId, action);
+      } catch (error) {
+        return { step, invariant: 'no-exception', message: `${action.type} by ${action.actorId} threw: ${error.message}` };
+      }
+
+      if (!result.success) {
+        if (match.calculateStateHash() !== hashBefore) {
+          failure = { invariant: 'rejection-unchanged', message: `rejected ${action.type} by ${action.actorId} (${result.errorCode}) changed the state` };
+        }
+      } else {
+        failure = wasDown ?
+          { invariant: 'incapacitated-never-act', message: `${action.actorId} acted (${action.type}) while incapacitated` } :
+          this.checkInvariants(match);
+      }
+      if (failure) failure.step = step;
+    }
+
+    return failure ? { step: 0, ...failure } : null;
+  }
+
+  /**
+   * Create and start the case's match
+   * @param {CombatSystem} system - Fresh combat system
+   * @param {Object} testCase - Case
+   * @returns {CombatState} Match in COMBAT
+   * @private
+   */
+  createMatch(system, testCase) {
+    const units = testCase.units.map(({ status = [], ...unit }) => ({
+      ...unit,
+      statusEffects: status.map(({ id, ...options }) =>
+        this.statusSystem.createEffect(id, { ...options, targetId: unit.id }))
+    }));
+
+    const match = system.createMatch({
+      matchId: 'fuzz',
+      seed: testCase.seed,
+      players: [...new Set(units.map(unit => unit.playerId))].map(id => ({ id, name: `Player ${id}` })),
+      mapWidth: testCase.map.width,
+      mapHeight: testCase.map.height,
+      terrainData: testCase.map.terrain,
+      units,
+      maxTurns: testCase.maxTurns,
+      turnClock: false
+    });
+
+    const started = system.startMatch(match.matchId, { initiativeOrder: testCase.initiative });
+    if (!started.success) {
+      throw new Error(started.errors.join('; '));
+    }
+    return match;
+  }
+
+  /**
+   * Pick the next action: the first candidate for the acting unit, in random
+   * order, that the resolver would accept, with now and then a rejected one
+   * @param {CombatSystem} system - Combat system hosting the match
+   * @param {CombatState} match - Match
+   * @param {DeterministicRNG} rng - Fuzzer stream
+   * @returns {Object} Action with its playerId
+   * @private
+   */
+  chooseAction(system, match, rng) {
+    const unit = match.getCurrentUnit();
+    const playerId = match.getPlayerForUnit(unit.id);
+    const endTurn = { type: 'END_TURN', actorId: unit.id, playerId };
+    const candidates = rng.shuffle(this.generateCandidates(match, unit, rng))
+      .map(action => ({ ...action, playerId }));
+
+    if (rng.random() < END_TURN_CHANCE) return endTurn;
+    for (const action of candidates) {
+      // Rejections are submitted too: the match must come through them unchanged
+      if (!system.resolver.planAction(match, unit, action.type, action).error ||
+          rng.random() < REJECTED_CHANCE) {
+        return action;
+      }
+    }
+    return endTurn;
+  }
+
+  /**
+   * Candidate actions for a unit: every attack and ability target, a few
+   * reachable tiles, one random tile and waiting
+   * @param {CombatState} match - Match
+   * @param {Unit} unit - Acting unit
+   * @param {DeterministicRNG} rng - Fuzzer stream
+   * @returns {Array} Action intents
+   * @private
+   */
+  generateCandidates(match, unit, rng) {
+    const others = Array.from(match.units.values()).filter(other => other.id !== unit.id);
+    const randomTile = () => ({ x: rng.randInt(0, match.mapWidth - 1), y: rng.randInt(0, match.mapHeight - 1) });
+    const candidates = [{ type: 'WAIT', actorId: unit.id }];
+
+    for (const other of others) {
+      candidates.push({ type: 'ATTACK', actorId: unit.id, targetId: other.id });
+    }
+
+    for (const abilityId of unit.abilities) {
+      const ability = abilityRegistry.get(abilityId);
+      if (!ability) continue;
+      if (ability.targeting === 'self') {
+        candidates.push({ type: 'ABILITY', actorId: unit.id, abilityId, targetId: unit.id });
+      } else if (ability.targeting === 'tile') {
+        for (const other of others) {
+          candidates.push({ type: 'ABILITY', actorId: unit.id, abilityId, targetPosition: { ...other.position } });
+        }
+        candidates.push({ type: 'ABILITY', actorId: unit.id, abilityId, targetPosition: randomTile() });
+      } else {
+        for (const target of [unit, ...others]) {
+          const landing = { x: target.position.x + rng.randInt(-1, 1), y: target.position.y + rng.randInt(-1, 1) };
+          candidates.push({ type: 'ABILITY', actorId: unit.id, abilityId, targetId: target.id, targetPosition: landing });
+        }
+      }
+    }
+
+    const grid = new CombatStateGrid(match);
+    const reachable = rng.shuffle(this.getReachable(grid, unit));
+    for (const tile of reachable.slice(0, MOVE_CANDIDATES)) {
+      candidates.push({ type: 'MOVE', actorId: unit.id, targetPosition: { x: tile.x, y: tile.y } });
+    }
+    candidates.push({ type: 'MOVE', actorId: unit.id, targetPosition: randomTile() });
+
+    return candidates;
+  }
+
+  /**
+   * Tiles a unit can reach with its movement
+   * @param {CombatStateGrid} grid - Match grid
+   * @param {Unit} unit - Moving unit
+   * @returns {Array} Tiles {x, y}
+   * @private
+   */
+  getReachable(grid, unit) {
+    if (unit.hasStatusFlag('cannotMove')) return [];
+    return this.pathfinder.getReachableTiles(grid, grid.createMover(unit));
+  }
+
+  /**
+   * Check every state invariant
+   * @param {CombatState} match - Match
+   * @returns {Object|null} {invariant, message} for the first broken one, or null
+   * @private
+   */
+  checkInvariants(match) {
+    const units = Array.from(match.units.values());
+    const living = units.filter(unit => !unit.isIncapacitated);
+
+    for (const unit of units) {
+      const maxHP = unit.getCurrentStats().HP;
+      if (!(unit.currentHP >= 0 && unit.currentHP <= maxHP)) {
+        return { invariant: 'hp-bounds', message: `${unit.id} has ${unit.currentHP} HP of ${maxHP}` };
+      }
+      if (!(unit.currentAP >= 0)) {
+        return { invariant: 'ap-non-negative', message: `${unit.id} has ${unit.currentAP} AP` };
+      }
+    }
+
+    const tiles = new Map();
+    for (const unit of living) {
+      const { x, y } = unit.position;
+      if (x < 0 || y < 0 || x >= match.mapWidth || y >= match.mapHeight) {
+        return { invariant: 'one-unit-per-tile', message: `${unit.id} stands off the map at ${x},${y}` };
+      }
+      const key = `${x},${y}`;
+      if (tiles.has(key)) {
+        return { invariant: 'one-unit-per-tile', message: `${tiles.get(key)} and ${unit.id} share ${key}` };
+      }
+      tiles.set(key, unit.id);
+    }
+
+    const current = match.phase === 'COMBAT' ? match.getCurrentUnit() : null;
+    if (current && current.isIncapacitated) {
+      return { invariant: 'incapacitated-never-act', message: `${current.id} was activated while incapacitated` };
+    }
+
+    const listed = match.initiativeOrder.map(entry => entry.unitId);
+    const active = match.initiativeOrder.filter(entry => !entry.isIncapacitated).map(entry => entry.unitId).sort();
+    const expected = living.map(unit => unit.id).sort();
+    if (new Set(listed).size !== listed.length || listed.some(unitId => !match.getUnit(unitId)) ||
+        active.join() !== expected.join()) {
+      return {
+        invariant: 'initiative-living-units',
+        message: `initiative has ${active.join(', ') || 'nobody'} up, living units are ${expected.join(', ') || 'none'}`
+      };
+    }
+
+    const hash = match.calculateStateHash();
+    const restored = CombatState.deserialize(JSON.parse(JSON.stringify(match.serialize(true))));
+    if (restored.calculateStateHash() !== hash) {
+      return { invariant: 'serialize-roundtrip', message: 'the deserialized state hashes differently' };
+    }
+
+    if (!match.validateState()) {
+      return { invariant: 'valid-state', message: 'CombatState.validateState rejected the state' };
+    }
+    for (const unit of units) {
+      try {
+        unit.validate();
+      } catch (error) {
+        return { invariant: 'valid-state', message: `${unit.id}: ${error.message}` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Case without the steps after a failing one
+   * @param {Object} testCase - Case
+   * @param {number} step - Failing step (0 before any action)
+   * @returns {Object} Cut case
+   * @private
+   */
+  cutAfter(testCase, step) {
+    return { ...testCase, steps: testCase.steps.slice(0, step) };
+  }
+
+  /**
+   * Cases with one chunk of a list dropped, largest chunks first
+   * @param {Object} testCase - Case
+   * @param {string} list - 'steps' or 'terrain'
+   * @returns {Array} Candidate cases
+   * @private
+   */
+  *dropChunks(testCase, list) {
+    const items = list === 'terrain' ? testCase.map.terrain : testCase.steps;
+    const replace = kept => list === 'terrain' ?
+      { ...testCase, map: { ...testCase.map, terrain: kept } } :
+      { ...testCase, steps: kept };
+
+    for (let size = items.length; size >= 1; size = Math.floor(size / 2)) {
+      for (let start = 0; start < items.length; start += size) {
+        yield replace([...items.slice(0, start), ...items.slice(start + size)]);
+      }
+    }
+  }
+
+  /**
+   * Cases with one unit left out
+   * @param {Object} testCase - Case
+   * @returns {Array} Candidate cases
+   * @private
+   */
+  *dropUnits(testCase) {
+    for (const unit of testCase.units) {
+      yield {
+        ...testCase,
+        units: testCase.units.filter(other => other !== unit),
+        initiative: testCase.initiative.filter(unitId => unitId !== unit.id)
+      };
+    }
+  }
+
+  /**
+   * Cases with one unit made plainer: no status, full HP, level 1
+   * @param {Object} testCase - Case
+   * @returns {Array} Candidate cases
+   * @private
+   */
+  *simplifyUnits(testCase) {
+    for (const [index, unit] of testCase.units.entries()) {
+      const simpler = [];
+      if (unit.status) {
+        const { status, ...rest } = unit;
+        simpler.push(rest);
+      }
+      if (unit.currentHP !== undefined) {
+        const { currentHP, ...rest } = unit;
+        simpler.push(rest);
+      }
+      if (unit.level !== 1) {
+        simpler.push({ ...unit, level: 1 });
+      }
+      for (const replacement of simpler) {
+        yield { ...testCase, units: testCase.units.map((other, i) => i === index ? replacement : other) };
+      }
+    }
+  }
+
+  /**
+   * Cases with the map's last column or row removed, or everything moved a
+   * column or row towards the origin
+   * @param {Object} testCase - Case
+   * @returns {Array} Candidate cases
+   * @private
+   */
+  *shrinkMap(testCase) {
+    const { width, height, terrain } = testCase.map;
+    const shift = (dx, dy) => ({
+      ...testCase,
+      map: {
+        width: width - Math.abs(dx),
+        height: height - Math.abs(dy),
+        terrain: terrain.map(tile => ({ ...tile, x: tile.x + dx, y: tile.y + dy }))
+          .filter(tile => tile.x >= 0 && tile.y >= 0 && tile.x < width + dx && tile.y < height + dy)
+      },
+      units: testCase.units.map(unit => ({ ...unit, position: { x: unit.position.x + dx, y: unit.position.y + dy } })),
+      steps: testCase.steps.map(step => ({ action: this.shiftAction(step.action, dx, dy) }))
+    });
+
+    if (width > 1) yield shift(-1, 0);
+    if (height > 1) yield shift(0, -1);
+    if (width > 1) yield { ...shift(0, 0), map: { ...testCase.map, width: width - 1 } };
+    if (height > 1) yield { ...shift(0, 0), map: { ...testCase.map, height: height - 1 } };
+  }
+
+  /**
+   * Action moved along with a shifted map
+   * @param {Object} action - Action
+   * @param {number} dx - Column shift
+   * @param {number} dy - Row shift
+   * @returns {Object} Shifted action
+   * @private
+   */
+  shiftAction(action, dx, dy) {
+    if (!action.targetPosition) return action;
+    return { ...action, targetPosition: { x: action.targetPosition.x + dx, y: action.targetPosition.y + dy } };
+  }
+}
+
+export default InvariantFuzzer;
@@ -0,0 +1,271 @@
+/**
+ * Scenario Runner for Tactica Arena
+ *
+ * Plays rule scenarios written as JSON against CombatSystem, so combat rules
+ * can be pinned down without writing JS. A scenario declares:
+ * - seed: Match seed (dice, and initiative when no order is given)
+ * - map: {width, height, terrain: [{x, y, type, height, coverValue, ...}]}
+ * - units: Unit configs placed as given ({id, playerId, class, position,
+ *   facing, level, hiddenAbilities, currentHP, ...}); status lists catalog
+ *   IDs or {id, duration, intensity} to start the match with
+ * - initiative: Every unit ID in acting order (rolled from the seed if absent)
+ * - victoryConditions, maxTurns: Passed to the match as they are
+ * - steps: Run in order; each has one of
+ *     action: {type, actorId, targetId, targetPosition, abilityId, weaponType, playerId}
+ *       (playerId defaults to the unit's controller)
+ *     preview: {type: 'attack', attackerId, targetId} |
+ *       {type: 'move', unitId, targetPosition} |
+ *       {type: 'ability', casterId, abilityId, targetIds}
+ *     forfeit: {playerId, reason}
+ *   and an expect block checked after it
+ * - expect: Checked once every step has run
+ *
+ * An expect block may hold:
+ * - result: The step's result ({success, errorCode, errors, events} for an
+ *   action or forfeit; {success, errors, warnings, hitChance, damage, ...} for
+ *   a preview)
+ * - units: Unit ID -> the unit's public data (currentHP, position, facing,
+ *   statusEffects, isIncapacitated, ...)
+ * - match: {phase, turn, winner, victoryCondition, currentPlayerId, currentUnitId}
+ *
+ * Expected values match partially: objects check only the keys listed, and
+ * each element of an expected array must match some element of the actual
+ * one. Numbers may be given as {"$atLeast": n}, {"$atMost": n} or
+ * {"$between": [min, max]}; {"$length": n} checks an array's length,
+ * {"$not": value} passes when value does not match and {"$all": [a, b]}
+ * when every pattern listed does.
+ */
+
+import { CombatSystem, StatusEffectSystem } from '../src/combat/index.js';
+
+const MATCHERS = {
+  $atLeast: (actual, bound) => typeof actual === 'number' && actual >= bound,
+  $atMost: (actual, bound) => typeof actual === 'number' && actual <= bound,
+  $between: (actual, [min, max]) => typeof actual === 'number' && actual >= min && actual <= max,
+  $length: (actual, length) => Array.isArray(actual) && actual.length === length,
+  $not: (actual, expected) => compare(actual, expected, '').length > 0,
+  $all: (actual, patterns) => patterns.every(pattern => compare(actual, pattern, '').length === 0)
+};
+
+/**
+ * Short printable form of a value for failure messages
+ * @param {*} value - Value to print
+ * @returns {string} JSON text, cut down when long
+ */
+function describe(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+/**
+ * Compare an actual value against an expected pattern
+ * @param {*} actual - Value produced by the engine
+ * @param {*} expected - Pattern from the scenario
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array<string>} Mismatches (empty when the value matches)
+ */
+function compare(actual, expected, path) {
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) {
+      return [`${path}: expected an array, got ${describe(actual)}`];
+    }
+    return expected
+      .filter(item => !actual.some(candidate => compare(candidate, item, path).length === 0))
+      .map(item => `${path}: no element matches ${describe(item)} in ${describe(actual)}`);
+  }
+
+  if (expected && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    if (keys.length === 1 && MATCHERS[keys[0]]) {
+      return MATCHERS[keys[0]](actual, expected[keys[0]]) ? [] :
+        [`${path}: expected ${describe(expected)}, got ${describe(actual)}`];
+    }
+    if (!actual || typeof actual !== 'object') {
+      return [`${path}: expected an object, got ${describe(actual)}`];
+    }
+    return keys.flatMap(key => compare(actual[key], expected[key], path ? `${path}.${key}` : key));
+  }
+
+  return actual === expected ? [] : [`${path}: expected ${describe(expected)}, got ${describe(actual)}`];
+}
+
+/**
+ * Main Scenario Runner class
+ */
+export class ScenarioRunner {
+  /**
+   * Create scenario runner
+   * @param {Object} config - Runner configuration
+   * @param {Object} config.systemConfig - CombatSystem configuration (turn clocks are always off)
+   */
+  constructor(config = {}) {
+    this.systemConfig = config.systemConfig || {};
+    this.statusSystem = new StatusEffectSystem();
+  }
+
+  /**
+   * Run one scenario
+   * @param {Object} scenario - Parsed scenario
+   * @returns {Object} {name, passed, failures: [string]}
+   */
+  run(scenario) {
+    const name = scenario.name || 'Unnamed scenario';
+    try {
+      const failures = this.play(scenario);
+      return { name, passed: failures.length === 0, failures };
+    } catch (error) {
+      return { name, passed: false, failures: [`error: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Set the scenario's match up and play its steps
+   * @param {Object} scenario - Parsed scenario
+   * @returns {Array<string>} Failures
+   * @private
+   */
+  play(scenario) {
+    const system = new CombatSystem(this.systemConfig);
+    const units = (scenario.units || []).map(unit => this.createUnitConfig(unit));
+    const playerIds = [...new Set(units.map(unit => unit.playerId))];
+    const map = scenario.map || {};
+
+    const match = system.createMatch({
+      matchId: 'scenario',
+      seed: scenario.seed !== undefined ? scenario.seed : 1,
+      players: playerIds.map(playerId => ({ id: playerId, name: `Player ${playerId}` })),
+      mapWidth: map.width,
+      mapHeight: map.height,
+      terrainData: map.terrain,
+      units,
+      victoryConditions: scenario.victoryConditions,
+      maxTurns: scenario.maxTurns,
+      turnClock: false
+    });
+
+    const started = system.startMatch(match.matchId,
+      scenario.initiative ? { initiativeOrder: scenario.initiative } : {});
+    if (!started.success) {
+      throw new Error(`match did not start: ${started.errors.join('; ')}`);
+    }
+
+    const failures = [];
+    for (const [index, step] of (scenario.steps || []).entries()) {
+      const label = `step ${index + 1}${step.name ? ` (${step.name})` : ''}`;
+      const result = this.runStep(system, match, step);
+      failures.push(...this.check(match, step.expect, result).map(failure => `${label}: ${failure}`));
+    }
+    failures.push(...this.check(match, scenario.expect, null).map(failure => `end: ${failure}`));
+
+    return failures;
+  }
+
+  /**
+   * Unit config with its starting statuses built from the catalog
+   * @param {Object} unit - Scenario unit
+   * @returns {Object} Unit config for the match
+   * @private
+   */
+  createUnitConfig(unit) {
+    const { status = [], ...config } = unit;
+    if (!config.id || config.playerId === undefined) {
+      throw new Error('every unit needs an id and a playerId');
+    }
+
+    const effects = status.map(entry => {
+      const { id, ...options } = typeof entry === 'string' ? { id: entry } : entry;
+      return this.statusSystem.createEffect(id, { ...options, targetId: config.id });
+    });
+    return { ...config, statusEffects: [...(config.statusEffects || []), ...effects] };
+  }
+
+  /**
+   * Submit a step's action or forfeit, or run its preview
+   * @param {CombatSystem} system - Combat system hosting the match
+   * @param {CombatState} match - Scenario match
+   * @param {Object} step - Scenario step
+   * @returns {Object|null} What the step's result expectations are checked against
+   * @private
+   */
+  runStep(system, match, step) {
+    if (step.action) {
+      const playerId = step.action.playerId !== undefined ?
+        step.action.playerId : match.getPlayerForUnit(step.action.actorId);
+      const result = system.submitAction(match.matchId, { ...step.action, playerId });
+      return { success: result.success, errorCode: result.errorCode, errors: result.errors, events: result.events };
+    }
+
+    if (step.forfeit) {
+      const result = system.forfeitMatch(match.matchId, step.forfeit);
+      return { success: result.success, errorCode: result.errorCode, errors: result.errors, events: result.events };
+    }
+
+    if (step.preview) {
+      const preview = this.runPreview(system, match.matchId, step.preview);
+      return { success: preview.success, errors: preview.errors, warnings: preview.warnings, ...preview.data };
+    }
+
+    return null;
+  }
+
+  /**
+   * Run one of the preview API calls
+   * @param {CombatSystem} system - Combat system hosting the match
+   * @param {string} matchId - Match ID
+   * @param {Object} preview - Step preview {type, ...}
+   * @returns {CombatPreviewResult} Preview result
+   * @private
+   */
+  runPreview(system, matchId, preview) {
+    switch (preview.type) {
+      case 'attack':
+        return system.previewAttack(matchId, preview.attackerId, preview.targetId);
+      case 'move':
+        return system.previewMovement(matchId, preview.unitId, preview.targetPosition);
+      case 'ability':
+        return system.previewAbility(matchId, preview.casterId, preview.abilityId, preview.targetIds || []);
+      default:
+        throw new Error(`unknown preview type: ${preview.type}`);
+    }
+  }
+
+  /**
+   * Check an expect block against the match
+   * @param {CombatState} match - Scenario match
+   * @param {Object} expect - Expect block (optional)
+   * @param {Object|null} result - Step result, when the block belongs to an action, forfeit or preview
+   * @returns {Array<string>} Failures
+   * @private
+   */
+  check(match, expect, result) {
+    if (!expect) return [];
+    const failures = [];
+
+    if (expect.result !== undefined) {
+      failures.push(...(result ? compare(result, expect.result, 'result') :
+        ['result: only an action, forfeit or preview step has a result']));
+    }
+
+    for (const [unitId, expected] of Object.entries(expect.units || {})) {
+      const unit = match.getUnit(unitId);
+      failures.push(...(unit ? compare(unit.getPublicData(), expected, `units.${unitId}`) :
+        [`units.${unitId}: no such unit`]));
+    }
+
+    if (expect.match !== undefined) {
+      const current = match.getCurrentUnit();
+      failures.push(...compare({
+        phase: match.phase,
+        turn: match.turn,
+        winner: match.winner,
+        victoryCondition: match.victoryCondition,
+        currentPlayerId: match.currentPlayerId,
+        currentUnitId: current ? current.id : null
+      }, expect.match, 'match'));
+    }
+
+    return failures;
+  }
+}
+
+export default ScenarioRunner;
@@ -0,0 +1,39 @@
+/**
+ * RNG Self-Check for Tactica Arena
+ *
+ * Runs DeterministicRNG.validateDistribution on xoshiro128** (the generator
+ * new matches use) from a few seeds and exits non-zero unless every d20 test
+ * passes (each face equally often, and each ordered pair of consecutive rolls
+ * equally often):
+ *
+ *   node test/checkRNG.js
+ */
+
+import { DeterministicRNG } from '../src/combat/index.js';
+
+const ALGORITHM = 'xoshiro128ss';
+const SEEDS = [1, 12345, 0xdeadbeef]; // Fixed, so the check gives the same answer every run
+
+/**
+ * Command-line entry point
+ */
+function main() {
+  let failed = 0;
+
+  for (const seed of SEEDS) {
+    const report = new DeterministicRNG(seed, { algorithm: ALGORITHM }).validateDistribution();
+    for (const test of report.tests) {
+      const verdict = test.passed ? 'PASS' : 'FAIL';
+      console.log(`${verdict} ${report.algorithm} seed ${seed} ${test.name}: ` +
+        `chi-square ${test.chiSquare.toFixed(1)} (critical ${test.critical.toFixed(1)}, ${test.degreesOfFreedom} df)`);
+      if (!test.passed) failed++;
+    }
+  }
+
+  if (failed > 0) {
+    console.log(`\n${failed} distribution test(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,105 @@
+/**
+ * Invariant Fuzzing CLI for Tactica Arena
+ *
+ * Plays random cases (see InvariantFuzzer.js) and stops at the first one
+ * that breaks an invariant, printing it shrunk to a minimal counterexample:
+ *
+ *   npm run fuzz                                         # 200 cases from seed 1
+ *   npm run fuzz -- --runs 1000 --seed 5000 --steps 300
+ *   npm run fuzz -- --out counterexample.json            # also save the shrunk case
+ *   npm run fuzz -- --replay counterexample.json         # re-run a saved case
+ *
+ * Exits non-zero when an invariant breaks.
+ */
+
+import fs from 'fs';
+import { InvariantFuzzer } from './InvariantFuzzer.js';
+
+const NUMBER_OPTIONS = ['runs', 'seed', 'steps'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {runs, seed, steps, out, replay}
+ */
+function parseArgs(args) {
+  const options = { runs: 200, seed: 1, steps: undefined, out: null, replay: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    const value = args[i + 1];
+    if (!args[i].startsWith('--') || value === undefined) {
+      throw new Error(`Expected --option value, got ${args[i]}`);
+    }
+    i++;
+
+    if (NUMBER_OPTIONS.includes(name)) {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) throw new Error(`--${name} needs a positive integer`);
+      options[name] = number;
+    } else if (name === 'out' || name === 'replay') {
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print a failure and the case that produced it
+ * @param {Object} failure - {step, invariant, message}
+ * @param {Object} testCase - Case
+ */
+function report(failure, testCase) {
+  const at = failure.step === 0 ? 'at the start' : `after step ${failure.step}`;
+  console.log(`FAIL ${failure.invariant} ${at}: ${failure.message}`);
+  console.log(JSON.stringify(testCase, null, 2));
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const fuzzer = new InvariantFuzzer({ steps: options.steps });
+
+    if (options.replay) {
+      const testCase = JSON.parse(fs.readFileSync(options.replay, 'utf8'));
+      const failure = fuzzer.replay(testCase);
+      if (failure) {
+        report(failure, testCase);
+        process.exitCode = 1;
+      } else {
+        console.log(`PASS ${options.replay}: every invariant held`);
+      }
+      return;
+    }
+
+    const started = Date.now();
+    for (let seed = options.seed; seed < options.seed + options.runs; seed++) {
+      const { testCase, failure } = fuzzer.fuzz(seed);
+      if (!failure) continue;
+
+      console.log(`Seed ${seed} broke ${failure.invariant} after ${failure.step} of ${testCase.steps.length} steps; shrinking`);
+      const shrunk = fuzzer.shrink(testCase, failure);
+      report(shrunk.failure, shrunk.testCase);
+      if (options.out) {
+        fs.writeFileSync(options.out, `${JSON.stringify(shrunk.testCase, null, 2)}\n`);
+        console.log(`Wrote ${options.out}`);
+      }
+      process.exitCode = 1;
+      return;
+    }
+
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    console.log(`${options.runs} cases (seeds ${options.seed}-${options.seed + options.runs - 1}) held every invariant in ${seconds}s`);
+  } catch (error) {
+    console.error(`Fuzzing failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
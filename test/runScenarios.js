@@ -0,0 +1,66 @@
+/**
+ * Rule Scenario Tests for Tactica Arena
+ *
+ * Runs every JSON scenario (see ScenarioRunner.js for the format) and exits
+ * non-zero if any fails:
+ *
+ *   npm test                                             # everything under test/scenarios
+ *   node test/runScenarios.js test/scenarios/backstab.json
+ *   node test/runScenarios.js some/folder other.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ScenarioRunner } from './ScenarioRunner.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'scenarios');
+
+/**
+ * Scenario files under a path, in name order
+ * @param {string} target - File or directory
+ * @returns {Array<string>} JSON file paths
+ */
+function findScenarioFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) return findScenarioFiles(entryPath);
+      return entry.name.endsWith('.json') ? [entryPath] : [];
+    });
+}
+
+/**
+ * Command-line entry point
+ */
+function main() {
+  const targets = process.argv.slice(2);
+  const files = (targets.length > 0 ? targets : [DEFAULT_DIR]).flatMap(findScenarioFiles);
+  const runner = new ScenarioRunner();
+  let failed = 0;
+
+  for (const file of files) {
+    let outcome;
+    try {
+      const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+      outcome = runner.run({ name: path.basename(file, '.json'), ...scenario });
+    } catch (error) {
+      outcome = { name: path.basename(file, '.json'), passed: false, failures: [`unreadable: ${error.message}`] };
+    }
+
+    console.log(`${outcome.passed ? 'PASS' : 'FAIL'} ${outcome.name} (${path.relative(process.cwd(), file)})`);
+    for (const failure of outcome.failures) {
+      console.log(`     ${failure}`);
+    }
+    if (!outcome.passed) failed++;
+  }
+
+  console.log(`\n${files.length - failed} passed, ${failed} failed`);
+  if (files.length === 0 || failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();